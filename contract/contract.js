@@ -1,12 +1,35 @@
 import {Contract} from 'trac-peer'
+import {resolveRateLimits, computeQuota, readTokenUsage, MAX_WINDOW_ENTRIES, MAX_PENDING_LIMIT, MAX_PRIORITY, MAX_DAILY_TOKENS, MAX_TOKENS_PER_ANSWER} from './ratelimit.js';
+import {parseBotCommand, COMMAND_NAME_RE, MAX_CUSTOM_TEMPLATES, RESERVED_COMMANDS} from '../shared/templates.js';
+import {DEFAULT_BOT, BOT_NAME_RE, MAX_BOTS, RESERVED_BOT_NAMES, BOT_CONFIG_FIELDS, BOT_RATE_FIELDS, botKeys, findBotMention, botRatePolicy, botOfFeature, parseReplyAttachments} from '../shared/bots.js';
+import {MAX_WORKERS, DEFAULT_LEASE_MS, workerJobKey, leaseActive, workerEntry} from '../shared/workers.js';
+import {readQueues, pendingCount, enqueue, dequeue, rotate, pickNextSeq, MAX_EXPIRE_PER_OP} from '../shared/scheduler.js';
+import {MODERATION_RULE_NAME_RE, MAX_MODERATION_RULES, MAX_RULE_WORDS, MAX_RULE_PATTERN, validateRule, readModerationDecision} from '../shared/moderation.js';
 
 class AiChatContract extends Contract {
     /**
      * Deterministic contract for AI chat orchestration.
      * - Processes public chat messages in order via messageHandler
-     * - Enforces per-user rate limits (10 per 60s, 1500 per day)
+     * - Enforces per-user rate limits (default 10 per 60s, 1500 per day; admin-managed policy, tiers and block list)
+     * - Counts the model tokens of each answer per asker and day (rl/tokens/<address>/<day>) and stops prompts
+     *   once an admin-set daily token budget is used up
      * - Queues allowed prompts to be handled by the AI oracle Feature
+     * - Records why a dropped @ai prompt was rejected under msgrej/<message index>
+     * - Threads follow-up prompts (@ai ^<message id> or a native reply) onto earlier Q/A turns via chat/by_msg/<message index>
+     * - Occasionally queues untagged messages for unprompted (random) replies in a separate queue
      * - Uses timer feature for currentTime
+     * - Stores admin-managed AI settings (persona, sampling, limits) under ai/config
+     * - Keeps a bounded per-user AI memory under ai/user/<address> that each user can wipe
+     * - Parses bot commands (@ai /summarize last 50) into the pending entry; admin prompt templates live under ai/templates
+     * - Hosts named bots (@code, @trader, ...) registered by the admin under ai/bots, each with its own queue,
+     *   summary and rate-limit counters (see shared/bots.js)
+     * - Leases pending seqs to oracle workers the admin authorized under ai/workers; they claim and answer
+     *   through TX ops and only the lease holder's result counts until the lease expires (see shared/workers.js)
+     * - Links each AI reply message to the seq it answers (seq:<n> attachment) and refuses a second reply for it
+     * - Serves each bot's tagged queue fairly across askers (round-robin, tier priority, max_pending cap per asker)
+     *   and marks prompts skipped by a fast-forward as expired (see shared/scheduler.js)
+     * - Stores admin moderation rules under ai/moderation that the oracle applies to prompts and answers,
+     *   and keeps its decision with each answer (see shared/moderation.js)
      */
     constructor(protocol, options = {}) {
         super(protocol, options);
@@ -17,6 +40,240 @@ class AiChatContract extends Contract {
             value : { type : "any" }
         });
 
+        // Admin AI settings; every field is optional so updates can be partial
+        this.addSchema('setAiConfig', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                persona : { type : "string", min : 1, max : 4000, optional : true },
+                model : { type : "string", min : 1, max : 128, optional : true },
+                temperature : { type : "number", min : 0, max : 2, optional : true },
+                top_p : { type : "number", min : 0, max : 1, optional : true },
+                max_reply_tokens : { type : "number", integer : true, min : 1, max : 8192, optional : true },
+                history_window : { type : "number", integer : true, min : 0, max : 256, optional : true }
+            }
+        });
+
+        this.addSchema('resetAiConfig', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 }
+            }
+        });
+
+        // Admin rate-limit policy: defaults for everyone, named tiers, per-address tier and block list
+        this.addSchema('setRateLimitPolicy', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                window_ms : { type : "number", integer : true, min : 1000, max : 86_400_000, optional : true },
+                window_max : { type : "number", integer : true, min : 0, max : MAX_WINDOW_ENTRIES, optional : true },
+                daily_max : { type : "number", integer : true, min : 0, max : 1_000_000, optional : true },
+                max_pending : { type : "number", integer : true, min : 1, max : MAX_PENDING_LIMIT, optional : true },
+                daily_tokens : { type : "number", integer : true, min : 0, max : MAX_DAILY_TOKENS, nullable : true, optional : true }
+            }
+        });
+
+        this.addSchema('setRateLimitTier', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                tier : { type : "string", pattern : /^[a-z][a-z0-9_-]{0,31}$/ },
+                window_ms : { type : "number", integer : true, min : 1000, max : 86_400_000, optional : true },
+                window_max : { type : "number", integer : true, min : 0, max : MAX_WINDOW_ENTRIES, optional : true },
+                daily_max : { type : "number", integer : true, min : 0, max : 1_000_000, optional : true },
+                max_pending : { type : "number", integer : true, min : 1, max : MAX_PENDING_LIMIT, optional : true },
+                daily_tokens : { type : "number", integer : true, min : 0, max : MAX_DAILY_TOKENS, nullable : true, optional : true },
+                priority : { type : "number", integer : true, min : 0, max : MAX_PRIORITY, optional : true },
+                exempt : { type : "boolean", optional : true }
+            }
+        });
+
+        this.addSchema('removeRateLimitTier', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                tier : { type : "string", pattern : /^[a-z][a-z0-9_-]{0,31}$/ }
+            }
+        });
+
+        this.addSchema('assignRateLimitTier', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                address : { type : "is_hex" },
+                tier : { type : "string", pattern : /^[a-z][a-z0-9_-]{0,31}$/, nullable : true }
+            }
+        });
+
+        this.addSchema('setRateLimitBlock', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                address : { type : "is_hex" },
+                blocked : { type : "boolean" }
+            }
+        });
+
+        // Admin prompt templates for bot commands (@ai /<name> ...); built-ins of the same name are overridden
+        this.addSchema('setAiTemplate', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                name : { type : "string", pattern : COMMAND_NAME_RE },
+                template : { type : "string", min : 1, max : 4000 },
+                usage : { type : "string", min : 1, max : 200, optional : true },
+                description : { type : "string", min : 1, max : 200, optional : true },
+                min_args : { type : "number", integer : true, min : 0, max : 9, optional : true }
+            }
+        });
+
+        this.addSchema('removeAiTemplate', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                name : { type : "string", pattern : COMMAND_NAME_RE }
+            }
+        });
+
+        // Admin registry of named bots; settings mirror setAiConfig plus optional per-bot rate limits
+        this.addSchema('setAiBot', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                name : { type : "string", pattern : BOT_NAME_RE },
+                persona : { type : "string", min : 1, max : 4000, optional : true },
+                model : { type : "string", min : 1, max : 128, optional : true },
+                temperature : { type : "number", min : 0, max : 2, optional : true },
+                top_p : { type : "number", min : 0, max : 1, optional : true },
+                max_reply_tokens : { type : "number", integer : true, min : 1, max : 8192, optional : true },
+                history_window : { type : "number", integer : true, min : 0, max : 256, optional : true },
+                window_ms : { type : "number", integer : true, min : 1000, max : 86_400_000, optional : true },
+                window_max : { type : "number", integer : true, min : 0, max : MAX_WINDOW_ENTRIES, optional : true },
+                daily_max : { type : "number", integer : true, min : 0, max : 1_000_000, optional : true },
+                max_pending : { type : "number", integer : true, min : 1, max : MAX_PENDING_LIMIT, optional : true },
+                daily_tokens : { type : "number", integer : true, min : 0, max : MAX_DAILY_TOKENS, nullable : true, optional : true },
+                enabled : { type : "boolean", optional : true }
+            }
+        });
+
+        this.addSchema('removeAiBot', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                name : { type : "string", pattern : BOT_NAME_RE }
+            }
+        });
+
+        // Admin moderation rules (input / output filters) and settings; see shared/moderation.js
+        this.addSchema('setAiModerationRule', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                name : { type : "string", pattern : MODERATION_RULE_NAME_RE },
+                stage : { type : "string", pattern : /^(input|output|both)$/ },
+                match : { type : "string", pattern : /^(words|regex)$/ },
+                words : { type : "array", items : { type : "string", min : 1, max : 64 }, min : 1, max : MAX_RULE_WORDS, optional : true },
+                pattern : { type : "string", min : 1, max : MAX_RULE_PATTERN, optional : true },
+                flags : { type : "string", pattern : /^[imsu]{0,4}$/, optional : true },
+                action : { type : "string", pattern : /^(refuse|redact|rewrite)$/ },
+                replacement : { type : "string", max : 500, optional : true },
+                enabled : { type : "boolean", optional : true }
+            }
+        });
+
+        this.addSchema('removeAiModerationRule', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                name : { type : "string", pattern : MODERATION_RULE_NAME_RE }
+            }
+        });
+
+        this.addSchema('setAiModeration', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                enabled : { type : "boolean", optional : true },
+                refusal : { type : "string", min : 1, max : 500, nullable : true, optional : true }
+            }
+        });
+
+        // Admin registry of oracle workers; bots null (or left out) lets the worker serve every bot
+        this.addSchema('setAiWorker', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                address : { type : "is_hex" },
+                enabled : { type : "boolean", optional : true },
+                lease_ms : { type : "number", integer : true, min : 10_000, max : 3_600_000, optional : true },
+                bots : { type : "array", items : { type : "string", pattern : BOT_NAME_RE }, max : MAX_BOTS + 1, nullable : true, optional : true }
+            }
+        });
+
+        this.addSchema('removeAiWorker', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                address : { type : "is_hex" }
+            }
+        });
+
+        // Worker side: lease the next free prompt of a bot, then commit its answer (or skip it)
+        this.addSchema('claimAiJob', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                bot : { type : "string", pattern : BOT_NAME_RE, optional : true }
+            }
+        });
+
+        this.addSchema('submitAiResult', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 },
+                bot : { type : "string", pattern : BOT_NAME_RE, optional : true },
+                seq : { type : "number", integer : true, min : 1 },
+                reply : { type : "string", max : 2000, optional : true },
+                summary : { type : "string", max : 2000, optional : true },
+                tools : { type : "array", max : 16, optional : true },
+                tokens : { type : "object", strict : true, optional : true, props : {
+                    prompt : { type : "number", integer : true, min : 0, max : MAX_TOKENS_PER_ANSWER },
+                    completion : { type : "number", integer : true, min : 0, max : MAX_TOKENS_PER_ANSWER },
+                    estimated : { type : "boolean", optional : true }
+                } },
+                moderation : { type : "object", optional : true },
+                skip : { type : "boolean", optional : true }
+            }
+        });
+
+        // Users wipe their own AI memory
+        this.addSchema('clearAiMemory', {
+            value : {
+                $$strict : true,
+                $$type : "object",
+                op : { type : "string", min : 1, max : 128 }
+            }
+        });
+
         const _this = this;
 
         // Timer feature: maintains trusted currentTime
@@ -28,43 +285,59 @@ class AiChatContract extends Contract {
             }
         });
 
-        // AI oracle feature: commits AI results + summary updates, advances process_seq
+        // AI oracle feature: commits AI results + summary updates, advances process_seq.
+        // Named bots' oracles (<name>_feature) are routed here as well, see execute().
         this.addFeature('ai_feature', async function(){
             if(false === _this.validateSchema('feature_entry', _this.op)) return;
+            const bot = botOfFeature(_this.op.type);
+            if(bot === null) return;
+            const keys = botKeys(bot);
+            // A named bot's oracle only has something to do once that bot got a prompt
+            if(bot !== DEFAULT_BOT && null === await _this.get(keys.message_seq)) return;
             if(_this.op.key === 'ai_result'){
                 const payload = _this.op.value;
                 if(typeof payload !== 'object' || payload === null) return;
-                const queue = payload.queue === 'random' ? 'random' : 'tagged';
+                // Only the default bot has a random queue
+                const queue = payload.queue === 'random' && bot === DEFAULT_BOT ? 'random' : 'tagged';
                 const seq = parseInt(payload.seq);
                 if(isNaN(seq) || seq < 1) return;
-                const pendingKey = queue === 'random' ? ('chat/pending_random/'+seq) : ('chat/pending/'+seq);
-                const doneKey = queue === 'random' ? ('chat/done_random/'+seq) : ('chat/done/'+seq);
-                const processKey = queue === 'random' ? 'random_process_seq' : 'process_seq';
-                const pending = await _this.get(pendingKey);
-                if(pending !== null) {
-                    const done = {
-                        from: pending.from,
-                        prompt: pending.prompt,
-                        reply: payload.reply !== undefined ? payload.reply : '',
-                        timestamp: pending.timestamp
-                    };
-                    await _this.put(doneKey, done);
-                    await _this.del(pendingKey);
-                }
-                if(typeof payload.summary === 'string'){
-                    await _this.put('ai/summary', payload.summary);
+                // A seq leased to a worker is answered by that worker until the lease runs out
+                if(queue === 'tagged' && leaseActive(await _this.get(keys.lease+seq), await _this.get('currentTime'))) return;
+                await _this.commitAiResult(keys, queue, seq, payload);
+            } else if(_this.op.key === 'ai_user_memory'){
+                // per-user memory written by the oracle after answering that user's tagged prompt <seq>;
+                // seq is compared with message_seq, so only the default bot's oracle writes it
+                if(bot !== DEFAULT_BOT) return;
+                const payload = _this.op.value;
+                if(typeof payload !== 'object' || payload === null) return;
+                if(typeof payload.address !== 'string' || false === /^[a-f0-9]{64}$/.test(payload.address)) return;
+                if(typeof payload.memory !== 'string' || payload.memory.length > 2000) return;
+                const seq = parseInt(payload.seq);
+                if(isNaN(seq) || seq < 1) return;
+                // Ignore updates built from prompts the user asked before wiping their memory
+                const cleared = await _this.get('ai/user_cleared/'+payload.address);
+                if(cleared !== null && seq <= parseInt(cleared)) return;
+                const memoryKey = 'ai/user/'+payload.address;
+                if(payload.memory.trim() === ''){
+                    await _this.del(memoryKey);
+                    return;
                 }
-                await _this.put(processKey, seq);
+                await _this.put(memoryKey, {
+                    memory : payload.memory,
+                    nick : await _this.get('nick/'+payload.address),
+                    seq : seq,
+                    updated_at : await _this.get('currentTime')
+                });
             } else if(_this.op.key === 'ai_ctrl'){
                 // control ops, e.g. fast-forward process pointers
                 const payload = _this.op.value;
                 if(typeof payload !== 'object' || payload === null) return;
                 if(payload.op === 'fast_forward'){
-                    const queue = payload.queue === 'random' ? 'random' : 'tagged';
+                    const queue = payload.queue === 'random' && bot === DEFAULT_BOT ? 'random' : 'tagged';
                     let seq = parseInt(payload.seq);
                     if(isNaN(seq) || seq < 0) return;
-                    const processKey = queue === 'random' ? 'random_process_seq' : 'process_seq';
-                    const messageKey = queue === 'random' ? 'random_message_seq' : 'message_seq';
+                    const processKey = queue === 'random' ? 'random_process_seq' : keys.process_seq;
+                    const messageKey = queue === 'random' ? 'random_message_seq' : keys.message_seq;
                     let current = await _this.get(processKey);
                     current = current !== null ? parseInt(current) : 0;
                     if(isNaN(current)) current = 0;
@@ -73,35 +346,84 @@ class AiChatContract extends Contract {
                     if(isNaN(maxSeq)) maxSeq = 0;
                     if(seq > maxSeq) seq = maxSeq;
                     if(seq > current){
+                        if(queue === 'tagged') await _this.expirePending(keys, seq);
                         await _this.put(processKey, seq);
                     }
+                } else if(payload.op === 'set_random' && bot === DEFAULT_BOT){
+                    // admin settings for unprompted (random) participation
+                    let config = await _this.get('ai/random_config');
+                    if(config === null || typeof config !== 'object') config = { enabled : true, divisor : 20 };
+                    if(payload.enabled !== undefined){
+                        if(typeof payload.enabled !== 'boolean') return;
+                        config.enabled = payload.enabled;
+                    }
+                    if(payload.divisor !== undefined){
+                        const divisor = parseInt(payload.divisor);
+                        if(isNaN(divisor) || divisor < 1 || divisor > 1000) return;
+                        config.divisor = divisor;
+                    }
+                    await _this.put('ai/random_config', config);
                 }
             }
         });
 
-        // Chat message handler: react ONLY when tagged with @ai by a non-admin user.
+        // Chat message handler: react ONLY when tagged with @ai (or a registered @<bot>) by a non-admin user.
         // Also may enqueue occasional (random) participation into a separate queue (non-admin only, strict guards).
         this.messageHandler(async function(){
             const msg = _this.op.msg;
             if(typeof msg !== 'string') return;
 
+            // An AI reply for a seq that already has one (a retried post) is refused and never stored
+            const aiReply = Array.isArray(_this.op.attachments) && _this.op.attachments.indexOf('ai-reply') !== -1;
+            const replyLink = aiReply ? await _this.aiReplyLink(_this.op.attachments) : null;
+            if(replyLink !== null && null !== await _this.get(replyLink)) return new Error('This seq already has an AI reply.');
+
+            // Index this message will get (pre-increment)
+            let idx = await _this.get('msgl');
+            idx = idx !== null ? parseInt(idx) : 0;
+            if(isNaN(idx)) idx = 0;
+
             // Trusted timestamp from timer feature (if available)
             const now = await _this.get('currentTime');
             if(now !== null){
-                // Store timestamp for this message index (pre-increment)
-                let idx = await _this.get('msgl');
-                idx = idx !== null ? parseInt(idx) : 0;
-                if(isNaN(idx)) idx = 0;
                 await _this.put('msgts/'+idx, now);
             }
 
-            // Skip messages that carry an AI-reply attachment marker (AI self messages)
-            if(Array.isArray(_this.op.attachments) && _this.op.attachments.indexOf('ai-reply') !== -1) return;
+            // Skip messages that carry an AI-reply attachment marker (AI self messages).
+            // An admin (or worker) AI reply that answers a threaded prompt joins that prompt's turn, so replying to it continues the thread.
+            if(aiReply){
+                if(replyLink !== null) await _this.put(replyLink, idx);
+                const replyTo = parseInt(_this.op.reply_to);
+                if(false === isNaN(replyTo)){
+                    const turn = await _this.get('chat/by_msg/'+replyTo);
+                    // Replies from oracle workers count as well when they may serve the turn's bot
+                    if(turn !== null && (_this.address === await _this.get('admin') ||
+                        null !== workerEntry(await _this.get('ai/workers'), _this.address, turn.bot || DEFAULT_BOT))){
+                        await _this.put('chat/by_msg/'+idx, turn);
+                    }
+                }
+                return;
+            }
 
             const lower = msg.toLowerCase();
-            const containsAi = lower.indexOf('@ai') !== -1;
+            // The asked bot (@ai or a registered @<name>); its queue and rate-limit counters are used below
+            const bots = await _this.get('ai/bots');
+            const mention = findBotMention(lower, bots);
+            const containsAi = mention !== null;
+            const bot = containsAi ? mention.bot : DEFAULT_BOT;
+            const keys = botKeys(bot);
 
-            if(now === null) return; // no trusted time yet
+            // Dropped @ai prompts are recorded next to msgts/<idx> so clients can tell the sender why.
+            // Untagged messages are never recorded: nobody asked the AI anything.
+            const reject = async function(reason, retry_at = null){
+                if(false === containsAi) return;
+                await _this.put('msgrej/'+idx, { reason : reason, at : now, retry_at : retry_at });
+            };
+
+            if(now === null){
+                await reject('no_time');
+                return; // no trusted time yet
+            }
 
             const addr = _this.address;
             const adminAddr = await _this.get('admin');
@@ -115,72 +437,125 @@ class AiChatContract extends Contract {
             let dailyPath = null;
             let last3 = [];
             let dailyCount = 0;
+            let windowKeep = 10;
+            let limits = null;
             if(false === isAdmin){
-                // Daily limit
-                dailyPath = 'rl/day/'+addr+'/'+dayKey;
-                dailyCount = await _this.get(dailyPath);
-                dailyCount = dailyCount !== null ? parseInt(dailyCount) : 0;
-                if(isNaN(dailyCount)) dailyCount = 0;
-                if(dailyCount >= 1500) return; // daily cap reached
-
-                // 60s sliding window: last ten timestamps
-                last3Path = 'rl/last3/'+addr;
-                last3 = await _this.get(last3Path);
-                if(false === Array.isArray(last3)) last3 = [];
-                const cutoff = now - 60000;
-                last3 = last3.filter(ts => typeof ts === 'number' && ts >= cutoff);
-                if(last3.length >= 10) return; // rate-limited in 60s window
+                const policy = await _this.get('rl/policy');
+                limits = resolveRateLimits(
+                    bot === DEFAULT_BOT ? policy : botRatePolicy(policy, bots[bot]),
+                    await _this.get('rl/tiers'),
+                    await _this.get('rl/user_tier/'+addr),
+                    await _this.get('rl/blocked/'+addr)
+                );
+                windowKeep = Math.max(1, Math.min(MAX_WINDOW_ENTRIES, limits.window_max));
+
+                // Daily counter and sliding window (last window_max timestamps within window_ms)
+                dailyPath = keys.rl_day(addr, dayKey);
+                last3Path = keys.rl_last(addr);
+                const quota = computeQuota(limits, now, await _this.get(last3Path), await _this.get(dailyPath), await _this.get(keys.rl_tokens(addr, dayKey)));
+                dailyCount = quota.daily_used;
+                last3 = quota.recent;
+                if(quota.limited !== null){
+                    // blocked, daily cap or token budget reached, or rate-limited in window
+                    await reject(quota.limited, quota.retry_at);
+                    return;
+                }
             }
 
             if(containsAi){
-                // Tagged queue sequence handling
-                let messageSeq = await _this.get('message_seq');
+                // Tagged queue sequence handling (per bot)
+                let messageSeq = await _this.get(keys.message_seq);
                 messageSeq = messageSeq !== null ? parseInt(messageSeq) : 0;
                 if(isNaN(messageSeq)) messageSeq = 0;
                 const nextSeq = messageSeq + 1;
 
-                // Extract prompt after first @ai occurrence
-                const at = lower.indexOf('@ai');
-                let prompt = msg.slice(at + 3).trim();
+                // Extract prompt after the mention
+                let prompt = msg.slice(mention.at + mention.length).trim();
                 if(prompt.startsWith(':')) prompt = prompt.slice(1).trim();
-                if(prompt === '') return;
 
-                await _this.put('chat/pending/'+nextSeq, {
+                // Thread parent: "@ai ^123 ..." wins over the message's native reply_to
+                let parent = null;
+                const caret = prompt.match(/^\^(\d{1,15})\b\s*/);
+                if(caret !== null){
+                    parent = parseInt(caret[1]);
+                    prompt = prompt.slice(caret[0].length);
+                } else if(_this.op.reply_to !== null && _this.op.reply_to !== undefined){
+                    parent = parseInt(_this.op.reply_to);
+                }
+                if(isNaN(parent) || parent < 0 || parent >= idx) parent = null;
+
+                if(prompt === ''){
+                    await reject('empty_prompt');
+                    return;
+                }
+
+                // "@ai /translate es ..." is a bot command; the oracle resolves its template (or replies with usage)
+                const command = parseBotCommand(prompt);
+
+                // Parent turn (if the parent message was a prompt or an AI reply) and thread root message id
+                // Another bot's turn only counts as a plain parent message (its seq belongs to another queue)
+                let parentTurn = parent !== null ? await _this.get('chat/by_msg/'+parent) : null;
+                if(parentTurn !== null && (parentTurn.bot || DEFAULT_BOT) !== bot) parentTurn = null;
+                const thread = parentTurn !== null ? parentTurn.thread : (parent !== null ? parent : idx);
+
+                // Per-asker queue: at most max_pending waiting prompts each, served round-robin by priority
+                const queues = readQueues(await _this.get(keys.queues));
+                if(limits !== null && false === limits.exempt && pendingCount(queues, addr) >= limits.max_pending){
+                    await reject('queue_full');
+                    return;
+                }
+                enqueue(queues, addr, nextSeq, limits !== null ? limits.priority : 0);
+                await _this.put(keys.queues, queues);
+
+                await _this.put(keys.pending+nextSeq, {
                     from: addr,
                     prompt: prompt,
                     type: 'tagged',
-                    timestamp: now
+                    timestamp: now,
+                    msg_id: idx,
+                    parent: parent,
+                    parent_seq: parentTurn !== null ? parentTurn.seq : null,
+                    thread: thread,
+                    command: command
                 });
+                const turn = { seq : nextSeq, thread : thread };
+                if(bot !== DEFAULT_BOT) turn.bot = bot;
+                await _this.put('chat/by_msg/'+idx, turn);
 
                 // Persist counters after successful enqueue (only for non-admin)
                 if(false === isAdmin){
                     last3.push(now);
-                    if(last3.length > 10) last3 = last3.slice(-10);
+                    if(last3.length > windowKeep) last3 = last3.slice(-windowKeep);
                     await _this.put(last3Path, last3);
                     await _this.put(dailyPath, dailyCount + 1);
                 }
-                await _this.put('message_seq', nextSeq);
+                await _this.put(keys.message_seq, nextSeq);
             } else {
                 // Random participation: only non-admin users, and only messages without mentions
                 if(msg.indexOf('@') !== -1) return;
 
-                // Deterministic selection ~1-in-20 per minute
+                // Admin-tunable via ai_ctrl set_random (enabled by default, ~1-in-20)
+                const randomConfig = await _this.get('ai/random_config');
+                if(randomConfig !== null && randomConfig.enabled === false) return;
+                let selectionDivisor = randomConfig !== null ? parseInt(randomConfig.divisor) : 20;
+                if(isNaN(selectionDivisor) || selectionDivisor < 1) selectionDivisor = 20;
+
+                // Deterministic selection ~1-in-<divisor> per minute
                 const minuteKey = Math.floor(now / 60000);
                 let acc = 0;
                 for(let i = 0; i < msg.length; i++){
                     acc = (acc + msg.charCodeAt(i)) % 0x7fffffff;
                 }
-                const selectionDivisor = 20;
                 const selected = ((acc + minuteKey) % selectionDivisor) === 0;
                 if(false === selected) return;
 
-                // Sequence handling (global)
-                let messageSeq = await _this.get('message_seq');
+                // Random queue has its own sequence, separate from tagged prompts
+                let messageSeq = await _this.get('random_message_seq');
                 messageSeq = messageSeq !== null ? parseInt(messageSeq) : 0;
                 if(isNaN(messageSeq)) messageSeq = 0;
                 const nextSeq = messageSeq + 1;
 
-                await _this.put('chat/pending/'+nextSeq, {
+                await _this.put('chat/pending_random/'+nextSeq, {
                     from: addr,
                     prompt: msg.trim(),
                     type: 'random',
@@ -190,14 +565,392 @@ class AiChatContract extends Contract {
                 // Persist counters after successful enqueue (only for non-admin)
                 if(false === isAdmin){
                     last3.push(now);
-                    if(last3.length > 10) last3 = last3.slice(-10);
+                    if(last3.length > windowKeep) last3 = last3.slice(-windowKeep);
                     await _this.put(last3Path, last3);
                     await _this.put(dailyPath, dailyCount + 1);
                 }
-                await _this.put('message_seq', nextSeq);
+                await _this.put('random_message_seq', nextSeq);
             }
         });
     }
+
+    // Feature handlers are registered by type up front, but named bots are added at runtime; their
+    // oracles' feature ops (<name>_feature) share the ai_feature handler, which reads the bot from op.type
+    async execute(op, storage){
+        const type = op && op.type === 'feature' && op.value && op.value.dispatch ? op.value.dispatch.type : null;
+        if(typeof type === 'string' && this.features[type] === undefined && botOfFeature(type) !== null){
+            this.features[type] = this.features['ai_feature'];
+        }
+        return await super.execute(op, storage);
+    }
+
+    /**
+     * Drop the queued tagged prompts a fast-forward skips over (seq <= to) so they leave their askers'
+     * queues, and tell the askers why (msgrej reason "expired"). At most MAX_EXPIRE_PER_OP per op;
+     * prompts queued before per-asker queues existed are only left behind by the pointer.
+     */
+    async expirePending(keys, to){
+        const now = await this.get('currentTime');
+        const queues = readQueues(await this.get(keys.queues));
+        const expired = [];
+        for(const address of queues.order){
+            for(const seq of queues.users[address].seqs){
+                if(seq <= to && expired.length < MAX_EXPIRE_PER_OP) expired.push({ address : address, seq : seq });
+            }
+        }
+        if(expired.length === 0) return;
+        for(const item of expired){
+            dequeue(queues, item.address, item.seq);
+            const pending = await this.get(keys.pending+item.seq);
+            if(pending === null) continue;
+            await this.del(keys.pending+item.seq);
+            await this.del(keys.lease+item.seq);
+            if(pending.msg_id !== undefined) await this.put('msgrej/'+pending.msg_id, { reason : 'expired', at : now, retry_at : null });
+        }
+        await this.put(keys.queues, queues);
+    }
+
+    /**
+     * Commit an answer (ai_result from the admin's oracle, submit_ai_result from a worker): moves
+     * the pending entry to done and advances the queue's process pointer. Workers answer out of order,
+     * so the tagged pointer only moves over a contiguous run of answered seqs.
+     *
+     * @param worker address of the worker that answered, recorded in the done entry (null for the admin)
+     */
+    async commitAiResult(keys, queue, seq, payload, worker = null){
+        const pendingKey = queue === 'random' ? ('chat/pending_random/'+seq) : (keys.pending+seq);
+        const doneKey = queue === 'random' ? ('chat/done_random/'+seq) : (keys.done+seq);
+        const pending = await this.get(pendingKey);
+        if(pending !== null && queue === 'tagged'){
+            const queues = readQueues(await this.get(keys.queues));
+            dequeue(queues, pending.from, seq);
+            await this.put(keys.queues, queues);
+        }
+        if(pending !== null && payload.skip === true){
+            // Skipped (nothing to answer): gone from the queue without a done entry, unless moderation dropped
+            // the answer (an unprompted reply it refused); then a skipped done entry keeps the decision for auditing
+            const moderation = readModerationDecision(payload.moderation);
+            if(moderation !== null){
+                await this.put(doneKey, { from : pending.from, timestamp : pending.timestamp, skipped : true, moderation : moderation });
+            }
+            await this.del(pendingKey);
+        } else if(pending !== null) {
+            const done = {
+                from: pending.from,
+                prompt: pending.prompt,
+                reply: payload.reply !== undefined ? payload.reply : '',
+                timestamp: pending.timestamp
+            };
+            // Thread links so later follow-ups can walk back through this turn
+            if(pending.msg_id !== undefined){
+                done.msg_id = pending.msg_id;
+                done.parent = pending.parent;
+                done.parent_seq = pending.parent_seq;
+                done.thread = pending.thread;
+            }
+            // Tools the oracle ran for this answer, kept for auditing (see features/ai/tools.js)
+            if(Array.isArray(payload.tools) && payload.tools.length > 0){
+                done.tools = payload.tools.slice(0, 16).filter(t => t !== null && typeof t === 'object' && typeof t.name === 'string').map(t => ({
+                    name : t.name.slice(0, 64),
+                    args : typeof t.args === 'string' ? t.args.slice(0, 300) : '',
+                    result : typeof t.result === 'string' ? t.result.slice(0, 300) : null,
+                    error : typeof t.error === 'string' ? t.error.slice(0, 300) : null,
+                    ms : Number.isInteger(t.ms) ? t.ms : null
+                }));
+            }
+            // Model tokens of this answer, charged to the asker on the day they asked (see computeQuota)
+            const tokens = readTokenUsage(payload.tokens);
+            if(tokens !== null){
+                done.tokens = tokens;
+                if(queue === 'tagged' && typeof pending.timestamp === 'number'){
+                    const tokensKey = keys.rl_tokens(pending.from, Math.floor(pending.timestamp / 86400000));
+                    let used = parseInt(await this.get(tokensKey));
+                    if(isNaN(used)) used = 0;
+                    await this.put(tokensKey, used + tokens.prompt + tokens.completion);
+                }
+            }
+            // What the moderation rules did to the prompt and the answer (a refusal posts the refusal reply)
+            const moderation = readModerationDecision(payload.moderation);
+            if(moderation !== null) done.moderation = moderation;
+            if(worker !== null) done.worker = worker;
+            // The chat message that carried the answer (see aiReplyLink)
+            const replyMsg = await this.get(queue === 'random' ? ('chat/reply_random/'+seq) : (keys.reply+seq));
+            if(replyMsg !== null) done.reply_msg_id = replyMsg;
+            await this.put(doneKey, done);
+            await this.del(pendingKey);
+        }
+        if(typeof payload.summary === 'string'){
+            await this.put(keys.summary, payload.summary);
+        }
+        if(queue === 'random'){
+            await this.put('random_process_seq', seq);
+            return;
+        }
+        await this.del(keys.lease+seq);
+        let processSeq = await this.get(keys.process_seq);
+        processSeq = processSeq !== null ? parseInt(processSeq) : 0;
+        if(isNaN(processSeq)) processSeq = 0;
+        let messageSeq = await this.get(keys.message_seq);
+        messageSeq = messageSeq !== null ? parseInt(messageSeq) : 0;
+        if(isNaN(messageSeq)) messageSeq = 0;
+        let advanced = processSeq;
+        while(advanced < messageSeq && null === await this.get(keys.pending+(advanced+1))) advanced++;
+        if(advanced > processSeq) await this.put(keys.process_seq, advanced);
+    }
+
+    /**
+     * State key linking an AI reply message to the seq it answers, when the sender may answer that seq:
+     * the admin's oracle, or a worker holding the seq's active lease. Null for anything else.
+     */
+    async aiReplyLink(attachments){
+        const target = parseReplyAttachments(attachments);
+        if(target === null) return null;
+        const keys = botKeys(target.bot);
+        if(this.address !== await this.get('admin')){
+            if(target.queue !== 'tagged' || null === workerEntry(await this.get('ai/workers'), this.address, target.bot)) return null;
+            const lease = await this.get(keys.lease+target.seq);
+            if(false === leaseActive(lease, await this.get('currentTime')) || lease.worker !== this.address) return null;
+        }
+        return target.queue === 'random' ? ('chat/reply_random/'+target.seq) : (keys.reply+target.seq);
+    }
+
+    async senderIsAdmin(){
+        const admin = await this.get('admin');
+        return admin !== null && this.address === admin;
+    }
+
+    async setAiConfig(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change the AI config.');
+        let config = await this.get('ai/config');
+        if(config === null || typeof config !== 'object') config = {};
+        const fields = ['persona', 'model', 'temperature', 'top_p', 'max_reply_tokens', 'history_window'];
+        for(const field of fields){
+            if(this.value[field] !== undefined) config[field] = this.value[field];
+        }
+        await this.put('ai/config', config);
+    }
+
+    async resetAiConfig(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can reset the AI config.');
+        await this.del('ai/config');
+    }
+
+    async clearAiMemory(){
+        // Everything asked up to now is forgotten, including prompts the oracle has not answered yet
+        let messageSeq = await this.get('message_seq');
+        messageSeq = messageSeq !== null ? parseInt(messageSeq) : 0;
+        if(isNaN(messageSeq)) messageSeq = 0;
+        await this.del('ai/user/'+this.address);
+        await this.put('ai/user_cleared/'+this.address, messageSeq);
+    }
+
+    async setAiTemplate(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change prompt templates.');
+        if(RESERVED_COMMANDS.indexOf(this.value.name) !== -1) return new Error('/'+this.value.name+' is reserved.');
+        let templates = await this.get('ai/templates');
+        if(templates === null || typeof templates !== 'object') templates = {};
+        const exists = Object.prototype.hasOwnProperty.call(templates, this.value.name);
+        if(false === exists && Object.keys(templates).length >= MAX_CUSTOM_TEMPLATES) return new Error('Too many prompt templates (max '+MAX_CUSTOM_TEMPLATES+').');
+        const template = { template : this.value.template };
+        for(const field of ['usage', 'description', 'min_args']){
+            if(this.value[field] !== undefined) template[field] = this.value[field];
+        }
+        templates[this.value.name] = template;
+        await this.put('ai/templates', templates);
+    }
+
+    async removeAiTemplate(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change prompt templates.');
+        const templates = await this.get('ai/templates');
+        if(templates === null || false === Object.prototype.hasOwnProperty.call(templates, this.value.name)) return new Error('Unknown prompt template (built-in commands can only be overridden).');
+        delete templates[this.value.name];
+        await this.put('ai/templates', templates);
+    }
+
+    async setAiModerationRule(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change moderation rules.');
+        const problem = validateRule(this.value);
+        if(problem !== null) return new Error(problem);
+        let moderation = await this.get('ai/moderation');
+        if(moderation === null || typeof moderation !== 'object') moderation = {};
+        const rules = (moderation.rules !== null && typeof moderation.rules === 'object') ? moderation.rules : {};
+        const exists = Object.prototype.hasOwnProperty.call(rules, this.value.name);
+        if(false === exists && Object.keys(rules).length >= MAX_MODERATION_RULES) return new Error('Too many moderation rules (max '+MAX_MODERATION_RULES+').');
+        const rule = { stage : this.value.stage, match : this.value.match, action : this.value.action, enabled : this.value.enabled !== false };
+        if(this.value.match === 'words'){
+            rule.words = this.value.words;
+        } else {
+            rule.pattern = this.value.pattern;
+            if(this.value.flags !== undefined) rule.flags = this.value.flags;
+        }
+        if(this.value.replacement !== undefined) rule.replacement = this.value.replacement;
+        rules[this.value.name] = rule;
+        moderation.rules = rules;
+        await this.put('ai/moderation', moderation);
+    }
+
+    async removeAiModerationRule(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change moderation rules.');
+        const moderation = await this.get('ai/moderation');
+        if(moderation === null || moderation.rules === null || typeof moderation.rules !== 'object' ||
+            false === Object.prototype.hasOwnProperty.call(moderation.rules, this.value.name)) return new Error('Unknown moderation rule.');
+        delete moderation.rules[this.value.name];
+        await this.put('ai/moderation', moderation);
+    }
+
+    async setAiModeration(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change moderation settings.');
+        let moderation = await this.get('ai/moderation');
+        if(moderation === null || typeof moderation !== 'object') moderation = {};
+        if(this.value.enabled !== undefined) moderation.enabled = this.value.enabled;
+        // refusal null goes back to the default refusal reply
+        if(this.value.refusal === null){
+            delete moderation.refusal;
+        } else if(this.value.refusal !== undefined){
+            moderation.refusal = this.value.refusal;
+        }
+        await this.put('ai/moderation', moderation);
+    }
+
+    async setAiBot(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can manage bots.');
+        if(RESERVED_BOT_NAMES.indexOf(this.value.name) !== -1) return new Error('@'+this.value.name+' is reserved.');
+        let bots = await this.get('ai/bots');
+        if(bots === null || typeof bots !== 'object') bots = {};
+        const exists = Object.prototype.hasOwnProperty.call(bots, this.value.name);
+        if(false === exists && Object.keys(bots).length >= MAX_BOTS) return new Error('Too many bots (max '+MAX_BOTS+').');
+        const entry = exists ? bots[this.value.name] : { enabled : true };
+        for(const field of BOT_CONFIG_FIELDS.concat(BOT_RATE_FIELDS, ['enabled'])){
+            if(this.value[field] !== undefined) entry[field] = this.value[field];
+        }
+        bots[this.value.name] = entry;
+        await this.put('ai/bots', bots);
+    }
+
+    async removeAiBot(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can manage bots.');
+        const bots = await this.get('ai/bots');
+        if(bots === null || false === Object.prototype.hasOwnProperty.call(bots, this.value.name)) return new Error('Unknown bot.');
+        delete bots[this.value.name];
+        // Its queue and done entries stay; its oracle can still finish what was already queued
+        await this.put('ai/bots', bots);
+    }
+
+    async setAiWorker(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can manage oracle workers.');
+        if(this.value.address === await this.get('admin')) return new Error('The admin peer runs its oracle without a lease.');
+        let workers = await this.get('ai/workers');
+        if(workers === null || typeof workers !== 'object') workers = {};
+        const exists = Object.prototype.hasOwnProperty.call(workers, this.value.address);
+        if(false === exists && Object.keys(workers).length >= MAX_WORKERS) return new Error('Too many oracle workers (max '+MAX_WORKERS+').');
+        const entry = exists ? workers[this.value.address] : { enabled : true, lease_ms : DEFAULT_LEASE_MS, bots : null };
+        for(const field of ['enabled', 'lease_ms', 'bots']){
+            if(this.value[field] !== undefined) entry[field] = this.value[field];
+        }
+        workers[this.value.address] = entry;
+        await this.put('ai/workers', workers);
+    }
+
+    async removeAiWorker(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can manage oracle workers.');
+        const workers = await this.get('ai/workers');
+        if(workers === null || false === Object.prototype.hasOwnProperty.call(workers, this.value.address)) return new Error('Unknown oracle worker.');
+        delete workers[this.value.address];
+        // Its leases can no longer be submitted and run out by themselves
+        await this.put('ai/workers', workers);
+    }
+
+    async claimAiJob(){
+        const bot = this.value.bot !== undefined ? this.value.bot : DEFAULT_BOT;
+        const worker = workerEntry(await this.get('ai/workers'), this.address, bot);
+        if(worker === null) return new Error('Not an oracle worker for @'+bot+'.');
+        const now = await this.get('currentTime');
+        if(now === null) return new Error('No trusted time yet.');
+        const keys = botKeys(bot);
+        // One lease per worker and bot at a time
+        const jobKey = workerJobKey(this.address, bot);
+        const job = await this.get(jobKey);
+        if(job !== null){
+            const held = await this.get(keys.lease+job.seq);
+            if(leaseActive(held, now) && held.worker === this.address) return new Error('Already holding seq '+job.seq+' of @'+bot+'.');
+        }
+        const seq = await pickNextSeq(key => this.get(key), keys, now);
+        if(seq === null) return new Error('Nothing to claim for @'+bot+'.');
+        const lease = { worker : this.address, seq : seq, leased_at : now, expires_at : now + (Number.isInteger(worker.lease_ms) ? worker.lease_ms : DEFAULT_LEASE_MS) };
+        await this.put(keys.lease+seq, lease);
+        // The asker goes to the back of the line while their prompt is being answered
+        const pending = await this.get(keys.pending+seq);
+        const queues = readQueues(await this.get(keys.queues));
+        rotate(queues, pending.from);
+        await this.put(keys.queues, queues);
+        await this.put(jobKey, { bot : bot, seq : seq, expires_at : lease.expires_at });
+    }
+
+    async submitAiResult(){
+        const bot = this.value.bot !== undefined ? this.value.bot : DEFAULT_BOT;
+        const keys = botKeys(bot);
+        const seq = this.value.seq;
+        const lease = await this.get(keys.lease+seq);
+        if(lease === null || lease.worker !== this.address) return new Error('Seq '+seq+' of @'+bot+' is not leased to you.');
+        if(false === leaseActive(lease, await this.get('currentTime'))) return new Error('Your lease on seq '+seq+' of @'+bot+' has expired.');
+        // Authorization may have been revoked since the claim
+        if(null === workerEntry(await this.get('ai/workers'), this.address, bot)) return new Error('Not an oracle worker for @'+bot+'.');
+        await this.commitAiResult(keys, 'tagged', seq, this.value, this.address);
+        await this.del(workerJobKey(this.address, bot));
+    }
+
+    async setRateLimitPolicy(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change the rate-limit policy.');
+        let policy = await this.get('rl/policy');
+        if(policy === null || typeof policy !== 'object') policy = {};
+        for(const field of ['window_ms', 'window_max', 'daily_max', 'max_pending', 'daily_tokens']){
+            if(this.value[field] !== undefined) policy[field] = this.value[field];
+        }
+        await this.put('rl/policy', policy);
+    }
+
+    async setRateLimitTier(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change rate-limit tiers.');
+        let tiers = await this.get('rl/tiers');
+        if(tiers === null || typeof tiers !== 'object') tiers = {};
+        const exists = Object.prototype.hasOwnProperty.call(tiers, this.value.tier);
+        if(false === exists && Object.keys(tiers).length >= 32) return new Error('Too many rate-limit tiers (max 32).');
+        const tier = exists ? tiers[this.value.tier] : {};
+        for(const field of ['window_ms', 'window_max', 'daily_max', 'max_pending', 'daily_tokens', 'priority', 'exempt']){
+            if(this.value[field] !== undefined) tier[field] = this.value[field];
+        }
+        tiers[this.value.tier] = tier;
+        await this.put('rl/tiers', tiers);
+    }
+
+    async removeRateLimitTier(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can change rate-limit tiers.');
+        const tiers = await this.get('rl/tiers');
+        if(tiers === null || false === Object.prototype.hasOwnProperty.call(tiers, this.value.tier)) return new Error('Unknown rate-limit tier.');
+        delete tiers[this.value.tier];
+        // Addresses still assigned to the removed tier fall back to the default policy
+        await this.put('rl/tiers', tiers);
+    }
+
+    async assignRateLimitTier(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can assign rate-limit tiers.');
+        if(this.value.tier === null){
+            await this.del('rl/user_tier/'+this.value.address);
+            return;
+        }
+        const tiers = await this.get('rl/tiers');
+        if(tiers === null || false === Object.prototype.hasOwnProperty.call(tiers, this.value.tier)) return new Error('Unknown rate-limit tier.');
+        await this.put('rl/user_tier/'+this.value.address, this.value.tier);
+    }
+
+    async setRateLimitBlock(){
+        if(false === await this.senderIsAdmin()) return new Error('Only the admin can block addresses.');
+        if(this.value.blocked){
+            await this.put('rl/blocked/'+this.value.address, true);
+        } else {
+            await this.del('rl/blocked/'+this.value.address);
+        }
+    }
 }
 
 export default AiChatContract;
@@ -0,0 +1,130 @@
+// Chat export in JSON Lines (machine-readable, re-importable) and Markdown (readable transcript).
+// Used by the protocol (/export, api.exportChat) and by the offline viewer (export-viewer.js), which
+// only needs parseJsonLines/toMarkdown and never touches a peer.
+
+import {readMessages} from '../shared/messages.js';
+import {DEFAULT_BOT, botKeys} from '../shared/bots.js';
+
+export const EXPORT_VERSION = 1;
+
+async function nickResolver(view) {
+    const cache = new Map();
+    return async function(address) {
+        if (typeof address !== 'string') return null;
+        if (!cache.has(address)) {
+            const obj = await view.get('nick/' + address);
+            cache.set(address, obj !== null && typeof obj.value === 'string' ? obj.value : null);
+        }
+        return cache.get(address);
+    };
+}
+
+/**
+ * Chat messages [from, to) as export records (deleted messages are left out).
+ */
+export async function collectMessages(view, from, to) {
+    const nickOf = await nickResolver(view);
+    const records = [];
+    for (const m of await readMessages(view, from, to)) {
+        if (m.deleted_by !== null && m.deleted_by !== undefined) continue;
+        records.push({
+            kind: 'message',
+            id: m.id,
+            address: m.address,
+            nick: await nickOf(m.address),
+            ts: m.ts,
+            msg: m.msg,
+            ai: Array.isArray(m.attachments) && m.attachments.indexOf('ai-reply') !== -1,
+            reply_to: Number.isInteger(m.reply_to) ? m.reply_to : null
+        });
+    }
+    return records;
+}
+
+/**
+ * Answered prompts of one bot (chat/done/<seq>, bot/<name>/done/<seq>) for seq in [from, to] as export
+ * records (skipped seqs have none). Records of named bots carry bot.
+ */
+export async function collectDone(view, from, to, bot = DEFAULT_BOT) {
+    const nickOf = await nickResolver(view);
+    const done = botKeys(bot).done;
+    const records = [];
+    for (let seq = Math.max(1, from); seq <= to; seq++) {
+        const obj = await view.get(done + seq);
+        const d = obj !== null ? obj.value : null;
+        if (!d) continue;
+        records.push({
+            kind: 'qa',
+            seq,
+            address: d.from,
+            nick: await nickOf(d.from),
+            ts: typeof d.timestamp === 'number' ? d.timestamp : null,
+            prompt: typeof d.prompt === 'string' ? d.prompt : '',
+            reply: typeof d.reply === 'string' ? d.reply : '',
+            msg_id: Number.isInteger(d.msg_id) ? d.msg_id : null
+        });
+        if (bot !== DEFAULT_BOT) records[records.length - 1].bot = bot;
+    }
+    return records;
+}
+
+// First line of every JSON Lines export
+export function exportHeader(scope, exportedBy) {
+    return { kind: 'export', version: EXPORT_VERSION, scope, exported_at: Date.now(), exported_by: exportedBy || null };
+}
+
+export function toJsonLines(header, records) {
+    return [header].concat(records).map(r => JSON.stringify(r)).join('\n') + '\n';
+}
+
+/**
+ * Parse a JSON Lines export. Throws on anything that is not one of our exports so the viewer
+ * never shows a half-read file as if it were complete.
+ *
+ * @returns {{header: object, records: Array<object>}}
+ */
+export function parseJsonLines(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) throw new Error('parseJsonLines: empty file');
+    const parse = (line, n) => {
+        try { return JSON.parse(line); } catch(e) { throw new Error('parseJsonLines: line ' + n + ' is not valid JSON'); }
+    };
+    const header = parse(lines[0], 1);
+    if (header === null || header.kind !== 'export') throw new Error('parseJsonLines: missing export header on line 1');
+    if (header.version !== EXPORT_VERSION) throw new Error('parseJsonLines: unsupported export version ' + header.version);
+    const records = [];
+    for (let i = 1; i < lines.length; i++) {
+        const r = parse(lines[i], i + 1);
+        if (r === null || (r.kind !== 'message' && r.kind !== 'qa')) throw new Error('parseJsonLines: unknown record on line ' + (i + 1));
+        records.push(r);
+    }
+    return { header, records };
+}
+
+function who(r) {
+    const short = typeof r.address === 'string' ? r.address.slice(0, 8) + '…' + r.address.slice(-6) : 'unknown';
+    return r.nick ? r.nick + ' (' + short + ')' : short;
+}
+
+function when(ts) {
+    return typeof ts === 'number' ? new Date(ts).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : 'time unknown';
+}
+
+// Quote a multi-line text as a Markdown block quote
+function quote(text) {
+    return String(text).split('\n').map(line => '> ' + line).join('\n');
+}
+
+export function toMarkdown(header, records) {
+    const out = ['# Chat export', '', '- Scope: ' + header.scope, '- Exported: ' + when(header.exported_at) + (header.exported_by ? ' by ' + header.exported_by : ''), '- Records: ' + records.length, ''];
+    for (const r of records) {
+        if (r.kind === 'qa') {
+            out.push('## ' + (r.bot ? '@' + r.bot + ' ' : '') + 'Q/A #' + r.seq + (r.msg_id !== null ? ' (message #' + r.msg_id + ')' : ''));
+            out.push('', '**' + who(r) + '** · ' + when(r.ts), '', quote(r.prompt), '', '**' + (r.bot ? '@' + r.bot : 'AI') + '**', '', quote(r.reply), '');
+        } else {
+            out.push('**#' + r.id + ' ' + (r.ai ? 'AI' : who(r)) + '** · ' + when(r.ts) + (r.reply_to !== null ? ' · reply to #' + r.reply_to : ''));
+            out.push('', quote(r.msg), '');
+        }
+    }
+    return out.join('\n');
+}
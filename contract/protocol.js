@@ -1,11 +1,22 @@
 import {Protocol} from "trac-peer";
-import fetch from 'fetch';
+import fs from "fs";
+import {resolveRateLimits, computeQuota, describeRejection} from "./ratelimit.js";
+import {ViewEvents} from "./viewevents.js";
+import {readMessages} from "../shared/messages.js";
+import {SearchIndex} from "./search.js";
+import {collectMessages, collectDone, exportHeader, toJsonLines, toMarkdown} from "./export.js";
+import {commandTemplates} from "../shared/templates.js";
+import {DEFAULT_BOT, botKeys, botNames, botRatePolicy} from "../shared/bots.js";
+import {workerJobKey, leaseActive} from "../shared/workers.js";
+import {readQueues, pendingCount, pickNextSeq} from "../shared/scheduler.js";
+import {DEFAULT_REFUSAL} from "../shared/moderation.js";
 
 class AiChatProtocol extends Protocol {
 
     /**
-     * Minimal protocol for AI chat. All behavior is driven by chat messages
-     * and feature events. No custom TX mapping is required.
+     * Protocol for AI chat. Chat behavior is driven by chat messages and feature events;
+     * TX commands are used by the admin to manage AI settings and the rate-limit policy, and by oracle workers
+     * to lease and answer prompts.
      */
     constructor(peer, base, options = {}) {
         super(peer, base, options);
@@ -19,90 +30,377 @@ class AiChatProtocol extends Protocol {
         return 1_024 * 64;
     }
 
-    async extendApi() { }
+    txMaxBytes(){
+        return 1_024 * 16;
+    }
+
+    async extendApi() {
+        const _this = this;
+        this.events = new ViewEvents(this.peer);
+        this.searchIndex = new SearchIndex(this.peer);
+
+        /**
+         * Subscribe to view changes instead of polling: "messages" ({from, to} new message indices),
+         * "queue" (tagged/random queue pointers) and "feature" ({key, value} summary and settings commits).
+         *
+         * @param topic messages | queue | feature
+         * @param fn listener
+         * @returns {function(): void} unsubscribe
+         */
+        this.api.subscribe = function(topic, fn){
+            return _this.events.subscribe(topic, fn);
+        }
+
+        /**
+         * Full-text search over chat messages and answered @ai prompts (local index, built on first use).
+         *
+         * @param query words to look for (all must match)
+         * @param options { user: only this address, ai_only: only AI replies and Q/A records, limit: max hits }
+         * @returns {Promise<Array<{kind: string, id: number|null, seq: number|undefined, address: string, ts: number|null, score: number, snippet: string}>>}
+         */
+        this.api.search = async function(query, options = {}){
+            _this.searchIndex.attach(_this.events);
+            return await _this.searchIndex.search(query, options);
+        }
+
+        /**
+         * Export chat history as JSON Lines (re-importable, see export-viewer.js) or a Markdown transcript.
+         *
+         * @param options { format: "jsonl" | "md", done: true for all answered prompts (of @ai and every named bot) instead of messages,
+         *                  from / to: inclusive message index range (defaults to the whole chat) }
+         * @returns {Promise<{format: string, scope: string, count: number, content: string}>}
+         */
+        this.api.exportChat = async function(options = {}){
+            const view = _this.peer.base.view;
+            const format = options.format === 'md' ? 'md' : 'jsonl';
+            let scope, records;
+            if (options.done) {
+                records = [];
+                // Up to message_seq: prompts are answered out of order, so answers can sit above process_seq
+                for (const bot of botNames(await _this.get('ai/bots'))) {
+                    const messageSeq = parseInt(await _this.get(botKeys(bot).message_seq));
+                    records = records.concat(await collectDone(view, 1, isNaN(messageSeq) ? 0 : messageSeq, bot));
+                }
+                scope = 'answered prompts';
+            } else {
+                const lenObj = await view.get('msgl');
+                const msgl = lenObj !== null ? parseInt(lenObj.value) : 0;
+                const length = isNaN(msgl) ? 0 : msgl;
+                const from = Math.max(0, isNaN(parseInt(options.from)) ? 0 : parseInt(options.from));
+                const to = Math.min(length - 1, isNaN(parseInt(options.to)) ? length - 1 : parseInt(options.to));
+                records = to >= from ? await collectMessages(view, from, to + 1) : [];
+                scope = 'messages #' + from + '-#' + to;
+            }
+            const header = exportHeader(scope, _this.peer.wallet.publicKey);
+            const content = format === 'md' ? toMarkdown(header, records) : toJsonLines(header, records);
+            return { format, scope, count: records.length, content };
+        }
+
+        /**
+         * Messages in [from, to) from the unsigned view with their trusted timestamps, read in parallel batches.
+         *
+         * @param from first message index (inclusive)
+         * @param to last message index (exclusive)
+         * @returns {Promise<Array<object>>} message dispatches with their index as id and the trusted msgts/<id> time as ts
+         *          (null if sent before the timer feature started); missing entries are skipped
+         */
+        this.api.getMessages = async function(from, to){
+            const start = Math.max(0, parseInt(from));
+            const end = parseInt(to);
+            if (isNaN(start) || isNaN(end) || end <= start) return [];
+            return await readMessages(_this.peer.base.view, start, end);
+        }
+
+        /**
+         * Provisional "AI is typing" state for the desktop view, across @ai and the named bots.
+         * On an oracle peer this carries the partial streamed text of its most recent stream; other peers
+         * only see the prompt a bot's fair scheduler picks next (text is empty).
+         *
+         * @returns {Promise<{seq: number, from: string, text: string, bot: string, local: boolean, updated_at: number|null}|null>}
+         */
+        this.api.getAiTyping = async function(){
+            const bots = botNames(await _this.get('ai/bots'));
+            let latest = null;
+            for (const bot of bots) {
+                const t = _this.features?.[bot]?.typing;
+                if (t && (latest === null || t.updated_at > latest.updated_at)) {
+                    latest = { seq: t.seq, from: t.from, text: t.text, bot, local: true, updated_at: t.updated_at };
+                }
+            }
+            if (latest !== null) return latest;
+            const now = await _this.get('currentTime');
+            for (const bot of bots) {
+                const keys = botKeys(bot);
+                const seq = await pickNextSeq(key => _this.get(key), keys, now);
+                const pending = seq !== null ? await _this.get(keys.pending + seq) : null;
+                if (pending !== null) return { seq, from: pending.from, text: '', bot, local: false, updated_at: null };
+            }
+            return null;
+        }
+
+        /**
+         * Why the @ai prompt at the given message index was dropped, if it was.
+         *
+         * @param index message index (as used by getMessage)
+         * @returns {Promise<{reason: string, at: number|null, retry_at: number|null, notice: string}|null>}
+         */
+        this.api.getAiRejection = async function(index){
+            const idx = parseInt(index);
+            if (isNaN(idx) || idx < 0) return null;
+            const rejection = await _this.get('msgrej/' + idx);
+            if (rejection === null) return null;
+            return { ...rejection, notice: describeRejection(rejection) };
+        }
+
+        /**
+         * Remaining @ai quota for an address at the current trusted time (same numbers as /ai_limits).
+         *
+         * @param address defaults to this peer's address
+         * @param bot 'ai' or a named bot; each bot counts prompts and tokens separately
+         * @returns {Promise<object|null>} null while there is no trusted time yet
+         */
+        this.api.getAiQuota = async function(address = null, bot = DEFAULT_BOT){
+            return await _this.#readQuota(address || _this.peer.wallet.publicKey, bot);
+        }
+
+        /**
+         * Named bots registered by the admin (ai/bots); @ai itself is always there and not listed.
+         *
+         * @returns {Promise<Object<string, {enabled: boolean, persona: (string|undefined), model: (string|undefined), window_ms: (number|undefined), window_max: (number|undefined), daily_max: (number|undefined), max_pending: (number|undefined), daily_tokens: (number|null|undefined)}>>}
+         */
+        this.api.getAiBots = async function(){
+            const bots = await _this.get('ai/bots');
+            return (bots !== null && typeof bots === 'object') ? bots : {};
+        }
+
+        /**
+         * Who is waiting in a bot's tagged queue, in serving order (highest priority first, then round-robin).
+         *
+         * @param bot 'ai' or a named bot
+         * @returns {Promise<Array<{address: string, priority: number, seqs: Array<number>}>>}
+         */
+        this.api.getAiQueue = async function(bot = DEFAULT_BOT){
+            const queues = readQueues(await _this.get(botKeys(bot).queues));
+            const order = queues.order.map((address, at) => ({ address, at, ...queues.users[address] }));
+            order.sort((a, b) => b.priority - a.priority || a.at - b.at);
+            return order.map(({ address, priority, seqs }) => ({ address, priority, seqs }));
+        }
+
+        /**
+         * Oracle workers authorized by the admin (ai/workers) and the prompts they currently hold.
+         *
+         * @returns {Promise<Object<string, {enabled: boolean, lease_ms: number, bots: (Array<string>|null), jobs: Array<{bot: string, seq: number, expires_at: number, active: boolean}>}>>}
+         */
+        this.api.getAiWorkers = async function(){
+            const workers = await _this.get('ai/workers');
+            if (workers === null || typeof workers !== 'object') return {};
+            const now = await _this.get('currentTime');
+            const bots = [DEFAULT_BOT].concat(Object.keys(await _this.api.getAiBots()));
+            const out = {};
+            for (const address of Object.keys(workers)) {
+                const jobs = [];
+                for (const bot of bots) {
+                    const job = await _this.get(workerJobKey(address, bot));
+                    if (job === null) continue;
+                    const lease = await _this.get(botKeys(bot).lease + job.seq);
+                    jobs.push({ bot, seq: job.seq, expires_at: job.expires_at, active: leaseActive(lease, now) && lease.worker === address });
+                }
+                out[address] = { ...workers[address], jobs };
+            }
+            return out;
+        }
+
+        /**
+         * Moderation settings and rules the oracle applies to prompts and answers (ai/moderation).
+         *
+         * @returns {Promise<{enabled: boolean, refusal: string, rules: Object<string, {stage: string, match: string, words: (Array<string>|undefined), pattern: (string|undefined), flags: (string|undefined), action: string, replacement: (string|undefined), enabled: boolean}>}>}
+         */
+        this.api.getAiModeration = async function(){
+            const moderation = await _this.get('ai/moderation');
+            const value = (moderation !== null && typeof moderation === 'object') ? moderation : {};
+            return {
+                enabled: value.enabled !== false,
+                refusal: typeof value.refusal === 'string' ? value.refusal : DEFAULT_REFUSAL,
+                rules: (value.rules !== null && typeof value.rules === 'object') ? value.rules : {}
+            };
+        }
+
+        /**
+         * What the AI remembers about an address (ai/user/<address>).
+         *
+         * @param address defaults to this peer's address
+         * @returns {Promise<{memory: string, nick: string|null, seq: number, updated_at: number|null}|null>}
+         */
+        this.api.getAiMemory = async function(address = null){
+            return await _this.get('ai/user/' + (address || _this.peer.wallet.publicKey));
+        }
+
+        /**
+         * Bot commands usable as "@ai /<name> ...": the built-in templates overlaid with the admin's (ai/templates).
+         *
+         * @returns {Promise<Object<string, {usage: string, description: string, min_args: number, template: string, custom: (boolean|undefined)}>>}
+         */
+        this.api.getAiCommands = async function(){
+            return commandTemplates(await _this.get('ai/templates'));
+        }
+    }
 
     mapTxCommand(command) {
+        let obj = { type : '', value : null };
+        const json = this.safeJsonParse(command);
+        const types = {
+            'set_ai_config' : 'setAiConfig',
+            'reset_ai_config' : 'resetAiConfig',
+            'clear_ai_memory' : 'clearAiMemory',
+            'set_ai_template' : 'setAiTemplate',
+            'remove_ai_template' : 'removeAiTemplate',
+            'set_ai_bot' : 'setAiBot',
+            'remove_ai_bot' : 'removeAiBot',
+            'set_ai_moderation_rule' : 'setAiModerationRule',
+            'remove_ai_moderation_rule' : 'removeAiModerationRule',
+            'set_ai_moderation' : 'setAiModeration',
+            'set_ai_worker' : 'setAiWorker',
+            'remove_ai_worker' : 'removeAiWorker',
+            'claim_ai_job' : 'claimAiJob',
+            'submit_ai_result' : 'submitAiResult',
+            'set_rl_policy' : 'setRateLimitPolicy',
+            'set_rl_tier' : 'setRateLimitTier',
+            'remove_rl_tier' : 'removeRateLimitTier',
+            'assign_rl_tier' : 'assignRateLimitTier',
+            'set_rl_block' : 'setRateLimitBlock'
+        };
+        if(json && typeof json.op === 'string' && Object.prototype.hasOwnProperty.call(types, json.op)){
+            obj.type = types[json.op];
+            obj.value = json;
+            return obj;
+        }
         return null;
     }
 
     async printOptions() {
-        // TEMP DIAG commands — remove when stabilized
-        console.log('- /diag_state | TEMP: print admin, time, seqs, pending, features');
-        console.log('- /diag_rl [--user <address>] | TEMP: show rate-limit info for you or a user');
-        console.log('- /diag_ping | TEMP: ping AI endpoint configured in the ai feature');
-        console.log('- /diag_inflight | TEMP: show inflight seqs and likely blocking item');
-        console.log('- /fix_fast_forward [--seq <n>] | TEMP: advance process pointer to n (admin)');
-        console.log('- /diag_ai_last | TEMP: show last AI call diagnostics (oracle only)');
+        console.log('- /tx --command \'{"op":"set_ai_config","persona":"...","model":"...","temperature":0.7,"top_p":1,"max_reply_tokens":1024,"history_window":32}\' | admin: update AI settings (all fields optional).');
+        console.log('- /tx --command \'{"op":"reset_ai_config"}\' | admin: drop AI settings back to the oracle defaults.');
+        console.log('- /tx --command \'{"op":"set_ai_template","name":"tldr","template":"Summarize in one line: {{args}}","usage":"/tldr <text>","description":"one-line summary","min_args":1}\' | admin: add or override a bot command (@ai /tldr ...).');
+        console.log('- /tx --command \'{"op":"remove_ai_template","name":"tldr"}\' | admin: remove a bot command template (built-ins come back).');
+        console.log('- /tx --command \'{"op":"set_ai_bot","name":"code","persona":"...","model":"...","window_max":5,"enabled":true}\' | admin: add or update a named bot answering @code (needs an oracle feature named "code").');
+        console.log('- /tx --command \'{"op":"remove_ai_bot","name":"code"}\' | admin: remove a named bot.');
+        console.log('- /tx --command \'{"op":"set_ai_moderation_rule","name":"slurs","stage":"both","match":"words","words":["badword"],"action":"redact"}\' | admin: add or update a moderation rule (match words or regex with "pattern"; action refuse, redact or rewrite with "replacement").');
+        console.log('- /tx --command \'{"op":"remove_ai_moderation_rule","name":"slurs"}\' | admin: remove a moderation rule.');
+        console.log('- /tx --command \'{"op":"set_ai_moderation","enabled":true,"refusal":"not going there."}\' | admin: turn moderation on or off and set the refusal reply (refusal null restores the default).');
+        console.log('- /tx --command \'{"op":"set_ai_worker","address":"<address>","lease_ms":120000,"bots":["ai"],"enabled":true}\' | admin: let another writable peer run the AI oracle as a worker (bots null serves all).');
+        console.log('- /tx --command \'{"op":"remove_ai_worker","address":"<address>"}\' | admin: revoke an oracle worker.');
+        console.log('- /tx --command \'{"op":"set_rl_policy","window_ms":60000,"window_max":10,"daily_max":1500,"max_pending":3,"daily_tokens":200000}\' | admin: default rate limits for everyone (all fields optional; daily_tokens null = no token budget).');
+        console.log('- /tx --command \'{"op":"set_rl_tier","tier":"trusted","window_max":30,"daily_max":5000,"max_pending":5,"daily_tokens":1000000,"priority":1,"exempt":false}\' | admin: create or update a named tier (higher priority is served first).');
+        console.log('- /tx --command \'{"op":"remove_rl_tier","tier":"trusted"}\' | admin: delete a tier; assigned users fall back to the default policy.');
+        console.log('- /tx --command \'{"op":"assign_rl_tier","address":"<address>","tier":"trusted"}\' | admin: put a user on a tier (tier null clears it).');
+        console.log('- /tx --command \'{"op":"set_rl_block","address":"<address>","blocked":true}\' | admin: block or unblock a user from prompting the AI.');
+        console.log('- /ai_quota [--user <address>] [--bot <name>] | show how many @ai (or @<name>) prompts you (or a user) can still send.');
+        console.log('- /ai_bots | list the bots in this channel.');
+        console.log('- /ai_workers | list oracle workers and the prompts they hold.');
+        console.log('- /ai_moderation | list the moderation rules applied to prompts and AI answers.');
+        console.log('- /metrics | print the oracle metrics (backlog, latencies, tokens, retries, drops, rejections; oracle peers only).');
+        console.log('- /ai_queue [--bot <name>] | show who is waiting for @ai (or @<name>), in the order they will be served.');
+        console.log('- /search --query "<words>" [--user <address>] [--ai-only] | find messages and AI answers in the chat history.');
+        console.log('- /export --file <path> [--format jsonl|md] [--from <n>] [--to <n>] [--done 1] | write messages (or all answered prompts) to a file.');
+        console.log('- /ai_commands | list bot commands usable in chat as "@ai /<name> ..." (e.g. @ai /summarize last 50).');
+        console.log('- /ai_memory | show what the AI remembers about you (stored in contract state, readable by every peer).');
+        console.log('- /ai_forget | wipe what the AI remembers about you (same as /tx --command \'{"op":"clear_ai_memory"}\').');
+        console.log('- /set_random_participation --enabled <0|1> [--divisor <n>] | admin: toggle unprompted AI replies; ~1 in <n> untagged messages per minute are picked.');
+        console.log('- /ai_status | print admin, time, seqs, the next pending prompt, features and endpoint health.');
+        console.log('- /ai_limits [--user <address>] | show the rate-limit counters, tier and effective limits for you or a user.');
+        console.log('- /ai_ping | ping every AI endpoint configured in the ai feature (oracle peer only).');
+        console.log('- /ai_slots | show inflight seqs, what each inference slot is doing and the likely blocking item.');
+        console.log('- /ai_fast_forward [--seq <n>] | admin: advance the process pointer to n to unblock a stuck prompt.');
     }
 
     async customCommand(input) {
         try {
             if (typeof input !== 'string') return;
             const trimmed = input.trim();
-            if (trimmed.startsWith('/diag_state')) {
-                await this.#diagState();
+            if (trimmed.startsWith('/set_random_participation')) {
+                const args = this.parseArgs(trimmed);
+                await this.#setRandomParticipation(args);
                 return;
             }
-            if (trimmed.startsWith('/diag_rl')) {
+            if (trimmed.startsWith('/ai_quota')) {
                 const args = this.parseArgs(trimmed);
-                await this.#diagRl(args.user || this.peer.wallet.publicKey);
+                await this.#printQuota(args.user || this.peer.wallet.publicKey, args.bot || DEFAULT_BOT);
                 return;
             }
-            if (trimmed.startsWith('/diag_ping')) {
-                await this.#diagPing();
+            if (trimmed.startsWith('/ai_queue')) {
+                const args = this.parseArgs(trimmed);
+                await this.#printQueue(args.bot || DEFAULT_BOT);
+                return;
+            }
+            if (trimmed.startsWith('/metrics')) {
+                this.#printMetrics();
                 return;
             }
-            if (trimmed.startsWith('/diag_inflight')) {
-                await this.#diagInflight();
+            if (trimmed.startsWith('/ai_workers')) {
+                await this.#printWorkers();
                 return;
             }
-            if (trimmed.startsWith('/diag_ai_last')) {
-                await this.#diagAiLast();
+            if (trimmed.startsWith('/ai_moderation')) {
+                await this.#printModeration();
                 return;
             }
-            if (trimmed.startsWith('/fix_fast_forward')) {
+            if (trimmed.startsWith('/ai_bots')) {
+                await this.#printBots();
+                return;
+            }
+            if (trimmed.startsWith('/search')) {
+                // --ai-only is a bare flag; parseArgs only understands --key value pairs
+                const aiOnly = /(^|\s)--ai-only(\s|$)/.test(trimmed);
+                const args = this.parseArgs(trimmed.replace(/(^|\s)--ai-only(?=\s|$)/g, ''));
+                await this.#printSearch(args.query, { user: args.user, ai_only: aiOnly });
+                return;
+            }
+            if (trimmed.startsWith('/export')) {
                 const args = this.parseArgs(trimmed);
-                await this.#fixFastForward(args);
+                await this.#exportToFile(args);
                 return;
             }
-        } catch (e) {
-            console.log('TEMP DIAG error:', e?.message || e);
-        }
-    }
-
-    async #diagAiLast(){
-        try {
-            const adminObj = await this.peer.base.view.get('admin');
-            const admin = adminObj ? adminObj.value : null;
-            const isOraclePeer = !!admin && admin === this.peer.wallet.publicKey && !!this.peer.base.writable;
-            if (!isOraclePeer) {
-                console.log('TEMP DIAG ai_last: not the oracle peer (admin+writable).');
+            if (trimmed.startsWith('/ai_commands')) {
+                await this.#printCommands();
                 return;
             }
-            const aiFeat = this.features?.ai;
-            if (!aiFeat) {
-                console.log('TEMP DIAG ai_last: ai feature not loaded on this peer.');
+            if (trimmed.startsWith('/ai_memory')) {
+                await this.#printMemory();
                 return;
             }
-            const lc = aiFeat.lastCall || null;
-            const attempts = Array.isArray(aiFeat.lastAttempts) ? aiFeat.lastAttempts : [];
-            console.log('===== TEMP DIAG: AI LAST =====');
-            if (!lc) {
-                console.log('No AI call recorded yet.');
-            } else {
-                try { console.log(JSON.stringify(lc)); } catch(_) { console.log(lc); }
+            if (trimmed.startsWith('/ai_forget')) {
+                await this.#forgetMe();
+                return;
             }
-            if (attempts.length > 0) {
-                try { console.log('recent_attempts:', JSON.stringify(attempts)); } catch(_) { console.log('recent_attempts:', attempts); }
+            if (trimmed.startsWith('/ai_status')) {
+                await this.#printStatus();
+                return;
             }
-            console.log('================================');
-        } catch(e){
-            console.log('TEMP DIAG ai_last failed:', e?.message || e);
+            if (trimmed.startsWith('/ai_limits')) {
+                const args = this.parseArgs(trimmed);
+                await this.#printLimits(args.user || this.peer.wallet.publicKey);
+                return;
+            }
+            if (trimmed.startsWith('/ai_ping')) {
+                await this.#pingEndpoints();
+                return;
+            }
+            if (trimmed.startsWith('/ai_slots')) {
+                await this.#printSlots();
+                return;
+            }
+            if (trimmed.startsWith('/ai_fast_forward')) {
+                const args = this.parseArgs(trimmed);
+                await this.#requestFastForward(args);
+                return;
+            }
+        } catch (e) {
+            console.log('Command failed:', e?.message || e);
         }
     }
 
-    async #diagState(){
-        // TEMP DIAG: quick state snapshot to debug stalls
+    async #printStatus(){
+        // State snapshot to debug stalls
         try {
             const me = this.peer.wallet.publicKey;
             const adminObj = await this.peer.base.view.get('admin');
@@ -123,104 +421,292 @@ class AiChatProtocol extends Protocol {
             const pendingObj = await this.peer.base.view.get('chat/pending/' + next);
             const pending = pendingObj ? pendingObj.value : null;
             const aiFeat = this.features?.ai;
+            const rmsObj = await this.peer.base.view.get('random_message_seq');
+            const rpsObj = await this.peer.base.view.get('random_process_seq');
+            const randomMessageSeq = rmsObj ? parseInt(rmsObj.value) : 0;
+            const randomProcessSeq = rpsObj ? parseInt(rpsObj.value) : 0;
+            const randomConfigObj = await this.peer.base.view.get('ai/random_config');
+            const randomConfig = randomConfigObj ? randomConfigObj.value : { enabled: true, divisor: 20 };
+            const aiConfigObj = await this.peer.base.view.get('ai/config');
             const chatStatusObj = await this.peer.base.view.get('chat_status');
             const chatStatus = chatStatusObj ? !!chatStatusObj.value : false;
             const autoAddObj = await this.peer.base.view.get('auto_add_writers');
             const autoAdd = autoAddObj ? !!autoAddObj.value : false;
 
-            console.log('===== TEMP DIAG: STATE =====');
+            console.log('===== AI STATUS =====');
             console.log('me:', me);
             console.log('admin:', admin, '| isAdmin:', isAdmin, '| writable:', writable, '| oracle_peer:', oraclePeer);
             console.log('currentTime:', currentTime, '| delta_local_ms:', ctDelta);
             console.log('message_seq:', messageSeq, '| process_seq:', processSeq, '| backlog:', backlog);
             console.log('next_pending_key:', 'chat/pending/' + next);
             console.log('next_pending_item:', pending ? JSON.stringify({ from: pending.from, type: pending.type, ts: pending.timestamp }) : null);
+            console.log('random_message_seq:', randomMessageSeq, '| random_process_seq:', randomProcessSeq, '| random_config:', JSON.stringify(randomConfig));
             console.log('chat_status:', chatStatus, '| auto_add_writers:', autoAdd);
+            console.log('ai_config:', aiConfigObj ? JSON.stringify(aiConfigObj.value) : 'defaults');
             console.log('features_loaded:', Object.keys(this.features || {}));
             if (aiFeat) {
-                console.log('ai.endpoint:', aiFeat.endpoint, '| ai.model:', aiFeat.model);
+                console.log('ai.endpoint:', aiFeat.endpoint, '| ai.model:', aiFeat.model, '| ai.backend:', aiFeat.backend.name);
+                for (const ep of aiFeat.endpoints.snapshot()) {
+                    const why = ep.reason ? ` | benched: ${ep.reason} (retry in ${ep.retry_in_ms}ms)` : '';
+                    console.log(`ai.endpoint[${ep.priority}]: ${ep.url} | ${ep.state} | failures: ${ep.consecutive_failures} | avg_latency_ms: ${ep.avg_latency_ms}${why}`);
+                }
             } else {
                 console.log('ai feature not found (only admin starts features).');
             }
-            console.log('============================');
+            console.log('=====================');
         } catch(e){
-            console.log('TEMP DIAG state failed:', e?.message || e);
+            console.log('AI status failed:', e?.message || e);
+        }
+    }
+
+    // Rate-limit state for an address, resolved exactly as messageHandler does (shared by /ai_limits, /ai_quota and getAiQuota)
+    async #readQuota(address, bot = DEFAULT_BOT){
+        const addr = address || this.peer.wallet.publicKey;
+        const read = async (key) => {
+            const obj = await this.peer.base.view.get(key);
+            return obj ? obj.value : null;
+        };
+        const currentTime = await read('currentTime');
+        if (typeof currentTime !== 'number') return null;
+        const admin = await read('admin');
+        const bots = await read('ai/bots');
+        if (bot !== DEFAULT_BOT && (bots === null || !bots[bot])) return null;
+        const keys = botKeys(bot);
+        const policy = bot === DEFAULT_BOT ? await read('rl/policy') : botRatePolicy(await read('rl/policy'), bots[bot]);
+        const tiers = await read('rl/tiers');
+        const assignedTier = await read('rl/user_tier/'+addr);
+        const limits = resolveRateLimits(policy, tiers, assignedTier, await read('rl/blocked/'+addr));
+        const dayKey = Math.floor(currentTime / 86400000);
+        const quota = computeQuota(limits, currentTime, await read(keys.rl_last(addr)), await read(keys.rl_day(addr, dayKey)), await read(keys.rl_tokens(addr, dayKey)));
+        const pending = pendingCount(readQueues(await read(keys.queues)), addr);
+        const isAdmin = admin !== null && admin === addr;
+        return {
+            address: addr,
+            bot,
+            current_time: currentTime,
+            day_key: dayKey,
+            admin: isAdmin,
+            policy,
+            tiers: tiers || {},
+            assigned_tier: assignedTier,
+            tier: limits.tier,
+            exempt: limits.exempt,
+            blocked: limits.blocked,
+            limits: { window_ms: limits.window_ms, window_max: limits.window_max, daily_max: limits.daily_max, max_pending: limits.max_pending, daily_tokens: limits.daily_tokens },
+            priority: limits.priority,
+            pending,
+            ...quota,
+            // the admin is never rate-limited (and never prompts the AI either)
+            limited: isAdmin ? null : quota.limited,
+            retry_at: isAdmin ? null : quota.retry_at,
+            notice: (isAdmin || quota.limited === null) ? '' : describeRejection({ reason: quota.limited, at: currentTime, retry_at: quota.retry_at })
+        };
+    }
+
+    async #printQuota(address, bot = DEFAULT_BOT){
+        const q = await this.#readQuota(address, bot);
+        if (q === null) {
+            console.log('AI quota: no trusted time yet (ensure the timer feature is running on admin) or unknown bot @' + bot + '.');
+            return;
+        }
+        if (q.admin) {
+            console.log('AI quota: admin address, not rate-limited.');
+            return;
+        }
+        const left = (n) => n === null ? 'unlimited' : n;
+        console.log('AI quota' + (bot !== DEFAULT_BOT ? ' (@' + bot + ')' : '') + ' for', q.address + (q.tier ? ' (tier ' + q.tier + ')' : '') + ':',
+            left(q.window_remaining), 'of', q.limits.window_max, 'per', Math.round(q.limits.window_ms / 1000) + 's |',
+            left(q.daily_remaining), 'of', q.limits.daily_max, 'today |',
+            q.tokens_used, 'tokens used today' + (q.tokens_remaining !== null ? ' of ' + q.limits.daily_tokens : '') + ' |',
+            q.pending, 'of', (q.exempt ? 'unlimited' : q.limits.max_pending), 'waiting' + (q.priority > 0 ? ' (priority ' + q.priority + ')' : ''));
+        if (q.notice !== '') console.log('AI quota:', q.notice);
+    }
+
+    async #printBots(){
+        const bots = await this.api.getAiBots();
+        console.log('Bots: @ai (default)');
+        for (const name of Object.keys(bots).sort()) {
+            const b = bots[name];
+            const limits = ['window_ms', 'window_max', 'daily_max', 'max_pending', 'daily_tokens'].filter(f => typeof b[f] === 'number').map(f => f + '=' + b[f]);
+            console.log('- @' + name + (b.enabled === false ? ' [disabled]' : '') + (b.model ? ' | model ' + b.model : '') +
+                (limits.length > 0 ? ' | limits ' + limits.join(' ') : '') + (b.persona ? ' | ' + b.persona.slice(0, 80) : ''));
+        }
+    }
+
+    async #printModeration(){
+        const moderation = await this.api.getAiModeration();
+        const names = Object.keys(moderation.rules).sort();
+        console.log('Moderation: ' + (moderation.enabled ? 'on' : 'off') + ' | refusal "' + moderation.refusal + '"' + (names.length === 0 ? ' | no rules' : ''));
+        for (const name of names) {
+            const r = moderation.rules[name];
+            const what = r.match === 'words' ? 'words ' + (r.words || []).join(', ').slice(0, 120) : 'regex /' + r.pattern + '/' + (r.flags || '');
+            console.log('- ' + name + (r.enabled === false ? ' [disabled]' : '') + ' | ' + r.stage + ' | ' + r.action +
+                (r.action === 'rewrite' ? ' -> "' + r.replacement + '"' : '') + ' | ' + what);
+        }
+    }
+
+    async #printQueue(bot = DEFAULT_BOT){
+        const queue = await this.api.getAiQueue(bot);
+        if (queue.length === 0) {
+            console.log('AI queue (@' + bot + '): nobody waiting.');
+            return;
+        }
+        console.log('AI queue (@' + bot + '), next first:');
+        for (const user of queue) {
+            console.log('- ' + user.address + (user.priority > 0 ? ' (priority ' + user.priority + ')' : '') + ' | ' + user.seqs.map(seq => '#' + seq).join(' '));
+        }
+    }
+
+    // Same text the oracle serves on ai_opts.metrics_port for Prometheus
+    #printMetrics(){
+        const oracle = Object.values(this.features || {}).find(f => f && f.metrics && typeof f.metrics.render === 'function');
+        if (!oracle) {
+            console.log('Metrics: no AI oracle runs on this peer (only the admin and oracle workers run one).');
+            return;
+        }
+        console.log(oracle.metrics.render().trimEnd());
+    }
+
+    async #printWorkers(){
+        const workers = await this.api.getAiWorkers();
+        const addresses = Object.keys(workers);
+        if (addresses.length === 0) {
+            console.log('Oracle workers: none (only the admin peer answers).');
+            return;
+        }
+        console.log('Oracle workers:');
+        for (const address of addresses) {
+            const w = workers[address];
+            const jobs = w.jobs.filter(j => j.active).map(j => '@' + j.bot + ' #' + j.seq + ' until ' + new Date(j.expires_at).toISOString());
+            console.log('- ' + address + (w.enabled === false ? ' [disabled]' : '') + ' | lease ' + Math.round(w.lease_ms / 1000) + 's' +
+                ' | bots ' + (Array.isArray(w.bots) ? w.bots.map(b => '@' + b).join(' ') : 'all') + ' | ' + (jobs.length > 0 ? 'holding ' + jobs.join(', ') : 'idle'));
+        }
+    }
+
+    async #printSearch(query, options){
+        if (typeof query !== 'string' || query.trim() === '') {
+            console.log('Search: missing --query "<words>".');
+            return;
+        }
+        const hits = await this.api.search(query, options);
+        if (hits.length === 0) {
+            console.log('Search: no matches for', JSON.stringify(query));
+            return;
+        }
+        for (const hit of hits) {
+            const where = hit.kind === 'qa' ? ((hit.bot ? '@' + hit.bot + ' ' : '') + 'Q/A #' + hit.seq + (hit.id !== null ? ' (msg #' + hit.id + ')' : '')) : ('msg #' + hit.id);
+            const when = hit.ts ? new Date(hit.ts).toISOString().replace('T', ' ').slice(0, 16) : 'time unknown';
+            console.log('- ' + where + ' | ' + when + ' | ' + hit.address + ': ' + hit.snippet);
         }
     }
 
-    async #diagRl(address){
-        // TEMP DIAG: show RL counters for a user
+    async #exportToFile(args){
+        if (typeof args.file !== 'string' || args.file === '') {
+            console.log('Export: missing --file <path>.');
+            return;
+        }
+        // Format from --format, else from the file extension
+        const format = args.format === 'md' || args.format === 'jsonl' ? args.format : (/\.(md|markdown)$/i.test(args.file) ? 'md' : 'jsonl');
+        const result = await this.api.exportChat({ format, from: args.from, to: args.to, done: args.done !== undefined && args.done !== '0' });
         try {
-            const addr = address || this.peer.wallet.publicKey;
-            const ctObj = await this.peer.base.view.get('currentTime');
-            const currentTime = ctObj ? ctObj.value : null;
-            if (typeof currentTime !== 'number'){
-                console.log('TEMP DIAG RL: currentTime missing. Ensure timer feature is running on admin.');
+            await fs.promises.writeFile(args.file, result.content, 'utf8');
+        } catch(e) {
+            console.log('Export: could not write', args.file + ':', e?.message || e);
+            return;
+        }
+        console.log('Export: wrote', result.count, 'records (' + result.scope + ') as', format, 'to', args.file);
+    }
+
+    async #printCommands(){
+        const templates = await this.api.getAiCommands();
+        console.log('Bot commands (@ai /<name> ...):');
+        for (const name of Object.keys(templates).sort()) {
+            const t = templates[name];
+            console.log('- ' + t.usage + (t.description ? ' | ' + t.description : '') + (t.custom ? ' [admin]' : ''));
+        }
+        console.log('- /help | list these commands in chat');
+    }
+
+    async #printMemory(){
+        const mem = await this.api.getAiMemory();
+        if (mem === null) {
+            console.log('AI memory: nothing stored about you.');
+            return;
+        }
+        console.log('AI memory' + (mem.nick ? ' (' + mem.nick + ')' : '') + ', updated after prompt #' + mem.seq + ':');
+        console.log(mem.memory);
+    }
+
+    async #forgetMe(){
+        try {
+            const res = await this.tx({ command: JSON.stringify({ op: 'clear_ai_memory' }) });
+            const err = this.getError(res);
+            if (err !== null) throw err;
+            console.log('AI memory: wipe requested; it is gone once the transaction is confirmed.');
+        } catch(e) {
+            console.log('AI memory: wipe failed:', e?.message || e);
+        }
+    }
+
+    async #printLimits(address){
+        // Rate-limit counters, tier and effective limits for a user
+        try {
+            const q = await this.#readQuota(address);
+            if (q === null){
+                console.log('AI limits: currentTime missing. Ensure timer feature is running on admin.');
                 return;
             }
-            const dayKey = Math.floor(currentTime / 86400000);
-            const dailyObj = await this.peer.base.view.get('rl/day/'+addr+'/'+dayKey);
-            const daily = dailyObj ? parseInt(dailyObj.value) : 0;
-            const last3Obj = await this.peer.base.view.get('rl/last3/'+addr);
-            const arr = (last3Obj && Array.isArray(last3Obj.value)) ? last3Obj.value : [];
-            const cutoff = currentTime - 60000;
-            const recent = arr.filter(ts => typeof ts === 'number' && ts >= cutoff);
-            const oldestAge = recent.length > 0 ? (currentTime - recent[0]) : null;
-            console.log('===== TEMP DIAG: RL =====');
-            console.log('user:', addr);
-            console.log('dayKey:', dayKey, '| daily_count:', isNaN(daily) ? 0 : daily);
-            console.log('last60s_count:', recent.length, '| window_detail:', JSON.stringify(recent));
-            console.log('oldest_age_ms:', oldestAge);
-            console.log('==========================');
+            const oldestAge = q.recent.length > 0 ? (q.current_time - q.recent[0]) : null;
+            console.log('===== AI LIMITS =====');
+            console.log('user:', q.address, '| admin (unlimited):', q.admin);
+            console.log('policy:', JSON.stringify(q.policy));
+            console.log('assigned_tier:', JSON.stringify(q.assigned_tier), '| applied_tier:', q.tier,
+                '| exempt:', q.exempt, '| blocked:', q.blocked);
+            console.log('effective: window_ms', q.limits.window_ms, '| window_max', q.limits.window_max, '| daily_max', q.limits.daily_max);
+            console.log('dayKey:', q.day_key, '| daily_count:', q.daily_used, '| daily_remaining:', q.daily_remaining);
+            console.log('daily_tokens:', q.limits.daily_tokens, '| tokens_used:', q.tokens_used, '| tokens_remaining:', q.tokens_remaining);
+            console.log('window_count:', q.window_used, '| window_remaining:', q.window_remaining, '| window_detail:', JSON.stringify(q.recent));
+            console.log('oldest_age_ms:', oldestAge, '| limited:', q.limited, '| retry_at:', q.retry_at);
+            console.log('tiers:', JSON.stringify(q.tiers));
+            console.log('=====================');
         } catch(e){
-            console.log('TEMP DIAG rl failed:', e?.message || e);
+            console.log('AI limits failed:', e?.message || e);
         }
     }
 
-    async #diagPing(){
-        // TEMP DIAG: quick ping to AI endpoint
+    async #pingEndpoints(){
         try {
             // Only the oracle peer (admin + writable) should ever call the model endpoint.
             const adminObj = await this.peer.base.view.get('admin');
             const admin = adminObj ? adminObj.value : null;
             const isOraclePeer = !!admin && admin === this.peer.wallet.publicKey && !!this.peer.base.writable;
             if (!isOraclePeer) {
-                console.log('TEMP DIAG ping: not the oracle peer (admin+writable). Endpoint calls run only on the oracle.');
+                console.log('AI ping: not the oracle peer (admin+writable). Endpoint calls run only on the oracle.');
                 return;
             }
             const aiFeat = this.features?.ai;
             if (!aiFeat) {
-                console.log('TEMP DIAG ping: ai feature not loaded on this peer (only admin starts features).');
+                console.log('AI ping: ai feature not loaded on this peer (only admin starts features).');
                 return;
             }
-            const endpoint = aiFeat.endpoint;
-            const model = aiFeat.model;
-            console.log('TEMP DIAG ping (oracle):', endpoint, 'model:', model);
-            const headers = { 'Content-Type': 'application/json' };
-            if (aiFeat.apiKey) {
-                const keyHeader = (aiFeat.apiKeyHeader || 'Authorization');
-                headers[keyHeader] = (String(keyHeader).toLowerCase() === 'authorization' && aiFeat.apiKeyScheme)
-                    ? `${aiFeat.apiKeyScheme} ${aiFeat.apiKey}`
-                    : aiFeat.apiKey;
-            }
-            const res = await fetch(endpoint, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify({ model, messages: [{ role: 'user', content: 'ping' }], max_tokens: 1 })
-            });
-            if (res.ok) console.log('TEMP DIAG ping: OK', res.status);
-            else console.log('TEMP DIAG ping: FAIL status', res.status);
+            console.log('AI ping (oracle): model:', aiFeat.model, 'backend:', aiFeat.backend.name);
+            // Ping every configured endpoint; results feed the same health tracking used for failover
+            for (const ep of aiFeat.endpoints.snapshot()) {
+                const result = await aiFeat.ping(ep.url);
+                if (result.ok) console.log('AI ping: OK', result.status, ep.url, `${result.latency_ms}ms`);
+                else console.log('AI ping: FAIL', result.status !== null ? 'status ' + result.status : result.error, ep.url);
+            }
         } catch(e){
-            console.log('TEMP DIAG ping error:', e?.message || e);
+            console.log('AI ping error:', e?.message || e);
         }
     }
 
-    async #diagInflight(){
-        // TEMP DIAG: show inflight set and identify likely blocking seq
+    async #printSlots(){
+        // Inflight set, slot states and the likely blocking seq
         try {
             const aiFeat = this.features?.ai;
             if (!aiFeat) {
-                console.log('TEMP DIAG inflight: ai feature not found (only admin runs features).');
+                console.log('AI slots: ai feature not found (only admin runs features).');
                 return;
             }
             const entries = Array.isArray(aiFeat.inflight) ? aiFeat.inflight : (aiFeat.inflight ? Array.from(aiFeat.inflight) : []);
@@ -261,27 +747,36 @@ class AiChatProtocol extends Protocol {
 
             const likelyBlocking = (backlog > 0 && seqs.includes(next)) ? next : null;
 
-            console.log('===== TEMP DIAG: INFLIGHT =====');
+            console.log('===== AI SLOTS =====');
             console.log('process_seq:', processSeq, '| message_seq:', messageSeq, '| backlog:', backlog);
             console.log('inflight_count:', seqs.length, '| inflight_seqs(sample):', subset.join(','));
             console.log('likely_blocking_seq:', likelyBlocking);
             console.log('details(sample_first_10):', JSON.stringify(details));
-            console.log('================================');
+            if (Array.isArray(aiFeat.slots)) {
+                // idle, or <state> <seq key> for <ms> (context -> inference -> waiting for lower seqs -> posting -> committing -> resting)
+                const now = Date.now();
+                console.log('slots(' + aiFeat.slots.length + '):', aiFeat.slots.map((s, i) => '#' + i + ' ' +
+                    (s === null ? 'idle' : s.state + ' ' + s.key + ' for ' + (now - s.updated_at) + 'ms (job ' + (now - s.started_at) + 'ms)')).join(' | '));
+            }
+            if (aiFeat.journal) {
+                console.log('journal_open_jobs:', aiFeat.journal.open().map(j => j.key + '=' + j.stage).join(',') || 'none');
+            }
+            console.log('====================');
         } catch(e){
-            console.log('TEMP DIAG inflight failed:', e?.message || e);
+            console.log('AI slots failed:', e?.message || e);
         }
     }
 
-    async #fixFastForward(args){
-        // TEMP DIAG: admin-only helper to advance process pointer to unblock a stuck seq
+    async #requestFastForward(args){
+        // Admin-only helper to advance the process pointer past a stuck seq
         try {
             const admin = await this.getSigned('admin');
             if (!admin || admin !== this.peer.wallet.publicKey) {
-                console.log('TEMP: fix_fast_forward requires admin on a writable peer.');
+                console.log('ai_fast_forward requires admin on a writable peer.');
                 return;
             }
             if (!this.peer.base.writable) {
-                console.log('TEMP: fix_fast_forward: peer not writable.');
+                console.log('ai_fast_forward: peer not writable.');
                 return;
             }
             const msObj = await this.peer.base.view.get('message_seq');
@@ -293,13 +788,44 @@ class AiChatProtocol extends Protocol {
             if (seq < 0) seq = 0;
             if (!isNaN(ms) && seq > ms) seq = ms; // clamp to tail
             if (!isNaN(ps) && seq <= ps) {
-                console.log('TEMP: nothing to fast-forward. process_seq already', ps);
+                console.log('Nothing to fast-forward, process_seq is already', ps);
                 return;
             }
             await this.#appendFeature('ai', 'ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq });
-            console.log('TEMP: fast_forward requested to seq', seq);
+            console.log('Fast-forward requested to seq', seq);
+        } catch(e){
+            console.log('Fast-forward failed:', e?.message || e);
+        }
+    }
+
+    async #setRandomParticipation(args){
+        // Admin-only: ai_ctrl feature entries are verified against the admin key by the peer
+        try {
+            const admin = await this.getSigned('admin');
+            if (!admin || admin !== this.peer.wallet.publicKey || !this.peer.base.writable) {
+                console.log('set_random_participation requires admin on a writable peer.');
+                return;
+            }
+            const payload = { op: 'set_random' };
+            if (args.enabled !== undefined && args.enabled !== null) {
+                payload.enabled = args.enabled === '1' || args.enabled === 'true';
+            }
+            if (args.divisor !== undefined && args.divisor !== null) {
+                const divisor = parseInt(args.divisor);
+                if (isNaN(divisor) || divisor < 1 || divisor > 1000) {
+                    console.log('set_random_participation: --divisor must be between 1 and 1000.');
+                    return;
+                }
+                payload.divisor = divisor;
+            }
+            if (payload.enabled === undefined && payload.divisor === undefined) {
+                console.log('set_random_participation: nothing to change. Use --enabled <0|1> and/or --divisor <n>.');
+                return;
+            }
+            await this.#appendFeature('ai', 'ai_ctrl', payload);
+            console.log('Random participation update requested:', JSON.stringify(payload));
         } catch(e){
-            console.log('TEMP DIAG fast_forward failed:', e?.message || e);
+            console.log('set_random_participation failed:', e?.message || e);
         }
     }
 
@@ -0,0 +1,162 @@
+// Rate-limit policy shared by the contract (enforcement) and the protocol (diagnostics).
+// Pure and deterministic: every input comes from contract state.
+
+export const DEFAULT_RATE_LIMITS = {
+    window_ms : 60_000,
+    window_max : 10,
+    daily_max : 1500,
+    // prompts of one user waiting in a bot's queue at a time (see shared/scheduler.js)
+    max_pending : 3,
+    // model tokens (prompt + completion) one user's answers may use per day; null = no token budget
+    daily_tokens : null
+};
+
+export const MAX_PENDING_LIMIT = 100;
+export const MAX_PRIORITY = 9;
+export const MAX_DAILY_TOKENS = 1_000_000_000;
+// Upper bound of either count one answer may report; larger values are clamped
+export const MAX_TOKENS_PER_ANSWER = 1_000_000;
+
+// Upper bound for window_max, which is also the number of timestamps kept in rl/last3/<address>
+export const MAX_WINDOW_ENTRIES = 100;
+
+/**
+ * Effective limits for one address.
+ *
+ * @param policy value of rl/policy (defaults for everyone) or null
+ * @param tiers value of rl/tiers ({ name: { window_ms, window_max, daily_max, max_pending, daily_tokens, priority, exempt } }) or null
+ * @param tierName value of rl/user_tier/<address> or null
+ * @param blocked value of rl/blocked/<address> or null
+ * @returns {{window_ms: number, window_max: number, daily_max: number, max_pending: number, daily_tokens: (number|null), priority: number, tier: (string|null), exempt: boolean, blocked: boolean}}
+ *          priority (0 = default, higher goes first) orders the askers waiting in a bot's queue;
+ *          a tier with daily_tokens null lifts a token budget set by the policy
+ */
+export function resolveRateLimits(policy, tiers, tierName, blocked){
+    const limits = {
+        window_ms : DEFAULT_RATE_LIMITS.window_ms,
+        window_max : DEFAULT_RATE_LIMITS.window_max,
+        daily_max : DEFAULT_RATE_LIMITS.daily_max,
+        max_pending : DEFAULT_RATE_LIMITS.max_pending,
+        daily_tokens : DEFAULT_RATE_LIMITS.daily_tokens,
+        priority : 0,
+        tier : null,
+        exempt : false,
+        blocked : blocked === true
+    };
+    const apply = function(source){
+        if(typeof source.window_ms === 'number') limits.window_ms = source.window_ms;
+        if(typeof source.window_max === 'number') limits.window_max = source.window_max;
+        if(typeof source.daily_max === 'number') limits.daily_max = source.daily_max;
+        if(typeof source.max_pending === 'number') limits.max_pending = source.max_pending;
+        if(typeof source.daily_tokens === 'number' || source.daily_tokens === null) limits.daily_tokens = source.daily_tokens;
+        if(typeof source.priority === 'number') limits.priority = source.priority;
+    };
+    if(policy !== null && typeof policy === 'object') apply(policy);
+    if(typeof tierName === 'string' && tiers !== null && typeof tiers === 'object' &&
+        Object.prototype.hasOwnProperty.call(tiers, tierName) &&
+        tiers[tierName] !== null && typeof tiers[tierName] === 'object'){
+        limits.tier = tierName;
+        apply(tiers[tierName]);
+        if(tiers[tierName].exempt === true) limits.exempt = true;
+    }
+    return limits;
+}
+
+/**
+ * Remaining quota for one address at a given trusted time.
+ * Used by the contract to decide and record rejections, and by the protocol for /ai_limits and getAiQuota.
+ *
+ * @param limits result of resolveRateLimits()
+ * @param now trusted time (currentTime)
+ * @param timestamps value of rl/last3/<address> or null
+ * @param dailyCount value of rl/day/<address>/<dayKey> or null
+ * @param dailyTokens value of rl/tokens/<address>/<dayKey> or null
+ * @returns {{window_used: number, window_remaining: (number|null), recent: number[], daily_used: number, daily_remaining: (number|null), tokens_used: number, tokens_remaining: (number|null), limited: (string|null), retry_at: (number|null)}}
+ */
+export function computeQuota(limits, now, timestamps, dailyCount, dailyTokens = null){
+    const cutoff = now - limits.window_ms;
+    const recent = (Array.isArray(timestamps) ? timestamps : [])
+        .filter(ts => typeof ts === 'number' && ts >= cutoff)
+        .sort((a, b) => a - b);
+    let daily = parseInt(dailyCount);
+    if(isNaN(daily)) daily = 0;
+    let tokens = parseInt(dailyTokens);
+    if(isNaN(tokens)) tokens = 0;
+    const quota = {
+        window_used : recent.length,
+        window_remaining : limits.exempt ? null : Math.max(0, limits.window_max - recent.length),
+        recent : recent,
+        daily_used : daily,
+        daily_remaining : limits.exempt ? null : Math.max(0, limits.daily_max - daily),
+        tokens_used : tokens,
+        tokens_remaining : (limits.exempt || typeof limits.daily_tokens !== 'number') ? null : Math.max(0, limits.daily_tokens - tokens),
+        limited : null,
+        retry_at : null
+    };
+    if(limits.blocked){
+        quota.limited = 'blocked';
+        return quota;
+    }
+    if(limits.exempt) return quota;
+    // retry_at stays null when waiting cannot help (a limit of 0)
+    const tomorrow = (Math.floor(now / 86400000) + 1) * 86400000;
+    if(quota.daily_remaining === 0){
+        quota.limited = 'daily_cap';
+        quota.retry_at = limits.daily_max > 0 ? tomorrow : null;
+    } else if(quota.tokens_remaining === 0){
+        // Token usage is only known once answered, so the budget stops new prompts after it ran out
+        quota.limited = 'token_budget';
+        quota.retry_at = limits.daily_tokens > 0 ? tomorrow : null;
+    }
+    if(quota.window_remaining === 0){
+        const windowRetry = limits.window_max > 0 ? recent[recent.length - limits.window_max] + limits.window_ms + 1 : null;
+        if(quota.limited === null){
+            quota.limited = 'rate_window';
+            quota.retry_at = windowRetry;
+        } else if(quota.retry_at !== null){
+            quota.retry_at = windowRetry === null ? null : Math.max(quota.retry_at, windowRetry);
+        }
+    }
+    return quota;
+}
+
+/**
+ * Token counts reported with an answer (ai_result / submit_ai_result "tokens"), or null if missing or malformed.
+ *
+ * @param tokens { prompt, completion, estimated } where estimated marks counts from the oracle's own tokenizer
+ * @returns {({prompt: number, completion: number, estimated: boolean}|null)}
+ */
+export function readTokenUsage(tokens){
+    if(tokens === null || typeof tokens !== 'object') return null;
+    if(false === Number.isInteger(tokens.prompt) || false === Number.isInteger(tokens.completion)) return null;
+    if(tokens.prompt < 0 || tokens.completion < 0) return null;
+    return {
+        prompt : Math.min(tokens.prompt, MAX_TOKENS_PER_ANSWER),
+        completion : Math.min(tokens.completion, MAX_TOKENS_PER_ANSWER),
+        estimated : tokens.estimated === true
+    };
+}
+
+/**
+ * Short human-readable notice for a rejection recorded at msgrej/<index>.
+ *
+ * @param rejection { reason, at, retry_at }
+ * @returns {string}
+ */
+export function describeRejection(rejection){
+    if(rejection === null || typeof rejection !== 'object') return '';
+    const wait = (typeof rejection.retry_at === 'number' && typeof rejection.at === 'number')
+        ? Math.max(1, Math.round((rejection.retry_at - rejection.at) / 1000)) : null;
+    const retry = wait === null ? '' : (wait > 3600 ? ', try again in ' + Math.ceil(wait / 3600) + 'h' : ', try again in ' + wait + 's');
+    switch(rejection.reason){
+        case 'rate_window': return 'rate limited' + retry;
+        case 'daily_cap': return 'daily limit reached' + retry;
+        case 'token_budget': return 'daily AI token budget used up' + retry;
+        case 'blocked': return 'you are blocked from prompting the AI';
+        case 'no_time': return 'no trusted time yet (timer feature not running), prompt dropped';
+        case 'empty_prompt': return 'empty prompt after @ai, nothing to answer';
+        case 'queue_full': return 'you already have prompts waiting, ask again once they are answered';
+        case 'expired': return 'the AI fell too far behind and dropped this prompt, please ask again';
+    }
+    return 'prompt dropped (' + rejection.reason + ')';
+}
@@ -0,0 +1,178 @@
+// Local full-text search over chat messages (msg/<n>) and answered prompts (chat/done/<seq>, and
+// bot/<name>/done/<seq> for named bots).
+// The index lives in memory on this peer only and is caught up incrementally: before every query
+// and whenever the view reports new messages or queue progress (see ViewEvents).
+
+import {readMessages} from '../shared/messages.js';
+import {DEFAULT_BOT, botKeys, botNames} from '../shared/bots.js';
+
+// Letters and digits in any script; shorter tokens are too common to be worth indexing
+const TOKEN_RE = /[\p{L}\p{N}]+/gu;
+const MIN_TOKEN_LENGTH = 2;
+
+export function tokenize(text) {
+    if (typeof text !== 'string') return [];
+    const tokens = [];
+    for (const match of text.toLowerCase().matchAll(TOKEN_RE)) {
+        if (match[0].length >= MIN_TOKEN_LENGTH) tokens.push(match[0]);
+    }
+    return tokens;
+}
+
+// Short excerpt around the first query term found in the text
+function snippet(text, terms, width = 140) {
+    const lower = text.toLowerCase();
+    let at = -1;
+    for (const term of terms) {
+        const i = lower.indexOf(term);
+        if (i !== -1 && (at === -1 || i < at)) at = i;
+    }
+    const start = Math.max(0, at - Math.floor(width / 3));
+    const end = Math.min(text.length, start + width);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+}
+
+export class SearchIndex {
+
+    constructor(peer) {
+        this.peer = peer;
+        this.docs = [];
+        this.postings = new Map(); // token -> Map(doc index -> term count)
+        this.indexedMessages = 0; // next msg/<n> to index
+        this.indexedDone = new Map(); // bot -> process_seq as of the last pass (every seq up to it looked at)
+        this.indexedAhead = new Map(); // bot -> Set of seqs above it already indexed (answered out of order)
+        this.updating = null;
+        this.unsubscribe = [];
+    }
+
+    // Keep the index warm from view events (optional; queries catch up on their own)
+    attach(events) {
+        if (this.unsubscribe.length > 0) return;
+        const refresh = () => { this.update().catch(() => {}); };
+        this.unsubscribe.push(events.subscribe('messages', refresh));
+        this.unsubscribe.push(events.subscribe('queue', refresh));
+    }
+
+    detach() {
+        for (const fn of this.unsubscribe) fn();
+        this.unsubscribe = [];
+    }
+
+    add(doc, text) {
+        const index = this.docs.length;
+        this.docs.push(doc);
+        for (const token of tokenize(text)) {
+            let posting = this.postings.get(token);
+            if (posting === undefined) {
+                posting = new Map();
+                this.postings.set(token, posting);
+            }
+            posting.set(index, (posting.get(index) || 0) + 1);
+        }
+    }
+
+    // Index everything appended since the last update; concurrent callers share one pass
+    async update() {
+        if (this.updating === null) {
+            this.updating = this.catchUp().finally(() => { this.updating = null; });
+        }
+        return await this.updating;
+    }
+
+    async catchUp() {
+        const view = this.peer.base.view;
+        const lenObj = await view.get('msgl');
+        const msgl = lenObj !== null ? parseInt(lenObj.value) : 0;
+        if (!isNaN(msgl) && msgl > this.indexedMessages) {
+            for (const m of await readMessages(view, this.indexedMessages, msgl)) {
+                if (m.deleted_by !== null && m.deleted_by !== undefined) continue;
+                const ai = Array.isArray(m.attachments) && m.attachments.indexOf('ai-reply') !== -1;
+                this.add({ kind: 'msg', id: m.id, address: m.address, ts: m.ts, ai, text: m.msg }, m.msg);
+            }
+            this.indexedMessages = msgl;
+        }
+        // Answered prompts of every bot; fast-forwarded seqs have no done entry and are simply skipped.
+        // The fair scheduler answers out of order, so seqs above process_seq up to message_seq are looked at
+        // on every pass until the pointer passes them
+        const botsObj = await view.get('ai/bots');
+        for (const bot of botNames(botsObj !== null ? botsObj.value : null)) {
+            const keys = botKeys(bot);
+            const psObj = await view.get(keys.process_seq);
+            const msObj = await view.get(keys.message_seq);
+            const processSeq = psObj !== null ? parseInt(psObj.value) : 0;
+            const messageSeq = msObj !== null ? parseInt(msObj.value) : 0;
+            if (isNaN(processSeq) || isNaN(messageSeq)) continue;
+            if (!this.indexedAhead.has(bot)) this.indexedAhead.set(bot, new Set());
+            const ahead = this.indexedAhead.get(bot);
+            for (let seq = (this.indexedDone.get(bot) || 0) + 1; seq <= Math.max(processSeq, messageSeq); seq++) {
+                if (seq <= processSeq) this.indexedDone.set(bot, seq);
+                if (ahead.has(seq)) {
+                    if (seq <= processSeq) ahead.delete(seq);
+                    continue;
+                }
+                const doneObj = await view.get(keys.done + seq);
+                const d = doneObj !== null ? doneObj.value : null;
+                if (d && (typeof d.prompt === 'string' || typeof d.reply === 'string')) {
+                    const prompt = typeof d.prompt === 'string' ? d.prompt : '';
+                    const reply = typeof d.reply === 'string' ? d.reply : '';
+                    this.add({
+                        kind: 'qa', bot, seq, id: Number.isInteger(d.msg_id) ? d.msg_id : null, address: d.from,
+                        ts: typeof d.timestamp === 'number' ? d.timestamp : null, ai: true, text: 'Q: ' + prompt + '\nA: ' + reply
+                    }, prompt + '\n' + reply);
+                    if (seq > processSeq) ahead.add(seq);
+                }
+            }
+        }
+    }
+
+    /**
+     * @param query words to look for; every word must match (the last one also as a prefix, for search-as-you-type)
+     * @param options { user: address filter, ai_only: AI replies and Q/A records only, limit: max hits (default 20) }
+     * @returns {Promise<Array<{kind: string, id: (number|null), seq: (number|undefined), bot: (string|undefined), address: string, ts: (number|null), score: number, snippet: string}>>}
+     *          newest first among equally good hits; id is the message index to jump to (null for old Q/A records without one);
+     *          bot is set on Q/A hits of named bots
+     */
+    async search(query, options = {}) {
+        await this.update();
+        const terms = tokenize(query);
+        if (terms.length === 0) return [];
+        const limit = (!isNaN(parseInt(options.limit))) ? Math.max(1, parseInt(options.limit)) : 20;
+        let scores = null;
+        terms.forEach((term, n) => {
+            const matches = new Map();
+            const collect = (posting) => { for (const [doc, count] of posting) matches.set(doc, (matches.get(doc) || 0) + count); };
+            if (this.postings.has(term)) collect(this.postings.get(term));
+            if (n === terms.length - 1) {
+                for (const [token, posting] of this.postings) {
+                    if (token !== term && token.startsWith(term)) collect(posting);
+                }
+            }
+            if (scores === null) {
+                scores = matches;
+            } else {
+                const next = new Map();
+                for (const [doc, score] of scores) {
+                    if (matches.has(doc)) next.set(doc, score + matches.get(doc));
+                }
+                scores = next;
+            }
+        });
+        const hits = [];
+        for (const [index, score] of scores) {
+            const doc = this.docs[index];
+            if (options.user && doc.address !== options.user) continue;
+            if (options.ai_only && !doc.ai) continue;
+            hits.push({ index, score });
+        }
+        hits.sort((a, b) => (b.score - a.score) || (b.index - a.index));
+        return hits.slice(0, limit).map(({ index, score }) => {
+            const doc = this.docs[index];
+            const hit = { kind: doc.kind, id: doc.id, address: doc.address, ts: doc.ts, score, snippet: snippet(doc.text, terms) };
+            if (doc.kind === 'qa') hit.seq = doc.seq;
+            if (doc.kind === 'qa' && doc.bot !== DEFAULT_BOT) hit.bot = doc.bot;
+            return hit;
+        });
+    }
+}
+
+export default SearchIndex;
@@ -0,0 +1,135 @@
+// Change notifications over the Autobase view for UIs (see AiChatProtocol api.subscribe).
+// Autobase emits 'update' after every apply; each update schedules one coalesced check that compares
+// a few watched keys against the last check. A slow timer runs the same check as a fallback.
+//
+// Topics:
+// - messages: { from, to } new message indices [from, to) appended to msg/<n>
+// - queue:    { message_seq, process_seq, random_message_seq, random_process_seq, bots: { <name>: { message_seq, process_seq } } }
+//             on any pointer change, named bots' included
+// - feature:  { key, value } when a feature- or admin-written key changes (summaries, AI settings, prompt templates, bots, oracle workers, moderation rules, rate limits)
+
+import {DEFAULT_BOT, botKeys, botNames} from '../shared/bots.js';
+
+const QUEUE_KEYS = ['message_seq', 'process_seq', 'random_message_seq', 'random_process_seq'];
+const FEATURE_KEYS = ['ai/summary', 'ai/config', 'ai/random_config', 'ai/templates', 'ai/bots', 'ai/workers', 'ai/moderation', 'rl/policy', 'rl/tiers'];
+const TOPICS = ['messages', 'queue', 'feature'];
+
+export class ViewEvents {
+
+    constructor(peer, options = {}) {
+        this.peer = peer;
+        this.fallbackMs = (!isNaN(parseInt(options.fallback_ms))) ? parseInt(options.fallback_ms) : 5_000;
+        this.listeners = new Map(TOPICS.map(topic => [topic, new Set()]));
+        this.started = false;
+        this.checking = null;
+        this.dirty = false;
+        this.timer = null;
+        this.onUpdate = () => { this.schedule(); };
+        // Last seen state; node seqs (not values) are compared so unchanged keys cost no decoding
+        this.seen = { msgl: null, nodes: new Map() };
+    }
+
+    /**
+     * @param topic one of messages, queue, feature
+     * @param fn listener, called with the topic payload
+     * @returns {function(): void} unsubscribe
+     */
+    subscribe(topic, fn) {
+        const set = this.listeners.get(topic);
+        if (set === undefined) throw new Error('ViewEvents: unknown topic "' + topic + '" (expected one of ' + TOPICS.join(', ') + ')');
+        set.add(fn);
+        this.start();
+        return () => {
+            set.delete(fn);
+            if (this.listenerCount() === 0) this.stop();
+        };
+    }
+
+    listenerCount() {
+        let n = 0;
+        for (const set of this.listeners.values()) n += set.size;
+        return n;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        if (this.peer.base && typeof this.peer.base.on === 'function') this.peer.base.on('update', this.onUpdate);
+        this.timer = setInterval(this.onUpdate, this.fallbackMs);
+        this.schedule();
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+        if (this.peer.base && typeof this.peer.base.off === 'function') this.peer.base.off('update', this.onUpdate);
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Coalesce bursts of updates: at most one check runs, plus one more if updates arrived meanwhile
+    schedule() {
+        if (this.checking !== null) {
+            this.dirty = true;
+            return;
+        }
+        this.checking = this.check().catch(() => {}).finally(() => {
+            this.checking = null;
+            if (this.dirty && this.started) {
+                this.dirty = false;
+                this.schedule();
+            }
+        });
+    }
+
+    emit(topic, payload) {
+        for (const fn of this.listeners.get(topic)) {
+            try { fn(payload); } catch(e) { console.log('ViewEvents listener error:', e?.message || e); }
+        }
+    }
+
+    async check() {
+        const view = this.peer.base.view;
+
+        const lenObj = await view.get('msgl');
+        const msgl = lenObj !== null ? parseInt(lenObj.value) : 0;
+        const length = isNaN(msgl) ? 0 : msgl;
+        // The first check only records the baseline; consumers load their initial window themselves
+        if (this.seen.msgl !== null && length > this.seen.msgl) this.emit('messages', { from: this.seen.msgl, to: length });
+        this.seen.msgl = length;
+
+        const botsObj = await view.get('ai/bots');
+        const namedBots = botNames(botsObj !== null ? botsObj.value : null).filter(bot => bot !== DEFAULT_BOT);
+
+        let queueChanged = false;
+        const pointer = async (key) => {
+            const obj = await view.get(key);
+            if (this.changed(key, obj)) queueChanged = true;
+            const value = obj !== null ? parseInt(obj.value) : 0;
+            return isNaN(value) ? 0 : value;
+        };
+        const queue = { bots: {} };
+        for (const key of QUEUE_KEYS) queue[key] = await pointer(key);
+        for (const bot of namedBots) {
+            const keys = botKeys(bot);
+            queue.bots[bot] = { message_seq: await pointer(keys.message_seq), process_seq: await pointer(keys.process_seq) };
+        }
+        if (queueChanged) this.emit('queue', queue);
+
+        for (const key of FEATURE_KEYS.concat(namedBots.map(bot => botKeys(bot).summary))) {
+            const obj = await view.get(key);
+            if (this.changed(key, obj)) this.emit('feature', { key, value: obj !== null ? obj.value : null });
+        }
+    }
+
+    // Whether a key's node differs from the last check (never true on the first sighting)
+    changed(key, obj) {
+        const seq = obj !== null ? obj.seq : null;
+        const known = this.seen.nodes.has(key);
+        const prev = this.seen.nodes.get(key);
+        this.seen.nodes.set(key, seq);
+        return known && prev !== seq;
+    }
+}
+
+export default ViewEvents;
@@ -2,6 +2,7 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { html } from 'htm/react';
 import { createRoot } from 'react-dom/client';
 import { app, setChatStatus, setAutoAddWriters, setNick } from "./index.js";
+import { findBotMention } from "./shared/bots.js";
 
 await app.ready();
 const peer = app.getPeer();
@@ -70,6 +71,83 @@ function useInterval(callback, delay) {
   }, [delay]);
 }
 
+// Local-only notice when one of my own prompts to @ai or a named bot was dropped by the contract (rate limit, empty prompt, ...)
+async function ownRejection(index, m){
+  if (m.address !== peer.wallet.publicKey || !api.getAiRejection || typeof m.msg !== 'string') return null;
+  try {
+    const botsObj = await peer.base.view.get('ai/bots');
+    if (findBotMention(m.msg.toLowerCase(), botsObj ? botsObj.value : null) === null) return null;
+    const rejection = await api.getAiRejection(index);
+    return rejection ? rejection.notice : null;
+  } catch(_) { return null }
+}
+
+// Thread root message id: from the contract's chat/by_msg index for AI turns, else the native reply_to link
+async function threadOf(index, m){
+  try {
+    const turn = await peer.base.view.get('chat/by_msg/' + index);
+    if (turn && turn.value && Number.isInteger(turn.value.thread)) return turn.value.thread;
+    if (Number.isInteger(m.reply_to)) {
+      const parentTurn = await peer.base.view.get('chat/by_msg/' + m.reply_to);
+      return (parentTurn && parentTurn.value && Number.isInteger(parentTurn.value.thread)) ? parentTurn.value.thread : m.reply_to;
+    }
+  } catch(_){}
+  return null;
+}
+
+// Group visible messages by thread, in order of each thread's first visible message.
+// Messages whose thread root is not loaded start their own group.
+function groupByThread(messages){
+  const groups = [];
+  const byRoot = new Map();
+  for (const item of messages) {
+    const root = (item.thread !== null && item.thread !== undefined && item.thread !== item.id) ? item.thread : item.id;
+    let group = byRoot.get(root);
+    if (!group) {
+      group = { root, items: [] };
+      byRoot.set(root, group);
+      groups.push(group);
+    }
+    group.items.push(item);
+  }
+  return groups;
+}
+
+// Messages [from, to) as list items, including my own dropped-prompt notices and thread roots
+async function loadMessages(from, to){
+  let list = [];
+  if (api.getMessages) {
+    list = await api.getMessages(from, to);
+  } else {
+    for (let i = from; i < to; i++) {
+      let m = null;
+      try { m = await api.getMessage(i, false); } catch(_) { m = null }
+      if (m && m.dispatch && m.dispatch.msg !== undefined) m = m.dispatch;
+      if (m && m.msg !== undefined) {
+        const tsObj = await peer.base.view.get('msgts/' + i);
+        list.push({ ...m, id: i, ts: tsObj && typeof tsObj.value === 'number' ? tsObj.value : null });
+      }
+    }
+  }
+  return await Promise.all(list.map(async m => ({
+    id: m.id, msg: m.msg, address: m.address, attachments: m.attachments || [], ts: typeof m.ts === 'number' ? m.ts : null,
+    rejection: await ownRejection(m.id, m), thread: await threadOf(m.id, m)
+  })));
+}
+
+// Subscribe to protocol view events (api.subscribe); the latest callback is always used, like useInterval
+function useViewEvent(topic, callback) {
+  const savedRef = useRef();
+  useEffect(() => { savedRef.current = callback }, [callback]);
+  useEffect(() => {
+    if (!api.subscribe) return;
+    return api.subscribe(topic, (payload) => savedRef.current && savedRef.current(payload));
+  }, [topic]);
+}
+
+// With view events, polling is only a slow safety net (local oracle state such as the endpoint is not in the view)
+const liveEvents = !!api.subscribe;
+
 function usePeerState(peer){
   const [state, setState] = useState({
     loading: true,
@@ -84,9 +162,11 @@ function usePeerState(peer){
     messageCount: 0,
     messages: [],
     lastFetched: 0,
-    diag: { process_seq: 0, message_seq: 0, backlog: 0, next_pending: null, ai: null },
+    diag: { process_seq: 0, message_seq: 0, backlog: 0, next_pending: null, ai: null, quota: null, bots: [] },
+    randomConfig: { enabled: true, divisor: 20 },
     historyWindow: 64,
-    extraLoaded: 0
+    extraLoaded: 0,
+    typing: null
   });
 
   // One-shot load
@@ -110,7 +190,7 @@ function usePeerState(peer){
   // Prime data immediately on mount for faster first paint
   useEffect(() => { (async () => { try { await fetchMessages(); await refreshDiag(); } catch(_){} })() }, []);
 
-  // Incremental message fetcher
+  // Incremental message fetcher: batched range reads for new messages and for history when the window grows
   const fetchMessages = useCallback(async function() {
       try {
         // Prefer unsigned view for real-time updates; signed may lag slightly
@@ -122,47 +202,31 @@ function usePeerState(peer){
         const windowSize = Math.max(1, Math.min(1024, (state.historyWindow || 64) + (state.extraLoaded || 0)));
         const targetStart = Math.max(0, messageCount - windowSize);
         const current = state.messages || [];
-        const have = current.length;
-        const currentStart = have > 0 ? current[0].id : null;
-        const currentEnd = have > 0 ? current[have - 1].id : null;
+        const currentStart = current.length > 0 ? current[0].id : null;
 
         // No change in total and start index — skip heavy work
         if (messageCount === state.lastFetched && currentStart === targetStart) {
           return;
         }
 
-        let items = current.slice();
-        // 1) Append new items if the log grew
-        if (messageCount > state.lastFetched) {
-          for (let i = state.lastFetched; i < messageCount; i++) {
-            let m = null;
-            try { m = await api.getMessage(i, false); } catch(_) { m = null }
-            if (m && m.dispatch && m.dispatch.msg !== undefined) m = m.dispatch;
-          if (m && m.msg !== undefined) {
-            items.push({ id: i, msg: m.msg, address: m.address, attachments: m.attachments || [], ts: null });
-          }
-          }
-        }
-        // 2) Prepend older items if window expanded to the left
-        if (currentStart === null || targetStart < currentStart) {
-          const from = targetStart;
-          const to = (currentStart === null) ? (messageCount - 1) : (currentStart - 1);
-          const older = [];
-          for (let i = from; i <= to; i++) {
-            let m = null;
-            try { m = await api.getMessage(i, false); } catch(_) { m = null }
-            if (m && m.dispatch && m.dispatch.msg !== undefined) m = m.dispatch;
-            if (m && m.msg !== undefined) {
-              older.push({ id: i, msg: m.msg, address: m.address, attachments: m.attachments || [], ts: null });
-            }
-          }
-          items = older.concat(items);
+        const ranges = [];
+        // 1) New items if the log grew
+        if (messageCount > state.lastFetched) ranges.push([Math.max(state.lastFetched, targetStart), messageCount]);
+        // 2) Older items if the window expanded to the left
+        if (currentStart === null || targetStart < currentStart) ranges.push([targetStart, currentStart === null ? messageCount : currentStart]);
+        const loaded = [];
+        for (const [from, to] of ranges) {
+          if (to > from) loaded.push(...await loadMessages(from, to));
         }
-        // 3) Trim to target window from the right if needed
-        if (items.length > windowSize) {
-          items = items.slice(-windowSize);
-        }
-        setState(s => ({...s, messageCount, messages: items, lastFetched: messageCount }));
+        // Merge by id so overlapping fetches (events arriving mid-fetch) never duplicate items,
+        // then trim to the target window
+        setState(s => {
+          const byId = new Map();
+          for (const m of s.messages) byId.set(m.id, m);
+          for (const m of loaded) byId.set(m.id, m);
+          const items = Array.from(byId.values()).filter(m => m.id >= targetStart).sort((a, b) => a.id - b.id).slice(-windowSize);
+          return {...s, messageCount: Math.max(s.messageCount, messageCount), messages: items, lastFetched: Math.max(s.lastFetched, messageCount) };
+        });
       } catch(e){
         // ignore fetch errors to keep UI alive
       }
@@ -181,11 +245,35 @@ function usePeerState(peer){
         const pendingObj = await peer.base.view.get(nextKey);
         const aiFeat = peer.protocol_instance.features?.ai;
         const ai = aiFeat ? { endpoint: aiFeat.endpoint, model: aiFeat.model } : null;
-        setState(s => ({...s, diag: { process_seq, message_seq, backlog, next_pending: pendingObj?.value || null, ai } }));
+        const randomConfigObj = await peer.base.view.get('ai/random_config');
+        const randomConfig = randomConfigObj?.value || { enabled: true, divisor: 20 };
+        const quota = api.getAiQuota ? await api.getAiQuota() : null;
+        // Named bots have their own queue pointers under bot/<name>/
+        const bots = [];
+        for (const name of Object.keys(api.getAiBots ? await api.getAiBots() : {}).sort()) {
+          const botMs = await peer.base.view.get('bot/' + name + '/message_seq');
+          const botPs = await peer.base.view.get('bot/' + name + '/process_seq');
+          const ms = botMs ? parseInt(botMs.value) : 0;
+          const ps = botPs ? parseInt(botPs.value) : 0;
+          bots.push({ name, backlog: (!isNaN(ms) && !isNaN(ps)) ? (ms - ps) : 0 });
+        }
+        setState(s => ({...s, randomConfig, diag: { process_seq, message_seq, backlog, next_pending: pendingObj?.value || null, ai, quota, bots } }));
       } catch(_){}
     }
   }, []);
 
+  // Provisional AI reply (partial streamed text on the oracle peer, bare indicator elsewhere)
+  const refreshTyping = useCallback(async () => {
+    try {
+      const typing = api.getAiTyping ? await api.getAiTyping() : null;
+      setState(s => {
+        const prev = s.typing;
+        if (prev === typing || (prev && typing && prev.bot === typing.bot && prev.seq === typing.seq && prev.text === typing.text)) return s;
+        return { ...s, typing };
+      });
+    } catch(_){}
+  }, []);
+
   const refreshMyNick = useCallback(async () => {
     try {
       const nickVal = await api.getNick(peer.wallet.publicKey, true);
@@ -194,12 +282,28 @@ function usePeerState(peer){
     } catch(_){}
   }, []);
 
-  // Poll: messages more frequently, diagnostics less frequently
-  useInterval(() => { fetchMessages(); }, 1200);
-  useInterval(() => { refreshDiag(); }, 2500);
+  // A larger window ("Load older") needs a fetch even when no new message arrives
+  useEffect(() => { fetchMessages(); }, [state.extraLoaded]);
+
+  // Push: react to view changes as they are applied
+  useViewEvent('messages', () => { fetchMessages(); });
+  useViewEvent('queue', () => { refreshDiag(); });
+  useViewEvent('feature', () => { refreshDiag(); });
+
+  // Poll: only as a fallback without view events; typing is oracle-local state and always polled
+  useInterval(() => { fetchMessages(); }, liveEvents ? null : 1200);
+  useInterval(() => { refreshDiag(); }, liveEvents ? 10_000 : 2500);
+  useInterval(() => { refreshTyping(); }, 500);
 
   const incWindow = (delta = 64) => setState(s => ({ ...s, extraLoaded: Math.max(0, (s.extraLoaded||0) + delta) }));
-  return [state, setState, { fetchMessages, refreshDiag, incWindow, refreshMyNick }];
+  // Grow the window so message <id> is loaded; false if it is older than the 1024-message window allows
+  const ensureLoaded = (id) => {
+    const needed = state.messageCount - id;
+    if (needed > 1024) return false;
+    setState(s => ({ ...s, extraLoaded: Math.max(s.extraLoaded || 0, needed - (s.historyWindow || 64)) }));
+    return true;
+  };
+  return [state, setState, { fetchMessages, refreshDiag, incWindow, ensureLoaded, refreshMyNick, refreshTyping }];
 }
 
 function StatusBar({ state }){
@@ -262,18 +366,74 @@ function fmtTime(ts){
   } catch(_) { return '' }
 }
 
-function MessageList({ messages, nicks, renderMarkdown }){
+function fmtDay(ts){
+  try {
+    return new Date(ts).toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+  } catch(_) { return '' }
+}
+
+function dayKeyOf(ts){
+  const d = new Date(ts);
+  return d.getFullYear() + '-' + d.getMonth() + '-' + d.getDate();
+}
+
+// "just now", "5 min ago", "3 h ago"; older messages only show their time (the day separator has the date)
+function fmtAgo(ts, now){
+  const diff = Math.max(0, now - ts);
+  if (diff < 60_000) return 'just now';
+  if (diff < 3_600_000) return Math.floor(diff / 60_000) + ' min ago';
+  if (diff < 86_400_000) return Math.floor(diff / 3_600_000) + ' h ago';
+  return '';
+}
+
+// Flatten thread groups into rendered rows, with a day separator whenever a group starts on a new day
+function buildRows(messages){
+  const rows = [];
+  let lastDay = null;
+  for (const group of groupByThread(messages)) {
+    const first = group.items[0];
+    if (first.ts) {
+      const day = dayKeyOf(first.ts);
+      if (day !== lastDay) {
+        rows.push({ kind: 'day', key: 'day-' + first.id, label: fmtDay(first.ts) });
+        lastDay = day;
+      }
+    }
+    group.items.forEach((item, n) => rows.push({ kind: 'msg', key: item.id, item, root: group.root, nested: n > 0 || group.root !== item.id }));
+  }
+  return rows;
+}
+
+function MessageList({ messages, nicks, renderMarkdown, typing, focus }){
+  // Re-render relative times ("x min ago") twice a minute
+  const [now, setNow] = useState(Date.now());
+  useInterval(() => setNow(Date.now()), 30_000);
   const listRef = useRef(null);
   const bottomRef = useRef(null);
   const htmlCacheRef = useRef(new Map()); // id -> rendered HTML (bounded to visible messages)
   const [autoFollow, setAutoFollow] = useState(true);
   const [showNew, setShowNew] = useState(false);
   const atBottom = (el) => (el.scrollHeight - el.scrollTop - el.clientHeight) <= 100;
+  // A search hit to scroll to; auto-follow stays out of the way until it has been shown
+  const pendingFocusRef = useRef(null);
+  useEffect(() => { pendingFocusRef.current = focus || null; }, [focus]);
+  useEffect(() => {
+    const el = listRef.current;
+    if (!focus || !el || pendingFocusRef.current !== focus) return;
+    const target = el.querySelector(`[data-msg-id="${focus.id}"]`);
+    if (!target) return; // not loaded yet; runs again when the window grows
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      try { target.scrollIntoView({ block: 'center' }); } catch(_){}
+      setAutoFollow(false);
+      pendingFocusRef.current = null;
+    }));
+  }, [focus, messages]);
   // After new messages render, if following, scroll to bottom (double RAF for layout stability)
   useEffect(() => {
     const el = listRef.current;
     if (!el) return;
     const doScroll = () => {
+      if (pendingFocusRef.current) return;
       if (autoFollow || atBottom(el)) {
         try { bottomRef.current && bottomRef.current.scrollIntoView({ block: 'end' }); } catch(_){}
         try { el.scrollTo({ top: el.scrollHeight, behavior: 'auto' }); } catch(_) { el.scrollTop = el.scrollHeight; }
@@ -283,7 +443,7 @@ function MessageList({ messages, nicks, renderMarkdown }){
       }
     };
     requestAnimationFrame(() => requestAnimationFrame(doScroll));
-  }, [messages.length, autoFollow]);
+  }, [messages.length, autoFollow, typing ? typing.text.length : -1]);
   useEffect(() => {
     const el = listRef.current;
     if (!el) return;
@@ -336,20 +496,41 @@ function MessageList({ messages, nicks, renderMarkdown }){
     setAutoFollow(true);
     setShowNew(false);
   };
+  const renderItem = ({ key, item, root, nested }) => html`
+    <div key=${key} data-msg-id=${item.id} style=${{
+      ...(nested ? { marginBottom: '.5rem', marginLeft: '1rem', paddingLeft: '.5rem', borderLeft: '2px solid #2a2' } : { marginBottom: '.5rem' }),
+      ...(focus && focus.id === item.id ? { background: '#1d3a1d' } : {})
+    }}>
+      <div style=${{ color: '#8ad94f' }}>
+        ${nicks[item.address] || shortAddr(item.address)}
+        <span style=${{ color: '#4a7a2a', marginLeft: '.5rem' }}>#${item.id}</span>
+        ${root !== item.id ? html`<span style=${{ color: '#4a7a2a', marginLeft: '.5rem' }}>↳ thread #${root}</span>` : null}
+        ${item.ts
+          ? html`<span title=${new Date(item.ts).toLocaleString()} style=${{ color: '#7aa93f', marginLeft: '.5rem' }}>[${fmtTime(item.ts)}${fmtAgo(item.ts, now) ? ' · ' + fmtAgo(item.ts, now) : ''}]</span>`
+          : html`<span title="Sent before the timer feature started; no trusted timestamp" style=${{ color: '#4a7a2a', marginLeft: '.5rem' }}>[time unknown]</span>`}
+      </div>
+      ${renderMarkdown
+        ? html`<div dangerouslySetInnerHTML=${{ __html: (function(){ const c = htmlCacheRef.current; if (c.has(item.id)) return c.get(item.id); const v = mdToHtml(item.msg); c.set(item.id, v); return v; })() }} />`
+        : html`<div style=${{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>${item.msg}</div>`}
+      ${item.rejection ? html`<div title="Only visible to you" style=${{ color: 'tomato', fontSize: '.85rem' }}>AI skipped this prompt: ${item.rejection}</div>` : null}
+    </div>
+  `;
   return html`
     <div style=${{ position: 'relative', display: 'flex', flexDirection: 'column', flex: 1, minHeight: 0 }}>
       <div id="messages" ref=${listRef} style=${{ flex: 1, minHeight: 0, overflowY: 'auto' }}>
-        ${messages.map(item => html`
-          <div key=${item.id} style=${{ marginBottom: '.5rem' }}>
+        ${buildRows(messages).map(row => row.kind === 'day' ? html`
+          <div key=${row.key} style=${{ textAlign: 'center', color: '#4a7a2a', margin: '.5rem 0', fontSize: '.85rem' }}>── ${row.label} ──</div>
+        ` : renderItem(row))}
+        ${typing ? html`
+          <div key="ai-typing" style=${{ marginBottom: '.5rem', opacity: .7 }}>
             <div style=${{ color: '#8ad94f' }}>
-              ${nicks[item.address] || shortAddr(item.address)}
-              ${item.ts ? html`<span style=${{ color: '#7aa93f', marginLeft: '.5rem' }}>[${fmtTime(item.ts)}]</span>` : null}
+              ${typing.bot && typing.bot !== 'ai' ? '@' + typing.bot : 'AI'}
+              <span style=${{ color: '#7aa93f', marginLeft: '.5rem' }}>[${typing.local ? 'typing…' : 'working on a reply…'}]</span>
+            </div>
+            <div style=${{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontStyle: 'italic' }}>
+              @${nicks[typing.from] || shortAddr(typing.from)} ${typing.text}
             </div>
-            ${renderMarkdown
-              ? html`<div dangerouslySetInnerHTML=${{ __html: (function(){ const c = htmlCacheRef.current; if (c.has(item.id)) return c.get(item.id); const v = mdToHtml(item.msg); c.set(item.id, v); return v; })() }} />`
-              : html`<div style=${{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>${item.msg}</div>`}
-          </div>
-        `)}
+          </div>` : null}
         <div ref=${bottomRef} style=${{ height: '1px' }}></div>
       </div>
       ${showNew ? html`
@@ -361,6 +542,92 @@ function MessageList({ messages, nicks, renderMarkdown }){
   `;
 }
 
+// Search chat history and AI answers (local index, see AiChatProtocol api.search); clicking a hit jumps to it
+function SearchBox({ onJump }){
+  const [query, setQuery] = useState('');
+  const [aiOnly, setAiOnly] = useState(false);
+  const [mine, setMine] = useState(false);
+  const [hits, setHits] = useState(null);
+  const [msg, setMsg] = useState('');
+  if (!api.search) return null;
+  const run = async () => {
+    setMsg('');
+    if (!query.trim()) { setHits(null); return; }
+    try {
+      setHits(await api.search(query, { ai_only: aiOnly, user: mine ? peer.wallet.publicKey : undefined, limit: 20 }));
+    } catch(e){ setMsg(e?.message || 'Search failed') }
+  };
+  const jump = (hit) => {
+    if (hit.id === null) { setMsg('This answer predates message links; search the message text instead'); return; }
+    setMsg(onJump(hit.id) ? '' : 'Message #' + hit.id + ' is too old to load');
+  };
+  return html`
+    <div style=${{ marginBottom: '.5rem' }}>
+      <div style=${{ display: 'flex', alignItems: 'center', gap: '.5rem', flexWrap: 'wrap' }}>
+        <input value=${query} onInput=${e => setQuery(e.target.value)} onKeyDown=${e => { if (e.key === 'Enter') run(); }}
+          placeholder=${'Search messages and AI answers'} style=${{ padding: '.25rem .5rem', flex: 1, minWidth: '12rem' }} />
+        <label><input type="checkbox" checked=${aiOnly} onChange=${e => setAiOnly(e.target.checked)} /> AI only</label>
+        <label><input type="checkbox" checked=${mine} onChange=${e => setMine(e.target.checked)} /> Mine</label>
+        <button onClick=${run}>Search</button>
+        ${hits ? html`<button onClick=${() => { setHits(null); setQuery(''); }}>Clear</button>` : null}
+      </div>
+      ${msg ? html`<div style=${{ color: 'tomato' }}>${msg}</div>` : null}
+      ${hits ? html`
+        <div style=${{ maxHeight: '10rem', overflowY: 'auto', borderBottom: '1px dashed #2a2', marginTop: '.25rem' }}>
+          ${hits.length === 0 ? html`<div>No matches</div>` : hits.map(hit => html`
+            <div key=${hit.kind + ':' + (hit.bot || '') + ':' + (hit.seq ?? hit.id)} onClick=${() => jump(hit)} style=${{ cursor: 'pointer', padding: '.15rem 0' }}>
+              <span style=${{ color: '#4a7a2a' }}>${hit.kind === 'qa' ? (hit.bot ? '@' + hit.bot + ' Q/A' : 'Q/A') : ''} ${hit.id !== null ? '#' + hit.id : ''}</span>
+              ${hit.ts ? html`<span style=${{ color: '#7aa93f', marginLeft: '.5rem' }}>[${fmtDay(hit.ts)} ${fmtTime(hit.ts)}]</span>` : null}
+              <span style=${{ marginLeft: '.5rem' }}>${hit.snippet}</span>
+            </div>`)}
+        </div>` : null}
+    </div>
+  `;
+}
+
+// Download the loaded messages (or every answered prompt) as JSON Lines or Markdown; see export-viewer.js for reading them back
+function ExportPanel({ messages }){
+  const [format, setFormat] = useState('jsonl');
+  const [scope, setScope] = useState('loaded');
+  const [msg, setMsg] = useState('');
+  if (!api.exportChat) return null;
+  const run = async () => {
+    try {
+      setMsg('');
+      const options = { format, done: scope === 'done' };
+      if (scope === 'loaded') {
+        if (messages.length === 0) { setMsg('No messages loaded'); return; }
+        options.from = messages[0].id;
+        options.to = messages[messages.length - 1].id;
+      }
+      const result = await api.exportChat(options);
+      const blob = new Blob([result.content], { type: format === 'md' ? 'text/markdown' : 'application/x-ndjson' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'chat-export-' + new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-') + '.' + format;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 10_000);
+      setMsg('Exported ' + result.count + ' records');
+    } catch(e){ setMsg(e?.message || 'Export failed') }
+  };
+  return html`
+    <span style=${{ display: 'inline-flex', alignItems: 'center', gap: '.5rem', marginLeft: '.5rem' }}>
+      <select value=${scope} onChange=${e => setScope(e.target.value)}>
+        <option value="loaded">Loaded messages</option>
+        <option value="all">All messages</option>
+        <option value="done">All AI answers</option>
+      </select>
+      <select value=${format} onChange=${e => setFormat(e.target.value)}>
+        <option value="jsonl">JSON Lines</option>
+        <option value="md">Markdown</option>
+      </select>
+      <button onClick=${run}>Export</button>
+      ${msg ? html`<span>${msg}</span>` : null}
+    </span>
+  `;
+}
+
 function Composer({ onSend, disabled }){
   const [text, setText] = useState('');
   const [error, setError] = useState('');
@@ -383,7 +650,7 @@ function Composer({ onSend, disabled }){
     <div id="message-form">
       <textarea id="message" rows="2" value=${text} ref=${taRef}
         onInput=${e => setText(e.target.value)} onKeyDown=${onKeyDown}
-        placeholder=${'Type a message. Use @ai to ask the bot.'} style=${{ padding: '.5rem', fontFamily: 'monospace' }} />
+        placeholder=${'Type a message. Use @ai to ask the bot, @ai ^<id> to follow up on message #<id>.'} style=${{ padding: '.5rem', fontFamily: 'monospace' }} />
       <button onClick=${send} disabled=${disabled} style=${{ marginLeft: '.5rem' }}>Send</button>
       ${error ? html`<div style=${{ color: 'tomato', marginLeft: '.5rem' }}>${error}</div>` : null}
     </div>
@@ -393,6 +660,8 @@ function Composer({ onSend, disabled }){
 function AdminPanel({ state, actions }){
   const [busy, setBusy] = useState(false);
   const [err, setErr] = useState('');
+  const [divisor, setDivisor] = useState(String(state.randomConfig.divisor));
+  useEffect(() => { setDivisor(String(state.randomConfig.divisor)); }, [state.randomConfig.divisor]);
   if (!state.isAdmin || !state.writable) return null;
   const toggleChat = async (enabled) => {
     try { setBusy(true); setErr(''); await setChatStatus(`/set_chat_status --enabled ${enabled ? 1 : 0}`, actions.peer); actions.refresh(); }
@@ -402,8 +671,17 @@ function AdminPanel({ state, actions }){
     try { setBusy(true); setErr(''); await setAutoAddWriters(`/set_auto_add_writers --enabled ${enabled ? 1 : 0}`, actions.peer); actions.refresh(); }
     catch(e){ setErr(e?.message || 'toggle failed') } finally { setBusy(false) }
   };
+  const setRandom = async (flags) => {
+    try { setBusy(true); setErr(''); await peer.protocol_instance.customCommand(`/set_random_participation ${flags}`); actions.refresh(); }
+    catch(e){ setErr(e?.message || 'update failed') } finally { setBusy(false) }
+  };
+  const saveDivisor = () => {
+    const d = parseInt(divisor);
+    if (isNaN(d) || d < 1 || d > 1000) { setErr('Divisor must be 1-1000'); return; }
+    setRandom(`--divisor ${d}`);
+  };
   return html`
-    <div style=${{ marginBottom: '.5rem', display: 'flex', gap: '.5rem', alignItems: 'center' }}>
+    <div style=${{ marginBottom: '.5rem', display: 'flex', gap: '.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
       <b>Admin</b>
       <button disabled=${busy} onClick=${() => toggleChat(!state.chatEnabled)}>
         ${state.chatEnabled ? 'Disable Chat' : 'Enable Chat'}
@@ -411,17 +689,62 @@ function AdminPanel({ state, actions }){
       <button disabled=${busy} onClick=${() => toggleAutoAdd(!state.autoAddWriters)}>
         ${state.autoAddWriters ? 'Disable Auto-Add' : 'Enable Auto-Add'}
       </button>
+      <button disabled=${busy} onClick=${() => setRandom(`--enabled ${state.randomConfig.enabled ? 0 : 1}`)}>
+        ${state.randomConfig.enabled ? 'Disable Random Replies' : 'Enable Random Replies'}
+      </button>
+      <label title="About 1 in N untagged messages per minute get an unprompted reply">1 in</label>
+      <input value=${divisor} onInput=${e => setDivisor(e.target.value)} style=${{ width: '3rem' }} />
+      <button disabled=${busy} onClick=${saveDivisor}>Set</button>
       ${err ? html`<span style=${{ color: 'tomato' }}>${err}</span>` : null}
     </div>
   `;
 }
 
+// What the AI remembers about me (ai/user/<me>), with a button to wipe it
+function MemoryPanel(){
+  const [open, setOpen] = useState(false);
+  const [memory, setMemory] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState('');
+  const load = async () => {
+    try { setMemory(api.getAiMemory ? await api.getAiMemory() : null); } catch(_) { setMemory(null) }
+  };
+  useEffect(() => { if (open) load(); }, [open]);
+  useInterval(() => { if (open) load(); }, open ? 5000 : null);
+  const forget = async () => {
+    try {
+      setBusy(true); setMsg('');
+      const res = await peer.protocol_instance.tx({ command: JSON.stringify({ op: 'clear_ai_memory' }) });
+      const err = peer.protocol_instance.getError(res);
+      if (err !== null) throw err;
+      setMsg('Wipe requested; gone once confirmed');
+    } catch(e){
+      setMsg(e?.message || 'Wipe failed');
+    } finally { setBusy(false) }
+  };
+  return html`
+    <div style=${{ marginBottom: '.5rem' }}>
+      <button onClick=${() => setOpen(!open)}>${open ? 'Hide AI memory' : 'What does the AI remember about me?'}</button>
+      ${open ? html`
+        <div style=${{ marginTop: '.25rem', padding: '.25rem .5rem', border: '1px dashed #2a2' }}>
+          <div style=${{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>${memory ? memory.memory : 'Nothing stored about you.'}</div>
+          <div style=${{ fontSize: '.85rem', color: '#7aa93f' }}>Stored in contract state; every peer can read it.</div>
+          <button disabled=${busy || !memory} onClick=${forget} style=${{ marginTop: '.25rem' }}>Forget me</button>
+          ${msg ? html`<span style=${{ marginLeft: '.5rem' }}>${msg}</span>` : null}
+        </div>` : null}
+    </div>
+  `;
+}
+
 function DiagPane({ state, onRefresh }){
   return html`
     <div style=${{ marginTop: '.5rem', paddingTop: '.5rem', borderTop: '1px dashed #2a2', paddingBottom: '.75rem' }}>
       <div><b>Backlog:</b> ${state.diag.backlog} (msg_seq=${state.diag.message_seq}, proc_seq=${state.diag.process_seq})</div>
+      ${state.diag.bots.length > 0 ? html`<div><b>Bot backlogs:</b> ${state.diag.bots.map(b => '@' + b.name + ' ' + b.backlog).join(', ')}</div>` : null}
       <div><b>Next pending:</b> ${state.diag.next_pending ? JSON.stringify({ from: state.diag.next_pending.from, type: state.diag.next_pending.type }) : 'none'}</div>
       <div><b>AI:</b> ${state.diag.ai ? `${state.diag.ai.model} @ ${state.diag.ai.endpoint}` : 'feature not running on this peer'}</div>
+      ${state.diag.quota && !state.diag.quota.admin ? html`
+        <div><b>My @ai quota:</b> ${state.diag.quota.window_remaining ?? 'unlimited'}/${state.diag.quota.limits.window_max} per ${Math.round(state.diag.quota.limits.window_ms / 1000)}s, ${state.diag.quota.daily_remaining ?? 'unlimited'}/${state.diag.quota.limits.daily_max} today${state.diag.quota.notice ? ` (${state.diag.quota.notice})` : ''}</div>` : null}
       <button title="Refresh diagnostics and chat counters" style=${{ marginTop: '.25rem' }} onClick=${onRefresh}>Refresh</button>
     </div>
   `;
@@ -481,6 +804,14 @@ function ChatApp(){
   }
 
 
+  // Jump to a message (search hit): load enough history, then MessageList scrolls to and highlights it
+  const [focus, setFocus] = useState(null);
+  const jumpTo = (id) => {
+    if (!fns.ensureLoaded(id)) return false;
+    setFocus({ id, at: Date.now() });
+    return true;
+  };
+
   const refreshAll = async () => {
     await Promise.all([fns.fetchMessages(), fns.refreshDiag()]);
   };
@@ -490,10 +821,13 @@ function ChatApp(){
       ${html`<${StatusBar} state=${state} />`}
       ${html`<${NickEditor} state=${state} actions=${{ peer, refreshMyNick: fns.refreshMyNick }} />`}
       ${html`<${AdminPanel} state=${state} actions=${{ peer, refresh: refreshAll }} />`}
+      ${html`<${MemoryPanel} />`}
       <div style=${{ marginBottom: '.5rem' }}>
         <button onClick=${async () => { fns.incWindow(64); await fns.fetchMessages(); }} title="Load older messages">Load older</button>
+        ${html`<${ExportPanel} messages=${state.messages} />`}
       </div>
-      ${html`<${MessageList} messages=${state.messages} nicks=${nicks} renderMarkdown=${renderMarkdown} />`}
+      ${html`<${SearchBox} onJump=${jumpTo} />`}
+      ${html`<${MessageList} messages=${state.messages} nicks=${nicks} renderMarkdown=${renderMarkdown} typing=${state.typing} focus=${focus} />`}
       ${html`<${Composer} onSend=${sendMessage} disabled=${false} />`}
       ${html`<${DiagPane} state=${state} onRefresh=${async () => { await Promise.all([fns.refreshDiag(), fns.fetchMessages()]); }} />`}
       <div style=${{ marginTop: '.25rem', marginBottom: '1rem', fontSize: '.9rem' }}>
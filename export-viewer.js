@@ -0,0 +1,62 @@
+// Offline, read-only viewer for JSON Lines chat exports (/export or the desktop Export button).
+// Does not start a peer or touch the network:
+//
+//   node export-viewer.js chat.jsonl [--user <address or nick>] [--grep <text>] [--markdown]
+//
+// --markdown prints the (filtered) export as a Markdown transcript instead of the compact view.
+
+import fs from 'fs';
+import {parseJsonLines, toMarkdown} from './contract/export.js';
+
+function parseCli(argv) {
+    const opts = { file: null, user: null, grep: null, markdown: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--user') opts.user = argv[++i] || null;
+        else if (arg === '--grep') opts.grep = argv[++i] || null;
+        else if (arg === '--markdown') opts.markdown = true;
+        else if (opts.file === null) opts.file = arg;
+    }
+    return opts;
+}
+
+function matches(record, opts) {
+    if (opts.user !== null && record.address !== opts.user && record.nick !== opts.user) return false;
+    if (opts.grep !== null) {
+        const text = record.kind === 'qa' ? (record.prompt + '\n' + record.reply) : record.msg;
+        if (String(text).toLowerCase().indexOf(opts.grep.toLowerCase()) === -1) return false;
+    }
+    return true;
+}
+
+function line(record) {
+    const when = typeof record.ts === 'number' ? new Date(record.ts).toISOString().replace('T', ' ').slice(0, 16) : '--------- --:--';
+    const who = record.nick || (typeof record.address === 'string' ? record.address.slice(0, 8) : '?');
+    if (record.kind === 'qa') {
+        const bot = record.bot ? '@' + record.bot : 'AI';
+        return '[' + when + '] ' + (record.bot ? bot + ' ' : '') + 'Q/A #' + record.seq + ' ' + who + ': ' + record.prompt + '\n' + ' '.repeat(19) + bot + ': ' + record.reply;
+    }
+    return '[' + when + '] #' + record.id + ' ' + (record.ai ? 'AI' : who) + ': ' + record.msg;
+}
+
+const opts = parseCli(process.argv.slice(2));
+if (opts.file === null) {
+    console.log('usage: node export-viewer.js <export.jsonl> [--user <address or nick>] [--grep <text>] [--markdown]');
+    process.exit(1);
+}
+
+let parsed;
+try {
+    parsed = parseJsonLines(await fs.promises.readFile(opts.file, 'utf8'));
+} catch(e) {
+    console.log('Could not open export:', e?.message || e);
+    process.exit(1);
+}
+
+const records = parsed.records.filter(r => matches(r, opts));
+if (opts.markdown) {
+    console.log(toMarkdown(parsed.header, records));
+} else {
+    console.log('Export of ' + parsed.header.scope + ', ' + records.length + ' of ' + parsed.records.length + ' records shown');
+    for (const r of records) console.log(line(r));
+}
@@ -0,0 +1,204 @@
+// Request/response adapters for the model servers the AiOracle can talk to.
+// Every adapter takes the same neutral request ({ model, messages, max_tokens, temperature, top_p, stream })
+// so retries, byte budgets and trimming in AiOracle.start() stay backend-agnostic.
+// Chat backends with supportsTools also accept tools (OpenAI function definitions) and tool_choice, and
+// translate tool calls and tool results for AiOracle.completeWithTools.
+// parseUsage reads the token counts a server reports ({ prompt, completion }, or null if it reports none);
+// streamed events carry them as usage (on the last event, where the server sends any).
+// headers(apiKey) gives the headers the API needs on every request, auth included when a key is set.
+
+// Flatten chat messages into a single prompt for completion-style endpoints
+function toPrompt(messages) {
+  const lines = [];
+  for (const m of messages) {
+    lines.push(m.role + ': ' + m.content);
+  }
+  lines.push('assistant:');
+  return lines.join('\n\n');
+}
+
+// Only send top_p when configured so servers keep their own default otherwise
+function withTopP(body, req) {
+  if (typeof req.top_p === 'number') body.top_p = req.top_p;
+  return body;
+}
+
+// Only send tool definitions when there are some; servers without tool support may reject the field
+function withTools(body, req) {
+  if (Array.isArray(req.tools) && req.tools.length > 0) {
+    body.tools = req.tools;
+    if (typeof req.tool_choice === 'string') body.tool_choice = req.tool_choice;
+  }
+  return body;
+}
+
+// OpenAI-style servers only send usage on a stream when asked to (one last chunk without choices)
+function withUsage(body) {
+  if (body.stream) body.stream_options = { include_usage: true };
+  return body;
+}
+
+// Tool call arguments arrive as a JSON string (OpenAI) or an object (Ollama)
+function toolArguments(raw) {
+  if (raw !== null && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return (parsed !== null && typeof parsed === 'object') ? parsed : {};
+  } catch(_) {
+    return {};
+  }
+}
+
+// The OpenAI-style auth most servers accept (vLLM --api-key, llama.cpp --api-key, proxies in front of Ollama)
+function bearer(apiKey) {
+  return apiKey ? { Authorization: 'Bearer ' + apiKey } : {};
+}
+
+function usageOf(prompt, completion) {
+  if (!Number.isInteger(prompt) || !Number.isInteger(completion) || prompt < 0 || completion < 0) return null;
+  return { prompt, completion };
+}
+
+function openaiUsage(data) {
+  const usage = data && data.usage;
+  return usage ? usageOf(usage.prompt_tokens, usage.completion_tokens) : null;
+}
+
+function choiceText(data, field) {
+  const choice = data && data.choices && data.choices[0];
+  if (!choice) return '';
+  if (field === 'message') return (choice.message && choice.message.content) || '';
+  return choice.text || '';
+}
+
+const openaiChat = {
+  name: 'openai-chat',
+  defaultEndpoint: 'http://127.0.0.1:8000/v1/chat/completions',
+  streamFormat: 'sse',
+  authHeader: 'Authorization',
+  headers: bearer,
+  supportsTools: true,
+  buildBody(req) {
+    return withUsage(withTools(withTopP({ model: req.model, messages: req.messages, stream: !!req.stream, max_tokens: req.max_tokens, temperature: req.temperature }, req), req));
+  },
+  parseResponse(data) {
+    return choiceText(data, 'message');
+  },
+  parseUsage(data) {
+    return openaiUsage(data);
+  },
+  parseToolCalls(data) {
+    const message = data && data.choices && data.choices[0] && data.choices[0].message;
+    const calls = (message && Array.isArray(message.tool_calls)) ? message.tool_calls : [];
+    return calls.filter(c => c && c.function && typeof c.function.name === 'string')
+      .map((c, i) => ({ id: typeof c.id === 'string' ? c.id : 'call_' + i, name: c.function.name, arguments: toolArguments(c.function.arguments) }));
+  },
+  // The assistant turn that asked for the calls, echoed back before the results
+  toolCallMessage(data) {
+    const message = data.choices[0].message;
+    return { role: 'assistant', content: message.content || '', tool_calls: message.tool_calls };
+  },
+  toolResultMessage(call, content) {
+    return { role: 'tool', tool_call_id: call.id, content };
+  },
+  parseStreamEvent(evt) {
+    const choice = evt && evt.choices && evt.choices[0];
+    return { delta: (choice && choice.delta && choice.delta.content) || '', done: false, usage: openaiUsage(evt) };
+  }
+};
+
+const openaiCompletions = {
+  name: 'openai-completions',
+  defaultEndpoint: 'http://127.0.0.1:8000/v1/completions',
+  streamFormat: 'sse',
+  authHeader: 'Authorization',
+  headers: bearer,
+  supportsTools: false,
+  buildBody(req) {
+    return withUsage(withTopP({ model: req.model, prompt: toPrompt(req.messages), stream: !!req.stream, max_tokens: req.max_tokens, temperature: req.temperature }, req));
+  },
+  parseResponse(data) {
+    return choiceText(data, 'text');
+  },
+  parseUsage(data) {
+    return openaiUsage(data);
+  },
+  parseStreamEvent(evt) {
+    return { delta: choiceText(evt, 'text'), done: false, usage: openaiUsage(evt) };
+  }
+};
+
+// Ollama has no auth of its own; a key is only sent when api_key is set (e.g. behind a reverse proxy)
+const ollama = {
+  name: 'ollama',
+  defaultEndpoint: 'http://127.0.0.1:11434/api/chat',
+  streamFormat: 'ndjson',
+  authHeader: 'Authorization',
+  headers: bearer,
+  supportsTools: true,
+  buildBody(req) {
+    // Ollama has no tool_choice; its tools field is passed through as is
+    const body = { model: req.model, messages: req.messages, stream: !!req.stream, options: withTopP({ num_predict: req.max_tokens, temperature: req.temperature }, req) };
+    if (Array.isArray(req.tools) && req.tools.length > 0) body.tools = req.tools;
+    return body;
+  },
+  parseResponse(data) {
+    return (data && data.message && data.message.content) || '';
+  },
+  parseUsage(data) {
+    return data ? usageOf(data.prompt_eval_count, data.eval_count) : null;
+  },
+  parseToolCalls(data) {
+    const calls = (data && data.message && Array.isArray(data.message.tool_calls)) ? data.message.tool_calls : [];
+    return calls.filter(c => c && c.function && typeof c.function.name === 'string')
+      .map((c, i) => ({ id: 'call_' + i, name: c.function.name, arguments: toolArguments(c.function.arguments) }));
+  },
+  toolCallMessage(data) {
+    return { role: 'assistant', content: data.message.content || '', tool_calls: data.message.tool_calls };
+  },
+  toolResultMessage(call, content) {
+    return { role: 'tool', tool_name: call.name, content };
+  },
+  parseStreamEvent(evt) {
+    return { delta: (evt && evt.message && evt.message.content) || '', done: !!(evt && evt.done), usage: (evt && evt.done) ? this.parseUsage(evt) : null };
+  }
+};
+
+// llama.cpp server native endpoint; its --api-key option expects a Bearer token
+const llamacpp = {
+  name: 'llamacpp',
+  defaultEndpoint: 'http://127.0.0.1:8080/completion',
+  streamFormat: 'sse',
+  authHeader: 'Authorization',
+  headers: bearer,
+  supportsTools: false,
+  buildBody(req) {
+    return withTopP({ prompt: toPrompt(req.messages), stream: !!req.stream, n_predict: req.max_tokens, temperature: req.temperature, cache_prompt: true }, req);
+  },
+  parseResponse(data) {
+    return (data && typeof data.content === 'string') ? data.content : '';
+  },
+  parseUsage(data) {
+    return data ? usageOf(data.tokens_evaluated, data.tokens_predicted) : null;
+  },
+  parseStreamEvent(evt) {
+    return { delta: (evt && typeof evt.content === 'string') ? evt.content : '', done: !!(evt && evt.stop), usage: (evt && evt.stop) ? this.parseUsage(evt) : null };
+  }
+};
+
+const backends = {
+  'openai-chat': openaiChat,
+  'openai-completions': openaiCompletions,
+  'ollama': ollama,
+  'llamacpp': llamacpp
+};
+
+export function getBackend(name = 'openai-chat') {
+  const backend = backends[name];
+  if (backend === undefined) {
+    throw new Error('getBackend: unknown backend "' + name + '" (expected one of ' + Object.keys(backends).join(', ') + ')');
+  }
+  return backend;
+}
+
+export default backends;
@@ -0,0 +1,105 @@
+// Health-tracked list of model endpoints with priority-based failover.
+// Lower priority numbers are preferred. An endpoint is benched after failure_threshold consecutive
+// failures and stays out of rotation until its cooldown has elapsed and a recovery probe succeeds.
+
+export class EndpointPool {
+
+  constructor(list = [], options = {}) {
+    this.failureThreshold = (!isNaN(parseInt(options.failure_threshold))) ? Math.max(1, parseInt(options.failure_threshold)) : 2;
+    this.cooldownMs = (!isNaN(parseInt(options.cooldown_ms))) ? parseInt(options.cooldown_ms) : 30_000;
+    this.entries = [];
+    for (const item of list) {
+      const url = typeof item === 'string' ? item : (item && item.url);
+      if (typeof url !== 'string' || url === '') continue;
+      const priority = (item && !isNaN(parseInt(item.priority))) ? parseInt(item.priority) : this.entries.length;
+      this.entries.push({
+        url,
+        priority,
+        consecutive_failures: 0,
+        last_latency_ms: null,
+        avg_latency_ms: null,
+        last_error: null,
+        last_ok_at: null,
+        last_failure_at: null,
+        benched_until: 0,
+        bench_reason: null
+      });
+    }
+    if (this.entries.length === 0) throw new Error('EndpointPool: no endpoints configured');
+  }
+
+  find(url) {
+    return this.entries.find(e => e.url === url) || null;
+  }
+
+  isBenched(entry) {
+    return entry.bench_reason !== null;
+  }
+
+  allBenched() {
+    return this.entries.every(e => this.isBenched(e));
+  }
+
+  // Best endpoint in rotation: lowest priority value, then lowest average latency.
+  // If every endpoint is benched, fall back to the one whose cooldown ends first so calls still go out.
+  active() {
+    const ready = this.entries.filter(e => !this.isBenched(e));
+    if (ready.length > 0) {
+      ready.sort((a, b) => (a.priority - b.priority) || ((a.avg_latency_ms ?? Infinity) - (b.avg_latency_ms ?? Infinity)));
+      return ready[0];
+    }
+    return this.entries.slice().sort((a, b) => a.benched_until - b.benched_until)[0];
+  }
+
+  // Benched endpoints whose cooldown has elapsed and that should get a recovery probe
+  due(now = Date.now()) {
+    return this.entries.filter(e => this.isBenched(e) && e.benched_until <= now);
+  }
+
+  // True if some endpoint answered within the last ms
+  answeredWithin(ms, now = Date.now()) {
+    return this.entries.some(e => e.last_ok_at !== null && now - e.last_ok_at < ms);
+  }
+
+  reportSuccess(url, latencyMs) {
+    const entry = this.find(url);
+    if (entry === null) return;
+    entry.consecutive_failures = 0;
+    entry.last_ok_at = Date.now();
+    entry.last_latency_ms = latencyMs;
+    entry.avg_latency_ms = entry.avg_latency_ms === null ? latencyMs : Math.round(entry.avg_latency_ms * 0.8 + latencyMs * 0.2);
+    entry.benched_until = 0;
+    entry.bench_reason = null;
+  }
+
+  reportFailure(url, reason) {
+    const entry = this.find(url);
+    if (entry === null) return;
+    const now = Date.now();
+    entry.consecutive_failures++;
+    entry.last_error = reason || 'unknown';
+    entry.last_failure_at = now;
+    // A failed probe keeps the endpoint benched for another cooldown
+    if (this.isBenched(entry) || entry.consecutive_failures >= this.failureThreshold) {
+      entry.benched_until = now + this.cooldownMs;
+      entry.bench_reason = entry.consecutive_failures + ' consecutive failures, last: ' + entry.last_error;
+    }
+  }
+
+  snapshot() {
+    const active = this.active();
+    const now = Date.now();
+    return this.entries.map(e => ({
+      url: e.url,
+      priority: e.priority,
+      state: e === active ? 'active' : (this.isBenched(e) ? 'benched' : 'standby'),
+      reason: e.bench_reason,
+      retry_in_ms: this.isBenched(e) ? Math.max(0, e.benched_until - now) : null,
+      consecutive_failures: e.consecutive_failures,
+      last_latency_ms: e.last_latency_ms,
+      avg_latency_ms: e.avg_latency_ms
+    }));
+  }
+}
+
+export default EndpointPool;
@@ -1,5 +1,17 @@
 import {Feature} from 'trac-peer';
 import fetch from 'fetch';
+import b4a from 'b4a';
+import {getBackend} from './backends.js';
+import {EndpointPool} from './endpoints.js';
+import {ToolRegistry, BUILTIN_TOOLS} from './tools.js';
+import {readMessages} from '../../shared/messages.js';
+import {commandTemplates, commandHelp, templateUses, renderTemplate, argumentVars} from '../../shared/templates.js';
+import {DEFAULT_BOT, botKeys, botOfFeature, replyAttachments} from '../../shared/bots.js';
+import {workerJobKey, leaseActive} from '../../shared/workers.js';
+import {pickNextSeq} from '../../shared/scheduler.js';
+import {readModeration, applyModeration, isRefusal} from '../../shared/moderation.js';
+import {JobJournal} from './journal.js';
+import {metrics, serveMetrics, releaseMetrics} from './metrics.js';
 
 // Lightweight token counting with optional @dqbd/tiktoken
 async function createTokenizer() {
@@ -18,23 +30,130 @@ async function createTokenizer() {
   }
 }
 
+// Sum of two token usages ({ prompt, completion } or null)
+function addUsage(total, usage) {
+  if (usage === null || usage === undefined) return total;
+  if (total === null) return { ...usage };
+  return { prompt: total.prompt + usage.prompt, completion: total.completion + usage.completion };
+}
+
+// Read a streamed completion and call onDelta with the accumulated text after every content delta.
+// Framing follows the backend: SSE ("data: {...}" lines, optionally ending with "data: [DONE]") or
+// newline-delimited JSON (Ollama). A last line without a trailing newline still counts. Rejects if no
+// chunk arrives within idleMs. onUsage gets the token counts if the server reports them.
+export async function readChatStream(res, onDelta = null, idleMs = 30_000, backend = getBackend(), onUsage = null) {
+  const contentType = (res.headers && typeof res.headers.get === 'function') ? (res.headers.get('content-type') || '') : '';
+  const streamed = backend.streamFormat === 'ndjson'
+    ? contentType.indexOf('application/x-ndjson') !== -1
+    : contentType.indexOf('text/event-stream') !== -1;
+  if (!streamed || !res.body || typeof res.body.getReader !== 'function') {
+    // Server ignored stream: true and answered with a regular completion
+    const data = await res.json();
+    if (onUsage) onUsage(backend.parseUsage(data));
+    return backend.parseResponse(data);
+  }
+  const reader = res.body.getReader();
+  let pending = b4a.alloc(0);
+  let text = '';
+  let finished = false;
+  // One line of the stream; true once it ends the stream
+  const handleLine = (line) => {
+    let data = b4a.toString(line, 'utf8').trim();
+    if (backend.streamFormat === 'sse') {
+      if (!data.startsWith('data:')) return false;
+      data = data.slice(5).trim();
+      if (data === '[DONE]') return true;
+    } else if (data === '') {
+      return false;
+    }
+    let evt = null;
+    try { evt = JSON.parse(data); } catch(_) { return false; }
+    const { delta, done, usage } = backend.parseStreamEvent(evt);
+    if (usage && onUsage) onUsage(usage);
+    if (typeof delta === 'string' && delta.length > 0) {
+      text += delta;
+      if (onDelta) onDelta(text);
+    }
+    return !!done;
+  };
+  try {
+    while (!finished) {
+      let timer = null;
+      const chunk = await Promise.race([
+        reader.read(),
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('stream idle timeout')), idleMs); })
+      ]).finally(() => clearTimeout(timer));
+      if (chunk.done) {
+        if (pending.length > 0) handleLine(pending);
+        break;
+      }
+      // Split on raw newline bytes so multi-byte characters spanning chunks decode intact
+      pending = b4a.concat([pending, b4a.from(chunk.value)]);
+      let nl;
+      while (!finished && (nl = pending.indexOf(10)) !== -1) {
+        const line = pending.subarray(0, nl);
+        pending = pending.subarray(nl + 1);
+        finished = handleLine(line);
+      }
+    }
+  } finally {
+    // Release the connection if we stopped early (idle timeout or end marker before EOF)
+    try { const p = reader.cancel(); if (p && p.catch) p.catch(() => {}); } catch(_) {}
+  }
+  return text;
+}
+
 // fetch is provided via package alias to bare-node-fetch by trac-peer (see dependency mapping)
 
+// Default persona; the admin can replace it at runtime via the set_ai_config TX (ai/config)
+const DEFAULT_PERSONA = 'You are a true crypto chad who knows all ins and outs. trading, tech, everything. you are good with degens and speak their "language". respond briefly, no long explanations, keep it short. avoid dashes in responses. avoid emojis. avoid hallucinating requests that you cannot fact check via web browsing in your responses.';
+
+// Longest rolling summary an ai_result may carry (the contract's schema limit)
+const MAX_SUMMARY_CHARS = 2000;
+
+// Appended to the persona for unprompted (random queue) replies
+const RANDOM_INSTRUCTIONS = 'nobody asked you directly; you are chiming in on the message below in a public group chat. add one short, relevant remark or question in one or two sentences. do not answer as if you were asked, do not lecture.';
+
 export class AiOracle extends Feature {
 
   constructor(peer, options = {}) {
     super(peer, options);
     this.model = options.model || 'gpt-oss-120b-fp16';
-    this.endpoint = options.endpoint || 'http://127.0.0.1:8000/v1/chat/completions';
+    // Request/response format of the model server (see ./backends.js): openai-chat, openai-completions, ollama, llamacpp
+    this.backend = getBackend(options.backend || 'openai-chat');
+    // Endpoints with priorities (lower is preferred) and health tracking; a single endpoint is a one-entry pool
+    this.endpoints = new EndpointPool(
+      Array.isArray(options.endpoints) && options.endpoints.length > 0
+        ? options.endpoints
+        : [{ url: options.endpoint || this.backend.defaultEndpoint, priority: 0 }],
+      { failure_threshold: options.endpoint_failure_threshold, cooldown_ms: options.endpoint_cooldown_ms }
+    );
     this.maxContext = options.max_context_tokens || 32768;
     this.maxReply = options.max_reply_tokens || 1024;
     this.pollInterval = options.poll_interval_ms || 1000;
     this.historyWindow = (!isNaN(parseInt(options.history_window))) ? parseInt(options.history_window) : 64;
+    this.persona = options.persona || DEFAULT_PERSONA;
+    this.temperature = (!isNaN(parseFloat(options.temperature))) ? parseFloat(options.temperature) : 0.7;
+    this.topP = (!isNaN(parseFloat(options.top_p))) ? parseFloat(options.top_p) : null;
+    // Local settings; admin overrides from contract state (ai/config) are layered on top each turn
+    this.defaults = {
+      persona: this.persona,
+      model: this.model,
+      temperature: this.temperature,
+      top_p: this.topP,
+      max_reply_tokens: this.maxReply,
+      history_window: this.historyWindow
+    };
     this.maxBacklogTagged = options.max_backlog_tagged || 20;
-    // Optional API key auth (OpenAI-style or custom header). Configure via ai_opts in index.js
+    // Random participation (unprompted replies) is worked only while the tagged queue is empty;
+    // stale items are skipped since chiming in minutes later reads oddly
+    this.maxBacklogRandom = (!isNaN(parseInt(options.max_backlog_random))) ? parseInt(options.max_backlog_random) : 3;
+    this.randomMaxAgeMs = (!isNaN(parseInt(options.random_max_age_ms))) ? parseInt(options.random_max_age_ms) : 120_000;
+    // Optional API key; the backend decides how it is sent. api_key_header (and api_key_scheme for an
+    // Authorization header) send it the way a proxy in front of the server expects instead
     this.apiKey = options.api_key || null;
-    this.apiKeyHeader = options.api_key_header || 'Authorization';
-    this.apiKeyScheme = options.api_key_scheme || 'Bearer';
+    this.apiKeyHeader = options.api_key_header || null;
+    this.apiKeyScheme = options.api_key_scheme !== undefined ? options.api_key_scheme : 'Bearer';
     // Inflight tracking: set of seq keys + timestamps and retry counters
     this.inflight = new Set();
     this.inflightSince = new Map(); // key -> Date.now()
@@ -44,124 +163,1330 @@ export class AiOracle extends Feature {
     this.requestTimeoutMs = (!isNaN(parseInt(options.request_timeout_ms))) ? parseInt(options.request_timeout_ms) : 60_000; // more lenient default
     // Grace period to retry a fresh seq without emitting a busy message
     this.warmupGraceMs = (!isNaN(parseInt(options.warmup_grace_ms))) ? parseInt(options.warmup_grace_ms) : 15_000;
-    // Last AI call diagnostics (TEMP)
-    this.lastCall = null;
-    this.lastCallEndedAt = 0;
+    // Rolling summary: once summary + latest exchange exceed the trigger budget, a second
+    // completion call compresses it to at most summary_max_tokens (counted with the tokenizer)
+    this.summaryTriggerTokens = (!isNaN(parseInt(options.summary_trigger_tokens))) ? parseInt(options.summary_trigger_tokens) : 512;
+    this.summaryMaxTokens = (!isNaN(parseInt(options.summary_max_tokens))) ? parseInt(options.summary_max_tokens) : 256;
+    // Per-user memory (ai/user/<address>): after answering a tagged prompt, a small completion call rewrites
+    // what the bot remembers about the asker; bounded to user_memory_max_tokens and 1000 chars
+    this.userMemory = options.user_memory !== false;
+    this.userMemoryMaxTokens = (!isNaN(parseInt(options.user_memory_max_tokens))) ? parseInt(options.user_memory_max_tokens) : 128;
+    // Local tools (./tools.js) the model may call while answering tagged prompts: true for every registered tool,
+    // or a list of tool names. Needs a backend with tool support (openai-chat, ollama); tool rounds are not streamed
+    const toolsRequested = options.tools === true || Array.isArray(options.tools);
+    // Extra tools ({ name, description, parameters, run(args, ctx) }) can be passed in as extra_tools
+    this.toolNames = Array.isArray(options.tools) ? options.tools.slice() : null;
+    this.tools = new ToolRegistry(BUILTIN_TOOLS.concat(Array.isArray(options.extra_tools) ? options.extra_tools : []), { max_result_chars: options.tool_max_result_chars, enabled: this.toolNames });
+    this.toolsEnabled = toolsRequested && this.backend.supportsTools === true;
+    if (toolsRequested && !this.toolsEnabled) console.log('AiOracle: backend ' + this.backend.name + ' has no tool calling; tools disabled');
+    this.maxToolSteps = (!isNaN(parseInt(options.max_tool_steps))) ? parseInt(options.max_tool_steps) : 3;
+    this.maxToolCallsPerStep = (!isNaN(parseInt(options.max_tool_calls_per_step))) ? parseInt(options.max_tool_calls_per_step) : 4;
+    this.toolTimeoutMs = (!isNaN(parseInt(options.tool_timeout_ms))) ? parseInt(options.tool_timeout_ms) : 2_000;
+    // Moderation: the admin's rules (ai/moderation, see shared/moderation.js) run on every prompt and answer.
+    // An optional local classifier (OpenAI moderation shape: POST { input } -> { results: [{ flagged, categories }] })
+    // refuses whatever it flags; when it cannot be reached the text passes, unless moderation_fail_closed is set
+    this.moderationEndpoint = options.moderation_endpoint || null;
+    this.moderationTimeoutMs = (!isNaN(parseInt(options.moderation_timeout_ms))) ? parseInt(options.moderation_timeout_ms) : 5_000;
+    this.moderationFailClosed = options.moderation_fail_closed === true;
+    // Metrics (./metrics.js, shared by all bots in this process); metrics_port also serves them for Prometheus
+    this.metrics = metrics;
+    this.metricsPort = (!isNaN(parseInt(options.metrics_port))) ? parseInt(options.metrics_port) : null;
+    this.metricsHost = options.metrics_host || '127.0.0.1';
+    this.metricsServed = false;
+    // Set by stop(): the dispatch loop ends, jobs already in a slot run to their end
+    this.stopped = false;
+    this.unwatchRejections = null;
+    // SSE streaming: partial output is exposed via this.typing (see AiChatProtocol api.getAiTyping); each slot's
+    // stream is kept as { seq, from, text, started_at, updated_at } in slot.typing
+    this.stream = options.stream === true;
+    this.streamIdleTimeoutMs = (!isNaN(parseInt(options.stream_idle_timeout_ms))) ? parseInt(options.stream_idle_timeout_ms) : 30_000;
+    // Inference pool: up to `concurrency` prompts are worked on at once (vLLM and the like batch parallel requests);
+    // replies are still posted and committed one at a time in seq order. A worker holds one lease per bot, so one slot
+    this.concurrency = Math.max(1, (!isNaN(parseInt(options.concurrency))) ? parseInt(options.concurrency) : 1);
+    this.slots = new Array(this.concurrency).fill(null); // null or { key, queue, seq, from, state, started_at, updated_at, typing, commits, inference_ms, answered_at }
+    this.committing = null; // the slot that is posting and committing right now
+    this.commits = 0;
+    // The bot this oracle answers for is its feature name ('ai' is the default @ai bot; see shared/bots.js)
+    this.bot = DEFAULT_BOT;
+    this.keys = botKeys(DEFAULT_BOT);
+    // Worker mode (a peer the admin authorized in ai/workers, see shared/workers.js): prompts are leased
+    // with claim_ai_job and answered with submit_ai_result TXs instead of admin feature ops. Keep the lease
+    // (lease_ms) longer than a slow answer takes, or the result is refused and the prompt answered again
+    this.worker = false;
+    this.claimIntervalMs = (!isNaN(parseInt(options.claim_interval_ms))) ? parseInt(options.claim_interval_ms) : 5_000;
+    this.lastClaimAt = 0;
+    // Job journal on disk (./journal.js, one file per bot in journal_dir): after a restart, replies that were
+    // generated or posted but not committed are finished first. Without journal_dir jobs live in memory only
+    this.journalDir = typeof options.journal_dir === 'string' && options.journal_dir !== '' ? options.journal_dir : null;
+    this.journal = null;
+    // On start, tagged prompts queued longer ago than this are dropped, younger ones answered (0 drops the whole backlog)
+    this.resumeMaxAgeMs = (!isNaN(parseInt(options.resume_max_age_ms))) ? parseInt(options.resume_max_age_ms) : 300_000;
   }
 
-  async start(options = {}) {
-    const tokenizer = await createTokenizer();
+  // Currently active endpoint URL (failover-aware)
+  get endpoint() {
+    return this.endpoints.active().url;
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json', ...this.backend.headers(this.apiKey) };
+    if (this.apiKey && this.apiKeyHeader) {
+      delete headers[this.backend.authHeader];
+      headers[this.apiKeyHeader] = (this.apiKeyHeader.toLowerCase() === 'authorization' && this.apiKeyScheme)
+        ? `${this.apiKeyScheme} ${this.apiKey}`
+        : this.apiKey;
+    }
+    return headers;
+  }
+
+  // Admin settings for this bot: ai/config for @ai, the bot's ai/bots entry for a named bot
+  async botConfig() {
+    if (this.bot === DEFAULT_BOT) return await this.get('ai/config');
+    const bots = await this.get('ai/bots');
+    return (bots !== null && typeof bots === 'object' && bots[this.bot]) ? bots[this.bot] : null;
+  }
+
+  async workerTx(command) {
+    await this.peer.protocol_instance.tx({ command: JSON.stringify(command) });
+  }
+
+  // The seq this worker holds a lease on; claims the next free one (picked up on a later poll) when there is none
+  async workerJob() {
+    const now = await this.get('currentTime');
+    const job = await this.get(workerJobKey(this.peer.wallet.publicKey, this.bot));
+    if (job !== null && await this.mayAnswer(job.seq, now)) return job.seq;
+    // Claims travel through the validator before they land in the view; do not repeat them every poll
+    if (Date.now() - this.lastClaimAt < this.claimIntervalMs) return null;
+    if (null === await pickNextSeq(key => this.get(key), this.keys, now)) return null;
+    this.lastClaimAt = Date.now();
     try {
-      // silent start
-      // One-shot fast-forward on startup to avoid flooding chat with old backlog
+      await this.workerTx({ op: 'claim_ai_job', bot: this.bot });
+    } catch(e) {
+      console.log('AiOracle: claim failed:', e?.message || e);
+    }
+    return null;
+  }
+
+  // Whether a tagged seq is still ours to answer: a worker needs its own active lease,
+  // the admin's oracle leaves seqs alone that a worker holds
+  async mayAnswer(seq, now = null) {
+    if (now === null) now = await this.get('currentTime');
+    if (null === await this.get(this.keys.pending + seq)) return false;
+    const lease = await this.get(this.keys.lease + seq);
+    if (this.worker) return leaseActive(lease, now) && lease.worker === this.peer.wallet.publicKey;
+    return false === leaseActive(lease, now);
+  }
+
+  // Commit an answer: an ai_result feature op on the admin peer, a submit_ai_result TX on a worker
+  async commitResult(result) {
+    if (!this.worker) {
+      await this.append('ai_result', result);
+      return;
+    }
+    const { queue, ...answer } = result;
+    await this.workerTx({ op: 'submit_ai_result', bot: this.bot, ...answer });
+  }
+
+  async journalRecord(key, stage, data = {}) {
+    if (this.journal !== null) await this.journal.record(key, stage, data);
+  }
+
+  // Move a queue's process pointer up to seq, counting the prompts it passes over as dropped for reason
+  async fastForward(queue, seq, dropped, reason) {
+    await this.append('ai_ctrl', { op: 'fast_forward', queue, seq });
+    this.metrics.inc('ai_dropped_total', { bot: this.bot, queue, reason }, dropped);
+  }
+
+  // Drop a seq without answering: a skipped result for that seq only (tagged prompts are answered out of
+  // order, a fast-forward would expire everyone queued before it), a fast-forward for the random queue
+  async skipItem(queue, seq, reason) {
+    await this.journalRecord((queue === 'random' ? 'random:' : 'seq:') + seq, 'dropped');
+    if (queue === 'random') {
+      await this.fastForward(queue, seq, 1, reason);
+      return;
+    }
+    this.metrics.inc('ai_dropped_total', { bot: this.bot, queue, reason });
+    if (!this.worker) {
+      await this.append('ai_result', { queue, seq, skip: true });
+      return;
+    }
+    await this.workerTx({ op: 'submit_ai_result', bot: this.bot, seq, skip: true });
+  }
+
+  // Apply admin settings from contract state over the local defaults (null config restores the defaults)
+  applyConfig(config) {
+    const c = { ...this.defaults, ...(config !== null && typeof config === 'object' ? config : {}) };
+    this.persona = typeof c.persona === 'string' && c.persona !== '' ? c.persona : this.defaults.persona;
+    this.model = typeof c.model === 'string' && c.model !== '' ? c.model : this.defaults.model;
+    this.temperature = typeof c.temperature === 'number' ? c.temperature : this.defaults.temperature;
+    this.topP = typeof c.top_p === 'number' ? c.top_p : this.defaults.top_p;
+    this.maxReply = parseInt(c.max_reply_tokens) > 0 ? parseInt(c.max_reply_tokens) : this.defaults.max_reply_tokens;
+    this.historyWindow = parseInt(c.history_window) >= 0 ? parseInt(c.history_window) : this.defaults.history_window;
+  }
+
+  completionBody(messages, maxTokens, temperature = this.temperature, stream = false, tools = null, toolChoice = null) {
+    return this.backend.buildBody({ model: this.model, messages, max_tokens: maxTokens, temperature, top_p: this.topP, stream, tools, tool_choice: toolChoice });
+  }
+
+  // What tools may touch: read-only contract state and the local chat search (no wallet, no posting, no network)
+  toolContext(item) {
+    const view = this.peer.base.view;
+    const api = this.peer.protocol_instance ? this.peer.protocol_instance.api : null;
+    return {
+      item: { from: item.from, msg_id: item.msg_id, prompt: item.prompt },
+      get: async (key) => {
+        const obj = await view.get(key);
+        return obj !== null ? obj.value : null;
+      },
+      search: async (query, options) => {
+        if (!api || typeof api.search !== 'function') throw new Error('chat search is not available on this peer');
+        return await api.search(query, options);
+      }
+    };
+  }
+
+  // Non-streamed completion with tool calling: up to maxToolSteps rounds of tool calls, after which the model
+  // has to answer (tool_choice none). Every call is appended to trace. Returns the last response; text is
+  // only set when that response was ok, so non-ok responses go through the caller's usual retries.
+  // usage adds up the token counts the server reported for every round (null if it reported none).
+  async completeWithTools(messages, ctx, trace, url = this.endpoint) {
+    const conversation = messages.slice();
+    const schemas = this.tools.schemas();
+    let usage = null;
+    for (let step = 0; ; step++) {
+      const lastStep = step >= this.maxToolSteps;
+      const res = await this.callModel(this.completionBody(conversation, this.maxReply, this.temperature, false, schemas, lastStep ? 'none' : 'auto'), url);
+      if (!res.ok) return { res, text: null, usage };
+      const data = await res.json();
+      usage = addUsage(usage, this.backend.parseUsage(data));
+      const calls = lastStep ? [] : this.backend.parseToolCalls(data);
+      if (calls.length === 0) return { res, text: this.backend.parseResponse(data), usage };
+      conversation.push(this.backend.toolCallMessage(data));
+      for (let i = 0; i < calls.length; i++) {
+        const call = calls[i];
+        // Calls over the per-step cap still get an answer so the conversation stays well-formed
+        const entry = i < this.maxToolCallsPerStep
+          ? await this.tools.call(call.name, call.arguments, ctx, this.toolTimeoutMs)
+          : { name: call.name, args: call.arguments, result: null, error: 'too many tool calls in one step', ms: 0 };
+        trace.push(entry);
+        conversation.push(this.backend.toolResultMessage(call, entry.error !== null ? 'error: ' + entry.error : entry.result));
+      }
+    }
+  }
+
+  // Compact tool trace for the ai_result payload (stored with the answer in chat/done/<seq>)
+  traceForResult(trace) {
+    return trace.slice(0, 16).map(t => ({
+      name: String(t.name).slice(0, 64),
+      args: JSON.stringify(t.args).slice(0, 300),
+      result: t.result !== null ? t.result.slice(0, 300) : null,
+      error: t.error !== null ? String(t.error).slice(0, 300) : null,
+      ms: t.ms
+    }));
+  }
+
+  // Helper: fetch with timeout; use AbortController when available (Node or modern runtimes), else race fallback
+  async fetchWithTimeout(url, opts, ms) {
+    if (typeof AbortController !== 'undefined') {
+      const ctrl = new AbortController();
+      const id = setTimeout(() => { try { ctrl.abort(); } catch(_){} }, ms);
       try {
-        const psObj = await this.peer.base.view.get('process_seq');
-        const msObj = await this.peer.base.view.get('message_seq');
-        const ps = psObj !== null ? parseInt(psObj.value) : 0;
-        const ms = msObj !== null ? parseInt(msObj.value) : 0;
-        if(!isNaN(ms) && !isNaN(ps) && ms > ps) {
-          await this.append('ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq: ms });
+        return await fetch(url, { ...opts, signal: ctrl.signal });
+      } finally { clearTimeout(id); }
+    } else {
+      return await new Promise((resolve, reject) => {
+        const id = setTimeout(() => reject(new Error('timeout')), ms);
+        fetch(url, opts).then(r => { clearTimeout(id); resolve(r) }).catch(e => { clearTimeout(id); reject(e) });
+      });
+    }
+  }
+
+  // POST a completion body to an endpoint (the active one by default) and record its health.
+  // Transport errors, 5xx and 429 count as failures; other statuses mean the endpoint itself is reachable.
+  // Latency is measured until the response starts (for a streamed answer: its first chunk)
+  async callModel(body, url = this.endpoint, purpose = 'answer') {
+    const startedAt = Date.now();
+    let res;
+    try {
+      res = await this.fetchWithTimeout(url, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(body)
+      }, this.requestTimeoutMs);
+    } catch(e) {
+      this.endpoints.reportFailure(url, e?.message || 'transport error');
+      this.metrics.observe('ai_model_latency_seconds', { bot: this.bot, purpose, outcome: 'transport_error' }, (Date.now() - startedAt) / 1000);
+      throw e;
+    }
+    this.metrics.observe('ai_model_latency_seconds', { bot: this.bot, purpose, outcome: res.ok ? 'ok' : 'http_' + res.status }, (Date.now() - startedAt) / 1000);
+    if (res.status >= 500 || res.status === 429) {
+      this.endpoints.reportFailure(url, 'http ' + res.status);
+    } else {
+      this.endpoints.reportSuccess(url, Date.now() - startedAt);
+    }
+    return res;
+  }
+
+  // Minimal one-token completion against a specific endpoint (used by /ai_ping and recovery probes)
+  async ping(url = this.endpoint) {
+    const startedAt = Date.now();
+    try {
+      const res = await this.callModel(this.completionBody([{ role: 'user', content: 'ping' }], 1), url, 'ping');
+      try { await res.text(); } catch(_) {}
+      return { url, ok: res.ok, status: res.status, latency_ms: Date.now() - startedAt, error: null };
+    } catch(e) {
+      return { url, ok: false, status: null, latency_ms: Date.now() - startedAt, error: e?.message || String(e) };
+    }
+  }
+
+  // Probe benched endpoints whose cooldown elapsed; a successful ping puts them back in rotation
+  async probeEndpoints() {
+    for (const entry of this.endpoints.due()) {
+      const result = await this.ping(entry.url);
+      if (result.ok) console.log('AiOracle endpoint recovered:', entry.url);
+    }
+  }
+
+  // Rewrite the bounded notes kept about one user from their previous notes and the latest exchange.
+  // Returns the new notes ('' when there is nothing worth keeping) or null on failure, in which case the old notes stay.
+  async rememberUser(previous, nick, prompt, reply, tokenizer) {
+    try {
+      const instructions = 'You keep short private notes about one user of a public group chat so an AI assistant can personalize answers. ' +
+        'Merge the existing notes with anything new from the latest exchange: stated preferences, facts the user shared about themselves, how they want to be addressed. ' +
+        'Do not record the assistant\'s answers, secrets, keys or anything about other users. ' +
+        'Reply with the updated notes only, as terse bullet points, never exceeding ' + this.userMemoryMaxTokens + ' tokens. Reply with NONE if there is nothing worth keeping.';
+      const input = 'Nick: ' + (nick || 'unknown') + '\n\nExisting notes:\n' + (previous || '(none)') +
+        '\n\nLatest exchange:\nUser: ' + prompt.slice(0, 2000) + '\nAssistant: ' + reply.slice(0, 2000);
+      const res = await this.callModel(this.completionBody([
+        { role: 'system', content: instructions },
+        { role: 'user', content: input }
+      ], this.userMemoryMaxTokens, 0.2), this.endpoint, 'memory');
+      if (!res.ok) return null;
+      let text = this.backend.parseResponse(await res.json());
+      text = typeof text === 'string' ? text.trim() : '';
+      if (text.toUpperCase() === 'NONE') text = '';
+      while (text.length > 0 && (tokenizer.count(text) > this.userMemoryMaxTokens || text.length > 1000)) {
+        text = text.slice(0, Math.floor(text.length * 0.9));
+      }
+      return text;
+    } catch(e) {
+      return null;
+    }
+  }
+
+  // chat/done/<seq> entry as user/assistant chat messages
+  donePairs(d) {
+    const pairs = [];
+    if (typeof d.prompt === 'string' && d.prompt.length > 0) pairs.push({ role: 'user', content: d.prompt });
+    if (typeof d.reply === 'string' && d.reply.length > 0) pairs.push({ role: 'assistant', content: d.reply });
+    return pairs;
+  }
+
+  // Walk a prompt's thread back through parent_seq links (at most maxTurns answered turns), oldest first.
+  // If the prompt replies to a plain chat message (no Q/A turn), that message's text is returned as parentText.
+  async threadHistory(item, maxTurns) {
+    const result = { pairs: [], seqs: new Set(), parentText: null };
+    if (Number.isInteger(item.parent) && item.parent_seq === null) {
+      const parentMsg = await this.peer.base.view.get('msg/' + item.parent);
+      const m = parentMsg && parentMsg.value;
+      if (m && typeof m.msg === 'string' && m.msg !== '') result.parentText = m.msg;
+    }
+    const turns = [];
+    let seq = item.parent_seq;
+    while (Number.isInteger(seq) && seq > 0 && turns.length < maxTurns && !result.seqs.has(seq)) {
+      result.seqs.add(seq);
+      const doneObj = await this.peer.base.view.get(this.keys.done + seq);
+      // Skipped (fast-forwarded) turns have no done entry; the chain ends there
+      if (!doneObj || !doneObj.value) break;
+      turns.unshift(doneObj.value);
+      seq = doneObj.value.parent_seq;
+    }
+    for (const d of turns) result.pairs.push(...this.donePairs(d));
+    return result;
+  }
+
+  // Turn a bot command (item.command from the contract) into its filled-in prompt template.
+  // Help, unknown commands and unusable arguments return { reply } instead, which is posted without a model call.
+  async resolveCommand(item, summary) {
+    const view = this.peer.base.view;
+    const customObj = await view.get('ai/templates');
+    const templates = commandTemplates(customObj !== null ? customObj.value : null);
+    const name = item.command.name;
+    const spec = Object.prototype.hasOwnProperty.call(templates, name) ? templates[name] : null;
+    if (name === 'help') return { reply: commandHelp(templates) };
+    if (spec === null) return { reply: 'unknown command /' + name + '. ' + commandHelp(templates) };
+    const vars = argumentVars(typeof item.command.args === 'string' ? item.command.args : '');
+    if (vars.words < spec.min_args) return { reply: 'usage: @' + this.bot + ' ' + spec.usage };
+
+    const nickCache = new Map();
+    const nickOf = async (address) => {
+      if (!nickCache.has(address)) {
+        const nickObj = await view.get('nick/' + address);
+        nickCache.set(address, (nickObj && typeof nickObj.value === 'string') ? nickObj.value : String(address).slice(0, 8));
+      }
+      return nickCache.get(address);
+    };
+    const authorOf = async (m) => (Array.isArray(m.attachments) && m.attachments.indexOf('ai-reply') !== -1) ? 'AI' : await nickOf(m.address);
+
+    vars.nick = await nickOf(item.from);
+    vars.summary = summary;
+    const before = Number.isInteger(item.msg_id) ? item.msg_id : 0;
+    if (templateUses(spec.template, 'messages')) {
+      const lines = [];
+      for (const m of await readMessages(view, Math.max(0, before - vars.count), before)) {
+        if (m.deleted_by !== null && m.deleted_by !== undefined) continue;
+        lines.push(await authorOf(m) + ': ' + String(m.msg).slice(0, 500).replace(/\n/g, ' '));
+      }
+      if (lines.length === 0) return { reply: 'there are no earlier messages to work with.' };
+      vars.messages = lines.join('\n');
+      vars.count = lines.length;
+    }
+    if (templateUses(spec.template, 'message') || templateUses(spec.template, 'message_author')) {
+      // The message named in the arguments, else the one the command replies to
+      if (vars.message_id === null && Number.isInteger(item.parent)) vars.message_id = item.parent;
+      if (vars.message_id === null) return { reply: 'usage: @' + this.bot + ' ' + spec.usage };
+      const found = vars.message_id < before ? await readMessages(view, vars.message_id, vars.message_id + 1) : [];
+      if (found.length === 0 || (found[0].deleted_by !== null && found[0].deleted_by !== undefined)) {
+        return { reply: 'message #' + vars.message_id + ' not found.' };
+      }
+      vars.message = found[0].msg;
+      vars.message_author = await authorOf(found[0]);
+    }
+    return { prompt: renderTemplate(spec.template, vars) };
+  }
+
+  // Compress the rolling transcript (previous summary + latest exchange) into a bounded, structured summary.
+  // Returns null on any failure so the caller can fall back to plain concatenation.
+  async summarize(transcript, tokenizer) {
+    try {
+      const instructions = 'You maintain the running summary of a public group chat with an AI assistant. ' +
+        'Rewrite the given summary and latest exchanges into a compact summary using exactly these sections:\n' +
+        'Topics: ...\nFacts: ...\nOpen questions: ...\n' +
+        'Keep user addresses or nicks where relevant, drop small talk, never exceed ' + this.summaryMaxTokens + ' tokens.';
+      // Keep the input within the model context, preferring the most recent part of the transcript
+      const inputBudget = this.maxContext - this.summaryMaxTokens - 512;
+      let input = transcript;
+      while (tokenizer.count(input) > inputBudget && input.length > 256) {
+        input = input.slice(Math.floor(input.length * 0.2));
+      }
+      const res = await this.callModel(this.completionBody([
+        { role: 'system', content: instructions },
+        { role: 'user', content: input }
+      ], this.summaryMaxTokens, 0.2), this.endpoint, 'summary');
+      if (!res.ok) return null;
+      const data = await res.json();
+      let text = this.backend.parseResponse(data);
+      text = typeof text === 'string' ? text.trim() : '';
+      if (text === '') return null;
+      // Models do not always honor max_tokens exactly; enforce the bound locally
+      while (tokenizer.count(text) > this.summaryMaxTokens && text.length > 64) {
+        text = text.slice(0, Math.floor(text.length * 0.9));
+      }
+      return text;
+    } catch(e) {
+      return null;
+    }
+  }
+
+  // The rolling summary after one more exchange: a summary call compresses it once it outgrows
+  // summary_trigger_tokens; below that, or if the call fails, the newest part of summary and exchange
+  async nextSummary(summary, exchange, tokenizer) {
+    if (tokenizer.count(summary + exchange) > this.summaryTriggerTokens) {
+      const compressed = await this.summarize(summary + exchange, tokenizer);
+      if (typeof compressed === 'string') return compressed.slice(0, MAX_SUMMARY_CHARS);
+    }
+    return (summary + exchange).slice(-MAX_SUMMARY_CHARS);
+  }
+
+  // Text of this bot's reply to a seq if it is already in chat (the contract links it from the seq:<n> attachment)
+  async postedReply(item, queue, seq) {
+    const id = await this.get((queue === 'random' ? 'chat/reply_random/' : this.keys.reply) + seq);
+    if (id === null) return null;
+    const message = await this.get('msg/' + id);
+    if (message === null || typeof message.msg !== 'string') return null;
+    // Posted as "@<tag> <reply>"; nicks may hold spaces, so the exact mention postReply built is cut off
+    // (the address one if the asker changed nick since)
+    for (const mention of ['@' + await this.replyTag(item.from) + ' ', '@' + item.from + ' ']) {
+      if (message.msg.startsWith(mention)) return message.msg.slice(mention.length);
+    }
+    return message.msg;
+  }
+
+  // Whom a reply mentions: the asker's nick if set, else their address (also when the nick is a bot handle,
+  // as tagging @ai or this bot would retrigger handlers)
+  async replyTag(from) {
+    let tag = from;
+    try {
+      const nick = await this.peer.protocol_instance.api.getNick(from, true);
+      if (nick !== null && typeof nick === 'string' && nick.length > 0) tag = nick;
+    } catch(_) {}
+    if (tag.trim().toLowerCase() === 'ai' || tag.trim().toLowerCase() === this.bot) tag = from;
+    return tag;
+  }
+
+  // Ask the local classifier about a text: the categories it flagged (an empty list if none); throws if unreachable
+  async classify(text) {
+    const res = await this.fetchWithTimeout(this.moderationEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ input: text })
+    }, this.moderationTimeoutMs);
+    if (!res.ok) throw new Error('classifier http ' + res.status);
+    const data = await res.json();
+    const result = data && Array.isArray(data.results) ? data.results[0] : null;
+    if (!result || result.flagged !== true) return [];
+    const categories = (result.categories && typeof result.categories === 'object') ? Object.keys(result.categories).filter(c => result.categories[c] === true) : [];
+    return categories.length > 0 ? categories : ['flagged'];
+  }
+
+  // Run the moderation rules (and the classifier, if set) over a prompt ('input') or an answer ('output').
+  // Returns { text, action, rules, refusal }: action null means nothing matched; on 'refuse' the caller
+  // posts refusal instead of an answer; on redact / rewrite, text is what to use from here on
+  async moderate(text, stage) {
+    const moderation = readModeration(await this.get('ai/moderation'));
+    const result = { ...applyModeration(text, stage, moderation), refusal: moderation.refusal };
+    if (moderation.enabled && result.action !== 'refuse' && this.moderationEndpoint !== null) {
+      try {
+        const flagged = await this.classify(result.text);
+        if (flagged.length > 0) {
+          result.action = 'refuse';
+          result.rules.push(...flagged.slice(0, 8).map(c => 'classifier:' + c));
         }
-      } catch(_) {}
-      while(true){
+      } catch(e) {
+        console.log('AiOracle: moderation classifier failed:', e?.message || e);
+        if (this.moderationFailClosed) {
+          result.action = 'refuse';
+          result.rules.push('classifier:unavailable');
+        }
+      }
+    }
+    if (result.action !== null) this.metrics.inc('ai_moderation_total', { bot: this.bot, stage, action: result.action });
+    return result;
+  }
+
+  // The "typing" preview of a partial answer, held to the output rules like the answer itself: they run on
+  // every partial, and nothing shows once one refuses or while the classifier has yet to see the whole answer
+  previewText(text, moderation) {
+    if (!moderation.enabled) return text;
+    if (this.moderationEndpoint !== null) return '';
+    const checked = applyModeration(text, 'output', moderation);
+    return checked.action === 'refuse' ? '' : checked.text;
+  }
+
+  // Post a reply to the prompt's asker in public chat, addressing their nick if set, else public key.
+  // Returns the text as posted (mentions demoted), which is what gets committed. A refusal is marked
+  // with an ai-refusal attachment so clients can tell it from an answer.
+  async postReply(item, aiText, queue, seq, refused = false) {
+    const api = this.peer.protocol_instance.api;
+    const tag = await this.replyTag(item.from);
+    // Normalize/demote mentions inside AI text to avoid double tagging
+    try {
+      // 1) Replace @you with 'you' (no mention)
+      aiText = aiText.replace(/@you\b/gi, 'you');
+      // 1b) Replace @ai with 'ai' (no mention) anywhere in generated text
+      aiText = aiText.replace(/@ai\b/gi, 'ai');
+      if (this.bot !== DEFAULT_BOT) aiText = aiText.replace(new RegExp('@' + this.bot + '(?![a-z0-9_-])', 'gi'), this.bot);
+      // 2) If the AI text mentions the same user again (e.g., @<tag>), drop the @ to avoid a second ping
+      const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const tagPattern = new RegExp('\\B@' + escapeRe(tag) + '\\b', 'gi');
+      aiText = aiText.replace(tagPattern, tag);
+      // 3) Demote any @<64-hex> address mentions to plain hex (avoid second pings)
+      aiText = aiText.replace(/@([a-f0-9]{64})\b/gi, '$1');
+    } catch(_) {}
+    const mention = '@' + tag;
+    // Reply natively to the prompt message so follow-ups to the reply stay in the same thread
+    const replyToId = Number.isInteger(item.msg_id) ? item.msg_id : null;
+    // The seq this answers (the contract refuses a second reply for it); named bots also mark which bot answered
+    const attachments = replyAttachments(this.bot, queue, seq);
+    if (refused) attachments.push('ai-refusal');
+    // Prepare chat reply; dynamically trim if message too large per protocol cap
+    let replyCandidate = typeof aiText === 'string' ? aiText : '';
+    let prepared = null;
+    let attempts = 0;
+    const maxAttempts = 10;
+    while (attempts < maxAttempts) {
+      const replyText = `${mention} ${replyCandidate}`;
+      try {
+        prepared = api.prepareMessage(replyText, this.peer.wallet.publicKey, replyToId, attachments);
+        break;
+      } catch (e) {
+        // Shrink reply by 20% (min step 200 chars) and retry
+        const newLen = Math.max(0, Math.floor(replyCandidate.length * 0.8));
+        const nextLen = newLen < replyCandidate.length ? newLen : Math.max(0, replyCandidate.length - 200);
+        if (nextLen === replyCandidate.length || nextLen <= 0) {
+          prepared = null;
+          break;
+        }
+        replyCandidate = replyCandidate.slice(0, nextLen);
+        attempts++;
+      }
+    }
+    if (api && api.msgExposed && api.msgExposed()) {
+      const nonce = api.generateNonce();
+      if (prepared) {
+        const signature = this.peer.wallet.sign(JSON.stringify(prepared) + nonce);
+        await api.post(prepared, signature, nonce);
+      } else {
+        // Fallback minimal notice if we could not fit
+        const tiny = api.prepareMessage(`${mention} (reply trimmed)`, this.peer.wallet.publicKey, replyToId, attachments);
+        const signature = this.peer.wallet.sign(JSON.stringify(tiny) + nonce);
+        await api.post(tiny, signature, nonce);
+      }
+    }
+    return aiText;
+  }
+
+  // Last seq of the tagged backlog queued more than resume_max_age_ms ago (trusted timestamp against this
+  // host's clock; the timer stands still while the admin peer is down). processSeq if none is that old
+  async resumeCutoff(processSeq, messageSeq) {
+    let cutoff = processSeq;
+    for (let seq = processSeq + 1; seq <= messageSeq; seq++) {
+      const pending = await this.get(this.keys.pending + seq);
+      if (pending !== null && typeof pending.timestamp === 'number' && Date.now() - pending.timestamp <= this.resumeMaxAgeMs) break;
+      cutoff = seq;
+    }
+    return cutoff;
+  }
+
+  // Finish what the last run left open: commit replies that were posted, post and commit replies that were
+  // generated. Jobs that never got a reply leave the journal; the loop answers them again if still queued
+  async recoverJobs(tokenizer) {
+    if (this.journal === null) return;
+    for (const job of this.journal.open()) {
+      try {
+        const pendingKey = job.queue === 'random' ? ('chat/pending_random/' + job.seq) : (this.keys.pending + job.seq);
+        const item = await this.get(pendingKey);
+        // Committed after all, skipped, or (workers) no longer ours to answer
+        if (item === null || job.stage === 'requested' || (job.queue === 'tagged' && false === await this.mayAnswer(job.seq))) {
+          await this.journal.record(job.key, 'dropped');
+          continue;
+        }
+        let result = job.result;
+        if (job.stage === 'responded') {
+          // The crash may have come right after posting
+          const posted = await this.postedReply(item, job.queue, job.seq);
+          const reply = posted !== null ? posted : await this.postReply(item, typeof job.reply === 'string' ? job.reply : '', job.queue, job.seq, isRefusal(job.moderation || null));
+          // The summary as runJob would have left it (usage replies keep it as is)
+          const summaryObj = await this.get(this.keys.summary);
+          const summary = typeof summaryObj === 'string' ? summaryObj : '';
+          const exchange = `\nQ(${item.from}): ${item.prompt || ''}\nA: ${reply}`;
+          result = { queue: job.queue, seq: job.seq, reply: reply.slice(0, 2000), summary: job.keep_summary ? summary : await this.nextSummary(summary, exchange, tokenizer) };
+          if (job.tokens) result.tokens = job.tokens;
+          if (job.moderation) result.moderation = job.moderation;
+          await this.journal.record(job.key, 'posted', { result });
+        }
+        await this.commitResult(result);
+        this.metrics.inc('ai_replies_total', { bot: this.bot, queue: job.queue });
+        await this.journal.record(job.key, 'committed');
+        console.log('AiOracle: finished ' + job.key + ' of @' + this.bot + ' from the job journal (' + job.stage + ')');
+      } catch(e) {
+        console.log('AiOracle: could not finish ' + job.key + ' from the job journal:', e?.message || e);
+      }
+    }
+  }
+
+  // Streamed reply most recently updated across the pool slots
+  get typing() {
+    let latest = null;
+    for (const slot of this.slots) {
+      if (slot !== null && slot.typing !== null && (latest === null || slot.typing.updated_at > latest.updated_at)) latest = slot.typing;
+    }
+    return latest;
+  }
+
+  slotState(slot, state) {
+    const now = Date.now();
+    // Time spent on the model calls of this job (answer, summary, memory); paces the next job of a single slot
+    if (slot.state === 'inference' && state !== 'inference') {
+      slot.inference_ms = now - slot.updated_at;
+      slot.answered_at = now;
+    }
+    slot.state = state;
+    slot.updated_at = now;
+  }
+
+  // Free a slot once its job ended. A single slot rests a moment after the model calls first (longer after
+  // slow ones) so the server is not hit back to back; with several, the server batches the parallel requests itself
+  async releaseSlot(index, slot) {
+    if (this.concurrency === 1 && !this.stopped && slot.inference_ms !== undefined) {
+      const rest = (slot.inference_ms >= 5000 ? 1800 + Math.floor(Math.random() * 400) : 1200) - (Date.now() - slot.answered_at);
+      this.slotState(slot, 'resting');
+      if (rest > 0) await this.sleep(rest);
+    }
+    this.slots[index] = null;
+  }
+
+  // Replies leave the pool in seq order: a finished job waits for lower seqs still running in other slots,
+  // then posts and commits alone, so each rolling summary builds on the one committed before it
+  async waitForTurn(slot) {
+    while (this.slots.some(other => other !== null && other !== slot && other.queue === slot.queue && other.seq < slot.seq)) {
+      await this.sleep(100);
+    }
+    while (this.committing !== null) await this.sleep(50);
+    this.committing = slot;
+  }
+
+  // Let go of seqs whose job is over: once the commit shows up in the view, or (TTL guard) if one has been
+  // stuck too long, drop it for a retry, and skip it after inflight_max_retries
+  async reapInflight() {
+    const running = new Set(this.slots.filter(slot => slot !== null).map(slot => slot.key));
+    for (const inflightKey of Array.from(this.inflight)) {
+      const m = inflightKey.match(/^(seq|random):(\d+)$/);
+      if (m === null || running.has(inflightKey)) continue;
+      const queue = m[1] === 'random' ? 'random' : 'tagged';
+      const seq = parseInt(m[2]);
+      try {
+        const pending = await this.get(queue === 'random' ? ('chat/pending_random/' + seq) : (this.keys.pending + seq));
+        // Committed (or skipped) and visible now
+        if (pending === null) {
+          this.inflight.delete(inflightKey);
+          this.inflightSince.delete(inflightKey);
+          this.inflightRetries.delete(inflightKey);
+          continue;
+        }
+        let t0 = this.inflightSince.get(inflightKey);
+        const now = Date.now();
+        // If we inherited an inflight from a previous version without since-tracking,
+        // initialize it now so TTL logic can start applying.
+        if (!t0) {
+          this.inflightSince.set(inflightKey, now);
+          t0 = now;
+        }
+        // Additionally, consider the age of the pending item using contract time to avoid clock skew
+        let ageMs = null;
         try {
-          // Gentle cooldown between calls to avoid immediate post-large-response spikes
-          const sinceLast = Date.now() - (this.lastCallEndedAt || 0);
-          const minCooldown = 1200; // ~1.2s default grace
-          if (sinceLast > 0 && sinceLast < minCooldown) {
-            await this.sleep(minCooldown - sinceLast);
+          const currentTime = await this.get('currentTime');
+          if (typeof currentTime === 'number' && typeof pending?.timestamp === 'number') {
+            ageMs = currentTime - pending.timestamp;
+          }
+        } catch(_) {}
+        const ttlExceeded = (now - t0) > this.inflightTtlMs;
+        const pendingTooOld = (ageMs !== null) && (ageMs > (this.inflightTtlMs * 2));
+        if (ttlExceeded || pendingTooOld) {
+          const retries = this.inflightRetries.get(inflightKey) || 0;
+          if (retries < this.inflightMaxRetries) {
+            // Drop and retry once
+            this.inflight.delete(inflightKey);
+            this.inflightSince.delete(inflightKey);
+            this.inflightRetries.set(inflightKey, retries + 1);
+          } else {
+            // Give up on this seq and fast-forward pointer to unblock
+            await this.skipItem(queue, seq, 'stuck');
+            this.inflight.delete(inflightKey);
+            this.inflightSince.delete(inflightKey);
+            this.inflightRetries.delete(inflightKey);
           }
-          // Gentle cooldown between calls to avoid immediate post-large-response spikes
+        }
+      } catch(_) {}
+    }
+  }
+
+  // One prompt in a pool slot: build the context, run inference, then post and commit in turn (see waitForTurn)
+  async runJob(slot, item, processSeq, tokenizer) {
+    const queue = slot.queue;
+    const next = slot.seq;
+    const inflightKey = slot.key;
+    const pendingKey = queue === 'random' ? ('chat/pending_random/'+next) : (this.keys.pending+next);
+    const from = item.from;
+    let prompt = item.prompt || '';
+    const inflightStart = this.inflightSince.get(inflightKey) || Date.now();
+    try {
+      // Pick up the admin's current AI settings (persona, sampling, limits) for this turn
+      this.applyConfig(await this.botConfig());
+
+      // Build context
+      const summaryObj = await this.peer.base.view.get(this.keys.summary);
+      let summary = summaryObj !== null ? (summaryObj.value || '') : '';
+
+      // Bot commands (@ai /summarize last 50) are sent as their template; usage replies skip the model
+      let command = null;
+      if (queue === 'tagged' && item.command && typeof item.command.name === 'string') {
+        command = await this.resolveCommand(item, summary);
+      }
+      let directReply = command !== null && typeof command.reply === 'string' ? command.reply : null;
+      // A reply for this seq may already be in chat (a retry after a failed commit): commit that one instead
+      const postedText = await this.postedReply(item, queue, next);
+
+      // Threaded prompts get their thread's chain first; the global window fills what is left of historyWindow.
+      // Thread pairs go last so they sit next to the prompt and survive budget trimming longest.
+      const thread = queue === 'tagged' ? await this.threadHistory(item, this.historyWindow) : { pairs: [], seqs: new Set(), parentText: null };
+      let userContent = thread.parentText !== null
+        ? 'In reply to this earlier message:\n> ' + thread.parentText.slice(0, 1000).replace(/\n/g, '\n> ') + '\n\n' + prompt
+        : prompt;
+      // A command's template already carries the message it refers to
+      if (command !== null && typeof command.prompt === 'string') userContent = command.prompt;
+
+      // Input moderation: a refused prompt never reaches the model and is answered with the refusal reply
+      // (like a usage reply, it leaves the summary and the asker's notes alone); redactions and rewrites
+      // change what the model sees
+      const moderation = {};
+      if (postedText === null && directReply === null) {
+        const checked = await this.moderate(userContent, 'input');
+        if (checked.action !== null) moderation.input = { action: checked.action, rules: checked.rules };
+        if (checked.action === 'refuse') {
+          directReply = checked.refusal;
+        } else if (checked.action !== null) {
+          userContent = checked.text;
+          // The summary and the asker's notes get the prompt as redacted too
+          prompt = applyModeration(prompt, 'input', readModeration(await this.get('ai/moderation'))).text;
+        }
+      }
+
+      // Gather recent Q/A history (done items) up to historyWindow before current seq
+      // (random items use the tagged conversation that has been answered so far)
+      const historyPairs = [];
+      const historyEnd = queue === 'random' ? processSeq + 1 : next;
+      const start = Math.max(1, historyEnd - Math.max(0, this.historyWindow - thread.seqs.size));
+      for (let i = start; i < historyEnd; i++) {
+        // chat/done_random/<n> uses its own numbering, so it is not mixed in here
+        if (thread.seqs.has(i)) continue;
+        const doneObj = await this.peer.base.view.get(this.keys.done + i);
+        if (doneObj && doneObj.value) {
+          historyPairs.push(...this.donePairs(doneObj.value));
+        }
+      }
+      historyPairs.push(...thread.pairs);
+
+      // What the bot remembers about the asker (tagged prompts only)
+      let userNotes = null;
+      let userNick = null;
+      if (queue === 'tagged' && this.userMemory && typeof from === 'string') {
+        const memObj = await this.peer.base.view.get('ai/user/' + from);
+        userNotes = (memObj && memObj.value && typeof memObj.value.memory === 'string') ? memObj.value.memory : null;
+        const nickObj = await this.peer.base.view.get('nick/' + from);
+        userNick = (nickObj && typeof nickObj.value === 'string') ? nickObj.value : null;
+      }
+
+      // Compose messages with a compact system preamble, short summary, history and current prompt
+      let systemPreamble = queue === 'random' ? (this.persona + '\n\n' + RANDOM_INSTRUCTIONS) : this.persona;
+      if (userNotes !== null) {
+        systemPreamble += '\n\nWhat you remember about the user asking' + (userNick ? ' (' + userNick + ')' : '') + ':\n' + userNotes.slice(0, 1000);
+      }
+      if(tokenizer.count(summary) > 512) {
+        summary = summary.slice(0, 2048);
+      }
+      let messages = [
+        { role: 'system', content: systemPreamble },
+        { role: 'system', content: 'Conversation summary (compact):\n' + summary }
+      ];
+      messages = messages.concat(historyPairs);
+      messages.push({ role: 'user', content: userContent });
+
+      // Token budget: keep within maxContext - maxReply - headroom
+      const headroom = 512;
+      const countTokens = (arr) => arr.reduce((acc, m) => acc + tokenizer.count(m.content), 0);
+      let total = countTokens(messages);
+      const budget = this.maxContext - this.maxReply - headroom;
+      if(total > budget){
+        // Drop oldest history pairs until within budget
+        while (total > budget && historyPairs.length > 0) {
+          historyPairs.shift();
+          if (historyPairs.length > 0) historyPairs.shift();
+          messages = [ messages[0], messages[1] ].concat(historyPairs).concat([{ role: 'user', content: userContent }]);
+          total = countTokens(messages);
+        }
+        // Trim summary if still too large
+        if(total > budget){
+          let sys = messages[1].content;
+          while(total > budget && sys.length > 128){
+            sys = sys.slice(0, Math.floor(sys.length * 0.8));
+            messages[1].content = 'Conversation summary (compact):\n' + sys;
+            total = countTokens(messages);
+          }
+        }
+        // Finally trim the current prompt if needed
+        if(total > budget){
+          let up = messages[messages.length - 1].content;
+          while(total > budget && up.length > 64){
+            up = up.slice(0, Math.floor(up.length * 0.9));
+            messages[messages.length - 1].content = up;
+            total = countTokens(messages);
+          }
+        }
+      }
+
+      // Call local model (usage replies to bot commands are posted as they are)
+      // silent processing
+      this.slotState(slot, 'inference');
+      await this.journalRecord(inflightKey, 'requested', { queue, seq: next });
+      let aiText = '';
+      const toolTrace = [];
+      // Token counts the server reported for the answer, and the messages that got it (for the estimate otherwise)
+      let usage = null;
+      let answeredWith = null;
+      // The model server answered a moment ago: a failure now is likely a hiccup worth retrying quietly
+      const withinGrace = this.endpoints.answeredWithin(5000);
+      const useTools = this.toolsEnabled && queue === 'tagged' && directReply === null && postedText === null;
+      // A reply already in chat or a usage reply to a bot command skips the model
+      if (postedText !== null || directReply !== null) {
+        aiText = postedText !== null ? postedText : directReply;
+      } else try {
+        // Additional byte-size budget guard to complement token budget
+        const jsonSizeOf = (obj) => { try { return JSON.stringify(obj).length } catch(_) { return Number.MAX_SAFE_INTEGER } };
+        const maxJsonBytes = 256 * 1024; // ~256 KB
+        // Rebuild messages with bytes budget enforcement
+        const rebuild = () => [{ role: 'system', content: systemPreamble }, { role: 'system', content: messages[1].content }].concat(historyPairs).concat([{ role: 'user', content: messages[messages.length - 1].content }]);
+        let msgBytesPayload = this.completionBody(messages, this.maxReply);
+        let size = jsonSizeOf(msgBytesPayload);
+        if (size > maxJsonBytes) {
+          // Drop history pairs first
+          while (historyPairs.length > 0 && size > maxJsonBytes) {
+            historyPairs.shift();
+            if (historyPairs.length > 0) historyPairs.shift();
+            messages = rebuild();
+            msgBytesPayload = this.completionBody(messages, this.maxReply);
+            size = jsonSizeOf(msgBytesPayload);
+          }
+          // Trim summary aggressively if still too large
+          if (size > maxJsonBytes) {
+            let sys = messages[1].content;
+            while (sys.length > 64 && size > maxJsonBytes) {
+              sys = sys.slice(0, Math.floor(sys.length * 0.8));
+              messages[1].content = sys;
+              msgBytesPayload = this.completionBody(messages, this.maxReply);
+              size = jsonSizeOf(msgBytesPayload);
+            }
+          }
+          // Trim current prompt if still too large
+          if (size > maxJsonBytes) {
+            let up = messages[messages.length - 1].content;
+            while (up.length > 64 && size > maxJsonBytes) {
+              up = up.slice(0, Math.floor(up.length * 0.9));
+              messages[messages.length - 1].content = up;
+              msgBytesPayload = this.completionBody(messages, this.maxReply);
+              size = jsonSizeOf(msgBytesPayload);
+            }
+          }
+        }
+
+        // Avoid keep-alive via header; do not pass Node agents into fetch in renderer contexts
+        // Do not pass Node-specific agents into fetch to maximize compatibility across runtimes
+        let agent = undefined;
+
+        const startedAt = Date.now();
+        const endpointUrl = this.endpoint;
+        // With tools the model may first look things up locally; the final answer then comes unstreamed
+        const toolRun = useTools ? await this.completeWithTools(messages, this.toolContext(item), toolTrace, endpointUrl) : null;
+        let res = toolRun !== null ? toolRun.res : await this.callModel(this.stream ? this.completionBody(messages, this.maxReply, this.temperature, true) : msgBytesPayload, endpointUrl);
+        if(res.ok){
+          if (toolRun !== null) {
+            aiText = toolRun.text;
+            usage = toolRun.usage;
+          } else if (this.stream) {
+            // Only the final text is posted and committed; partial output stays local in slot.typing
+            slot.typing = { seq: next, from, text: '', started_at: startedAt, updated_at: Date.now() };
+            const moderation = readModeration(await this.get('ai/moderation'));
+            try {
+              aiText = await readChatStream(res, (text) => {
+                if (slot.typing !== null) {
+                  slot.typing.text = this.previewText(text, moderation);
+                  slot.typing.updated_at = Date.now();
+                }
+              }, this.streamIdleTimeoutMs, this.backend, (reported) => { usage = reported; });
+            } catch(eStream) {
+              // A stalled or broken stream counts against the endpoint like a transport error
+              this.endpoints.reportFailure(endpointUrl, eStream?.message || 'stream error');
+              throw eStream;
+            }
+          } else {
+            const data = await res.json();
+            aiText = this.backend.parseResponse(data);
+            usage = this.backend.parseUsage(data);
+          }
+          answeredWith = messages;
+        } else {
+          // Surface the reason (status + small body excerpt)
           try {
-            const sinceLastPrev = Date.now() - (this.lastCallEndedAt || 0);
-            const heavy = (this.lastCall && ((this.lastCall.elapsed_ms || 0) >= 5000 || (this.lastCall.payload_bytes || 0) >= 25000));
-            const baseCd = 1200;
-            const extraCd = heavy ? (1800 + Math.floor(Math.random()*400)) : 0;
-            const need = Math.max(0, baseCd - Math.max(0, sinceLastPrev), extraCd - Math.max(0, sinceLastPrev));
-            if (need > 0) await this.sleep(need);
+            const txt = await res.text();
+            console.log('AiOracle HTTP non-OK:', res.status, (txt || '').slice(0, 200));
           } catch(_) {}
+          // Retry 1–3 times with minimal context before giving up with a friendly busy message
+          let success = false;
+          const minimal = [
+            { role: 'system', content: 'Be brief and helpful.' },
+            { role: 'user', content: userContent.slice(0, 2000) }
+          ];
+          const silentStart = Date.now();
+          const silentCap = 12000;
+          for (let attempt = 0; attempt < 3 && !success; attempt++) {
+            const startedRetry = Date.now();
+            this.metrics.inc('ai_retries_total', { bot: this.bot, reason: 'http_error' });
+            try {
+              const resMin = await this.callModel(this.completionBody(minimal, Math.min(256, this.maxReply)));
+              if (resMin.ok) {
+                const data2 = await resMin.json();
+                aiText = this.backend.parseResponse(data2);
+                usage = this.backend.parseUsage(data2);
+                answeredWith = minimal;
+                success = true;
+                break;
+              } else {
+                try { const txt2 = await resMin.text(); console.log('AiOracle HTTP retry non-OK:', resMin.status, (txt2 || '').slice(0, 200)); } catch(_) {}
+              }
+            } catch(eMin) { /* ignore and continue */ }
+            // Backoff more generously (e.g., 1s, 2s, 4s)
+            await this.sleep(1000 * Math.pow(2, attempt));
+            if (withinGrace && (Date.now() - silentStart) >= silentCap) break;
+          }
+          if (!success) {
+            const withinWarmup = (Date.now() - inflightStart) < this.warmupGraceMs;
+            if ((withinGrace && (Date.now() - silentStart) < silentCap) || withinWarmup) {
+              // Drop inflight so we immediately retry this seq on the next loop
+              this.inflight.delete(inflightKey);
+              this.inflightSince.delete(inflightKey);
+              await this.sleep(500);
+              return; // retry same seq on a later dispatch
+            } else {
+              aiText = 'sorry, am busy please try again';
+            }
+          }
+        }
+      } catch(e) {
+        // Transport error (endpoint down/unreachable, or stream stalled). Retry 1–3 times with minimal context and backoff, else friendly busy message
+        slot.typing = null;
+        const minimal = [
+          { role: 'system', content: 'Be brief and helpful.' },
+          { role: 'user', content: userContent.slice(0, 2000) }
+        ];
+        let success2 = false;
+        const silentStart2 = Date.now();
+        const silentCap2 = 12000;
+        for (let attempt = 0; attempt < 3 && !success2; attempt++) {
+          const startedRetry2 = Date.now();
+          this.metrics.inc('ai_retries_total', { bot: this.bot, reason: 'transport_error' });
+          try {
+            const res2 = await this.callModel(this.completionBody(minimal, Math.min(256, this.maxReply)));
+            if (res2.ok) {
+              const data3 = await res2.json();
+              aiText = this.backend.parseResponse(data3);
+              usage = this.backend.parseUsage(data3);
+              answeredWith = minimal;
+              success2 = true;
+              break;
+            }
+          } catch(_) { /* ignored */ }
+          await this.sleep(1000 * Math.pow(2, attempt));
+          if (withinGrace && (Date.now() - silentStart2) >= silentCap2) break;
+        }
+        if (!success2) {
+          const withinWarmup2 = (Date.now() - inflightStart) < this.warmupGraceMs;
+          if ((withinGrace && (Date.now() - silentStart2) < silentCap2) || withinWarmup2) {
+            // Drop inflight so we immediately retry this seq on the next loop
+            this.inflight.delete(inflightKey);
+            this.inflightSince.delete(inflightKey);
+            await this.sleep(500);
+            return; // retry same seq on a later dispatch
+          } else {
+            aiText = 'sorry, am busy please try again';
+          }
+        }
+      }
+
+      // Output moderation: a refused answer is replaced by the refusal reply before anyone sees it
+      if (answeredWith !== null) {
+        const checked = await this.moderate(aiText || '', 'output');
+        if (checked.action !== null) moderation.output = { action: checked.action, rules: checked.rules };
+        aiText = checked.action === 'refuse' ? checked.refusal : checked.text;
+      }
+      // A reply already in chat keeps the decision journaled with it
+      if (postedText !== null && this.journal !== null && this.journal.get(inflightKey) !== null && this.journal.get(inflightKey).moderation) {
+        Object.assign(moderation, this.journal.get(inflightKey).moderation);
+      }
+      const moderated = Object.keys(moderation).length > 0 ? moderation : null;
+      const refused = isRefusal(moderated);
+
+      // What the answer cost: the server's counts, else our tokenizer's estimate; nothing when the model gave
+      // no answer (busy reply, usage reply). A reply already in chat keeps the counts journaled with it.
+      let tokens = null;
+      if (answeredWith !== null) {
+        tokens = usage !== null
+          ? { prompt: usage.prompt, completion: usage.completion }
+          : { prompt: countTokens(answeredWith), completion: tokenizer.count(aiText || ''), estimated: true };
+        this.metrics.inc('ai_tokens_total', { bot: this.bot, kind: 'prompt' }, tokens.prompt);
+        this.metrics.inc('ai_tokens_total', { bot: this.bot, kind: 'completion' }, tokens.completion);
+      } else if (postedText !== null && this.journal !== null && this.journal.get(inflightKey) !== null) {
+        tokens = this.journal.get(inflightKey).tokens || null;
+      }
+      const responded = { reply: aiText };
+      if (directReply !== null) responded.keep_summary = true;
+      if (tokens !== null) responded.tokens = tokens;
+      if (moderated !== null) responded.moderation = moderated;
+      await this.journalRecord(inflightKey, 'responded', responded);
+
+      // Unprompted replies are not worth a public refusal: the item is dropped instead
+      // (random items run alone, so there is no slot order to wait for)
+      if (queue === 'random' && refused) {
+        this.slotState(slot, 'committing');
+        await this.commitResult({ queue, seq: next, skip: true, moderation: moderated });
+        this.metrics.inc('ai_dropped_total', { bot: this.bot, queue, reason: 'moderation' });
+        await this.journalRecord(inflightKey, 'dropped');
+        return;
+      }
+
+      // The asker's notes and the compressed summary come from model calls too; make them before taking a turn
+      // so a slow one never holds up the other slots' replies
+      let notes = null;
+      if (queue === 'tagged' && this.userMemory && typeof from === 'string' && directReply === null && !refused && this.bot === DEFAULT_BOT && !this.worker) {
+        notes = await this.rememberUser(userNotes, userNick, prompt, aiText, tokenizer);
+      }
+      const exchange = `\nQ(${from}): ${prompt}\nA: ${aiText}`;
+      const nextSummary = directReply === null ? await this.nextSummary(summary, exchange, tokenizer) : summary;
+
+      // Replies leave the pool in seq order, one at a time
+      this.slotState(slot, 'waiting');
+      await this.waitForTurn(slot);
+      this.slotState(slot, 'posting');
+
+      // A lease that ran out (or a worker that claimed the seq meanwhile) means someone else answers it
+      if (queue === 'tagged' && false === await this.mayAnswer(next)) {
+        console.log('AiOracle: seq ' + next + ' of @' + this.bot + ' is no longer ours; dropping the answer');
+        this.metrics.inc('ai_dropped_total', { bot: this.bot, queue, reason: 'lost_lease' });
+        await this.journalRecord(inflightKey, 'dropped');
+        slot.typing = null;
+        this.inflight.delete(inflightKey);
+        this.inflightSince.delete(inflightKey);
+        this.inflightRetries.delete(inflightKey);
+        return;
+      }
+
+      // Post back to public chat (unless it is there already)
+      try {
+        if (postedText === null) {
+          aiText = await this.postReply(item, aiText, queue, next, refused);
+          if (typeof item.timestamp === 'number') this.metrics.observe('ai_time_to_first_reply_seconds', { bot: this.bot, queue }, (Date.now() - item.timestamp) / 1000);
+        }
+        slot.typing = null;
+      } catch(e) {
+        slot.typing = null;
+        this.metrics.inc('ai_post_failures_total', { bot: this.bot, queue });
+        // If posting fails, drop inflight and skip append to avoid deadlock
+        this.inflight.delete(inflightKey);
+        this.inflightSince.delete(inflightKey);
+        this.inflightRetries.delete(inflightKey);
+        throw e;
+      }
+
+      // The commit payload. The summary made above holds as long as it builds on the newest one (no other slot
+      // committed since this job read it); otherwise this exchange goes on top of the newest summary without
+      // another model call under the commit lock (the next answer compresses it again)
+      let newSummary = nextSummary;
+      if (slot.commits !== this.commits) {
+        const latestObj = await this.peer.base.view.get(this.keys.summary);
+        const latest = latestObj !== null ? (latestObj.value || '') : '';
+        newSummary = directReply !== null ? latest : (latest + exchange).slice(-MAX_SUMMARY_CHARS);
+      }
+      // Trim payload to reduce risk of feature size issues
+      const trimmedReply = typeof aiText === 'string' ? aiText.slice(0, 2000) : '';
+      const result = { queue, seq: next, reply: trimmedReply, summary: newSummary };
+      if (tokens !== null) {
+        result.tokens = tokens;
+      }
+      if (moderated !== null) {
+        result.moderation = moderated;
+      }
+      if (toolTrace.length > 0) {
+        result.tools = this.traceForResult(toolTrace);
+      }
+      // The reply is in chat: journal it before committing, so a crash from here on commits it on restart
+      // instead of posting it a second time
+      await this.journalRecord(inflightKey, 'posted', { result });
+
+      // What we remember about the asker; a failed call kept the old notes
+      // (named bots read these notes but leave them to @ai, whose queue seqs the wipe guard compares against;
+      // workers cannot write them since ai_user_memory is an admin feature op)
+      if (notes !== null && notes !== (userNotes || '')) {
+        try {
+          await this.append('ai_user_memory', { address: from, seq: next, memory: notes });
+        } catch(_) {}
+      }
+
+      // Commit result through the contract (feature hook, or submit_ai_result TX on a worker)
+      try {
+        this.slotState(slot, 'committing');
+        await this.commitResult(result);
+        this.commits++;
+        this.metrics.inc('ai_replies_total', { bot: this.bot, queue });
+        await this.journalRecord(inflightKey, 'committed');
+        // Post-append confirmation: briefly wait for the pending entry of this seq to go away
+        // (workers answer out of order, so the process pointer may stay behind)
+        // Non-blocking safety net to help clear inflight faster on slow views
+        try {
+          let tries = 0;
+          while (tries < 6) { // ~1.5s @ 250ms steps
+            if (null === await this.peer.base.view.get(pendingKey)) break;
+            await this.sleep(250);
+            tries++;
+          }
+        } catch(_) {}
+      } catch(e) {
+        // If append fails, drop inflight so the item can be retried or fast-forwarded
+        this.inflight.delete(inflightKey);
+        this.inflightSince.delete(inflightKey);
+        this.inflightRetries.delete(inflightKey);
+        throw e;
+      }
+    } finally {
+      slot.typing = null;
+      if (this.committing === slot) this.committing = null;
+    }
+  }
+
+  // Count the contract's refusals (msgrej/<message index>) as messages come in; done once, by @ai's oracle on the admin peer
+  watchRejections() {
+    const events = this.peer.protocol_instance?.events;
+    if (!events || typeof events.subscribe !== 'function') return;
+    this.unwatchRejections = events.subscribe('messages', async ({ from, to }) => {
+      try {
+        for (let i = from; i < to; i++) {
+          const rejection = await this.get('msgrej/' + i);
+          if (rejection !== null && typeof rejection.reason === 'string') this.metrics.inc('ai_rejections_total', { reason: rejection.reason });
+        }
+      } catch(_) {}
+    });
+  }
 
-          // Read pointers for global queue (tagged + random types)
-          const processSeqObj = await this.peer.base.view.get('process_seq');
-          const messageSeqObj = await this.peer.base.view.get('message_seq');
-          // Random/occasional replies share the same global queue
+  async start(options = {}) {
+    if (botOfFeature(this.key + '_feature') === null) {
+      console.log('AiOracle: "' + this.key + '" cannot be a bot name (see shared/bots.js); not starting');
+      return;
+    }
+    this.bot = this.key;
+    this.keys = botKeys(this.bot);
+    this.worker = (await this.get('admin')) !== this.peer.wallet.publicKey;
+    // Unprompted (random) replies only exist for the default bot and stay with the admin's oracle
+    const hasRandomQueue = this.bot === DEFAULT_BOT && !this.worker;
+    const tokenizer = await createTokenizer();
+    if (this.metricsPort !== null) {
+      await serveMetrics(this.metricsPort, this.metricsHost);
+      this.metricsServed = true;
+    }
+    if (this.bot === DEFAULT_BOT && !this.worker) this.watchRejections();
+    if (this.journalDir !== null) {
+      try {
+        this.journal = new JobJournal(this.journalDir + '/ai-journal-' + this.bot + '.jsonl');
+        await this.journal.load();
+      } catch(e) {
+        console.log('AiOracle: job journal unavailable, jobs are kept in memory only:', e?.message || e);
+        this.journal = null;
+      }
+    }
+    try {
+      // silent start
+      await this.recoverJobs(tokenizer);
+      // One-shot fast-forward on startup over prompts that waited too long (workers only take leases)
+      if (!this.worker) {
+        try {
+          const psObj = await this.peer.base.view.get(this.keys.process_seq);
+          const msObj = await this.peer.base.view.get(this.keys.message_seq);
+          const ps = psObj !== null ? parseInt(psObj.value) : 0;
+          const ms = msObj !== null ? parseInt(msObj.value) : 0;
+          if(!isNaN(ms) && !isNaN(ps) && ms > ps) {
+            const cutoff = await this.resumeCutoff(ps, ms);
+            if (cutoff > ps) await this.fastForward('tagged', cutoff, cutoff - ps, 'resume');
+          }
+          if (hasRandomQueue) {
+            const rpsObj = await this.peer.base.view.get('random_process_seq');
+            const rmsObj = await this.peer.base.view.get('random_message_seq');
+            const rps = rpsObj !== null ? parseInt(rpsObj.value) : 0;
+            const rms = rmsObj !== null ? parseInt(rmsObj.value) : 0;
+            if(!isNaN(rms) && !isNaN(rps) && rms > rps) {
+              await this.fastForward('random', rms, rms - rps, 'resume');
+            }
+          }
+        } catch(_) {}
+      }
+      while(!this.stopped){
+        let dispatched = false;
+        try {
+          // Give benched endpoints a chance to recover before picking the next item
+          await this.probeEndpoints();
+          // With every endpoint benched, hold the queue instead of burning prompts on retries and busy replies
+          if (this.endpoints.allBenched()) {
+            await this.sleep(this.pollInterval);
+            continue;
+          }
+          await this.reapInflight();
+          // Every slot busy: wait for one to free up
+          if (this.slots.indexOf(null) === -1) {
+            await this.sleep(this.pollInterval);
+            continue;
+          }
+          // Read pointers for the tagged queue
+          const processSeqObj = await this.peer.base.view.get(this.keys.process_seq);
+          const messageSeqObj = await this.peer.base.view.get(this.keys.message_seq);
           let processSeq = processSeqObj !== null ? parseInt(processSeqObj.value) : 0;
           let messageSeq = messageSeqObj !== null ? parseInt(messageSeqObj.value) : 0;
           if(isNaN(processSeq)) processSeq = 0;
           if(isNaN(messageSeq)) messageSeq = 0;
+          this.metrics.set('ai_queue_backlog', { bot: this.bot, queue: 'tagged' }, messageSeq - processSeq);
+          this.metrics.set('ai_slots_busy', { bot: this.bot }, this.slots.filter(slot => slot !== null).length);
 
           // Enforce backlog window via fast-forward control
-          if(messageSeq - processSeq > this.maxBacklogTagged){
-            await this.append('ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq: messageSeq - this.maxBacklogTagged });
+          if(!this.worker && messageSeq - processSeq > this.maxBacklogTagged){
+            await this.fastForward('tagged', messageSeq - this.maxBacklogTagged, messageSeq - this.maxBacklogTagged - processSeq, 'backlog');
             processSeq = messageSeq - this.maxBacklogTagged;
           }
-          // Single global queue only
 
-          // Choose next seq to drain from the global queue
+          // Choose next seq: tagged prompts first, the random queue only while no tagged prompt is waiting
           let queue = null;
           let next = 0;
-          if(messageSeq > processSeq){
+          // Seqs leased to oracle workers are theirs: the admin's oracle takes the fair pick (see shared/scheduler.js), a worker its lease
+          const taggedSeq = this.worker
+            ? await this.workerJob()
+            : (messageSeq > processSeq ? await pickNextSeq(key => this.get(key), this.keys, await this.get('currentTime'), seq => this.inflight.has('seq:' + seq)) : null);
+          if(taggedSeq !== null){
             queue = 'tagged';
-            next = processSeq + 1;
+            next = taggedSeq;
           } else {
-            await this.sleep(this.pollInterval);
-            continue;
+            const randomConfig = await this.get('ai/random_config');
+            const randomEnabled = hasRandomQueue && (randomConfig === null || randomConfig.enabled !== false);
+            let randomProcessSeq = parseInt(await this.get('random_process_seq'));
+            let randomMessageSeq = parseInt(await this.get('random_message_seq'));
+            if(isNaN(randomProcessSeq)) randomProcessSeq = 0;
+            if(isNaN(randomMessageSeq)) randomMessageSeq = 0;
+            if(hasRandomQueue) this.metrics.set('ai_queue_backlog', { bot: this.bot, queue: 'random' }, randomMessageSeq - randomProcessSeq);
+            // random_process_seq moves to whatever seq is committed, so random items run alone
+            if(randomEnabled && randomMessageSeq > randomProcessSeq && this.slots.every(slot => slot === null)){
+              // Only the most recent few random items are worth answering
+              if(randomMessageSeq - randomProcessSeq > this.maxBacklogRandom){
+                await this.fastForward('random', randomMessageSeq - this.maxBacklogRandom, randomMessageSeq - this.maxBacklogRandom - randomProcessSeq, 'backlog');
+                randomProcessSeq = randomMessageSeq - this.maxBacklogRandom;
+              }
+              queue = 'random';
+              next = randomProcessSeq + 1;
+            } else {
+              await this.sleep(this.pollInterval);
+              continue;
+            }
           }
 
-          const pendingKey = 'chat/pending/'+next;
+          const pendingKey = queue === 'random' ? ('chat/pending_random/'+next) : (this.keys.pending+next);
           const pendingObj = await this.peer.base.view.get(pendingKey);
           if(pendingObj === null){
             await this.sleep(this.pollInterval);
             continue;
           }
-          const inflightKey = 'seq:'+next;
+          if(queue === 'random'){
+            // Skip random items that went stale while tagged prompts were being served
+            const currentTime = await this.get('currentTime');
+            const ts = pendingObj.value?.timestamp;
+            if(typeof currentTime === 'number' && typeof ts === 'number' && currentTime - ts > this.randomMaxAgeMs){
+              await this.fastForward('random', next, 1, 'stale');
+              await this.sleep(this.pollInterval);
+              continue;
+            }
+          }
+          const inflightKey = (queue === 'random' ? 'random:' : 'seq:')+next;
+          // Taken already: running in a slot, or answered and waiting for the view (see reapInflight)
           if (this.inflight.has(inflightKey)) {
-            // TTL guard: if this inflight has been stuck too long, drop and optionally fast-forward after one retry
-            try {
-              let t0 = this.inflightSince.get(inflightKey);
-              const now = Date.now();
-              // If we inherited an inflight from a previous version without since-tracking,
-              // initialize it now so TTL logic can start applying.
-              if (!t0) {
-                this.inflightSince.set(inflightKey, now);
-                t0 = now;
-              }
-              // Additionally, consider the age of the pending item using contract time to avoid clock skew
-              let ageMs = null;
-              try {
-                const ct = await this.peer.base.view.get('currentTime');
-                const currentTime = ct ? ct.value : null;
-                if (typeof currentTime === 'number' && typeof pendingObj.value?.timestamp === 'number') {
-                  ageMs = currentTime - pendingObj.value.timestamp;
-                }
-              } catch(_) {}
-              const ttlExceeded = (now - t0) > this.inflightTtlMs;
-              const pendingTooOld = (ageMs !== null) && (ageMs > (this.inflightTtlMs * 2));
-              if (ttlExceeded || pendingTooOld) {
-                const retries = this.inflightRetries.get(inflightKey) || 0;
-                if (retries < this.inflightMaxRetries) {
-                  // Drop and retry once
-                  this.inflight.delete(inflightKey);
-                  this.inflightSince.delete(inflightKey);
-                  this.inflightRetries.set(inflightKey, retries + 1);
-                } else {
-                  // Give up on this seq and fast-forward pointer to unblock
-                  await this.append('ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq: next });
-                  this.inflight.delete(inflightKey);
-                  this.inflightSince.delete(inflightKey);
-                  this.inflightRetries.delete(inflightKey);
-                }
-              }
-            } catch(_) {}
             await this.sleep(this.pollInterval);
             continue;
           }
           const item = pendingObj.value || {};
           const from = item.from;
-          const prompt = item.prompt || '';
           // Only process items explicitly marked 'tagged' or 'random'
           if (item.type !== 'tagged' && item.type !== 'random') {
-            await this.append('ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq: next });
+            await this.skipItem(queue, next, 'invalid');
             await this.sleep(this.pollInterval);
             continue;
           }
@@ -172,423 +1497,42 @@ export class AiOracle extends Feature {
             adminAddr = await this.peer.protocol_instance.getSigned('admin');
           } catch(_) {}
           if (from && adminAddr && from === adminAddr) {
-            await this.append('ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq: next });
+            await this.skipItem(queue, next, 'admin');
             await this.sleep(this.pollInterval);
             continue;
           }
 
-          // Mark as inflight to avoid duplicate posts until contract advances process_seq
+          // Hand the item to a free slot; the loop goes on picking while the model works on it
+          const index = this.slots.indexOf(null);
+          const slot = { key: inflightKey, queue, seq: next, from, state: 'context', started_at: Date.now(), updated_at: Date.now(), typing: null, commits: this.commits };
+          this.slots[index] = slot;
           this.inflight.add(inflightKey);
-          try { this.inflightSince.set(inflightKey, Date.now()); } catch(_){}
-          const inflightStart = this.inflightSince.get(inflightKey) || Date.now();
-          
-          // Build context
-          const summaryObj = await this.peer.base.view.get('ai/summary');
-          let summary = summaryObj !== null ? (summaryObj.value || '') : '';
-
-          // Gather recent Q/A history (done items) up to historyWindow before current seq
-          const historyPairs = [];
-          const start = Math.max(1, next - this.historyWindow);
-          for (let i = start; i < next; i++) {
-            let doneObj = await this.peer.base.view.get('chat/done/' + i);
-            if (!doneObj) {
-              // Fallback: legacy random done storage, if any
-              doneObj = await this.peer.base.view.get('chat/done_random/' + i);
-            }
-            if (doneObj && doneObj.value) {
-              const d = doneObj.value;
-              if (typeof d.prompt === 'string' && d.prompt.length > 0) {
-                historyPairs.push({ role: 'user', content: d.prompt });
-              }
-              if (typeof d.reply === 'string' && d.reply.length > 0) {
-                historyPairs.push({ role: 'assistant', content: d.reply });
-              }
-            }
-          }
-
-          // Compose messages with a compact system preamble, short summary, history and current prompt
-          const systemPreamble = 'You are a true crypto chad who knows all ins and outs. trading, tech, everything. you are good with degens and speak their "language". respond briefly, no long explanations, keep it short. avoid dashes in responses. avoid emojis. avoid hallucinating requests that you cannot fact check via web browsing in your responses.';
-          if(tokenizer.count(summary) > 512) {
-            summary = summary.slice(0, 2048);
-          }
-          let messages = [
-            { role: 'system', content: systemPreamble },
-            { role: 'system', content: 'Conversation summary (compact):\n' + summary }
-          ];
-          messages = messages.concat(historyPairs);
-          messages.push({ role: 'user', content: prompt });
-
-          // Token budget: keep within maxContext - maxReply - headroom
-          const headroom = 512;
-          const countTokens = (arr) => arr.reduce((acc, m) => acc + tokenizer.count(m.content), 0);
-          let total = countTokens(messages);
-          const budget = this.maxContext - this.maxReply - headroom;
-          if(total > budget){
-            // Drop oldest history pairs until within budget
-            while (total > budget && historyPairs.length > 0) {
-              historyPairs.shift();
-              if (historyPairs.length > 0) historyPairs.shift();
-              messages = [ messages[0], messages[1] ].concat(historyPairs).concat([{ role: 'user', content: prompt }]);
-              total = countTokens(messages);
-            }
-            // Trim summary if still too large
-            if(total > budget){
-              let sys = messages[1].content;
-              while(total > budget && sys.length > 128){
-                sys = sys.slice(0, Math.floor(sys.length * 0.8));
-                messages[1].content = 'Conversation summary (compact):\n' + sys;
-                total = countTokens(messages);
-              }
-            }
-            // Finally trim the current prompt if needed
-            if(total > budget){
-              let up = messages[messages.length - 1].content;
-              while(total > budget && up.length > 64){
-                up = up.slice(0, Math.floor(up.length * 0.9));
-                messages[messages.length - 1].content = up;
-                total = countTokens(messages);
-              }
-            }
-          }
-
-          // Call local model
-          // silent processing
-          const headers = { 'Content-Type': 'application/json' };
-          if (this.apiKey) {
-            headers[this.apiKeyHeader] = (this.apiKeyHeader.toLowerCase() === 'authorization' && this.apiKeyScheme)
-              ? `${this.apiKeyScheme} ${this.apiKey}`
-              : this.apiKey;
-          }
-          let aiText = '';
-          try {
-            // Additional byte-size budget guard to complement token budget
-            const jsonSizeOf = (obj) => { try { return JSON.stringify(obj).length } catch(_) { return Number.MAX_SAFE_INTEGER } };
-            const maxJsonBytes = 256 * 1024; // ~256 KB
-            // Rebuild messages with bytes budget enforcement
-            const rebuild = () => [{ role: 'system', content: systemPreamble }, { role: 'system', content: messages[1].content }].concat(historyPairs).concat([{ role: 'user', content: messages[messages.length - 1].content }]);
-            let msgBytesPayload = { model: this.model, messages, stream: false, max_tokens: this.maxReply, temperature: 0.7 };
-            let size = jsonSizeOf(msgBytesPayload);
-            if (size > maxJsonBytes) {
-              // Drop history pairs first
-              while (historyPairs.length > 0 && size > maxJsonBytes) {
-                historyPairs.shift();
-                if (historyPairs.length > 0) historyPairs.shift();
-                messages = rebuild();
-                msgBytesPayload = { model: this.model, messages, stream: false, max_tokens: this.maxReply, temperature: 0.7 };
-                size = jsonSizeOf(msgBytesPayload);
-              }
-              // Trim summary aggressively if still too large
-              if (size > maxJsonBytes) {
-                let sys = messages[1].content;
-                while (sys.length > 64 && size > maxJsonBytes) {
-                  sys = sys.slice(0, Math.floor(sys.length * 0.8));
-                  messages[1].content = sys;
-                  msgBytesPayload = { model: this.model, messages, stream: false, max_tokens: this.maxReply, temperature: 0.7 };
-                  size = jsonSizeOf(msgBytesPayload);
-                }
-              }
-              // Trim current prompt if still too large
-              if (size > maxJsonBytes) {
-                let up = messages[messages.length - 1].content;
-                while (up.length > 64 && size > maxJsonBytes) {
-                  up = up.slice(0, Math.floor(up.length * 0.9));
-                  messages[messages.length - 1].content = up;
-                  msgBytesPayload = { model: this.model, messages, stream: false, max_tokens: this.maxReply, temperature: 0.7 };
-                  size = jsonSizeOf(msgBytesPayload);
-                }
-              }
-            }
-
-            // Avoid keep-alive via header; do not pass Node agents into fetch in renderer contexts
-            // Do not pass Node-specific agents into fetch to maximize compatibility across runtimes
-            let agent = undefined;
-
-            const startedAt = Date.now();
-            // Helper: fetch with timeout; use AbortController when available (Node or modern runtimes), else race fallback
-            const fetchWithTimeout = async (url, opts, ms) => {
-              if (typeof AbortController !== 'undefined') {
-                const ctrl = new AbortController();
-                const id = setTimeout(() => { try { ctrl.abort(); } catch(_){} }, ms);
-                try {
-                  return await fetch(url, { ...opts, signal: ctrl.signal });
-                } finally { clearTimeout(id); }
-              } else {
-                return await new Promise((resolve, reject) => {
-                  const id = setTimeout(() => reject(new Error('timeout')), ms);
-                  fetch(url, opts).then(r => { clearTimeout(id); resolve(r) }).catch(e => { clearTimeout(id); reject(e) });
-                });
-              }
-            };
-            let res = await fetchWithTimeout(this.endpoint, {
-              method: 'POST',
-              headers,
-              body: JSON.stringify(msgBytesPayload)
-            }, this.requestTimeoutMs);
-            if(res.ok){
-              const data = await res.json();
-              aiText = (data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '';
-              this.lastCall = {
-                when: startedAt,
-                elapsed_ms: Date.now() - startedAt,
-                status: res.status,
-                ok: true,
-                payload_bytes: size,
-                messages_count: Array.isArray(messages) ? messages.length : null,
-                history_pairs_count: Array.isArray(historyPairs) ? historyPairs.length : null
-              };
-              this.lastCallEndedAt = Date.now();
-            } else {
-              // TEMP LOG: surface reason for debugging (status + small body excerpt)
-              try {
-                const txt = await res.text();
-                console.log('AiOracle HTTP non-OK:', res.status, (txt || '').slice(0, 200));
-              } catch(_) {}
-              // Retry 1–3 times with minimal context before giving up with a friendly busy message
-              let success = false;
-              const minimal = [
-                { role: 'system', content: 'Be brief and helpful.' },
-                { role: 'user', content: prompt.slice(0, 2000) }
-              ];
-              const withinGrace = (Date.now() - (this.lastCallEndedAt || 0)) < 5000;
-              const silentStart = Date.now();
-              const silentCap = 12000;
-              for (let attempt = 0; attempt < 3 && !success; attempt++) {
-                const startedRetry = Date.now();
-                try {
-                  const resMin = await fetchWithTimeout(this.endpoint, {
-                    method: 'POST',
-                    headers,
-                    body: JSON.stringify({
-                      model: this.model,
-                      messages: minimal,
-                      stream: false,
-                      max_tokens: Math.min(256, this.maxReply),
-                      temperature: 0.7
-                    })
-                  }, this.requestTimeoutMs);
-                  if (resMin.ok) {
-                    const data2 = await resMin.json();
-                    aiText = (data2 && data2.choices && data2.choices[0] && data2.choices[0].message && data2.choices[0].message.content) || '';
-                    this.lastCall = {
-                      when: startedRetry,
-                      elapsed_ms: Date.now() - startedRetry,
-                      status: resMin.status,
-                      ok: true,
-                      payload_bytes: jsonSizeOf({ model: this.model, messages: minimal, stream: false, max_tokens: Math.min(256, this.maxReply), temperature: 0.7 }),
-                      messages_count: minimal.length,
-                      history_pairs_count: Array.isArray(historyPairs) ? historyPairs.length : null,
-                      note: `retry-minimal-after-non-ok-${attempt+1}`
-                    };
-                    this.lastCallEndedAt = Date.now();
-                    success = true;
-                    break;
-                  } else {
-                    try { const txt2 = await resMin.text(); console.log('AiOracle HTTP retry non-OK:', resMin.status, (txt2 || '').slice(0, 200)); } catch(_) {}
-                  }
-                } catch(eMin) { /* ignore and continue */ }
-                // Backoff more generously (e.g., 1s, 2s, 4s)
-                await this.sleep(1000 * Math.pow(2, attempt));
-                if (withinGrace && (Date.now() - silentStart) >= silentCap) break;
-              }
-              if (!success) {
-                const withinWarmup = (Date.now() - inflightStart) < this.warmupGraceMs;
-                if ((withinGrace && (Date.now() - silentStart) < silentCap) || withinWarmup) {
-                  // Drop inflight so we immediately retry this seq on the next loop
-                  this.inflight.delete(inflightKey);
-                  this.inflightSince.delete(inflightKey);
-                  await this.sleep(500);
-                  continue; // retry same seq on next iteration
-                } else {
-                  aiText = 'sorry, am busy please try again';
-                  this.lastCall = {
-                    when: Date.now(),
-                    elapsed_ms: null,
-                    ok: false,
-                    note: 'gave-up-after-retries-non-ok'
-                  };
-                  this.lastCallEndedAt = Date.now();
-                }
-              }
-            }
-          } catch(e) {
-            // Transport error (endpoint down/unreachable). Retry 1–3 times with minimal context and backoff, else friendly busy message
-            const headers2 = { ...headers };
-            const minimal = [
-              { role: 'system', content: 'Be brief and helpful.' },
-              { role: 'user', content: (prompt || '').slice(0, 2000) }
-            ];
-            let success2 = false;
-            const withinGrace2 = (Date.now() - (this.lastCallEndedAt || 0)) < 5000;
-            const silentStart2 = Date.now();
-            const silentCap2 = 12000;
-            for (let attempt = 0; attempt < 3 && !success2; attempt++) {
-              const startedRetry2 = Date.now();
-              try {
-                const res2 = await fetchWithTimeout(this.endpoint, {
-                  method: 'POST',
-                  headers: headers2,
-                  body: JSON.stringify({
-                    model: this.model,
-                    messages: minimal,
-                    stream: false,
-                    max_tokens: Math.min(256, this.maxReply),
-                    temperature: 0.7
-                  })
-                }, this.requestTimeoutMs);
-                if (res2.ok) {
-                  const data3 = await res2.json();
-                  aiText = (data3 && data3.choices && data3.choices[0] && data3.choices[0].message && data3.choices[0].message.content) || '';
-                  this.lastCall = {
-                    when: startedRetry2,
-                    elapsed_ms: Date.now() - startedRetry2,
-                    status: res2.status,
-                    ok: true,
-                    payload_bytes: JSON.stringify({ model: this.model, messages: minimal, stream: false, max_tokens: Math.min(256, this.maxReply), temperature: 0.7 }).length,
-                    messages_count: minimal.length,
-                    history_pairs_count: Array.isArray(historyPairs) ? historyPairs.length : null,
-                    note: `transport-retry-minimal-ok-${attempt+1}`
-                  };
-                  this.lastCallEndedAt = Date.now();
-                  success2 = true;
-                  break;
-                }
-              } catch(_) { /* ignored */ }
-              await this.sleep(1000 * Math.pow(2, attempt));
-              if (withinGrace2 && (Date.now() - silentStart2) >= silentCap2) break;
-            }
-            if (!success2) {
-              const withinWarmup2 = (Date.now() - inflightStart) < this.warmupGraceMs;
-              if ((withinGrace2 && (Date.now() - silentStart2) < silentCap2) || withinWarmup2) {
-                // Drop inflight so we immediately retry this seq on the next loop
-                this.inflight.delete(inflightKey);
-                this.inflightSince.delete(inflightKey);
-                await this.sleep(500);
-                continue; // retry same seq on next loop
-              } else {
-                aiText = 'sorry, am busy please try again';
-                this.lastCall = {
-                  when: Date.now(),
-                  elapsed_ms: null,
-                  ok: false,
-                  note: 'transport-exception-gave-up-after-retries'
-                };
-                this.lastCallEndedAt = Date.now();
-              }
-            }
-          }
-
-          // Post back to public chat, addressing the tagger's nick if set, else public key
-          const api = this.peer.protocol_instance.api;
-          let tag = from;
-          try {
-            const nick = await api.getNick(from, true);
-            if (nick !== null && typeof nick === 'string' && nick.length > 0) tag = nick;
-          } catch(_) {}
-          // Avoid tagging @ai which would retrigger handlers; fallback to address if nick is 'ai'
-          try {
-            if (typeof tag === 'string' && tag.trim().toLowerCase() === 'ai') tag = from;
-          } catch(_) {}
-          // Normalize/demote mentions inside AI text to avoid double tagging
-          try {
-            // 1) Replace @you with 'you' (no mention)
-            aiText = aiText.replace(/@you\b/gi, 'you');
-            // 1b) Replace @ai with 'ai' (no mention) anywhere in generated text
-            aiText = aiText.replace(/@ai\b/gi, 'ai');
-            // 2) If the AI text mentions the same user again (e.g., @<tag>), drop the @ to avoid a second ping
-            const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const tagPattern = new RegExp('\\B@' + escapeRe(tag) + '\\b', 'gi');
-            aiText = aiText.replace(tagPattern, tag);
-            // 3) Demote any @<64-hex> address mentions to plain hex (avoid second pings)
-            aiText = aiText.replace(/@([a-f0-9]{64})\b/gi, '$1');
-          } catch(_) {}
-          const mention = '@' + tag;
-          // Prepare chat reply; dynamically trim if message too large per protocol cap
-          let replyCandidate = typeof aiText === 'string' ? aiText : '';
-          let prepared = null;
-          let attempts = 0;
-          const maxAttempts = 10;
-          while (attempts < maxAttempts) {
-            const replyText = `${mention} ${replyCandidate}`;
-            try {
-              prepared = api.prepareMessage(replyText, this.peer.wallet.publicKey, null, ['ai-reply']);
-              break;
-            } catch (e) {
-              // Shrink reply by 20% (min step 200 chars) and retry
-              const newLen = Math.max(0, Math.floor(replyCandidate.length * 0.8));
-              const nextLen = newLen < replyCandidate.length ? newLen : Math.max(0, replyCandidate.length - 200);
-              if (nextLen === replyCandidate.length || nextLen <= 0) {
-                prepared = null;
-                break;
-              }
-              replyCandidate = replyCandidate.slice(0, nextLen);
-              attempts++;
-            }
-          }
-          try {
-            if (api && api.msgExposed && api.msgExposed()) {
-              const nonce = api.generateNonce();
-              if (prepared) {
-                const signature = this.peer.wallet.sign(JSON.stringify(prepared) + nonce);
-                await api.post(prepared, signature, nonce);
-              } else {
-                // Fallback minimal notice if we could not fit
-                const tiny = api.prepareMessage(`${mention} (reply trimmed)`, this.peer.wallet.publicKey, null, ['ai-reply']);
-                const signature = this.peer.wallet.sign(JSON.stringify(tiny) + nonce);
-                await api.post(tiny, signature, nonce);
-              }
-            }
-          } catch(e) {
-            // If posting fails, drop inflight and skip append to avoid deadlock
-            this.inflight.delete(inflightKey);
-            this.inflightSince.delete(inflightKey);
-            this.inflightRetries.delete(inflightKey);
-            throw e;
-          }
-
-          // Update rolling summary (compact concat + trim). Summarization could be a second model call; keep it bounded.
-          const newSummaryCandidate = (summary + `\nQ(${from}): ${prompt}\nA: ${aiText}`).slice(-8000);
-
-          // Commit result through contract feature hook
-          try {
-            // Trim payload to reduce risk of feature size issues
-            const trimmedReply = typeof aiText === 'string' ? aiText.slice(0, 2000) : '';
-            const trimmedSummary = typeof newSummaryCandidate === 'string' ? newSummaryCandidate.slice(0, 2000) : '';
-          await this.append('ai_result', { queue: 'tagged', seq: next, reply: trimmedReply, summary: trimmedSummary });
-            // Post-append confirmation: briefly wait for process_seq to advance past this seq
-            // Non-blocking safety net to help clear inflight faster on slow views
-            try {
-              let tries = 0;
-              while (tries < 6) { // ~1.5s @ 250ms steps
-                const psObj2 = await this.peer.base.view.get('process_seq');
-                const ps2 = psObj2 !== null ? parseInt(psObj2.value) : 0;
-                if (!isNaN(ps2) && ps2 >= next) break;
-                await this.sleep(250);
-                tries++;
-              }
-            } catch(_) {}
-          } catch(e) {
-            // If append fails, drop inflight so the item can be retried or fast-forwarded
-            this.inflight.delete(inflightKey);
-            this.inflightSince.delete(inflightKey);
-            this.inflightRetries.delete(inflightKey);
-            throw e;
-          }
-
+          this.inflightSince.set(inflightKey, Date.now());
+          dispatched = true;
+          this.runJob(slot, item, processSeq, tokenizer)
+            .catch((e) => console.log('AiOracle error:', e?.message || e))
+            .finally(() => this.releaseSlot(index, slot));
         } catch(e){
           // Log and keep loop alive
           console.log('AiOracle error:', e?.message || e);
         }
-        await this.sleep(this.pollInterval);
-        // Clear inflight entries that have been processed
+        // Fill the remaining free slots right away
+        if (!dispatched || this.slots.indexOf(null) === -1) await this.sleep(this.pollInterval);
+        // Clear inflight entries that have been processed (seq:<n> tagged, random:<n> random queue):
+        // behind the process pointer, or answered out of order (pending entry gone)
         try {
-          const ps = await this.peer.base.view.get('process_seq');
+          const ps = await this.peer.base.view.get(this.keys.process_seq);
+          const rps = await this.peer.base.view.get('random_process_seq');
           const proc = ps !== null ? parseInt(ps.value) : 0;
+          const randomProc = rps !== null ? parseInt(rps.value) : 0;
           if (!isNaN(proc)) {
             for (const key of Array.from(this.inflight)) {
-              const m = key.match(/^seq:(\d+)$/);
+              const m = key.match(/^(seq|random):(\d+)$/);
               if (m) {
-                const seq = parseInt(m[1]);
-                if (!isNaN(seq) && seq <= proc) {
+                const seq = parseInt(m[2]);
+                const done = m[1] === 'random' ? randomProc : proc;
+                const pendingPrefix = m[1] === 'random' ? 'chat/pending_random/' : this.keys.pending;
+                if (!isNaN(seq) && ((!isNaN(done) && seq <= done) || null === await this.peer.base.view.get(pendingPrefix + seq))) {
                   this.inflight.delete(key);
                   this.inflightSince.delete(key);
                   this.inflightRetries.delete(key);
@@ -603,7 +1547,17 @@ export class AiOracle extends Feature {
     }
   }
 
-  async stop(options = {}) { }
+  async stop(options = {}) {
+    this.stopped = true;
+    if (this.unwatchRejections !== null) {
+      this.unwatchRejections();
+      this.unwatchRejections = null;
+    }
+    if (this.metricsServed) {
+      this.metricsServed = false;
+      await releaseMetrics();
+    }
+  }
 }
 
 export default AiOracle;
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+
+// On-disk journal of the oracle's jobs, so a restart picks up where the last run stopped instead of
+// dropping everything in flight. One JSON line per stage change of a job (key "seq:<n>" or "random:<n>"):
+// - requested: the prompt went to the model
+// - responded: a reply came back (reply; keep_summary for usage replies, which leave the summary as is)
+// - posted: the reply is in chat and the commit payload is ready (result)
+// - committed / dropped: the job is over and leaves the journal
+// Lines are merged per key when loading; the file is rewritten with the open jobs on load and whenever
+// it has grown past compact_after lines.
+
+export const OPEN_STAGES = ['requested', 'responded', 'posted'];
+
+export class JobJournal {
+
+  constructor(file, options = {}) {
+    this.file = file;
+    this.jobs = new Map(); // key -> merged entry { key, queue, seq, stage, at, ... }
+    this.compactAfter = (!isNaN(parseInt(options.compact_after))) ? parseInt(options.compact_after) : 1000;
+    this.lines = 0;
+    this.failed = false;
+  }
+
+  /**
+   * Read the journal file (a missing file is an empty journal) and compact it.
+   *
+   * @returns {Promise<Array<object>>} open jobs, oldest seq first
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    let text = '';
+    try {
+      text = await fs.promises.readFile(this.file, 'utf8');
+    } catch(e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    this.jobs.clear();
+    for (const line of text.split('\n')) {
+      if (line.trim() === '') continue;
+      let entry = null;
+      // A torn last line from a crash mid-write is skipped
+      try { entry = JSON.parse(line); } catch(_) { continue; }
+      if (entry === null || typeof entry.key !== 'string') continue;
+      if (OPEN_STAGES.indexOf(entry.stage) === -1) {
+        this.jobs.delete(entry.key);
+      } else {
+        this.jobs.set(entry.key, { ...(this.jobs.get(entry.key) || {}), ...entry });
+      }
+    }
+    await this.compact();
+    return this.open();
+  }
+
+  open() {
+    return Array.from(this.jobs.values()).sort((a, b) => a.seq - b.seq);
+  }
+
+  get(key) {
+    return this.jobs.get(key) || null;
+  }
+
+  /**
+   * Record a job's new stage; data is merged into what the journal already has for the key.
+   * Journal writes are best effort: a failing disk is logged once and never stops the oracle.
+   */
+  async record(key, stage, data = {}) {
+    const open = OPEN_STAGES.indexOf(stage) !== -1;
+    const entry = open ? { ...(this.jobs.get(key) || {}), ...data, key, stage, at: Date.now() } : { key, stage, at: Date.now() };
+    if (open) this.jobs.set(key, entry); else this.jobs.delete(key);
+    try {
+      await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+      this.lines++;
+      if (this.lines >= this.compactAfter) await this.compact();
+    } catch(e) {
+      if (!this.failed) console.log('AiOracle: job journal write failed:', e?.message || e);
+      this.failed = true;
+    }
+  }
+
+  // Rewrite the file with only the open jobs (write + rename, so a crash leaves the old or the new file)
+  async compact() {
+    const tmp = this.file + '.tmp';
+    const text = this.open().map(entry => JSON.stringify(entry) + '\n').join('');
+    await fs.promises.writeFile(tmp, text);
+    await fs.promises.rename(tmp, this.file);
+    this.lines = this.jobs.size;
+  }
+}
+
+export default JobJournal;
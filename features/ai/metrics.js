@@ -0,0 +1,132 @@
+// Oracle metrics: one registry per process, shared by every bot's AiOracle (series carry a bot label).
+// Rendered in the Prometheus text format, both for the local scrape endpoint (serveMetrics, ai_opts.metrics_port)
+// and for the /metrics terminal command.
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+export class Metrics {
+
+  constructor() {
+    this.families = new Map(); // name -> { name, type, help, buckets, series: Map(labelKey -> { labels, value | buckets, sum, count }) }
+  }
+
+  define(name, type, help, buckets = DEFAULT_BUCKETS) {
+    if (!this.families.has(name)) this.families.set(name, { name, type, help, buckets, series: new Map() });
+    return this;
+  }
+
+  series(name, labels) {
+    const family = this.families.get(name);
+    if (family === undefined) throw new Error('Metrics: unknown metric ' + name);
+    const key = JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+    let entry = family.series.get(key);
+    if (entry === undefined) {
+      entry = family.type === 'histogram'
+        ? { labels: { ...labels }, buckets: family.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: { ...labels }, value: 0 };
+      family.series.set(key, entry);
+    }
+    return { family, entry };
+  }
+
+  inc(name, labels = {}, by = 1) {
+    if (!(by > 0)) return;
+    this.series(name, labels).entry.value += by;
+  }
+
+  set(name, labels = {}, value = 0) {
+    if (typeof value !== 'number' || isNaN(value)) return;
+    this.series(name, labels).entry.value = value;
+  }
+
+  observe(name, labels = {}, value = 0) {
+    if (typeof value !== 'number' || isNaN(value) || value < 0) return;
+    const { family, entry } = this.series(name, labels);
+    family.buckets.forEach((le, i) => { if (value <= le) entry.buckets[i]++; });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Prometheus text exposition format (version 0.0.4)
+  render() {
+    const lines = [];
+    for (const family of this.families.values()) {
+      lines.push('# HELP ' + family.name + ' ' + family.help);
+      lines.push('# TYPE ' + family.name + ' ' + family.type);
+      for (const entry of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(family.name + formatLabels(entry.labels) + ' ' + entry.value);
+          continue;
+        }
+        family.buckets.forEach((le, i) => lines.push(family.name + '_bucket' + formatLabels({ ...entry.labels, le: String(le) }) + ' ' + entry.buckets[i]));
+        lines.push(family.name + '_bucket' + formatLabels({ ...entry.labels, le: '+Inf' }) + ' ' + entry.count);
+        lines.push(family.name + '_sum' + formatLabels(entry.labels) + ' ' + entry.sum);
+        lines.push(family.name + '_count' + formatLabels(entry.labels) + ' ' + entry.count);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return '{' + keys.map(k => k + '="' + String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"').join(',') + '}';
+}
+
+export const metrics = new Metrics()
+  .define('ai_queue_backlog', 'gauge', 'Prompts waiting for an answer (message_seq - process_seq)')
+  .define('ai_slots_busy', 'gauge', 'Inference slots working on a prompt')
+  .define('ai_time_to_first_reply_seconds', 'histogram', 'Time from the prompt (trusted timestamp) to its reply in chat', [1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600])
+  .define('ai_model_latency_seconds', 'histogram', 'Duration of model calls by purpose (answer, summary, memory, ping) and outcome')
+  .define('ai_tokens_total', 'counter', 'Tokens sent to (prompt) and generated by (completion) the model for answers')
+  .define('ai_retries_total', 'counter', 'Answer retries with minimal context after a failed model call')
+  .define('ai_dropped_total', 'counter', 'Prompts dropped without an answer (fast-forwards, stale or stuck items, lost leases)')
+  .define('ai_rejections_total', 'counter', 'Prompts the contract refused (msgrej reasons such as rate_limited or queue_full)')
+  .define('ai_moderation_total', 'counter', 'Prompts (stage input) and answers (stage output) the moderation rules or classifier refused, redacted or rewrote')
+  .define('ai_post_failures_total', 'counter', 'Replies that could not be posted to chat')
+  .define('ai_replies_total', 'counter', 'Answers committed to the contract');
+
+let server = null;
+let holders = 0;
+
+/**
+ * Serve metrics.render() at http://<host>:<port>/metrics. Several oracles may ask; the first one opens the port.
+ * Needs a runtime with the http module; otherwise metrics stay available through /metrics in the terminal.
+ * Each call must be matched by a releaseMetrics() once the oracle stops.
+ */
+export async function serveMetrics(port, host = '127.0.0.1') {
+  holders++;
+  if (server !== null) return;
+  let http = null;
+  try {
+    http = await import('http');
+  } catch(e) {
+    console.log('AiOracle: no http module here, metrics endpoint disabled:', e?.message || e);
+    return;
+  }
+  // Another oracle may have opened the port while the import was loading
+  if (server !== null || holders === 0) return;
+  server = (http.default || http).createServer((req, res) => {
+    if (req.method !== 'GET' || (req.url || '').split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('not found\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.render());
+  });
+  server.on('error', (e) => console.log('AiOracle: metrics endpoint failed:', e?.message || e));
+  server.listen(port, host, () => console.log('AiOracle: metrics at http://' + host + ':' + port + '/metrics'));
+}
+
+// Let go of the endpoint opened by serveMetrics(); the last oracle to let go closes the port
+export async function releaseMetrics() {
+  if (holders > 0) holders--;
+  if (holders > 0 || server === null) return;
+  const closing = server;
+  server = null;
+  await new Promise(resolve => closing.close(() => resolve()));
+}
+
+export default metrics;
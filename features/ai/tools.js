@@ -0,0 +1,245 @@
+// Local tools the model can call during a prompt (OpenAI-style function calling, see AiOracle.completeWithTools).
+// Tools only get a read-only view of contract state and the local chat search; none of them has network access.
+// Each tool is { name, description, parameters (JSON schema), run(args, ctx) } where ctx is
+// { get(key), search(query, options), item } and run returns a string or any JSON-serializable value.
+
+// Contract state the read_state tool may read: exact keys and key prefixes
+const READABLE_KEYS = ['currentTime', 'msgl', 'message_seq', 'process_seq', 'random_message_seq', 'random_process_seq',
+  'ai/summary', 'ai/config', 'ai/random_config', 'ai/templates', 'rl/policy', 'rl/tiers'];
+const READABLE_PREFIXES = ['nick/', 'msg/', 'msgts/', 'chat/done/', 'ai/user/', 'rl/user_tier/'];
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  min: Math.min, max: Math.max, log: Math.log, log10: Math.log10, exp: Math.exp,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Evaluate an arithmetic expression without eval: numbers, + - * / % ^, parentheses,
+ * the functions in MATH_FUNCTIONS and the constants pi and e.
+ */
+export function calculate(expression) {
+  if (typeof expression !== 'string' || expression.length === 0) throw new Error('empty expression');
+  if (expression.length > MAX_EXPRESSION_LENGTH) throw new Error('expression too long (max ' + MAX_EXPRESSION_LENGTH + ' chars)');
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|[-+*/%^(),]|\S/gi) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) throw new Error('expected "' + token + '"' + (pos < tokens.length ? ' at "' + tokens[pos] + '"' : ' at end'));
+    pos++;
+  };
+  const parseExpr = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      const op = tokens[pos++];
+      const right = parseTerm();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const op = tokens[pos++];
+      const right = parseUnary();
+      value = op === '*' ? value * right : (op === '/' ? value / right : value % right);
+    }
+    return value;
+  };
+  const parseUnary = () => {
+    if (peek() === '-') { pos++; return -parseUnary(); }
+    if (peek() === '+') { pos++; return parseUnary(); }
+    return parsePower();
+  };
+  // ^ binds tighter than unary minus on its left and is right-associative
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      pos++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error('unexpected end of expression');
+    if (token === '(') {
+      const value = parseExpr();
+      expect(')');
+      return value;
+    }
+    if (/^(\d|\.\d)/.test(token)) return parseFloat(token);
+    const name = token.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(MATH_CONSTANTS, name)) return MATH_CONSTANTS[name];
+    if (Object.prototype.hasOwnProperty.call(MATH_FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseExpr()];
+      while (peek() === ',') {
+        pos++;
+        args.push(parseExpr());
+      }
+      expect(')');
+      return MATH_FUNCTIONS[name](...args);
+    }
+    throw new Error('unknown token "' + token + '"');
+  };
+  const value = parseExpr();
+  if (pos < tokens.length) throw new Error('unexpected "' + tokens[pos] + '"');
+  if (typeof value !== 'number' || false === isFinite(value)) throw new Error('result is not a finite number');
+  return value;
+}
+
+function readable(key) {
+  return READABLE_KEYS.indexOf(key) !== -1 || READABLE_PREFIXES.some(prefix => key.startsWith(prefix) && key.length > prefix.length);
+}
+
+export const BUILTIN_TOOLS = [
+  {
+    name: 'get_time',
+    description: 'Current trusted chat time (from the contract timer), as ISO 8601 UTC and milliseconds since epoch.',
+    parameters: { type: 'object', properties: {}, required: [] },
+    async run(args, ctx) {
+      const now = await ctx.get('currentTime');
+      if (typeof now !== 'number') return 'no trusted time yet';
+      return { iso: new Date(now).toISOString(), ms: now };
+    }
+  },
+  {
+    name: 'get_nick',
+    description: 'Nickname of a chat user by public key (64 hex chars). Returns null if the user has none.',
+    parameters: {
+      type: 'object',
+      properties: { address: { type: 'string', description: 'public key of the user' } },
+      required: ['address']
+    },
+    async run(args, ctx) {
+      if (typeof args.address !== 'string' || false === /^[a-f0-9]{64}$/i.test(args.address)) throw new Error('address must be 64 hex chars');
+      return { address: args.address, nick: await ctx.get('nick/' + args.address.toLowerCase()) };
+    }
+  },
+  {
+    name: 'search_chat',
+    description: 'Full-text search over the chat history and earlier AI answers. Returns the best matching snippets with message ids.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'words to look for' },
+        user: { type: 'string', description: 'only messages from this public key' },
+        limit: { type: 'integer', description: 'max hits (1-10, default 5)' }
+      },
+      required: ['query']
+    },
+    async run(args, ctx) {
+      if (typeof args.query !== 'string' || args.query.trim() === '') throw new Error('query is required');
+      const limit = (!isNaN(parseInt(args.limit))) ? Math.min(10, Math.max(1, parseInt(args.limit))) : 5;
+      const hits = await ctx.search(args.query, { user: typeof args.user === 'string' ? args.user : null, limit });
+      return hits.map(hit => ({ kind: hit.kind, id: hit.id, bot: hit.bot, ts: hit.ts, address: hit.address, snippet: hit.snippet }));
+    }
+  },
+  {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression, e.g. "(1.5 + 2) * 3 ^ 2" or "sqrt(2) / 4". Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, min, max, log, log10, exp, sin, cos, tan, pi and e.',
+    parameters: {
+      type: 'object',
+      properties: { expression: { type: 'string' } },
+      required: ['expression']
+    },
+    async run(args) {
+      return { expression: args.expression, result: calculate(args.expression) };
+    }
+  },
+  {
+    name: 'read_state',
+    description: 'Read a chat contract value, e.g. "currentTime", "ai/summary", "rl/policy", "msgl" (message count), "msg/<id>", "chat/done/<seq>" or "nick/<public key>".',
+    parameters: {
+      type: 'object',
+      properties: { key: { type: 'string' } },
+      required: ['key']
+    },
+    async run(args, ctx) {
+      if (typeof args.key !== 'string' || false === readable(args.key)) {
+        throw new Error('key not readable; allowed: ' + READABLE_KEYS.join(', ') + ' and keys starting with ' + READABLE_PREFIXES.join(', '));
+      }
+      return { key: args.key, value: await ctx.get(args.key) };
+    }
+  }
+];
+
+export class ToolRegistry {
+
+  constructor(tools = BUILTIN_TOOLS, options = {}) {
+    this.tools = new Map();
+    // Results handed back to the model are cut to this many characters
+    this.maxResultChars = (!isNaN(parseInt(options.max_result_chars))) ? parseInt(options.max_result_chars) : 2000;
+    // Tools the model is offered and may run (every registered tool when null); others are refused at call time
+    this.enabled = Array.isArray(options.enabled) ? options.enabled.slice() : null;
+    for (const tool of tools) this.register(tool);
+  }
+
+  register(tool) {
+    if (tool === null || typeof tool !== 'object' || typeof tool.name !== 'string' || false === /^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+      throw new Error('ToolRegistry: tool needs a name of 1-64 letters, digits, _ or -');
+    }
+    if (typeof tool.run !== 'function') throw new Error('ToolRegistry: tool "' + tool.name + '" has no run function');
+    this.tools.set(tool.name, tool);
+  }
+
+  names() {
+    return Array.from(this.tools.keys());
+  }
+
+  isEnabled(name) {
+    return this.tools.has(name) && (this.enabled === null || this.enabled.indexOf(name) !== -1);
+  }
+
+  // Function definitions in OpenAI format, limited to the given names (all tools when names is null)
+  schemas(names = this.enabled) {
+    const schemas = [];
+    for (const tool of this.tools.values()) {
+      if (names !== null && names.indexOf(tool.name) === -1) continue;
+      schemas.push({
+        type: 'function',
+        function: { name: tool.name, description: tool.description || '', parameters: tool.parameters || { type: 'object', properties: {} } }
+      });
+    }
+    return schemas;
+  }
+
+  /**
+   * Run one tool call. Never throws: unknown or not enabled tools, bad arguments, failures and timeouts come back as error.
+   *
+   * @returns {Promise<{name: string, args: object, result: (string|null), error: (string|null), ms: number}>}
+   */
+  async call(name, args, ctx, timeoutMs = 2000) {
+    const startedAt = Date.now();
+    const entry = { name, args: (args !== null && typeof args === 'object') ? args : {}, result: null, error: null, ms: 0 };
+    const tool = this.tools.get(name);
+    if (tool === undefined) {
+      entry.error = 'unknown tool "' + name + '"';
+      return entry;
+    }
+    // The model may name a tool it was not offered
+    if (false === this.isEnabled(name)) {
+      entry.error = 'tool "' + name + '" is not enabled';
+      return entry;
+    }
+    let timer = null;
+    try {
+      const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timed out after ' + timeoutMs + 'ms')), timeoutMs); });
+      const value = await Promise.race([Promise.resolve().then(() => tool.run(entry.args, ctx)), timeout]);
+      const text = typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value);
+      entry.result = text.length > this.maxResultChars ? text.slice(0, this.maxResultChars) + '…' : text;
+    } catch(e) {
+      entry.error = e?.message || String(e);
+    } finally {
+      clearTimeout(timer);
+    }
+    entry.ms = Date.now() - startedAt;
+    return entry;
+  }
+}
+
+export default ToolRegistry;
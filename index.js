@@ -38,14 +38,39 @@ const timer_opts = {};
 timer_opts.update_interval = 1_000;
 
 const ai_opts = {};
+// Request/response format: 'openai-chat' (vLLM etc.), 'openai-completions', 'ollama' (/api/chat), 'llamacpp' (/completion);
+// each sends api_key as a Bearer token unless api_key_header says otherwise
+ai_opts.backend = 'openai-chat';
 ai_opts.endpoint = 'http://127.0.0.1:8000/v1/chat/completions';
+// Optional failover list (lower priority is preferred); replaces `endpoint` when set.
+// An endpoint is benched after 2 consecutive failures and re-probed after the cooldown.
+// ai_opts.endpoints = [
+//     { url : 'http://127.0.0.1:8000/v1/chat/completions', priority : 0 },
+//     { url : 'http://10.0.0.2:8000/v1/chat/completions', priority : 1 }
+// ];
+ai_opts.endpoint_failure_threshold = 2;
+ai_opts.endpoint_cooldown_ms = 30_000;
 ai_opts.model = 'gpt-oss-120b-fp16';
 ai_opts.max_context_tokens = 32768;
 ai_opts.max_reply_tokens = 1024;
 ai_opts.poll_interval_ms = 1000;
+ai_opts.concurrency = 1; // prompts worked on in parallel (e.g. 4 for vLLM); replies are still posted and committed one at a time
 ai_opts.history_window = 32; // include last 32 Q/A turns (trimmed to token budget)
+ai_opts.summary_trigger_tokens = 512; // summarize once summary + latest exchange exceed this
+ai_opts.summary_max_tokens = 256; // upper bound for the model-generated rolling summary
+ai_opts.user_memory = true; // keep short per-user notes under ai/user/<address> (users wipe theirs with /ai_forget)
+ai_opts.user_memory_max_tokens = 128;
+ai_opts.tools = false; // true (or a list like ['get_time', 'calculator']) lets the model call local read-only tools
+ai_opts.max_tool_steps = 3; // tool-call rounds per prompt before the model has to answer
+ai_opts.tool_timeout_ms = 2000;
+ai_opts.journal_dir = getStorePath(); // jobs survive a restart (ai-journal-<bot>.jsonl); null keeps them in memory only
+ai_opts.resume_max_age_ms = 300_000; // on start, answer prompts queued in the last 5 minutes and drop older ones
+// ai_opts.moderation_endpoint = 'http://127.0.0.1:8001/v1/moderations'; // optional local classifier; the admin's rules (/ai_moderation) apply without it
+ai_opts.metrics_port = null; // e.g. 9464 serves Prometheus text at http://127.0.0.1:9464/metrics; /metrics in the terminal works either way
+ai_opts.stream = true; // SSE streaming; partial replies show up as "AI is typing" in the desktop view
 // Auth config for local vLLM server
 ai_opts.api_key = 'local-qwen3'; // Authorization: Bearer local-qwen3
+// ai_opts.api_key_header = 'X-Api-Key'; // send the key in another header (e.g. for a proxy in front of the server)
 
 export const app = new App(msb_opts, peer_opts, [
     {
@@ -56,7 +81,17 @@ export const app = new App(msb_opts, peer_opts, [
     {
         name : 'ai',
         class : AiOracle,
-        opts : ai_opts
+        opts : ai_opts,
+        // also started on peers the admin authorized as oracle workers (set_ai_worker)
+        worker : true
     }
+    // More bots: register one with /tx --command '{"op":"set_ai_bot","name":"code",...}' and serve it
+    // with an AiOracle named after it (its own endpoint/model via opts; persona and model from ai/bots win):
+    // ,{
+    //     name : 'code',
+    //     class : AiOracle,
+    //     opts : { ...ai_opts, endpoint : 'http://127.0.0.1:8001/v1/chat/completions' },
+    //     worker : true
+    // }
 ]);
 await app.start();
@@ -0,0 +1,137 @@
+// Named bots sharing one channel. The default bot answers @ai and keeps the original keys (message_seq,
+// chat/pending/<seq>, ai/summary, ...); bots registered by the admin in ai/bots answer @<name> and get their
+// own queue, summary and rate-limit counters under bot/<name>/ and rl/bot/<name>/. Each bot is served by an
+// AiOracle feature of the same name (ai_opts for @ai, another App feature entry per named bot).
+
+export const DEFAULT_BOT = 'ai';
+export const BOT_NAME_RE = /^[a-z][a-z0-9_-]{1,31}$/;
+export const MAX_BOTS = 16;
+
+// Names that would clash with the default bot, other features or common mentions
+export const RESERVED_BOT_NAMES = [DEFAULT_BOT, 'timer', 'all', 'everyone', 'here', 'you', 'admin'];
+
+// Fields of an ai/bots entry the oracle applies like ai/config, and the ones that replace rl/policy for that bot
+export const BOT_CONFIG_FIELDS = ['persona', 'model', 'temperature', 'top_p', 'max_reply_tokens', 'history_window'];
+export const BOT_RATE_FIELDS = ['window_ms', 'window_max', 'daily_max', 'max_pending', 'daily_tokens'];
+
+/**
+ * State keys of one bot's queue (with the per-asker queues of scheduler.js), worker leases, reply links,
+ * summary and rate-limit counters (prompts and model tokens per address and day).
+ */
+export function botKeys(bot = DEFAULT_BOT) {
+    if (bot === DEFAULT_BOT) {
+        return {
+            message_seq : 'message_seq',
+            process_seq : 'process_seq',
+            pending : 'chat/pending/',
+            queues : 'chat/queues',
+            done : 'chat/done/',
+            summary : 'ai/summary',
+            lease : 'chat/lease/',
+            reply : 'chat/reply/',
+            rl_last : (address) => 'rl/last3/' + address,
+            rl_day : (address, dayKey) => 'rl/day/' + address + '/' + dayKey,
+            rl_tokens : (address, dayKey) => 'rl/tokens/' + address + '/' + dayKey
+        };
+    }
+    const prefix = 'bot/' + bot + '/';
+    return {
+        message_seq : prefix + 'message_seq',
+        process_seq : prefix + 'process_seq',
+        pending : prefix + 'pending/',
+        queues : prefix + 'queues',
+        done : prefix + 'done/',
+        summary : prefix + 'summary',
+        lease : prefix + 'lease/',
+        reply : prefix + 'reply/',
+        rl_last : (address) => 'rl/bot/' + bot + '/last3/' + address,
+        rl_day : (address, dayKey) => 'rl/bot/' + bot + '/day/' + address + '/' + dayKey,
+        rl_tokens : (address, dayKey) => 'rl/bot/' + bot + '/tokens/' + address + '/' + dayKey
+    };
+}
+
+// Every bot that may have state: the default bot first, then the ones in ai/bots by name (disabled ones too,
+// their answered prompts stay readable)
+export function botNames(bots) {
+    const names = [DEFAULT_BOT];
+    if (bots !== null && typeof bots === 'object') {
+        for (const name of Object.keys(bots).sort()) {
+            if (name !== DEFAULT_BOT && BOT_NAME_RE.test(name)) names.push(name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Which bot a message asks: the earliest mention wins. @ai keeps its loose substring match;
+ * named bots need a whole handle (@code, not @coder). Disabled bots are ignored.
+ *
+ * @param lower lowercased message text
+ * @param bots value of ai/bots or null
+ * @returns {({bot: string, at: number, length: number}|null)} at and length locate the mention in the text
+ */
+export function findBotMention(lower, bots) {
+    let found = null;
+    const aiAt = lower.indexOf('@' + DEFAULT_BOT);
+    if (aiAt !== -1) found = { bot : DEFAULT_BOT, at : aiAt, length : DEFAULT_BOT.length + 1 };
+    if (bots !== null && typeof bots === 'object') {
+        for (const name of Object.keys(bots)) {
+            if (bots[name] === null || typeof bots[name] !== 'object' || bots[name].enabled === false) continue;
+            const match = new RegExp('@' + name + '(?![a-z0-9_-])').exec(lower);
+            if (match === null) continue;
+            // "@aide" also matches @ai's substring rule; the whole named handle is the better match
+            if (found === null || match.index < found.at || (match.index === found.at && found.bot === DEFAULT_BOT)) {
+                found = { bot : name, at : match.index, length : name.length + 1 };
+            }
+        }
+    }
+    return found;
+}
+
+// rl/policy with a named bot's own limits on top (daily_tokens null lifts the policy's budget); tiers still apply after this
+export function botRatePolicy(policy, entry) {
+    const merged = (policy !== null && typeof policy === 'object') ? { ...policy } : {};
+    if (entry !== null && typeof entry === 'object') {
+        for (const field of BOT_RATE_FIELDS) {
+            if (typeof entry[field] === 'number' || entry[field] === null) merged[field] = entry[field];
+        }
+    }
+    return merged;
+}
+
+// The bot a feature op belongs to: ai_feature is the default bot, <name>_feature a named one (null if neither)
+export function botOfFeature(type) {
+    if (typeof type !== 'string' || false === type.endsWith('_feature')) return null;
+    const name = type.slice(0, -'_feature'.length);
+    if (name === DEFAULT_BOT) return DEFAULT_BOT;
+    return (BOT_NAME_RE.test(name) && RESERVED_BOT_NAMES.indexOf(name) === -1) ? name : null;
+}
+
+// Attachments of an oracle's chat reply: ai-reply, the seq it answers (seq:<n>, or random:<n> for the
+// random queue) and bot:<name> for named bots. The contract links the reply to the seq from these.
+export function replyAttachments(bot, queue, seq) {
+    const attachments = ['ai-reply', (queue === 'random' ? 'random:' : 'seq:') + seq];
+    if (bot !== DEFAULT_BOT) attachments.push('bot:' + bot);
+    return attachments;
+}
+
+/**
+ * The seq an AI reply answers, from its attachments.
+ *
+ * @returns {({bot: string, queue: string, seq: number}|null)} null without a seq:<n> / random:<n> marker
+ */
+export function parseReplyAttachments(attachments) {
+    if (false === Array.isArray(attachments)) return null;
+    let bot = DEFAULT_BOT;
+    let found = null;
+    for (const attachment of attachments) {
+        if (typeof attachment !== 'string') continue;
+        const marker = attachment.match(/^(seq|random):(\d{1,15})$/);
+        if (marker !== null && found === null) found = { queue : marker[1] === 'random' ? 'random' : 'tagged', seq : parseInt(marker[2]) };
+        if (attachment.startsWith('bot:')) bot = attachment.slice(4);
+    }
+    if (found === null || found.seq < 1 || botOfFeature(bot + '_feature') === null) return null;
+    // Only the default bot has a random queue
+    if (found.queue === 'random' && bot !== DEFAULT_BOT) return null;
+    return { bot : bot, queue : found.queue, seq : found.seq };
+}
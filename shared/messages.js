@@ -0,0 +1,33 @@
+// Reading chat messages from the view; shared by the protocol (search, export, message windows) and the oracle,
+// which builds its context from the same keys.
+
+/**
+ * Messages msg/<from> .. msg/<to - 1> with their trusted timestamps (msgts/<n>), read in parallel batches.
+ * Message keys are not zero-padded, so a lexicographic Hyperbee range stream would not return them in index order.
+ *
+ * @param view Autobase view (Hyperbee)
+ * @param from first index (inclusive)
+ * @param to last index (exclusive)
+ * @param batchSize parallel reads per batch
+ * @returns {Promise<Array<{id: number, ts: (number|null), msg: string, address: string, attachments: Array, reply_to: (number|null)}>>}
+ *          missing or deleted entries are left out; ts is null for messages sent before the timer feature started
+ */
+export async function readMessages(view, from, to, batchSize = 64) {
+    const items = [];
+    for (let start = from; start < to; start += batchSize) {
+        const end = Math.min(to, start + batchSize);
+        const reads = [];
+        for (let i = start; i < end; i++) {
+            reads.push(view.get('msg/' + i).catch(() => null));
+            reads.push(view.get('msgts/' + i).catch(() => null));
+        }
+        const results = await Promise.all(reads);
+        for (let i = 0; i < results.length; i += 2) {
+            let m = results[i] !== null ? results[i].value : null;
+            if (m && m.dispatch && m.dispatch.msg !== undefined) m = m.dispatch;
+            const ts = results[i + 1] !== null && typeof results[i + 1].value === 'number' ? results[i + 1].value : null;
+            if (m && m.msg !== undefined) items.push({ ...m, id: start + i / 2, ts });
+        }
+    }
+    return items;
+}
@@ -0,0 +1,171 @@
+// Moderation rules the admin keeps under ai/moderation. The oracle runs them on every prompt before the
+// model sees it (input) and on every answer before it is posted (output).
+// Pure and deterministic: the contract validates rules with it, the oracle applies them.
+//
+// ai/moderation = { enabled, refusal, rules: { <name>: { stage, match, words | pattern, flags, action, replacement, enabled } } }
+// - stage: input, output or both
+// - match: words (whole words or phrases, case-insensitive) or regex (pattern with optional i/m/s/u flags;
+//   no quantified group holding a quantifier, see hasNestedQuantifier)
+// - action: refuse (no answer; the refusal reply is posted instead), redact (matches become [redacted])
+//   or rewrite (matches become replacement, which may use $1.. for regex groups)
+// When several rules match, a refusal wins; redactions and rewrites all apply, in rule name order.
+
+export const MODERATION_RULE_NAME_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+export const MAX_MODERATION_RULES = 64;
+export const MAX_RULE_WORDS = 200;
+export const MAX_RULE_PATTERN = 500;
+export const DEFAULT_REFUSAL = 'sorry, I cannot help with that.';
+export const REDACTED = '[redacted]';
+
+const ACTION_RANK = { redact : 1, rewrite : 2, refuse : 3 };
+
+function escapeRegExp(text){
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether a repeated group repeats something itself, like (a+)+ or (x\w*)*: the shape that lets a near match
+// backtrack for exponential time (a stalled oracle, as rules run on every prompt and answer)
+export function hasNestedQuantifier(pattern){
+    const groups = []; // per open group: whether something in it repeats
+    for(let i = 0; i < pattern.length; i++){
+        const c = pattern[i];
+        if(c === '\\'){
+            // Skip the escaped character, and the braces of \p{..} and \u{..}
+            i++;
+            if('pPu'.indexOf(pattern[i]) !== -1 && pattern[i + 1] === '{'){
+                while(i < pattern.length && pattern[i] !== '}') i++;
+            }
+        } else if(c === '['){
+            // A character class repeats nothing inside
+            i++;
+            while(i < pattern.length && pattern[i] !== ']'){
+                if(pattern[i] === '\\') i++;
+                i++;
+            }
+        } else if(c === '('){
+            groups.push(false);
+        } else if(c === ')'){
+            const inner = groups.pop() === true;
+            const repeated = ['*', '+', '{'].indexOf(pattern[i + 1]) !== -1;
+            if(inner && repeated) return true;
+            if(groups.length > 0 && (inner || repeated)) groups[groups.length - 1] = true;
+        } else if((c === '*' || c === '+' || c === '{') && groups.length > 0){
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+// The rule's matcher (global, so replace() catches every match); throws on a pattern that does not compile
+export function ruleRegExp(rule){
+    if(rule.match === 'words'){
+        const words = rule.words.map(word => escapeRegExp(word.trim())).filter(word => word !== '');
+        return new RegExp('(?<![\\p{L}\\p{N}_])(?:' + words.join('|') + ')(?![\\p{L}\\p{N}_])', 'giu');
+    }
+    return new RegExp(rule.pattern, (rule.flags || '') + 'g');
+}
+
+/**
+ * Why a rule cannot be stored, or null if it is fine. The schema has checked the field types already.
+ *
+ * @param rule { stage, match, words, pattern, flags, action, replacement }
+ * @returns {string|null}
+ */
+export function validateRule(rule){
+    if(rule.match === 'words'){
+        if(false === Array.isArray(rule.words) || rule.words.every(word => word.trim() === '')) return 'A words rule needs a non-empty words list.';
+    } else if(typeof rule.pattern !== 'string'){
+        return 'A regex rule needs a pattern.';
+    } else if(hasNestedQuantifier(rule.pattern)){
+        return 'The pattern repeats a group that repeats something itself (like (a+)+), which can stall matching.';
+    }
+    if(rule.action === 'rewrite' && typeof rule.replacement !== 'string') return 'A rewrite rule needs a replacement.';
+    try {
+        const re = ruleRegExp(rule);
+        // A pattern matching the empty string would "match" every text
+        if(re.test('')) return 'The pattern matches empty text.';
+    } catch(e) {
+        return 'Invalid pattern: ' + (e?.message || e);
+    }
+    return null;
+}
+
+/**
+ * ai/moderation with its rules compiled; malformed rules are left out.
+ *
+ * @returns {{enabled: boolean, refusal: string, rules: Array<{name: string, stage: string, action: string, re: RegExp, replacement: (string|null)}>}}
+ */
+export function readModeration(value){
+    const moderation = { enabled : true, refusal : DEFAULT_REFUSAL, rules : [] };
+    if(value === null || typeof value !== 'object') return moderation;
+    if(value.enabled === false) moderation.enabled = false;
+    if(typeof value.refusal === 'string' && value.refusal.trim() !== '') moderation.refusal = value.refusal;
+    const rules = (value.rules !== null && typeof value.rules === 'object') ? value.rules : {};
+    for(const name of Object.keys(rules).sort()){
+        const rule = rules[name];
+        if(rule === null || typeof rule !== 'object' || rule.enabled === false) continue;
+        if(false === Object.prototype.hasOwnProperty.call(ACTION_RANK, rule.action)) continue;
+        if(['input', 'output', 'both'].indexOf(rule.stage) === -1) continue;
+        if(validateRule(rule) !== null) continue;
+        moderation.rules.push({
+            name : name,
+            stage : rule.stage,
+            action : rule.action,
+            re : ruleRegExp(rule),
+            replacement : typeof rule.replacement === 'string' ? rule.replacement : null
+        });
+    }
+    return moderation;
+}
+
+/**
+ * Run the rules of one stage over a text.
+ *
+ * @param text prompt (input) or answer (output)
+ * @param stage 'input' or 'output'
+ * @param moderation result of readModeration()
+ * @returns {{text: string, action: (string|null), rules: string[]}} action is the strongest one that matched
+ *          (null if none); text has the redactions and rewrites applied (unchanged on a refusal)
+ */
+export function applyModeration(text, stage, moderation){
+    const result = { text : text, action : null, rules : [] };
+    if(false === moderation.enabled) return result;
+    let output = text;
+    for(const rule of moderation.rules){
+        if(rule.stage !== 'both' && rule.stage !== stage) continue;
+        rule.re.lastIndex = 0;
+        if(false === rule.re.test(output)) continue;
+        rule.re.lastIndex = 0;
+        result.rules.push(rule.name);
+        if(result.action === null || ACTION_RANK[rule.action] > ACTION_RANK[result.action]) result.action = rule.action;
+        if(rule.action !== 'refuse') output = output.replace(rule.re, rule.action === 'redact' ? REDACTED : rule.replacement);
+    }
+    if(result.action !== 'refuse') result.text = output;
+    return result;
+}
+
+/**
+ * The moderation decision of an answer (ai_result / submit_ai_result "moderation"), cleaned up for chat/done/<seq>.
+ *
+ * @param decision { input: { action, rules }, output: { action, rules } }, each stage only when something matched
+ * @returns {object|null} null if missing or empty
+ */
+export function readModerationDecision(decision){
+    if(decision === null || typeof decision !== 'object') return null;
+    const clean = {};
+    for(const stage of ['input', 'output']){
+        const entry = decision[stage];
+        if(entry === null || typeof entry !== 'object' || false === Object.prototype.hasOwnProperty.call(ACTION_RANK, entry.action)) continue;
+        clean[stage] = {
+            action : entry.action,
+            rules : (Array.isArray(entry.rules) ? entry.rules : []).filter(name => typeof name === 'string').slice(0, 16).map(name => name.slice(0, 64))
+        };
+    }
+    return Object.keys(clean).length > 0 ? clean : null;
+}
+
+// Whether a decision replaced the answer with the refusal reply
+export function isRefusal(decision){
+    return decision !== null && typeof decision === 'object' &&
+        ['input', 'output'].some(stage => decision[stage] !== undefined && decision[stage] !== null && decision[stage].action === 'refuse');
+}
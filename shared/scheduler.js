@@ -0,0 +1,102 @@
+// Fair scheduling of a bot's tagged queue. Next to <pending prefix><seq>, the contract keeps who is waiting
+// under <keys.queues> = { order: [address, ...], users: { <address>: { seqs: [seq, ...], priority } } }.
+// The next prompt is the oldest one of the first asker in order among those with the highest priority
+// (rl/tiers priority, taken when they ask); an asker goes to the back of order whenever one of their
+// prompts is taken, and leaves it once nothing of theirs is waiting. Seqs leased to a worker are skipped.
+// Pure and deterministic: the contract (enqueue, claims, commits) and the oracles (picking) share it.
+
+import {leaseActive} from './workers.js';
+
+// How far past process_seq the fallback scan looks for prompts queued before per-asker queues existed
+export const MAX_LEGACY_SCAN = 64;
+// Upper bound of seqs one fast-forward marks as expired; anything older is only skipped by the pointer
+export const MAX_EXPIRE_PER_OP = 256;
+
+// A copy of <keys.queues> that is always well-formed
+export function readQueues(value) {
+    const queues = { order : [], users : {} };
+    if (value === null || typeof value !== 'object' || false === Array.isArray(value.order)) return queues;
+    for (const address of value.order) {
+        const user = value.users !== null && typeof value.users === 'object' ? value.users[address] : null;
+        if (typeof address !== 'string' || user === null || typeof user !== 'object' || false === Array.isArray(user.seqs) || user.seqs.length === 0) continue;
+        if (Object.prototype.hasOwnProperty.call(queues.users, address)) continue;
+        queues.order.push(address);
+        queues.users[address] = { seqs : user.seqs.filter(seq => Number.isInteger(seq)), priority : Number.isInteger(user.priority) ? user.priority : 0 };
+    }
+    return queues;
+}
+
+export function pendingCount(queues, address) {
+    return Object.prototype.hasOwnProperty.call(queues.users, address) ? queues.users[address].seqs.length : 0;
+}
+
+export function enqueue(queues, address, seq, priority = 0) {
+    if (false === Object.prototype.hasOwnProperty.call(queues.users, address)) {
+        queues.users[address] = { seqs : [], priority : 0 };
+        queues.order.push(address);
+    }
+    queues.users[address].seqs.push(seq);
+    queues.users[address].priority = priority;
+}
+
+// Send an asker to the back of the line
+export function rotate(queues, address) {
+    const at = queues.order.indexOf(address);
+    if (at === -1) return;
+    queues.order.splice(at, 1);
+    queues.order.push(address);
+}
+
+// Take a seq out of its asker's queue (answered, skipped or expired); the asker rotates or leaves
+export function dequeue(queues, address, seq) {
+    if (false === Object.prototype.hasOwnProperty.call(queues.users, address)) return;
+    const user = queues.users[address];
+    const at = user.seqs.indexOf(seq);
+    if (at === -1) return;
+    user.seqs.splice(at, 1);
+    if (user.seqs.length === 0) {
+        delete queues.users[address];
+        queues.order.splice(queues.order.indexOf(address), 1);
+    } else {
+        rotate(queues, address);
+    }
+}
+
+/**
+ * The seq to answer next: fair pick from the per-asker queues, else (prompts queued before those
+ * existed) the lowest pending seq after process_seq. Seqs under an active worker lease are skipped.
+ *
+ * @param get async key => value (contract get or a view reader)
+ * @param keys botKeys() of the queue
+ * @param now trusted currentTime
+ * @param skip optional seq => boolean for seqs the caller has taken already (the oracle's busy slots)
+ * @returns {Promise<number|null>}
+ */
+export async function pickNextSeq(get, keys, now, skip = null) {
+    const queues = readQueues(await get(keys.queues));
+    let best = null;
+    for (const address of queues.order) {
+        const user = queues.users[address];
+        if (best !== null && user.priority <= best.priority) continue;
+        for (const seq of user.seqs) {
+            if (skip !== null && skip(seq)) continue;
+            if (null === await get(keys.pending + seq)) continue;
+            if (leaseActive(await get(keys.lease + seq), now)) continue;
+            best = { seq : seq, priority : user.priority };
+            break;
+        }
+    }
+    if (best !== null) return best.seq;
+    let processSeq = parseInt(await get(keys.process_seq));
+    let messageSeq = parseInt(await get(keys.message_seq));
+    if (isNaN(processSeq)) processSeq = 0;
+    if (isNaN(messageSeq)) messageSeq = 0;
+    const last = Math.min(messageSeq, processSeq + MAX_LEGACY_SCAN);
+    for (let seq = processSeq + 1; seq <= last; seq++) {
+        if (skip !== null && skip(seq)) continue;
+        if (null === await get(keys.pending + seq)) continue;
+        if (leaseActive(await get(keys.lease + seq), now)) continue;
+        return seq;
+    }
+    return null;
+}
@@ -0,0 +1,99 @@
+// Bot commands inside chat ("@ai /summarize last 50") and the prompt templates they map to.
+// The contract only parses the command into the pending entry; the oracle fills in the template
+// from chat state and answers help, unknown commands and missing arguments itself.
+//
+// Template variables ({{name}}):
+// - args: everything after the command name; arg1 .. arg9: its words; rest: everything after arg1
+// - count: first number in the arguments (default 20, max 200); after messages, how many were found
+// - messages: the last <count> chat messages before the command, one "nick: text" line each
+// - message, message_author, message_id: the message given as arg1 ("42" or "#42"), else the replied-to message
+// - nick: who asked; summary: the running conversation summary
+
+export const COMMAND_NAME_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+export const MAX_CUSTOM_TEMPLATES = 32;
+export const DEFAULT_MESSAGE_COUNT = 20;
+export const MAX_MESSAGE_COUNT = 200;
+
+// Answered by the oracle itself; cannot be overridden
+export const RESERVED_COMMANDS = ['help'];
+
+export const BUILTIN_TEMPLATES = {
+    summarize : {
+        usage : '/summarize [last <n>]',
+        description : 'summarize the recent chat',
+        min_args : 0,
+        template : 'Summarize the {{count}} chat messages below in a few short bullet points. Say who said what where it matters.\n\n{{messages}}'
+    },
+    translate : {
+        usage : '/translate <language> <text>',
+        description : 'translate text into another language',
+        min_args : 2,
+        template : 'Translate the text below into the language "{{arg1}}". Reply with the translation only.\n\n{{rest}}'
+    },
+    explain : {
+        usage : '/explain <message id>',
+        description : 'explain a chat message; or reply to it with @ai /explain',
+        min_args : 0,
+        template : 'Explain the chat message below in plain words and add any context a reader may be missing.\n\n{{message_author}} wrote (message #{{message_id}}):\n{{message}}'
+    }
+};
+
+/**
+ * "/name args" at the start of a prompt, or null for a plain prompt.
+ *
+ * @returns {({name: string, args: string}|null)}
+ */
+export function parseBotCommand(prompt) {
+    if (typeof prompt !== 'string') return null;
+    const match = prompt.match(/^\/([A-Za-z][A-Za-z0-9_-]{0,31})(?:\s+([\s\S]*))?$/);
+    if (match === null) return null;
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+// Built-in templates overlaid with the admin's (ai/templates)
+export function commandTemplates(custom) {
+    const templates = { ...BUILTIN_TEMPLATES };
+    if (custom !== null && typeof custom === 'object') {
+        for (const name of Object.keys(custom)) {
+            const spec = custom[name];
+            if (spec === null || typeof spec !== 'object' || typeof spec.template !== 'string') continue;
+            templates[name] = {
+                usage : typeof spec.usage === 'string' ? spec.usage : '/' + name,
+                description : typeof spec.description === 'string' ? spec.description : '',
+                min_args : Number.isInteger(spec.min_args) ? spec.min_args : 0,
+                template : spec.template,
+                custom : true
+            };
+        }
+    }
+    return templates;
+}
+
+// One-line usage reply listing every command
+export function commandHelp(templates) {
+    const lines = Object.keys(templates).sort().map(name => templates[name].usage + (templates[name].description ? ' (' + templates[name].description + ')' : ''));
+    return 'commands: ' + lines.concat(['/help (this list)']).join('; ');
+}
+
+export function templateUses(template, name) {
+    return template.indexOf('{{' + name + '}}') !== -1;
+}
+
+// Unknown variables render as empty text
+export function renderTemplate(template, vars) {
+    return template.replace(/\{\{([a-z0-9_]+)\}\}/g, (_, name) => (vars[name] !== undefined && vars[name] !== null) ? String(vars[name]) : '');
+}
+
+/**
+ * Variables that only depend on the command itself (see the list at the top of this file).
+ */
+export function argumentVars(args) {
+    const words = args.split(/\s+/).filter(word => word !== '');
+    const vars = { args, rest: args.replace(/^\S+\s*/, ''), words: words.length };
+    words.slice(0, 9).forEach((word, i) => { vars['arg' + (i + 1)] = word; });
+    const number = args.match(/\b(\d{1,6})\b/);
+    vars.count = number !== null ? Math.min(MAX_MESSAGE_COUNT, Math.max(1, parseInt(number[1]))) : DEFAULT_MESSAGE_COUNT;
+    const id = words.length > 0 ? words[0].match(/^#?(\d{1,15})$/) : null;
+    vars.message_id = id !== null ? parseInt(id[1]) : null;
+    return vars;
+}
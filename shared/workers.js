@@ -0,0 +1,29 @@
+// Oracle workers: peers the admin authorizes (ai/workers) to answer prompts without admin rights.
+// Feature ops only count when the admin signs them, so workers go through TX ops instead: claim_ai_job
+// leases the next prompt nobody else holds (picked by scheduler.js), submit_ai_result commits the answer
+// while the lease is valid. Leases expire by the contract's currentTime; an expired seq can be claimed
+// again (or is answered by the admin's own oracle, which skips seqs under an active lease).
+//
+// Keys: ai/workers ({ <address>: { enabled, lease_ms, bots } }), <bot lease prefix><seq> (see botKeys)
+// = { worker, seq, leased_at, expires_at }, and ai/worker_job/<address>/<bot> = the worker's current lease.
+
+export const MAX_WORKERS = 32;
+export const DEFAULT_LEASE_MS = 120_000;
+
+export function workerJobKey(address, bot) {
+    return 'ai/worker_job/' + address + '/' + bot;
+}
+
+export function leaseActive(lease, now) {
+    return lease !== null && typeof lease === 'object' && typeof lease.expires_at === 'number' &&
+        typeof now === 'number' && now <= lease.expires_at;
+}
+
+// An enabled ai/workers entry that may serve the bot, else null
+export function workerEntry(workers, address, bot) {
+    if (workers === null || typeof workers !== 'object' || false === Object.prototype.hasOwnProperty.call(workers, address)) return null;
+    const entry = workers[address];
+    if (entry === null || typeof entry !== 'object' || entry.enabled === false) return null;
+    if (Array.isArray(entry.bots) && entry.bots.indexOf(bot) === -1) return null;
+    return entry;
+}
@@ -29,8 +29,14 @@ export class App extends ReadyResource {
         await this.peer.ready();
         console.log('Peer is ready.');
         const admin = await this.peer.base.view.get('admin');
-        if(null !== admin && this.peer.wallet.publicKey === admin.value && this.peer.base.writable) {
+        const isAdmin = null !== admin && this.peer.wallet.publicKey === admin.value;
+        // Oracle workers authorized by the admin (ai/workers) run the features marked worker: true
+        const workers = await this.peer.base.view.get('ai/workers');
+        const worker = null !== workers && workers.value !== null && typeof workers.value === 'object' ? workers.value[this.peer.wallet.publicKey] : undefined;
+        const isWorker = false === isAdmin && undefined !== worker && null !== worker && worker.enabled !== false;
+        if((isAdmin || isWorker) && this.peer.base.writable) {
             for(let i = 0; i < this.features.length; i++){
+                if(isWorker && this.features[i].worker !== true) continue;
                 const name = this.features[i].name;
                 const _class = this.features[i].class;
                 const opts = this.features[i].opts;
@@ -0,0 +1,75 @@
+import test from 'brittle';
+import backends, {getBackend} from '../features/ai/backends.js';
+import {AiOracle} from '../features/ai/index.js';
+
+const req = {
+  model: 'm',
+  messages: [{ role: 'system', content: 'be brief' }, { role: 'user', content: 'hi' }],
+  max_tokens: 64,
+  temperature: 0.2,
+  stream: false
+};
+
+test('buildBody: each backend speaks its own request format', (t) => {
+  t.alike(getBackend('openai-chat').buildBody(req), { model: 'm', messages: req.messages, stream: false, max_tokens: 64, temperature: 0.2 });
+  t.alike(getBackend('openai-completions').buildBody(req), { model: 'm', prompt: 'system: be brief\n\nuser: hi\n\nassistant:', stream: false, max_tokens: 64, temperature: 0.2 });
+  t.alike(getBackend('ollama').buildBody(req), { model: 'm', messages: req.messages, stream: false, options: { num_predict: 64, temperature: 0.2 } });
+  t.alike(getBackend('llamacpp').buildBody(req), { prompt: 'system: be brief\n\nuser: hi\n\nassistant:', stream: false, n_predict: 64, temperature: 0.2, cache_prompt: true });
+});
+
+test('buildBody: OpenAI-style streams ask for the usage chunk', (t) => {
+  t.alike(getBackend('openai-chat').buildBody({ ...req, stream: true }).stream_options, { include_usage: true });
+  t.alike(getBackend('openai-completions').buildBody({ ...req, stream: true }).stream_options, { include_usage: true });
+  t.absent('stream_options' in getBackend('openai-chat').buildBody(req));
+  t.absent('stream_options' in getBackend('ollama').buildBody({ ...req, stream: true }));
+});
+
+test('buildBody: tool definitions are only sent when there are some', (t) => {
+  const tools = [{ type: 'function', function: { name: 'get_time', parameters: { type: 'object', properties: {} } } }];
+  t.alike(getBackend('openai-chat').buildBody({ ...req, tools, tool_choice: 'auto' }).tools, tools);
+  t.is(getBackend('openai-chat').buildBody({ ...req, tools, tool_choice: 'none' }).tool_choice, 'none');
+  t.absent('tools' in getBackend('openai-chat').buildBody({ ...req, tools: [], tool_choice: 'auto' }));
+  t.alike(getBackend('ollama').buildBody({ ...req, tools, tool_choice: 'auto' }).tools, tools);
+  t.absent('tool_choice' in getBackend('ollama').buildBody({ ...req, tools, tool_choice: 'auto' }));
+  t.alike(Object.keys(backends).filter(name => getBackend(name).supportsTools), ['openai-chat', 'ollama']);
+});
+
+test('parseToolCalls: OpenAI string arguments and Ollama object arguments', (t) => {
+  const openai = { choices: [{ message: { tool_calls: [{ id: 'c1', function: { name: 'get_time', arguments: '{"tz":"UTC"}' } }, { function: { name: 'bad', arguments: '{' } }] } }] };
+  t.alike(getBackend('openai-chat').parseToolCalls(openai), [{ id: 'c1', name: 'get_time', arguments: { tz: 'UTC' } }, { id: 'call_1', name: 'bad', arguments: {} }]);
+  t.alike(getBackend('ollama').parseToolCalls({ message: { tool_calls: [{ function: { name: 'get_time', arguments: { tz: 'UTC' } } }] } }).map(c => c.arguments), [{ tz: 'UTC' }]);
+});
+
+test('parseResponse: each backend finds the reply text in its own response', (t) => {
+  t.is(getBackend('openai-chat').parseResponse({ choices: [{ message: { content: 'a' } }] }), 'a');
+  t.is(getBackend('openai-completions').parseResponse({ choices: [{ text: 'b' }] }), 'b');
+  t.is(getBackend('ollama').parseResponse({ message: { content: 'c' } }), 'c');
+  t.is(getBackend('llamacpp').parseResponse({ content: 'd' }), 'd');
+  t.is(getBackend('openai-chat').parseResponse({}), '');
+});
+
+test('headers: OpenAI-style servers get a Bearer token', (t) => {
+  for (const name of ['openai-chat', 'openai-completions', 'ollama', 'llamacpp']) {
+    t.alike(getBackend(name).headers('k1'), { Authorization: 'Bearer k1' }, name);
+    t.alike(getBackend(name).headers(null), {}, name + ' without a key');
+  }
+});
+
+test('every backend names its auth header', (t) => {
+  for (const name of Object.keys(backends)) {
+    const backend = getBackend(name);
+    t.ok(Object.keys(backend.headers('k1')).indexOf(backend.authHeader) !== -1, name);
+  }
+});
+
+test('oracle: api_key_header sends the key in place of the Bearer token', (t) => {
+  const headers = (options) => new AiOracle({ wallet: {}, base: {} }, options).buildHeaders();
+  t.alike(headers({ api_key: 'k1' }), { 'Content-Type': 'application/json', Authorization: 'Bearer k1' });
+  t.alike(headers({ api_key: 'k1', api_key_header: 'X-Api-Key' }), { 'Content-Type': 'application/json', 'X-Api-Key': 'k1' });
+  t.alike(headers({ api_key: 'k1', api_key_header: 'Authorization', api_key_scheme: 'Token' }), { 'Content-Type': 'application/json', Authorization: 'Token k1' });
+  t.alike(headers({ backend: 'ollama' }), { 'Content-Type': 'application/json' });
+});
+
+test('getBackend: unknown names throw', (t) => {
+  t.exception(() => getBackend('nope'), /unknown backend "nope"/);
+});
@@ -0,0 +1,157 @@
+import test from 'brittle';
+import {DEFAULT_BOT, botKeys, botNames, findBotMention, botOfFeature} from '../shared/bots.js';
+import {SearchIndex} from '../contract/search.js';
+import {collectDone, toMarkdown, exportHeader} from '../contract/export.js';
+import {ViewEvents} from '../contract/viewevents.js';
+import {makeChat, ADMIN, U1} from './helpers/contract.js';
+import {memoryView, makeProtocol} from './helpers/protocol.js';
+
+const NOW = 1_700_000_000_000;
+const ADDR = 'a'.repeat(64);
+
+function chatWithBots() {
+  return memoryView({
+    'ai/bots': { code: { enabled: true }, old: { enabled: false } },
+    'process_seq': 1,
+    'chat/done/1': { from: ADDR, prompt: 'what is a rollup', reply: 'a batch of transactions', msg_id: 0 },
+    'bot/code/process_seq': 2,
+    'bot/code/done/1': { from: ADDR, prompt: 'fix my rollup script', reply: 'use a loop', msg_id: 1 },
+    'bot/code/done/2': { from: ADDR, prompt: 'regex for hex', reply: '[a-f0-9]+', msg_id: 2 },
+    'bot/old/process_seq': 1,
+    'bot/old/done/1': { from: ADDR, prompt: 'rollup history', reply: 'long story', msg_id: 3 }
+  });
+}
+
+async function chatWithCodeBot(entry = {}) {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  const result = await chat.tx(ADMIN, 'setAiBot', { op: 'set_ai_bot', name: 'code', ...entry });
+  if (result !== undefined) throw result;
+  return chat;
+}
+
+test('botKeys: the default bot keeps the original keys', (t) => {
+  t.is(botKeys().done, 'chat/done/');
+  t.is(botKeys('code').done, 'bot/code/done/');
+  t.is(botKeys('code').rl_day(ADDR, '20260101'), 'rl/bot/code/day/' + ADDR + '/20260101');
+});
+
+test('botNames: default bot first, then every registered bot by name', (t) => {
+  t.alike(botNames({ zed: {}, code: { enabled: false }, 'Bad!': {} }), [DEFAULT_BOT, 'code', 'zed']);
+  t.alike(botNames(null), [DEFAULT_BOT]);
+});
+
+test('findBotMention: earliest mention wins, named bots need the whole handle', (t) => {
+  const bots = { code: { enabled: true }, off: { enabled: false } };
+  t.is(findBotMention('hey @code and @ai', bots).bot, 'code');
+  t.is(findBotMention('@coder help @ai', bots).bot, DEFAULT_BOT);
+  t.is(findBotMention('@off hi', bots), null);
+  t.alike(findBotMention('so @code: fix it', bots), { bot: 'code', at: 3, length: 5 });
+});
+
+test('botOfFeature: ai_feature and named bots, never reserved names', (t) => {
+  t.is(botOfFeature('ai_feature'), DEFAULT_BOT);
+  t.is(botOfFeature('code_feature'), 'code');
+  t.is(botOfFeature('timer_feature'), null);
+  t.is(botOfFeature('code'), null);
+});
+
+test('set_ai_bot: admin only, reserved names refused, settings merged', async (t) => {
+  const chat = await chatWithCodeBot({ persona: 'You write code.', window_max: 2 });
+  t.alike(chat.get('ai/bots'), { code: { enabled: true, persona: 'You write code.', window_max: 2 } });
+  t.is(await chat.tx(ADMIN, 'setAiBot', { op: 'set_ai_bot', name: 'code', temperature: 0.1 }), undefined);
+  t.is(chat.get('ai/bots').code.persona, 'You write code.');
+  t.is(chat.get('ai/bots').code.temperature, 0.1);
+  t.is((await chat.tx(U1, 'setAiBot', { op: 'set_ai_bot', name: 'evil' })).message, 'Only the admin can manage bots.');
+  t.is((await chat.tx(ADMIN, 'setAiBot', { op: 'set_ai_bot', name: 'timer' })).message, '@timer is reserved.');
+  t.is((await chat.tx(ADMIN, 'setAiBot', { op: 'set_ai_bot', name: 'Bad Name' })).message, 'Invalid schema.');
+  t.is(await chat.tx(ADMIN, 'removeAiBot', { op: 'remove_ai_bot', name: 'code' }), undefined);
+  t.alike(chat.get('ai/bots'), {});
+  t.is((await chat.tx(ADMIN, 'removeAiBot', { op: 'remove_ai_bot', name: 'code' })).message, 'Unknown bot.');
+});
+
+test('messages: a named bot gets its own queue and rate-limit counters', async (t) => {
+  const chat = await chatWithCodeBot({ window_max: 1 });
+  await chat.msg(U1, '@code: why does this loop never end?');
+  await chat.msg(U1, '@code and again');
+  await chat.msg(U1, '@ai hello');
+  t.is(chat.get('bot/code/message_seq'), 1, 'the bot window allows one prompt');
+  t.is(chat.get('bot/code/pending/1').prompt, 'why does this loop never end?');
+  t.alike(chat.get('chat/by_msg/0'), { seq: 1, thread: 0, bot: 'code' });
+  t.is(chat.get('message_seq'), 1, '@ai keeps its own queue and counters');
+  t.is(chat.get('rl/bot/code/last3/' + U1).length, 1);
+  t.is(chat.get('rl/last3/' + U1).length, 1);
+
+  // A disabled bot is not asked at all
+  await chat.tx(ADMIN, 'setAiBot', { op: 'set_ai_bot', name: 'code', enabled: false, window_max: 10 });
+  await chat.msg(U1, '@code still there?');
+  t.is(chat.get('bot/code/message_seq'), 1);
+});
+
+test('feature ops: a named bot oracle answers its own queue only', async (t) => {
+  const chat = await chatWithCodeBot();
+  await chat.msg(U1, '@code fix it');
+  await chat.msg(U1, '@ai hi');
+  await chat.feature('code', 'ai_result', { queue: 'random', seq: 1, reply: 'done', summary: 'code summary' });
+  t.is(chat.get('bot/code/process_seq'), 1);
+  t.is(chat.get('bot/code/done/1').reply, 'done');
+  t.is(chat.get('bot/code/summary'), 'code summary');
+  t.is(chat.get('process_seq'), null);
+  t.ok(chat.get('chat/pending/1'), "@ai's prompt is untouched");
+
+  // An oracle of a bot that never got a prompt has nothing to write
+  await chat.feature('other', 'ai_result', { seq: 1, reply: 'x', summary: 'x' });
+  t.is(chat.get('bot/other/summary'), null);
+  t.is(chat.get('bot/other/process_seq'), null);
+});
+
+test('search: answers of named bots are indexed, disabled bots included', async (t) => {
+  const view = chatWithBots();
+  const index = new SearchIndex({ base: { view } });
+  const hits = await index.search('rollup');
+  t.alike(hits.map(h => (h.bot || DEFAULT_BOT) + ':' + h.seq).sort(), ['ai:1', 'code:1', 'old:1']);
+  t.absent(hits.find(h => !h.bot).bot);
+  // Later answers are picked up incrementally
+  view.put('bot/code/done/3', { from: ADDR, prompt: 'rollup tests', reply: 'ok', msg_id: 4 });
+  view.put('bot/code/process_seq', 3);
+  t.is((await index.search('rollup tests')).length, 1);
+});
+
+test('export: collectDone reads a named bot and marks its records', async (t) => {
+  const view = chatWithBots();
+  const records = await collectDone(view, 1, 2, 'code');
+  t.alike(records.map(r => [r.bot, r.seq, r.prompt]), [['code', 1, 'fix my rollup script'], ['code', 2, 'regex for hex']]);
+  t.absent((await collectDone(view, 1, 1))[0].bot);
+  const md = toMarkdown(exportHeader('answered prompts', null), records);
+  t.ok(md.indexOf('## @code Q/A #1') !== -1);
+  t.ok(md.indexOf('**@code**') !== -1);
+});
+
+test('view events: queue events fire for named bots', async (t) => {
+  const view = chatWithBots();
+  const events = new ViewEvents({ base: { view } }, { fallback_ms: 60_000 });
+  const seen = [];
+  const unsubscribe = events.subscribe('queue', (payload) => seen.push(payload));
+  t.teardown(unsubscribe);
+  await events.checking;
+  t.is(seen.length, 0);
+  view.put('bot/code/message_seq', 3);
+  events.schedule();
+  await events.checking;
+  t.is(seen.length, 1);
+  t.alike(seen[0].bots.code, { message_seq: 3, process_seq: 2 });
+  t.alike(seen[0].bots.old, { message_seq: 0, process_seq: 1 });
+});
+
+test('getAiTyping: named bots show their stream and their next prompt', async (t) => {
+  const { protocol, api, close } = await makeProtocol({
+    'ai/bots': { code: { enabled: true } },
+    'bot/code/message_seq': 1,
+    'bot/code/pending/1': { from: ADDR, prompt: 'fix this' }
+  });
+  t.teardown(close);
+  t.alike(await api.getAiTyping(), { seq: 1, from: ADDR, text: '', bot: 'code', local: false, updated_at: null });
+  protocol.features.ai = { typing: { seq: 4, from: ADDR, text: 'old', updated_at: 1 } };
+  protocol.features.code = { typing: { seq: 1, from: ADDR, text: 'use a', updated_at: 2 } };
+  t.alike(await api.getAiTyping(), { seq: 1, from: ADDR, text: 'use a', bot: 'code', local: true, updated_at: 2 });
+});
@@ -0,0 +1,67 @@
+import test from 'brittle';
+import {makeChat, ADMIN, U1} from './helpers/contract.js';
+import AiChatProtocol from '../contract/protocol.js';
+import {AiOracle} from '../features/ai/index.js';
+
+test('set_ai_config: the admin updates fields one at a time', async (t) => {
+  const chat = makeChat();
+  t.is(await chat.tx(ADMIN, 'setAiConfig', { op: 'set_ai_config', persona: 'You are terse.', temperature: 0.3 }), undefined);
+  t.is(await chat.tx(ADMIN, 'setAiConfig', { op: 'set_ai_config', max_reply_tokens: 256, history_window: 0 }), undefined);
+  t.alike(chat.get('ai/config'), { persona: 'You are terse.', temperature: 0.3, max_reply_tokens: 256, history_window: 0 });
+});
+
+test('set_ai_config and reset_ai_config: only the admin', async (t) => {
+  const chat = makeChat();
+  chat.set('ai/config', { model: 'm1' });
+  t.is((await chat.tx(U1, 'setAiConfig', { op: 'set_ai_config', model: 'm2' })).message, 'Only the admin can change the AI config.');
+  t.is((await chat.tx(U1, 'resetAiConfig', { op: 'reset_ai_config' })).message, 'Only the admin can reset the AI config.');
+  t.alike(chat.get('ai/config'), { model: 'm1' });
+});
+
+test('set_ai_config: the schema rejects out-of-range values', async (t) => {
+  const chat = makeChat();
+  chat.set('ai/config', { model: 'm1' });
+  const bad = [
+    { op: 'set_ai_config', temperature: 2.5 },
+    { op: 'set_ai_config', top_p: -0.1 },
+    { op: 'set_ai_config', max_reply_tokens: 10.5 },
+    { op: 'set_ai_config', history_window: 257 },
+    { op: 'set_ai_config', persona: '' }
+  ];
+  for (const value of bad) {
+    t.is((await chat.tx(ADMIN, 'setAiConfig', value)).message, 'Invalid schema.', JSON.stringify(value));
+  }
+  t.alike(chat.get('ai/config'), { model: 'm1' });
+});
+
+test('set_ai_config: fields other than the AI settings are never stored', async (t) => {
+  const chat = makeChat();
+  t.is(await chat.tx(ADMIN, 'setAiConfig', { op: 'set_ai_config', endpoint: 'http://elsewhere', model: 'm1' }), undefined);
+  t.alike(chat.get('ai/config'), { model: 'm1' });
+});
+
+test('reset_ai_config: drops the settings back to the oracle defaults', async (t) => {
+  const chat = makeChat();
+  await chat.tx(ADMIN, 'setAiConfig', { op: 'set_ai_config', model: 'm1' });
+  t.is(await chat.tx(ADMIN, 'resetAiConfig', { op: 'reset_ai_config' }), undefined);
+  t.is(chat.get('ai/config'), null);
+});
+
+test('/tx maps the config ops to their contract methods', (t) => {
+  const protocol = new AiChatProtocol({ wallet: {} }, {}, {});
+  const set = { op: 'set_ai_config', temperature: 1 };
+  t.alike(protocol.mapTxCommand(JSON.stringify(set)), { type: 'setAiConfig', value: set });
+  t.alike(protocol.mapTxCommand('{"op":"reset_ai_config"}'), { type: 'resetAiConfig', value: { op: 'reset_ai_config' } });
+  t.is(protocol.mapTxCommand('{"op":"something_else"}'), null);
+});
+
+test('oracle: ai/config is layered over the local settings', (t) => {
+  const oracle = new AiOracle({ wallet: {}, base: {} }, { model: 'local', temperature: 0.7, history_window: 32 });
+  oracle.applyConfig({ model: 'm1', temperature: 0 });
+  t.is(oracle.model, 'm1');
+  t.is(oracle.temperature, 0);
+  t.is(oracle.historyWindow, 32);
+  oracle.applyConfig(null);
+  t.is(oracle.model, 'local');
+  t.is(oracle.temperature, 0.7);
+});
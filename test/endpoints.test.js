@@ -0,0 +1,109 @@
+import test from 'brittle';
+import {EndpointPool} from '../features/ai/endpoints.js';
+import {AiOracle} from '../features/ai/index.js';
+import {makeOracle} from './helpers/oracle.js';
+import {makeProtocol} from './helpers/protocol.js';
+
+const A = 'http://a/v1/chat/completions';
+const B = 'http://b/v1/chat/completions';
+const C = 'http://c/v1/chat/completions';
+
+test('endpoints: the lowest priority wins, then the lowest average latency', (t) => {
+  const pool = new EndpointPool([{ url: B, priority: 1 }, { url: A, priority: 0 }, { url: C, priority: 1 }]);
+  t.is(pool.active().url, A);
+  pool.reportSuccess(B, 900);
+  pool.reportSuccess(C, 100);
+  pool.entries.find(e => e.url === A).priority = 2;
+  t.is(pool.active().url, C);
+  t.alike(new EndpointPool([A, B]).entries.map(e => e.priority), [0, 1], 'list order is the priority by default');
+  t.exception(() => new EndpointPool([{ url: '' }]), /no endpoints configured/);
+});
+
+test('endpoints: an endpoint is benched after failure_threshold failures in a row', (t) => {
+  const pool = new EndpointPool([A, B], { failure_threshold: 2, cooldown_ms: 1000 });
+  pool.reportFailure(A, 'http 503');
+  t.is(pool.active().url, A, 'one failure keeps it in rotation');
+  pool.reportSuccess(A, 50);
+  pool.reportFailure(A, 'http 503');
+  t.is(pool.active().url, A, 'a success resets the count');
+  pool.reportFailure(A, 'timeout');
+  t.is(pool.active().url, B);
+  t.is(pool.entries[0].bench_reason, '2 consecutive failures, last: timeout');
+  t.absent(pool.allBenched());
+
+  // With every endpoint benched the one whose cooldown ends first still takes calls
+  pool.reportFailure(B, 'http 500');
+  pool.reportFailure(B, 'http 500');
+  t.ok(pool.allBenched());
+  t.is(pool.active().url, A);
+});
+
+test('endpoints: a benched endpoint is due after its cooldown and back on a good probe', (t) => {
+  const pool = new EndpointPool([A, B], { failure_threshold: 1, cooldown_ms: 1000 });
+  pool.reportFailure(A, 'http 502');
+  const benchedAt = pool.entries[0].last_failure_at;
+  t.alike(pool.due(benchedAt + 999), []);
+  t.alike(pool.due(benchedAt + 1000).map(e => e.url), [A]);
+
+  // A failed probe benches it for another cooldown
+  pool.reportFailure(A, 'connection refused');
+  t.ok(pool.entries[0].benched_until >= benchedAt + 1000);
+  t.is(pool.entries[0].bench_reason, '2 consecutive failures, last: connection refused');
+
+  pool.reportSuccess(A, 40);
+  t.is(pool.active().url, A);
+  t.is(pool.entries[0].bench_reason, null);
+  t.is(pool.entries[0].consecutive_failures, 0);
+});
+
+test('oracle: probes re-admit a recovered endpoint and bench it again while it fails', async (t) => {
+  const { oracle } = makeOracle({}, { endpoints: [A, B], endpoint_failure_threshold: 1, endpoint_cooldown_ms: 0 });
+  oracle.callModel = AiOracle.prototype.callModel;
+  let status = 503;
+  const pinged = [];
+  oracle.fetchWithTimeout = async (url) => {
+    pinged.push(url);
+    return { ok: status === 200, status, text: async () => '' };
+  };
+  oracle.endpoints.reportFailure(A, 'http 503');
+  t.is(oracle.endpoint, B);
+  await oracle.probeEndpoints();
+  t.alike(pinged, [A]);
+  t.is(oracle.endpoint, B);
+  t.is(oracle.endpoints.entries[0].bench_reason, '2 consecutive failures, last: http 503');
+
+  status = 200;
+  await oracle.probeEndpoints();
+  t.is(oracle.endpoint, A);
+  t.alike(oracle.endpoints.due(), []);
+});
+
+test('/ai_status prints each endpoint with why it is benched', async (t) => {
+  const { protocol, close } = await makeProtocol({ message_seq: 0, process_seq: 0 });
+  t.teardown(close);
+  const pool = new EndpointPool([A, B], { failure_threshold: 1, cooldown_ms: 60_000 });
+  pool.reportFailure(A, 'http 503');
+  protocol.features = { ai: { endpoint: pool.active().url, model: 'm', backend: { name: 'openai-chat' }, endpoints: pool } };
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await protocol.customCommand('/ai_status');
+  } finally {
+    console.log = log;
+  }
+  const endpoints = lines.filter(line => line.startsWith('ai.endpoint['));
+  t.is(endpoints.length, 2);
+  t.ok(endpoints[0].startsWith('ai.endpoint[0]: ' + A + ' | benched | failures: 1'));
+  t.ok(endpoints[0].includes('benched: 1 consecutive failures, last: http 503 (retry in '));
+  t.is(endpoints[1], 'ai.endpoint[1]: ' + B + ' | active | failures: 0 | avg_latency_ms: null');
+});
+
+test('endpoints: answeredWithin tells whether any endpoint answered lately', (t) => {
+  const pool = new EndpointPool([A, B]);
+  t.absent(pool.answeredWithin(5000));
+  pool.reportSuccess(B, 10);
+  const at = pool.entries[1].last_ok_at;
+  t.ok(pool.answeredWithin(5000, at + 4999));
+  t.absent(pool.answeredWithin(5000, at + 5000));
+});
@@ -0,0 +1,119 @@
+import test from 'brittle';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {execFile} from 'child_process';
+import {fileURLToPath} from 'url';
+import {makeChat, ADMIN, U1, U2} from './helpers/contract.js';
+import {makeProtocol} from './helpers/protocol.js';
+import {parseJsonLines, toJsonLines, exportHeader} from '../contract/export.js';
+
+const NOW = 1_700_000_000_000;
+const VIEWER = fileURLToPath(new URL('../export-viewer.js', import.meta.url));
+
+async function exportedChat() {
+  const chat = makeChat();
+  chat.set('nick/' + U1, 'alice');
+  await chat.msg(U2, 'before the timer');
+  await chat.setTime(NOW);
+  await chat.msg(U1, '@ai which green tea is best?');
+  await chat.feature('ai', 'ai_result', { seq: 1, reply: 'Sencha,\nfor every day.' });
+  await chat.msg(ADMIN, '@' + U1 + ' Sencha,\nfor every day.', ['ai-reply'], 1);
+  await chat.msg(U2, 'coffee > tea');
+  return await makeProtocol(Object.fromEntries(chat.storage.map));
+}
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ai-export-'));
+  t.teardown(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function viewer(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [VIEWER, ...args], { timeout: 30_000 }, (err, stdout) => resolve({ code: err ? err.code : 0, stdout }));
+  });
+}
+
+test('exportChat: messages with nicks, trusted times, AI flags and reply links', async (t) => {
+  const { api, close } = await exportedChat();
+  t.teardown(close);
+  const result = await api.exportChat();
+  t.is(result.format, 'jsonl');
+  t.is(result.scope, 'messages #0-#3');
+  t.is(result.count, 4);
+  const { header, records } = parseJsonLines(result.content);
+  t.is(header.exported_by, 'a'.repeat(64));
+  t.alike(records[0], { kind: 'message', id: 0, address: U2, nick: null, ts: null, msg: 'before the timer', ai: false, reply_to: null });
+  t.alike(records[2], { kind: 'message', id: 2, address: ADMIN, nick: null, ts: NOW, msg: '@' + U1 + ' Sencha,\nfor every day.', ai: true, reply_to: 1 });
+  t.is(records[1].nick, 'alice');
+
+  const some = await api.exportChat({ from: 1, to: 2 });
+  t.is(some.scope, 'messages #1-#2');
+  t.alike(parseJsonLines(some.content).records.map(r => r.id), [1, 2]);
+});
+
+test('exportChat: answered prompts and Markdown', async (t) => {
+  const { api, close } = await exportedChat();
+  t.teardown(close);
+  const done = parseJsonLines((await api.exportChat({ done: true })).content);
+  t.is(done.header.scope, 'answered prompts');
+  t.alike(done.records, [{ kind: 'qa', seq: 1, address: U1, nick: 'alice', ts: NOW, prompt: 'which green tea is best?', reply: 'Sencha,\nfor every day.', msg_id: 1 }]);
+
+  const md = (await api.exportChat({ format: 'md', done: true })).content;
+  t.ok(md.startsWith('# Chat export\n\n- Scope: answered prompts\n'));
+  t.ok(md.includes('## Q/A #1 (message #1)\n\n**alice (bbbbbbbb…bbbbbb)** · 2023-11-14 22:13:20 UTC\n\n> which green tea is best?\n\n**AI**\n\n> Sencha,\n> for every day.\n'));
+});
+
+test('parseJsonLines: refuses anything that is not a complete export', (t) => {
+  t.exception(() => parseJsonLines(''), /empty file/);
+  t.exception(() => parseJsonLines('{"kind":"message"}'), /missing export header/);
+  t.exception(() => parseJsonLines('{"kind":"export","version":2}'), /unsupported export version 2/);
+  const header = JSON.stringify(exportHeader('x', null));
+  t.exception(() => parseJsonLines(header + '\n{"kind":"message"'), /line 2 is not valid JSON/);
+  t.exception(() => parseJsonLines(header + '\n{"kind":"note"}'), /unknown record on line 2/);
+  t.alike(parseJsonLines(toJsonLines(exportHeader('x', null), [])).records, []);
+});
+
+test('/export writes a file the offline viewer reads back', async (t) => {
+  const { protocol, close } = await exportedChat();
+  t.teardown(close);
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'chat.jsonl');
+  const log = console.log;
+  const lines = [];
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await protocol.customCommand('/export --file ' + file);
+  } finally {
+    console.log = log;
+  }
+  t.alike(lines, ['Export: wrote 4 records (messages #0-#3) as jsonl to ' + file]);
+
+  const all = await viewer(file);
+  t.is(all.code, 0);
+  t.alike(all.stdout.trim().split('\n'), [
+    'Export of messages #0-#3, 4 of 4 records shown',
+    '[--------- --:--] #0 cccccccc: before the timer',
+    '[2023-11-14 22:13] #1 alice: @ai which green tea is best?',
+    '[2023-11-14 22:13] #2 AI: @' + U1 + ' Sencha,',
+    'for every day.',
+    '[2023-11-14 22:13] #3 cccccccc: coffee > tea'
+  ]);
+
+  const filtered = await viewer(file, '--user', 'alice', '--grep', 'GREEN');
+  t.alike(filtered.stdout.trim().split('\n'), ['Export of messages #0-#3, 1 of 4 records shown', '[2023-11-14 22:13] #1 alice: @ai which green tea is best?']);
+
+  const md = await viewer(file, '--user', U2, '--markdown');
+  t.ok(md.stdout.includes('- Records: 2\n'));
+  t.ok(md.stdout.includes('**#3 cccccccc…cccccc** · 2023-11-14 22:13:20 UTC\n\n> coffee > tea\n'));
+});
+
+test('export viewer: a damaged file is refused', async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, 'broken.jsonl');
+  await fs.promises.writeFile(file, '{"kind":"message","id":0}\n');
+  const result = await viewer(file);
+  t.is(result.code, 1);
+  t.is(result.stdout, 'Could not open export: parseJsonLines: missing export header on line 1\n');
+});
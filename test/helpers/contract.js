@@ -0,0 +1,50 @@
+// Runs contract/contract.js the way the peer does (through trac-peer's schema checks) against an in-memory
+// view, so TX ops, feature ops and chat messages can be applied and the resulting state read back.
+import Check from 'trac-peer/src/check.js';
+import Contract from '../../contract/contract.js';
+
+export const ADMIN = 'a'.repeat(64);
+export const U1 = 'b'.repeat(64);
+export const U2 = 'c'.repeat(64);
+export const W1 = 'd'.repeat(64);
+
+class MemoryStorage {
+  constructor() { this.map = new Map(); }
+  async get(key) { return this.map.has(key) ? { value: structuredClone(this.map.get(key)) } : null; }
+  async put(key, value) { this.map.set(key, structuredClone(value)); }
+  async del(key) { this.map.delete(key); }
+}
+
+export function makeChat() {
+  const contract = new Contract({ peer: { check: new Check() } });
+  const storage = new MemoryStorage();
+  storage.map.set('admin', ADMIN);
+  let msgl = 0;
+  return {
+    contract,
+    storage,
+    get: (key) => storage.map.has(key) ? storage.map.get(key) : null,
+    set: (key, value) => storage.map.set(key, value),
+    keys: (prefix) => Array.from(storage.map.keys()).filter(key => key.startsWith(prefix)),
+    // A chat message; the peer stores accepted ones under msg/<n> after the contract ran
+    async msg(address, msg, attachments = [], replyTo = null) {
+      const op = { type: 'msg', value: { dispatch: { type: 'msg', msg, address, attachments, deleted_by: null, reply_to: replyTo, pinned: false, pin_id: null } } };
+      const result = await contract.execute(op, storage);
+      if (result === null || result === undefined) {
+        storage.map.set('msg/' + msgl, op.value.dispatch);
+        storage.map.set('msgl', ++msgl);
+      }
+      return result;
+    },
+    // A feature op as the admin's oracle or timer appends it
+    async feature(name, key, value) {
+      return await contract.execute({ type: 'feature', key: name + '_' + key, value: { dispatch: { type: name + '_feature', key, value, hash: '00', nonce: '00', address: ADMIN } } }, storage);
+    },
+    async tx(address, type, value) {
+      return await contract.execute({ type: 'tx', key: 'ab', value: { dispatch: { type, value }, ipk: address, wp: 'cd' } }, storage);
+    },
+    async setTime(ms) {
+      return await this.feature('timer', 'currentTime', ms);
+    }
+  };
+}
@@ -0,0 +1,62 @@
+// An AiOracle over an in-memory view whose model, chat and contract calls are scripted, so runJob can be
+// driven slot by slot without a peer or a model server. log gets every post and append in order.
+import {AiOracle} from '../../features/ai/index.js';
+import {botKeys} from '../../shared/bots.js';
+
+export const ADMIN = 'a'.repeat(64);
+export const U1 = 'b'.repeat(64);
+export const U2 = 'c'.repeat(64);
+
+// Rough count, like the oracle's fallback without tiktoken
+export const tokenizer = { count: (text) => Math.ceil((text || '').length / 4) };
+
+export function makeOracle(entries = {}, options = {}) {
+  const view = new Map(Object.entries({ admin: ADMIN, currentTime: Date.now(), 'ai/summary': '', ...entries }));
+  const log = [];
+  const peer = {
+    wallet: { publicKey: ADMIN },
+    base: { writable: true, view: { get: async (key) => view.has(key) ? { value: view.get(key) } : null } },
+    protocol_instance: {
+      getSigned: async (key) => view.has(key) ? view.get(key) : null,
+      api: { getNick: async (address) => view.has('nick/' + address) ? view.get('nick/' + address) : null }
+    }
+  };
+  const oracle = new AiOracle(peer, { user_memory: false, journal_dir: null, poll_interval_ms: 20, ...options });
+  oracle.key = 'ai';
+  oracle.bot = 'ai';
+  oracle.keys = botKeys('ai');
+  oracle.worker = false;
+  // The model answers with whatever answer(messages) returns (a string, or a promise of one)
+  oracle.answer = (messages) => 'answer to ' + messages[messages.length - 1].content;
+  oracle.callModel = async (body) => {
+    const content = await oracle.answer(body.messages || []);
+    return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content } }] }) };
+  };
+  oracle.postReply = async (item, text, queue, seq, refused = false) => {
+    log.push({ kind: 'post', queue, seq, text, refused });
+    return text;
+  };
+  // ai_result lands in the view like the contract would apply it
+  oracle.append = async (key, value) => {
+    log.push({ kind: key, ...value });
+    if (key !== 'ai_result') return;
+    const pendingKey = value.queue === 'random' ? 'chat/pending_random/' + value.seq : 'chat/pending/' + value.seq;
+    view.delete(pendingKey);
+    if (value.skip === true) return;
+    view.set('chat/done/' + value.seq, { reply: value.reply, moderation: value.moderation || null });
+    view.set('ai/summary', value.summary);
+  };
+  // Put a pending item in a free slot and run it, like the dispatch loop does
+  const run = (seq, item, queue = 'tagged') => {
+    const key = (queue === 'random' ? 'random:' : 'seq:') + seq;
+    const pendingKey = queue === 'random' ? 'chat/pending_random/' + seq : 'chat/pending/' + seq;
+    view.set(pendingKey, { type: queue, from: U1, prompt: 'q' + seq, timestamp: Date.now(), ...item });
+    const index = oracle.slots.indexOf(null);
+    const slot = { key, queue, seq, from: view.get(pendingKey).from, state: 'context', started_at: Date.now(), updated_at: Date.now(), typing: null, commits: oracle.commits };
+    oracle.slots[index] = slot;
+    oracle.inflight.add(key);
+    oracle.inflightSince.set(key, Date.now());
+    return oracle.runJob(slot, view.get(pendingKey), 0, tokenizer).finally(() => { oracle.slots[index] = null; });
+  };
+  return { oracle, view, log, run };
+}
@@ -0,0 +1,25 @@
+// AiChatProtocol's api over an in-memory view, for the read side (messages, typing, diagnostics)
+// without a peer. view.put() bumps each key's node seq like Autobase does.
+import AiChatProtocol from '../../contract/protocol.js';
+
+export function memoryView(entries = {}) {
+  const nodes = new Map();
+  let seq = 0;
+  const view = {
+    put(key, value) { nodes.set(key, { value, seq: ++seq }); },
+    del(key) { nodes.delete(key); },
+    async get(key) { return nodes.has(key) ? nodes.get(key) : null; }
+  };
+  for (const key of Object.keys(entries)) view.put(key, entries[key]);
+  return view;
+}
+
+export async function makeProtocol(entries = {}) {
+  const view = memoryView(entries);
+  const peer = { base: { view }, wallet: { publicKey: 'a'.repeat(64) } };
+  const protocol = new AiChatProtocol(peer, peer.base, {});
+  await protocol.extendApi();
+  // Stop the view-event timer a search or subscription started
+  const close = () => protocol.events.stop();
+  return { protocol, api: protocol.api, view, close };
+}
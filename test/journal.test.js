@@ -0,0 +1,116 @@
+import test from 'brittle';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {JobJournal} from '../features/ai/journal.js';
+import {makeOracle, tokenizer, U1} from './helpers/oracle.js';
+
+async function tempJournal(t, options = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ai-journal-'));
+  t.teardown(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const journal = new JobJournal(path.join(dir, 'ai-journal-ai.jsonl'), options);
+  await journal.load();
+  return journal;
+}
+
+test('journal: stages merge per job, finished jobs leave, a torn last line is skipped', async (t) => {
+  const journal = await tempJournal(t);
+  await journal.record('seq:1', 'requested', { queue: 'tagged', seq: 1 });
+  await journal.record('seq:1', 'responded', { reply: 'one' });
+  await journal.record('seq:2', 'requested', { queue: 'tagged', seq: 2 });
+  await journal.record('seq:2', 'committed');
+  await fs.promises.appendFile(journal.file, '{"key":"seq:3","sta');
+  const reloaded = new JobJournal(journal.file);
+  const open = await reloaded.load();
+  t.is(open.length, 1);
+  t.is(open[0].key, 'seq:1');
+  t.is(open[0].stage, 'responded');
+  t.is(open[0].reply, 'one');
+  t.is(open[0].seq, 1);
+});
+
+test('journal: the file is compacted to the open jobs', async (t) => {
+  const journal = await tempJournal(t, { compact_after: 4 });
+  for (let seq = 1; seq <= 3; seq++) {
+    await journal.record('seq:' + seq, 'requested', { queue: 'tagged', seq });
+    await journal.record('seq:' + seq, 'committed');
+  }
+  await journal.record('seq:4', 'requested', { queue: 'tagged', seq: 4 });
+  const lines = (await fs.promises.readFile(journal.file, 'utf8')).trim().split('\n');
+  t.ok(lines.length <= 4);
+  t.alike((await new JobJournal(journal.file).load()).map(job => job.key), ['seq:4']);
+});
+
+test('a reply is journaled as posted right after posting, the memory and summary calls come before', async (t) => {
+  const { oracle, run, log } = makeOracle({}, { user_memory: true, summary_trigger_tokens: 0 });
+  oracle.journal = await tempJournal(t);
+  const stages = [];
+  oracle.rememberUser = async () => { stages.push(['memory', oracle.journal.get('seq:1').stage]); return null; };
+  oracle.summarize = async () => { stages.push(['summary', oracle.journal.get('seq:1').stage]); return 'S1'; };
+  const append = oracle.append;
+  oracle.append = async (key, value) => {
+    if (key === 'ai_result') stages.push(['commit', oracle.journal.get('seq:1').stage]);
+    return append(key, value);
+  };
+  await run(1, {});
+  t.alike(stages, [['memory', 'responded'], ['summary', 'responded'], ['commit', 'posted']]);
+  const commit = log.find(entry => entry.kind === 'ai_result');
+  t.is(commit.summary, 'S1');
+  t.is(oracle.journal.get('seq:1'), null);
+});
+
+test('a crash after posting commits the journaled reply on restart without posting it again', async (t) => {
+  const { oracle, run, log, view } = makeOracle({}, { summary_trigger_tokens: 0 });
+  oracle.journal = await tempJournal(t);
+  oracle.append = async () => { throw new Error('crash'); };
+  await t.exception(run(1, {}), /crash/);
+  t.is(oracle.journal.get('seq:1').stage, 'posted');
+  t.absent(view.get('chat/done/1'));
+
+  const restarted = makeOracle({ 'chat/pending/1': view.get('chat/pending/1') });
+  restarted.oracle.journal = new JobJournal(oracle.journal.file);
+  await restarted.oracle.journal.load();
+  await restarted.oracle.recoverJobs(tokenizer);
+  t.is(restarted.log.filter(entry => entry.kind === 'post').length, 0);
+  t.is(restarted.view.get('chat/done/1').reply, log.find(entry => entry.kind === 'post').text);
+  t.is(restarted.oracle.journal.get('seq:1'), null);
+});
+
+test('a reply generated before a crash is posted on restart with the summary runJob would have made', async (t) => {
+  const { oracle, log, view } = makeOracle({ 'ai/summary': 'old '.repeat(600) }, { summary_trigger_tokens: 10_000 });
+  oracle.journal = await tempJournal(t);
+  view.set('chat/pending/1', { type: 'tagged', from: U1, prompt: 'hello', timestamp: Date.now() });
+  view.set('chat/pending/2', { type: 'tagged', from: U1, prompt: '/help', timestamp: Date.now() });
+  await oracle.journal.record('seq:1', 'responded', { queue: 'tagged', seq: 1, reply: 'the answer' });
+  await oracle.recoverJobs(tokenizer);
+  const first = log.find(entry => entry.kind === 'ai_result');
+  t.is(first.summary.length, 2000);
+  t.ok(first.summary.endsWith('hello\nA: the answer'));
+
+  // A usage reply leaves the summary as it was
+  await oracle.journal.record('seq:2', 'responded', { queue: 'tagged', seq: 2, reply: 'usage: ...', keep_summary: true });
+  await oracle.recoverJobs(tokenizer);
+  t.is(log.filter(entry => entry.kind === 'ai_result')[1].summary, first.summary);
+});
+
+test('jobs that never got a reply, or whose prompt is gone, leave the journal', async (t) => {
+  const { oracle, log, view } = makeOracle();
+  oracle.journal = await tempJournal(t);
+  view.set('chat/pending/1', { type: 'tagged', from: U1, prompt: 'hello', timestamp: Date.now() });
+  await oracle.journal.record('seq:1', 'requested', { queue: 'tagged', seq: 1 });
+  await oracle.journal.record('seq:2', 'responded', { queue: 'tagged', seq: 2, reply: 'answered elsewhere' });
+  await oracle.recoverJobs(tokenizer);
+  t.alike(oracle.journal.open(), []);
+  t.alike(log, []);
+});
+
+test('resumeCutoff: prompts older than resume_max_age_ms are skipped on start', async (t) => {
+  const { oracle, view } = makeOracle({}, { resume_max_age_ms: 60_000 });
+  view.set('chat/pending/1', { timestamp: Date.now() - 120_000 });
+  view.set('chat/pending/2', { timestamp: Date.now() - 90_000 });
+  view.set('chat/pending/3', { timestamp: Date.now() - 1_000 });
+  t.is(await oracle.resumeCutoff(0, 3), 2);
+  t.is(await oracle.resumeCutoff(2, 3), 2);
+  oracle.resumeMaxAgeMs = 0;
+  t.is(await oracle.resumeCutoff(0, 3), 3);
+});
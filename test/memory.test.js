@@ -0,0 +1,87 @@
+import test from 'brittle';
+import {makeChat, U1, U2} from './helpers/contract.js';
+import {AiOracle} from '../features/ai/index.js';
+import AiChatProtocol from '../contract/protocol.js';
+
+const NOW = 1_700_000_000_000;
+
+// Rough count, like the oracle's fallback without tiktoken
+const tokenizer = { count: (text) => Math.ceil((text || '').length / 4) };
+
+async function timedChat() {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  return chat;
+}
+
+test('ai_user_memory: the oracle stores notes per user with their nick', async (t) => {
+  const chat = await timedChat();
+  chat.set('nick/' + U1, 'alice');
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 1, memory: '- prefers short answers' });
+  t.alike(chat.get('ai/user/' + U1), { memory: '- prefers short answers', nick: 'alice', seq: 1, updated_at: NOW });
+  t.is(chat.get('ai/user/' + U2), null);
+
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 2, memory: '   ' });
+  t.is(chat.get('ai/user/' + U1), null, 'empty notes delete the entry');
+});
+
+test('ai_user_memory: malformed payloads are ignored', async (t) => {
+  const chat = await timedChat();
+  await chat.feature('ai', 'ai_user_memory', { address: 'not-an-address', seq: 1, memory: 'x' });
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 0, memory: 'x' });
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 1, memory: 'x'.repeat(2001) });
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 1, memory: 42 });
+  t.alike(chat.keys('ai/user'), []);
+});
+
+test('clear_ai_memory: a user wipes only their own notes, and late updates stay out', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai remember I like tea');
+  await chat.msg(U1, '@ai and coffee too');
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 1, memory: '- likes tea' });
+  await chat.feature('ai', 'ai_user_memory', { address: U2, seq: 1, memory: '- someone else' });
+
+  t.is(await chat.tx(U1, 'clearAiMemory', { op: 'clear_ai_memory' }), undefined);
+  t.is(chat.get('ai/user/' + U1), null);
+  t.is(chat.get('ai/user_cleared/' + U1), 2);
+  t.is(chat.get('ai/user/' + U2).memory, '- someone else');
+
+  // The answer to prompt 2 was already on its way when the user wiped their memory
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 2, memory: '- likes tea and coffee' });
+  t.is(chat.get('ai/user/' + U1), null);
+  await chat.feature('ai', 'ai_user_memory', { address: U1, seq: 3, memory: '- asked about cake' });
+  t.is(chat.get('ai/user/' + U1).memory, '- asked about cake');
+});
+
+test('/tx maps clear_ai_memory for any user', (t) => {
+  const protocol = new AiChatProtocol({ wallet: {} }, {}, {});
+  t.alike(protocol.mapTxCommand('{"op":"clear_ai_memory"}'), { type: 'clearAiMemory', value: { op: 'clear_ai_memory' } });
+});
+
+// An oracle whose model server answers the memory call with answer (null for an HTTP 500)
+function rememberer(answer, options = {}) {
+  const oracle = new AiOracle({ wallet: {}, base: {} }, options);
+  const calls = [];
+  oracle.fetchWithTimeout = async (url, opts) => {
+    calls.push(JSON.parse(opts.body));
+    return { ok: answer !== null, status: answer !== null ? 200 : 500, json: async () => ({ choices: [{ message: { content: answer } }] }) };
+  };
+  return { oracle, calls };
+}
+
+test('rememberUser: merges the old notes with the latest exchange', async (t) => {
+  const { oracle, calls } = rememberer('- likes tea\n- lives in Lisbon');
+  t.is(await oracle.rememberUser('- likes tea', 'alice', 'I just moved to Lisbon', 'Welcome!', tokenizer), '- likes tea\n- lives in Lisbon');
+  t.is(calls[0].max_tokens, 128);
+  t.ok(calls[0].messages[1].content.startsWith('Nick: alice\n\nExisting notes:\n- likes tea\n\nLatest exchange:\nUser: I just moved to Lisbon'));
+});
+
+test('rememberUser: NONE clears, failures keep the old notes, long notes are cut', async (t) => {
+  t.is(await rememberer(' none ').oracle.rememberUser(null, null, 'hi', 'hello', tokenizer), '');
+  t.is(await rememberer(null).oracle.rememberUser('- old', null, 'hi', 'hello', tokenizer), null);
+
+  const long = await rememberer('- ' + 'note '.repeat(400), { user_memory_max_tokens: 64 }).oracle.rememberUser(null, null, 'hi', 'hello', tokenizer);
+  t.ok(long.length > 0);
+  t.ok(tokenizer.count(long) <= 64);
+  t.ok(long.length <= 1000);
+});
@@ -0,0 +1,43 @@
+import test from 'brittle';
+import {makeChat, U1, U2} from './helpers/contract.js';
+import {makeProtocol} from './helpers/protocol.js';
+
+const NOW = 1_700_000_000_000;
+
+// The contract's state after a chat, served through the protocol api
+async function chatApi(chat) {
+  return await makeProtocol(Object.fromEntries(chat.storage.map));
+}
+
+test('getMessages: each message carries its trusted time', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  await chat.msg(U1, 'gm');
+  await chat.setTime(NOW + 90_000);
+  await chat.msg(U2, '@ai what time is it?');
+  const { api, close } = await chatApi(chat);
+  t.teardown(close);
+  const messages = await api.getMessages(0, 2);
+  t.alike(messages.map(m => [m.id, m.msg, m.ts]), [[0, 'gm', NOW], [1, '@ai what time is it?', NOW + 90_000]]);
+  t.is(messages[1].address, U2);
+});
+
+test('getMessages: messages sent before the timer started have a null time', async (t) => {
+  const chat = makeChat();
+  await chat.msg(U1, 'early bird');
+  await chat.setTime(NOW);
+  await chat.msg(U1, 'on time');
+  const { api, close } = await chatApi(chat);
+  t.teardown(close);
+  t.alike((await api.getMessages(0, 2)).map(m => m.ts), [null, NOW], 'the desktop marks these as "time unknown"');
+});
+
+test('getMessages: ranges are clamped and missing messages are skipped', async (t) => {
+  const { api, view, close } = await makeProtocol({ msgl: 3, 'msg/0': { msg: 'a', address: U1 }, 'msg/2': { msg: 'c', address: U1 }, 'msgts/2': 'not a time' });
+  t.teardown(close);
+  t.alike(await api.getMessages(-5, 3), [{ msg: 'a', address: U1, id: 0, ts: null }, { msg: 'c', address: U1, id: 2, ts: null }]);
+  t.alike(await api.getMessages(2, 2), []);
+  t.alike(await api.getMessages('x', 3), []);
+  view.put('msgts/0', NOW);
+  t.is((await api.getMessages(0, 1))[0].ts, NOW);
+});
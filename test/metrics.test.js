@@ -0,0 +1,39 @@
+import test from 'brittle';
+import net from 'net';
+import {metrics, serveMetrics, releaseMetrics} from '../features/ai/metrics.js';
+
+async function freePort() {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+// The scrape response, or null once nothing listens on the port (listening starts a moment after serveMetrics)
+async function scrape(port) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    try {
+      const res = await fetch('http://127.0.0.1:' + port + '/metrics');
+      return { status: res.status, text: await res.text() };
+    } catch(_) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+  return null;
+}
+
+test('metrics: the endpoint stays open until the last oracle lets go', async (t) => {
+  const port = await freePort();
+  metrics.inc('ai_replies_total', { bot: 'ai' });
+  await serveMetrics(port);
+  await serveMetrics(port);
+  const first = await scrape(port);
+  t.is(first.status, 200);
+  t.ok(first.text.includes('ai_replies_total{bot="ai"}'));
+
+  await releaseMetrics();
+  t.is((await scrape(port)).status, 200);
+  await releaseMetrics();
+  t.is(await scrape(port), null);
+});
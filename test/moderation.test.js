@@ -0,0 +1,105 @@
+import test from 'brittle';
+import {readModeration, applyModeration, validateRule, hasNestedQuantifier, readModerationDecision, isRefusal, REDACTED} from '../shared/moderation.js';
+import {makeChat, ADMIN} from './helpers/contract.js';
+import {makeOracle, U1} from './helpers/oracle.js';
+
+const rules = (entries) => readModeration({ rules: entries });
+
+test('moderation: words match whole words in any case', (t) => {
+  const moderation = rules({ slurs: { stage: 'both', match: 'words', words: ['bad word', 'foo'], action: 'redact' } });
+  t.is(applyModeration('A Bad Word and foobar, FOO.', 'input', moderation).text, 'A ' + REDACTED + ' and foobar, ' + REDACTED + '.');
+  t.is(applyModeration('nothing here', 'output', moderation).action, null);
+});
+
+test('moderation: rewrites use regex groups, a refusal wins and keeps the text', (t) => {
+  const moderation = rules({
+    keys: { stage: 'output', match: 'regex', pattern: 'key-(\\d+)', action: 'rewrite', replacement: '<key $1>' },
+    secret: { stage: 'output', match: 'words', words: ['secret'], action: 'refuse' }
+  });
+  const rewritten = applyModeration('use key-42', 'output', moderation);
+  t.is(rewritten.text, 'use <key 42>');
+  t.is(rewritten.action, 'rewrite');
+  const refused = applyModeration('the secret is key-42', 'output', moderation);
+  t.is(refused.action, 'refuse');
+  t.alike(refused.rules, ['keys', 'secret']);
+  t.is(refused.text, 'the secret is key-42');
+  t.is(applyModeration('use key-42', 'input', moderation).action, null, 'output rules leave prompts alone');
+});
+
+test('moderation: disabled moderation and disabled rules match nothing', (t) => {
+  const rule = { stage: 'both', match: 'words', words: ['foo'], action: 'refuse' };
+  t.is(applyModeration('foo', 'input', readModeration({ enabled: false, rules: { r: rule } })).action, null);
+  t.is(applyModeration('foo', 'input', rules({ r: { ...rule, enabled: false } })).action, null);
+});
+
+test('validateRule: empty matches, broken patterns and nested quantifiers are refused', (t) => {
+  t.is(validateRule({ match: 'regex', pattern: 'a*', action: 'redact' }), 'The pattern matches empty text.');
+  t.ok(validateRule({ match: 'regex', pattern: '(a', action: 'redact' }).startsWith('Invalid pattern'));
+  t.ok(validateRule({ match: 'regex', pattern: '(a+)+$', action: 'redact' }).includes('(a+)+'));
+  t.is(validateRule({ match: 'words', words: [' '], action: 'redact' }), 'A words rule needs a non-empty words list.');
+  t.is(validateRule({ match: 'regex', pattern: 'x', action: 'rewrite' }), 'A rewrite rule needs a replacement.');
+  t.is(validateRule({ match: 'regex', pattern: '\\b[a-f0-9]{64}\\b', action: 'redact' }), null);
+});
+
+test('hasNestedQuantifier: repeated groups that repeat something inside', (t) => {
+  for (const pattern of ['(a+)+$', '(x\\w*)*', '(a(b+))+', '((a)+)+', '(?:a|b+){2,}']) t.ok(hasNestedQuantifier(pattern), pattern);
+  for (const pattern of ['(?:ab|c)+', '([a+])+', '(\\p{L})+', '\\(a+\\)+', 'a+b*', '((a)+)']) t.absent(hasNestedQuantifier(pattern), pattern);
+});
+
+test('readModeration: stored rules that no longer validate are left out', (t) => {
+  const moderation = rules({
+    slow: { stage: 'both', match: 'regex', pattern: '(a+)+$', action: 'refuse' },
+    odd: { stage: 'sideways', match: 'words', words: ['x'], action: 'refuse' },
+    ok: { stage: 'input', match: 'words', words: ['x'], action: 'refuse' }
+  });
+  t.alike(moderation.rules.map(rule => rule.name), ['ok']);
+});
+
+test('readModerationDecision and isRefusal', (t) => {
+  const decision = readModerationDecision({ input: { action: 'redact', rules: ['a', 3] }, output: { action: 'shrug' } });
+  t.alike(decision, { input: { action: 'redact', rules: ['a'] } });
+  t.absent(isRefusal(decision));
+  t.ok(isRefusal({ output: { action: 'refuse', rules: [] } }));
+  t.is(readModerationDecision({}), null);
+});
+
+test('contract: the admin cannot store a pattern that stalls matching', async (t) => {
+  const chat = makeChat();
+  const rule = { op: 'set_ai_moderation_rule', name: 'slow', stage: 'input', match: 'regex', pattern: '(a+)+$', action: 'refuse' };
+  t.ok((await chat.tx(ADMIN, 'setAiModerationRule', rule)).message.includes('(a+)+'));
+  t.is(chat.get('ai/moderation'), null);
+});
+
+test('contract: a dropped unprompted reply keeps its moderation decision', async (t) => {
+  const chat = makeChat();
+  chat.set('chat/pending_random/1', { type: 'random', from: U1, prompt: 'hello all', timestamp: 5 });
+  await chat.feature('ai', 'ai_result', { queue: 'random', seq: 1, skip: true, moderation: { output: { action: 'refuse', rules: ['secret'] } } });
+  t.is(chat.get('chat/pending_random/1'), null);
+  t.alike(chat.get('chat/done_random/1'), { from: U1, timestamp: 5, skipped: true, moderation: { output: { action: 'refuse', rules: ['secret'] } } });
+  t.is(chat.get('random_process_seq'), 1);
+});
+
+test('oracle: an output rule shapes the posted reply, a refused unprompted reply is dropped', async (t) => {
+  const moderation = { rules: { secret: { stage: 'output', match: 'words', words: ['secret'], action: 'refuse' }, hi: { stage: 'output', match: 'words', words: ['hello'], action: 'redact' } } };
+  const { oracle, run, log } = makeOracle({ 'ai/moderation': moderation });
+  oracle.answer = () => 'hello there';
+  await run(1, {});
+  t.ok(log.find(entry => entry.kind === 'post').text.endsWith(REDACTED + ' there'));
+
+  oracle.answer = () => 'the secret is out';
+  await run(1, { type: 'random', prompt: 'chatting' }, 'random');
+  const dropped = log.filter(entry => entry.kind === 'ai_result')[1];
+  t.is(dropped.skip, true);
+  t.alike(dropped.moderation, { output: { action: 'refuse', rules: ['secret'] } });
+  t.is(log.filter(entry => entry.kind === 'post').length, 1);
+});
+
+test('oracle: the typing preview follows the output rules', (t) => {
+  const { oracle } = makeOracle();
+  const moderation = rules({ secret: { stage: 'output', match: 'words', words: ['secret'], action: 'refuse' }, hi: { stage: 'both', match: 'words', words: ['hello'], action: 'redact' } });
+  t.is(oracle.previewText('hello th', moderation), REDACTED + ' th');
+  t.is(oracle.previewText('hello, the secret', moderation), '');
+  t.is(oracle.previewText('hello', readModeration({ enabled: false })), 'hello');
+  oracle.moderationEndpoint = 'http://127.0.0.1:1/moderate';
+  t.is(oracle.previewText('hi', moderation), '', 'nothing shows before the classifier saw the whole answer');
+});
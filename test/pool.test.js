@@ -0,0 +1,87 @@
+import test from 'brittle';
+import {makeOracle} from './helpers/oracle.js';
+
+test('pool: replies in flight together are posted and committed lowest seq first', async (t) => {
+  const { oracle, run, log } = makeOracle({}, { concurrency: 3 });
+  const delays = { q1: 60, q2: 0, q3: 20 };
+  oracle.answer = async (messages) => {
+    const prompt = messages[messages.length - 1].content;
+    const seq = Object.keys(delays).find(key => prompt.includes(key));
+    await new Promise(resolve => setTimeout(resolve, delays[seq]));
+    return 'answer to ' + seq;
+  };
+  await Promise.all([run(1, {}), run(2, {}), run(3, {})]);
+  t.alike(log.filter(entry => entry.kind === 'post').map(entry => entry.seq), [1, 2, 3]);
+  t.alike(log.filter(entry => entry.kind === 'ai_result').map(entry => entry.seq), [1, 2, 3]);
+  t.is(oracle.committing, null);
+});
+
+test('pool: a slow summary call does not hold up a lower seq that started later', async (t) => {
+  const { oracle, run, log } = makeOracle({}, { concurrency: 2, user_memory: true, summary_trigger_tokens: 0 });
+  let release = null;
+  const gate = new Promise(resolve => { release = resolve; });
+  let summarizing = null;
+  const summarizingFive = new Promise(resolve => { summarizing = resolve; });
+  const locked = [];
+  oracle.rememberUser = async () => {
+    locked.push(oracle.committing !== null);
+    return null;
+  };
+  oracle.summarize = async (transcript) => {
+    locked.push(oracle.committing !== null);
+    if (!transcript.includes('q5')) return 'S3';
+    summarizing();
+    await gate;
+    return 'S5';
+  };
+
+  // The scheduler picked seq 5 first; seq 3 comes in while 5 is still compressing its summary
+  const five = run(5, {});
+  await summarizingFive;
+  await run(3, {});
+  t.alike(log.filter(entry => entry.kind === 'ai_result').map(entry => entry.seq), [3]);
+  release();
+  await five;
+  t.alike(log.filter(entry => entry.kind === 'ai_result').map(entry => entry.seq), [3, 5]);
+  t.alike(locked, [false, false, false, false], 'no model call runs under the commit lock');
+
+  // Seq 3 committed after 5 compressed its summary, so 5 builds on the newest one instead
+  const commit = log.find(entry => entry.kind === 'ai_result' && entry.seq === 5);
+  t.ok(commit.summary.startsWith('S3'));
+  t.ok(commit.summary.includes('q5'));
+});
+
+test('pool: a single slot rests after its model calls, longer after slow ones', async (t) => {
+  const { oracle } = makeOracle();
+  const rests = [];
+  oracle.sleep = async (ms) => { rests.push(ms); };
+  const release = async (inferenceMs) => {
+    const slot = { state: 'inference', updated_at: Date.now() - inferenceMs };
+    oracle.slots[0] = slot;
+    oracle.slotState(slot, 'posting');
+    await oracle.releaseSlot(0, slot);
+    t.is(oracle.slots[0], null);
+    return slot;
+  };
+  t.is((await release(6000)).state, 'resting');
+  t.ok(rests[0] > 1700 && rests[0] <= 2200, 'slow: ' + rests[0]);
+  await release(10);
+  t.ok(rests[1] > 1100 && rests[1] <= 1200, 'fast: ' + rests[1]);
+
+  // A job that never reached the model frees its slot right away
+  const skipped = { state: 'context', updated_at: Date.now() };
+  oracle.slots[0] = skipped;
+  await oracle.releaseSlot(0, skipped);
+  t.is(rests.length, 2);
+  t.is(oracle.slots[0], null);
+});
+
+test('pool: several slots do not rest between jobs', async (t) => {
+  const { oracle } = makeOracle({}, { concurrency: 2 });
+  oracle.sleep = async () => t.fail('no rest');
+  const slot = { state: 'inference', updated_at: Date.now() - 6000 };
+  oracle.slots[1] = slot;
+  oracle.slotState(slot, 'committing');
+  await oracle.releaseSlot(1, slot);
+  t.is(oracle.slots[1], null);
+});
@@ -0,0 +1,58 @@
+import test from 'brittle';
+import {makeChat, U1} from './helpers/contract.js';
+
+const NOW = 1_700_000_000_000;
+
+// Every untagged message is picked with divisor 1
+async function randomChat(config = { op: 'set_random', divisor: 1 }) {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  await chat.feature('ai', 'ai_ctrl', config);
+  return chat;
+}
+
+test('random: picked messages get their own queue and counters', async (t) => {
+  const chat = await randomChat();
+  await chat.msg(U1, 'gm everyone');
+  await chat.msg(U1, '@ai what is up');
+  await chat.msg(U1, 'anyone around?');
+  t.is(chat.get('random_message_seq'), 2);
+  t.is(chat.get('message_seq'), 1);
+  t.alike(chat.get('chat/pending_random/1'), { from: U1, prompt: 'gm everyone', type: 'random', timestamp: NOW });
+  t.is(chat.get('chat/pending_random/2').prompt, 'anyone around?');
+  t.is(chat.get('chat/pending/1').prompt, 'what is up');
+  t.is(chat.get('chat/pending/2'), null);
+  t.is(chat.get('rl/day/' + U1 + '/' + Math.floor(NOW / 86400000)), 3, 'both queues count against the daily limit');
+});
+
+test('random: an answer moves the item to done_random and only advances random_process_seq', async (t) => {
+  const chat = await randomChat();
+  await chat.msg(U1, 'gm everyone');
+  await chat.feature('ai', 'ai_result', { queue: 'random', seq: 1, reply: 'gm', summary: 's' });
+  t.is(chat.get('chat/pending_random/1'), null);
+  t.alike(chat.get('chat/done_random/1'), { from: U1, prompt: 'gm everyone', reply: 'gm', timestamp: NOW });
+  t.is(chat.get('random_process_seq'), 1);
+  t.is(chat.get('process_seq'), null);
+
+  await chat.msg(U1, 'quiet here');
+  await chat.feature('ai', 'ai_ctrl', { op: 'fast_forward', queue: 'random', seq: 5 });
+  t.is(chat.get('random_process_seq'), 2, 'a fast-forward stops at random_message_seq');
+});
+
+test('random: mentions, the admin and a disabled queue are never picked', async (t) => {
+  const chat = await randomChat();
+  await chat.msg(U1, 'hey @bob');
+  await chat.msg('a'.repeat(64), 'admin talking');
+  await chat.feature('ai', 'ai_ctrl', { op: 'set_random', enabled: false });
+  await chat.msg(U1, 'gm everyone');
+  t.is(chat.get('random_message_seq'), null);
+  t.alike(chat.get('ai/random_config'), { enabled: false, divisor: 1 });
+});
+
+test('random: set_random keeps the config on bad values', async (t) => {
+  const chat = await randomChat();
+  await chat.feature('ai', 'ai_ctrl', { op: 'set_random', divisor: 0 });
+  await chat.feature('ai', 'ai_ctrl', { op: 'set_random', divisor: 1001 });
+  await chat.feature('ai', 'ai_ctrl', { op: 'set_random', enabled: 'no' });
+  t.alike(chat.get('ai/random_config'), { enabled: true, divisor: 1 });
+});
@@ -0,0 +1,139 @@
+import test from 'brittle';
+import {makeChat, ADMIN, U1, U2} from './helpers/contract.js';
+import {resolveRateLimits, DEFAULT_RATE_LIMITS} from '../contract/ratelimit.js';
+import AiChatProtocol from '../contract/protocol.js';
+
+const NOW = 1_700_000_000_000;
+
+async function timedChat() {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  return chat;
+}
+
+// Sends n tagged prompts and returns how many were queued; each one is answered right away so the
+// pending cap stays out of the way
+async function prompts(chat, address, n) {
+  const before = chat.get('message_seq') || 0;
+  for (let i = 0; i < n; i++) {
+    const seq = chat.get('message_seq') || 0;
+    await chat.msg(address, '@ai question ' + i);
+    if (chat.get('message_seq') !== seq) await chat.feature('ai', 'ai_result', { queue: 'tagged', seq: seq + 1, reply: 'ok' });
+  }
+  return (chat.get('message_seq') || 0) - before;
+}
+
+test('resolveRateLimits: defaults, then the policy, then the assigned tier', (t) => {
+  t.alike(resolveRateLimits(null, null, null, null), { ...DEFAULT_RATE_LIMITS, priority: 0, tier: null, exempt: false, blocked: false });
+  const policy = { window_max: 5, daily_max: 100 };
+  const tiers = { trusted: { window_max: 30 }, staff: { exempt: true } };
+  t.alike(resolveRateLimits(policy, tiers, null, null), { window_ms: 60_000, window_max: 5, daily_max: 100, max_pending: 3, daily_tokens: null, priority: 0, tier: null, exempt: false, blocked: false });
+  t.alike(resolveRateLimits(policy, tiers, 'trusted', null), { window_ms: 60_000, window_max: 30, daily_max: 100, max_pending: 3, daily_tokens: null, priority: 0, tier: 'trusted', exempt: false, blocked: false });
+  t.is(resolveRateLimits(policy, tiers, 'staff', null).exempt, true);
+  t.is(resolveRateLimits(policy, tiers, 'removed', null).tier, null, 'an assignment to a missing tier falls back to the policy');
+  t.is(resolveRateLimits(policy, tiers, 'toString', null).tier, null);
+  t.is(resolveRateLimits(null, null, null, true).blocked, true);
+});
+
+test('rate limits: the default window allows ten prompts per minute', async (t) => {
+  const chat = await timedChat();
+  t.is(await prompts(chat, U1, 12), 10);
+  t.is(chat.get('rl/last3/' + U1).length, 10);
+  await chat.setTime(NOW + 60_001);
+  t.is(await prompts(chat, U1, 1), 1);
+});
+
+test('set_rl_policy: changes the limits for everyone', async (t) => {
+  const chat = await timedChat();
+  t.is(await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', window_max: 2 }), undefined);
+  t.is(await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', daily_max: 3 }), undefined);
+  t.alike(chat.get('rl/policy'), { window_max: 2, daily_max: 3 });
+  t.is(await prompts(chat, U1, 3), 2);
+  t.is(chat.get('rl/last3/' + U1).length, 2, 'only window_max timestamps are kept');
+  await chat.setTime(NOW + 60_001);
+  t.is(await prompts(chat, U1, 3), 1, 'the daily cap still applies');
+  t.is(await prompts(chat, U2, 1), 1);
+});
+
+test('set_rl_tier and assign_rl_tier: a tier overrides the policy for its users', async (t) => {
+  const chat = await timedChat();
+  await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', window_max: 1 });
+  t.is(await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 'trusted', window_max: 3 }), undefined);
+  t.is(await chat.tx(ADMIN, 'assignRateLimitTier', { op: 'assign_rl_tier', address: U1, tier: 'trusted' }), undefined);
+  t.is(chat.get('rl/user_tier/' + U1), 'trusted');
+  t.is(await prompts(chat, U1, 5), 3);
+  t.is(await prompts(chat, U2, 5), 1);
+
+  // Exempt tiers skip both limits
+  await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 'trusted', exempt: true });
+  t.alike(chat.get('rl/tiers'), { trusted: { window_max: 3, exempt: true } });
+  t.is(await prompts(chat, U1, 5), 5);
+
+  // Clearing the assignment puts the user back on the policy
+  t.is(await chat.tx(ADMIN, 'assignRateLimitTier', { op: 'assign_rl_tier', address: U1, tier: null }), undefined);
+  t.is(chat.get('rl/user_tier/' + U1), null);
+  await chat.setTime(NOW + 60_001);
+  t.is(await prompts(chat, U1, 2), 1);
+});
+
+test('assign_rl_tier and remove_rl_tier: unknown tiers are refused', async (t) => {
+  const chat = await timedChat();
+  t.is((await chat.tx(ADMIN, 'assignRateLimitTier', { op: 'assign_rl_tier', address: U1, tier: 'vip' })).message, 'Unknown rate-limit tier.');
+  t.is((await chat.tx(ADMIN, 'removeRateLimitTier', { op: 'remove_rl_tier', tier: 'vip' })).message, 'Unknown rate-limit tier.');
+
+  await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 'vip', exempt: true });
+  await chat.tx(ADMIN, 'assignRateLimitTier', { op: 'assign_rl_tier', address: U1, tier: 'vip' });
+  t.is(await chat.tx(ADMIN, 'removeRateLimitTier', { op: 'remove_rl_tier', tier: 'vip' }), undefined);
+  t.alike(chat.get('rl/tiers'), {});
+  t.is(await prompts(chat, U1, 12), 10, 'users of a removed tier fall back to the policy');
+});
+
+test('set_rl_tier: at most 32 tiers', async (t) => {
+  const chat = await timedChat();
+  for (let i = 0; i < 32; i++) {
+    t.is(await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 't' + i, window_max: 1 }), undefined);
+  }
+  t.is((await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 'one_more' })).message, 'Too many rate-limit tiers (max 32).');
+  t.is(await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 't0', window_max: 2 }), undefined, 'existing tiers can still change');
+});
+
+test('set_rl_block: blocked users never reach the AI', async (t) => {
+  const chat = await timedChat();
+  t.is(await chat.tx(ADMIN, 'setRateLimitBlock', { op: 'set_rl_block', address: U1, blocked: true }), undefined);
+  t.is(await prompts(chat, U1, 1), 0);
+  t.is(chat.get('rl/day/' + U1 + '/' + Math.floor(NOW / 86400000)), null);
+  t.is(await chat.tx(ADMIN, 'setRateLimitBlock', { op: 'set_rl_block', address: U1, blocked: false }), undefined);
+  t.is(chat.get('rl/blocked/' + U1), null);
+  t.is(await prompts(chat, U1, 1), 1);
+});
+
+test('rate-limit ops: admin only, and out-of-range values fail the schema', async (t) => {
+  const chat = await timedChat();
+  t.is((await chat.tx(U1, 'setRateLimitPolicy', { op: 'set_rl_policy', window_max: 100 })).message, 'Only the admin can change the rate-limit policy.');
+  t.is((await chat.tx(U1, 'setRateLimitTier', { op: 'set_rl_tier', tier: 'mine', exempt: true })).message, 'Only the admin can change rate-limit tiers.');
+  t.is((await chat.tx(U1, 'removeRateLimitTier', { op: 'remove_rl_tier', tier: 'mine' })).message, 'Only the admin can change rate-limit tiers.');
+  t.is((await chat.tx(U1, 'assignRateLimitTier', { op: 'assign_rl_tier', address: U1, tier: null })).message, 'Only the admin can assign rate-limit tiers.');
+  t.is((await chat.tx(U1, 'setRateLimitBlock', { op: 'set_rl_block', address: U2, blocked: true })).message, 'Only the admin can block addresses.');
+  t.is(chat.keys('rl/').length, 0);
+
+  const bad = [
+    ['setRateLimitPolicy', { op: 'set_rl_policy', window_max: 101 }],
+    ['setRateLimitPolicy', { op: 'set_rl_policy', window_ms: 999 }],
+    ['setRateLimitTier', { op: 'set_rl_tier', tier: 'Has Spaces' }],
+    ['assignRateLimitTier', { op: 'assign_rl_tier', address: 'not-hex', tier: null }],
+    ['setRateLimitBlock', { op: 'set_rl_block', address: U1, blocked: 'yes' }]
+  ];
+  for (const [type, value] of bad) {
+    t.is((await chat.tx(ADMIN, type, value)).message, 'Invalid schema.', JSON.stringify(value));
+  }
+  t.is(chat.keys('rl/').length, 0);
+});
+
+test('/tx maps the rate-limit ops to their contract methods', (t) => {
+  const protocol = new AiChatProtocol({ wallet: {} }, {}, {});
+  const types = { set_rl_policy: 'setRateLimitPolicy', set_rl_tier: 'setRateLimitTier', remove_rl_tier: 'removeRateLimitTier', assign_rl_tier: 'assignRateLimitTier', set_rl_block: 'setRateLimitBlock' };
+  for (const op in types) {
+    t.alike(protocol.mapTxCommand(JSON.stringify({ op })), { type: types[op], value: { op } });
+  }
+  t.is(protocol.mapTxCommand('{"op":"hasOwnProperty"}'), null);
+});
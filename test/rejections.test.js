@@ -0,0 +1,85 @@
+import test from 'brittle';
+import {makeChat, ADMIN, U1} from './helpers/contract.js';
+import {computeQuota, describeRejection, resolveRateLimits} from '../contract/ratelimit.js';
+
+const NOW = 1_700_000_000_000;
+const DAY_END = (Math.floor(NOW / 86400000) + 1) * 86400000;
+
+test('msgrej: dropped @ai prompts record why, under their message index', async (t) => {
+  const chat = makeChat();
+  await chat.msg(U1, '@ai before the timer');
+  t.alike(chat.get('msgrej/0'), { reason: 'no_time', at: null, retry_at: null });
+
+  await chat.setTime(NOW);
+  await chat.msg(U1, '@ai   ');
+  t.alike(chat.get('msgrej/1'), { reason: 'empty_prompt', at: NOW, retry_at: null });
+
+  await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', window_max: 1 });
+  await chat.msg(U1, '@ai first');
+  await chat.setTime(NOW + 1000);
+  await chat.msg(U1, '@ai second');
+  t.is(chat.get('msgrej/2'), null, 'accepted prompts record nothing');
+  t.alike(chat.get('msgrej/3'), { reason: 'rate_window', at: NOW + 1000, retry_at: NOW + 60_001 });
+
+  await chat.tx(ADMIN, 'setRateLimitBlock', { op: 'set_rl_block', address: U1, blocked: true });
+  await chat.msg(U1, '@ai let me in');
+  t.alike(chat.get('msgrej/4'), { reason: 'blocked', at: NOW + 1000, retry_at: null });
+});
+
+test('msgrej: the daily cap waits for the next day', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', daily_max: 1 });
+  await chat.msg(U1, '@ai first');
+  await chat.msg(U1, '@ai second');
+  t.alike(chat.get('msgrej/1'), { reason: 'daily_cap', at: NOW, retry_at: DAY_END });
+});
+
+test('msgrej: untagged and AI-reply messages are never recorded', async (t) => {
+  const chat = makeChat();
+  await chat.msg(U1, 'no timer, no question');
+  await chat.setTime(NOW);
+  await chat.tx(ADMIN, 'setRateLimitBlock', { op: 'set_rl_block', address: U1, blocked: true });
+  await chat.msg(U1, 'blocked but just chatting');
+  await chat.msg(ADMIN, 'answer mentioning @ai', ['ai-reply']);
+  t.alike(chat.keys('msgrej/'), []);
+});
+
+test('computeQuota: remaining prompts and when a limited user can retry', (t) => {
+  const limits = resolveRateLimits({ window_max: 2, daily_max: 5 }, null, null, null);
+  const open = computeQuota(limits, NOW, [NOW - 61_000, NOW - 10_000], 3);
+  t.is(open.window_used, 1);
+  t.is(open.window_remaining, 1);
+  t.is(open.daily_remaining, 2);
+  t.is(open.limited, null);
+
+  const full = computeQuota(limits, NOW, [NOW - 5_000, NOW - 20_000], 3);
+  t.alike(full.recent, [NOW - 20_000, NOW - 5_000], 'sorted oldest first');
+  t.is(full.limited, 'rate_window');
+  t.is(full.retry_at, NOW - 20_000 + 60_001, 'when the oldest counted prompt leaves the window');
+
+  const both = computeQuota(limits, DAY_END - 1000, [DAY_END - 2000, DAY_END - 1500], 5);
+  t.is(both.limited, 'daily_cap');
+  t.is(both.retry_at, DAY_END - 2000 + 60_001, 'the later of the two limits');
+
+  const zero = computeQuota(resolveRateLimits({ window_max: 0 }, null, null, null), NOW, [], 0);
+  t.is(zero.limited, 'rate_window');
+  t.is(zero.retry_at, null, 'waiting cannot help');
+
+  const exempt = computeQuota(resolveRateLimits({ window_max: 0, daily_max: 0 }, { staff: { exempt: true } }, 'staff', null), NOW, [NOW], 9);
+  t.is(exempt.limited, null);
+  t.is(exempt.window_remaining, null);
+  t.is(exempt.daily_remaining, null);
+  t.is(computeQuota(resolveRateLimits(null, { staff: { exempt: true } }, 'staff', true), NOW, [], 0).limited, 'blocked');
+});
+
+test('describeRejection: a short notice per reason', (t) => {
+  t.is(describeRejection({ reason: 'rate_window', at: NOW, retry_at: NOW + 42_000 }), 'rate limited, try again in 42s');
+  t.is(describeRejection({ reason: 'daily_cap', at: NOW, retry_at: NOW + 5 * 3600_000 + 60_000 }), 'daily limit reached, try again in 6h');
+  t.is(describeRejection({ reason: 'rate_window', at: NOW, retry_at: null }), 'rate limited');
+  t.is(describeRejection({ reason: 'blocked', at: NOW, retry_at: null }), 'you are blocked from prompting the AI');
+  t.is(describeRejection({ reason: 'no_time', at: null, retry_at: null }), 'no trusted time yet (timer feature not running), prompt dropped');
+  t.is(describeRejection({ reason: 'empty_prompt', at: NOW, retry_at: null }), 'empty prompt after @ai, nothing to answer');
+  t.is(describeRejection({ reason: 'moderated', at: NOW, retry_at: null }), 'prompt dropped (moderated)');
+  t.is(describeRejection(null), '');
+});
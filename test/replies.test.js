@@ -0,0 +1,40 @@
+import test from 'brittle';
+import {makeChat, ADMIN, U1, W1} from './helpers/contract.js';
+import {makeOracle} from './helpers/oracle.js';
+
+test('contract: an AI reply is linked to its seq and a second one is refused', async (t) => {
+  const chat = makeChat();
+  await chat.msg(U1, '@ai hello');
+  t.is(await chat.msg(ADMIN, '@' + U1 + ' hi', ['ai-reply', 'seq:1']), undefined);
+  t.is(chat.get('chat/reply/1'), 1);
+  t.is((await chat.msg(ADMIN, '@' + U1 + ' hi again', ['ai-reply', 'seq:1'])).message, 'This seq already has an AI reply.');
+  t.is(chat.get('msgl'), 2);
+});
+
+test('contract: only the admin or the lease holder links a reply', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(1_000_000);
+  await chat.msg(U1, '@ai hello');
+  await chat.msg(U1, 'not the oracle', ['ai-reply', 'seq:1']);
+  t.is(chat.get('chat/reply/1'), null);
+
+  await chat.tx(ADMIN, 'setAiWorker', { op: 'set_ai_worker', address: W1 });
+  await chat.msg(W1, '@' + U1 + ' not leased yet', ['ai-reply', 'seq:1']);
+  t.is(chat.get('chat/reply/1'), null);
+  await chat.tx(W1, 'claimAiJob', { op: 'claim_ai_job' });
+  await chat.msg(W1, '@' + U1 + ' from the worker', ['ai-reply', 'seq:1']);
+  t.is(chat.get('chat/reply/1'), 3);
+});
+
+test('oracle: a reply already in chat is committed without posting again, nick spaces and all', async (t) => {
+  const { run, log } = makeOracle({ ['nick/' + U1]: 'John Doe', 'chat/reply/1': 4, 'msg/4': { msg: '@John Doe the answer' } });
+  await run(1, {});
+  t.is(log.filter(entry => entry.kind === 'post').length, 0);
+  t.is(log.find(entry => entry.kind === 'ai_result').reply, 'the answer');
+});
+
+test('oracle: a reply posted before the asker changed nick still loses its mention', async (t) => {
+  const { run, log } = makeOracle({ ['nick/' + U1]: 'Jane Doe', 'chat/reply/1': 4, 'msg/4': { msg: '@' + U1 + ' the answer' } });
+  await run(1, {});
+  t.is(log.find(entry => entry.kind === 'ai_result').reply, 'the answer');
+});
@@ -0,0 +1,137 @@
+import test from 'brittle';
+import {readQueues, enqueue, dequeue, pickNextSeq, pendingCount} from '../shared/scheduler.js';
+import {botKeys} from '../shared/bots.js';
+import {makeChat, ADMIN, U1, U2} from './helpers/contract.js';
+import {makeProtocol} from './helpers/protocol.js';
+
+const U3 = 'f'.repeat(64);
+const keys = botKeys();
+
+// pickNextSeq over a plain object of state keys
+function reader(state) {
+  return async (key) => Object.prototype.hasOwnProperty.call(state, key) ? state[key] : null;
+}
+
+test('readQueues: malformed entries and empty askers are dropped', (t) => {
+  const queues = readQueues({ order: [U1, U2, U1, 5], users: { [U1]: { seqs: [1, 'x', 2], priority: 1 }, [U2]: { seqs: [] } } });
+  t.alike(queues, { order: [U1], users: { [U1]: { seqs: [1, 2], priority: 1 } } });
+  t.alike(readQueues(null), { order: [], users: {} });
+});
+
+test('enqueue and dequeue: askers rotate to the back and leave when done', (t) => {
+  const queues = readQueues(null);
+  enqueue(queues, U1, 1);
+  enqueue(queues, U1, 2);
+  enqueue(queues, U2, 3);
+  t.is(pendingCount(queues, U1), 2);
+  dequeue(queues, U1, 1);
+  t.alike(queues.order, [U2, U1]);
+  dequeue(queues, U2, 3);
+  t.alike(queues.order, [U1]);
+  t.absent(queues.users[U2]);
+});
+
+test('pickNextSeq: round-robin by asker, highest priority first', async (t) => {
+  const state = {
+    'chat/queues': { order: [U1, U2, U3], users: { [U1]: { seqs: [1, 2], priority: 0 }, [U2]: { seqs: [3], priority: 0 }, [U3]: { seqs: [4], priority: 2 } } },
+    'chat/pending/1': {}, 'chat/pending/2': {}, 'chat/pending/3': {}, 'chat/pending/4': {}
+  };
+  t.is(await pickNextSeq(reader(state), keys, 0), 4);
+  state['chat/queues'].users[U3].priority = 0;
+  t.is(await pickNextSeq(reader(state), keys, 0), 1);
+  // Busy in a slot, or leased to a worker: the asker's next prompt, then the next asker
+  t.is(await pickNextSeq(reader(state), keys, 0, seq => seq === 1), 2);
+  t.is(await pickNextSeq(reader(state), keys, 0, seq => seq <= 2), 3);
+  state['chat/lease/1'] = { expires_at: 100 };
+  state['chat/lease/2'] = { expires_at: 100 };
+  t.is(await pickNextSeq(reader(state), keys, 50), 3);
+  t.is(await pickNextSeq(reader(state), keys, 101), 1);
+});
+
+test('pickNextSeq: prompts queued before per-asker queues are found by scanning', async (t) => {
+  t.is(await pickNextSeq(reader({ process_seq: 4, message_seq: 7, 'chat/pending/6': {} }), keys, 0), 6);
+  t.is(await pickNextSeq(reader({ process_seq: 4, message_seq: 7 }), keys, 0), null);
+});
+
+test('a flooding asker does not hold up the others', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(1_000_000);
+  for (let i = 0; i < 3; i++) await chat.msg(U1, '@ai u1 ' + i);
+  await chat.msg(U2, '@ai u2');
+  await chat.msg(U3, '@ai u3');
+  const served = [];
+  for (let seq = await pickNextSeq(chat.get, keys, 1_000_000); seq !== null; seq = await pickNextSeq(chat.get, keys, 1_000_000)) {
+    served.push(chat.get('chat/pending/' + seq).from[0] + seq);
+    await chat.feature('ai', 'ai_result', { queue: 'tagged', seq, reply: 'r' + seq });
+  }
+  t.alike(served, ['b1', 'c4', 'f5', 'b2', 'b3']);
+  t.is(chat.get('process_seq'), 5);
+  t.alike(chat.get('chat/queues'), { order: [], users: {} });
+});
+
+test('pending caps: the default, the policy and the tier', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(1_000_000);
+  for (let i = 0; i < 4; i++) await chat.msg(U1, '@ai q' + i);
+  t.is(chat.get('msgrej/3').reason, 'queue_full');
+  t.is(await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', max_pending: 1 }), undefined);
+  await chat.msg(U2, '@ai a');
+  await chat.msg(U2, '@ai b');
+  t.is(chat.get('msgrej/5').reason, 'queue_full');
+  t.is(await chat.tx(ADMIN, 'setRateLimitTier', { op: 'set_rl_tier', tier: 'vip', priority: 2, max_pending: 5 }), undefined);
+  t.is(await chat.tx(ADMIN, 'assignRateLimitTier', { op: 'assign_rl_tier', address: U3, tier: 'vip' }), undefined);
+  await chat.msg(U3, '@ai c');
+  await chat.msg(U3, '@ai d');
+  t.absent(chat.get('msgrej/7'));
+  t.alike(chat.get('chat/queues').users[U3], { seqs: [5, 6], priority: 2 });
+  t.is(await pickNextSeq(chat.get, keys, 1_000_000), 5);
+});
+
+test('a fast-forward expires what it passes over', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(1_000_000);
+  await chat.msg(U1, '@ai a');
+  await chat.msg(U2, '@ai b');
+  await chat.feature('ai', 'ai_ctrl', { op: 'fast_forward', queue: 'tagged', seq: 2 });
+  t.is(chat.get('process_seq'), 2);
+  t.alike(chat.keys('chat/pending/'), []);
+  t.alike(chat.get('chat/queues'), { order: [], users: {} });
+  t.is(chat.get('msgrej/0').reason, 'expired');
+  t.is(chat.get('msgrej/1').reason, 'expired');
+});
+
+// Seq 3 of a second asker answered before seqs 1 and 2 of the first
+function answeredOutOfOrder() {
+  return {
+    'message_seq': 3,
+    'process_seq': 0,
+    'chat/queues': { order: [U1], users: { [U1]: { seqs: [1, 2], priority: 0 } } },
+    'chat/pending/1': { from: U1, prompt: 'first' },
+    'chat/pending/2': { from: U1, prompt: 'second' },
+    'chat/done/3': { from: U2, prompt: 'rollup fees', reply: 'they went down', msg_id: 5 }
+  };
+}
+
+test('search and export: answers above process_seq show up, the rest once answered', async (t) => {
+  const { api, view, close } = await makeProtocol(answeredOutOfOrder());
+  t.teardown(close);
+  t.alike((await api.search('rollup')).map(hit => hit.seq), [3]);
+  t.is((await api.exportChat({ done: true, format: 'jsonl' })).count, 1);
+
+  view.put('chat/done/1', { from: U1, prompt: 'rollup history', reply: 'long story', msg_id: 6 });
+  view.del('chat/pending/1');
+  view.put('process_seq', 1);
+  t.alike((await api.search('rollup')).map(hit => hit.seq).sort(), [1, 3]);
+  view.put('chat/done/2', { from: U1, prompt: 'second', reply: 'ok', msg_id: 7 });
+  view.put('process_seq', 3);
+  t.alike((await api.search('rollup')).map(hit => hit.seq).sort(), [1, 3], 'seq 3 is not indexed twice');
+  t.is((await api.exportChat({ done: true, format: 'jsonl' })).count, 3);
+});
+
+test('getAiTyping: away from the oracle, the prompt the scheduler picks next', async (t) => {
+  const { api, view, close } = await makeProtocol({ ...answeredOutOfOrder(), 'chat/pending/4': { from: U2, prompt: 'vip' } });
+  t.teardown(close);
+  view.put('chat/queues', { order: [U1, U2], users: { [U1]: { seqs: [1, 2], priority: 0 }, [U2]: { seqs: [4], priority: 3 } } });
+  view.put('message_seq', 4);
+  t.alike(await api.getAiTyping(), { seq: 4, from: U2, text: '', bot: 'ai', local: false, updated_at: null });
+});
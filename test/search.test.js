@@ -0,0 +1,93 @@
+import test from 'brittle';
+import {makeChat, ADMIN, U1, U2} from './helpers/contract.js';
+import {makeProtocol} from './helpers/protocol.js';
+import {tokenize} from '../contract/search.js';
+
+const NOW = 1_700_000_000_000;
+
+// A chat where U1 asked about tea (answered by the AI) and U2 talked about tea and coffee
+async function teaChat() {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  await chat.msg(U1, '@ai which green tea is best?');
+  await chat.feature('ai', 'ai_result', { seq: 1, reply: 'Sencha is a good everyday green tea.' });
+  await chat.msg(ADMIN, '@' + U1 + ' Sencha is a good everyday green tea.', ['ai-reply'], 0);
+  await chat.msg(U2, 'I prefer black tea, or coffee');
+  await chat.msg(U2, 'teapots are underrated');
+  return await makeProtocol(Object.fromEntries(chat.storage.map));
+}
+
+// Runs a console command and returns what it printed
+async function run(protocol, command) {
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await protocol.customCommand(command);
+  } finally {
+    console.log = log;
+  }
+  return lines;
+}
+
+test('tokenize: lowercase words and numbers in any script, at least two characters', (t) => {
+  t.alike(tokenize('Grüner Tee, 2 cups & 15 MINUTES — 茶道!'), ['grüner', 'tee', 'cups', '15', 'minutes', '茶道']);
+  t.alike(tokenize(null), []);
+});
+
+test('search: messages and answered prompts, every word must match', async (t) => {
+  const { api, close } = await teaChat();
+  t.teardown(close);
+  const hits = await api.search('green tea');
+  t.alike(hits.map(h => [h.kind, h.id]), [['qa', 0], ['msg', 1], ['msg', 0]]);
+  t.is(hits[0].seq, 1);
+  t.is(hits[0].snippet, 'Q: which green tea is best? A: Sencha is a good everyday green tea.');
+  t.alike((await api.search('coffee')).map(h => h.id), [2]);
+  t.alike(await api.search('tea milk'), []);
+  t.alike(await api.search('  !! '), []);
+});
+
+test('search: the last word also matches as a prefix', async (t) => {
+  const { api, close } = await teaChat();
+  t.teardown(close);
+  t.alike((await api.search('underrated tea')).map(h => h.id), [3]);
+  t.alike((await api.search('coff')).map(h => h.id), [2]);
+  t.alike(await api.search('coff black'), [], 'earlier words must match whole');
+});
+
+test('search: user and ai_only filters', async (t) => {
+  const { api, close } = await teaChat();
+  t.teardown(close);
+  t.alike((await api.search('tea', { user: U2 })).map(h => h.id), [3, 2]);
+  t.alike((await api.search('tea', { ai_only: true })).map(h => [h.kind, h.id]), [['qa', 0], ['msg', 1]]);
+  t.alike((await api.search('tea', { user: U1, ai_only: true })).map(h => h.kind), ['qa'], 'Q/A records belong to the asker');
+  t.is((await api.search('tea', { limit: 1 })).length, 1);
+});
+
+test('search: new messages are indexed on the next query', async (t) => {
+  const { api, view, close } = await teaChat();
+  t.teardown(close);
+  t.alike(await api.search('matcha'), []);
+  view.put('msg/4', { msg: 'matcha latte anyone?', address: U1, attachments: [] });
+  view.put('msgl', 5);
+  t.alike((await api.search('matcha')).map(h => h.id), [4]);
+});
+
+test('/search: --user and --ai-only filter the printed hits', async (t) => {
+  const { protocol, close } = await teaChat();
+  t.teardown(close);
+  const all = await run(protocol, '/search --query "tea"');
+  t.is(all.length, 5, '"tea" also finds "teapots"');
+  t.is(all[0], '- Q/A #1 (msg #0) | 2023-11-14 22:13 | ' + U1 + ': Q: which green tea is best? A: Sencha is a good everyday green tea.');
+
+  const aiOnly = await run(protocol, '/search --query "tea" --ai-only');
+  t.alike(aiOnly.map(line => line.split(' | ')[0]), ['- Q/A #1 (msg #0)', '- msg #1']);
+
+  const byUser = await run(protocol, '/search --ai-only --query "tea" --user ' + U2);
+  t.alike(byUser, ['Search: no matches for "tea"']);
+
+  const byUser2 = await run(protocol, '/search --query "tea" --user ' + U2);
+  t.alike(byUser2.map(line => line.split(' | ')[0]), ['- msg #3', '- msg #2']);
+
+  t.alike(await run(protocol, '/search --ai-only'), ['Search: missing --query "<words>".']);
+});
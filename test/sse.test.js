@@ -0,0 +1,85 @@
+import test from 'brittle';
+import http from 'http';
+import b4a from 'b4a';
+import {readChatStream} from '../features/ai/index.js';
+import {getBackend} from '../features/ai/backends.js';
+
+// Local SSE server writing the given chunks with a pause between them
+async function mockServer(t, chunks, contentType = 'text/event-stream') {
+  const server = http.createServer(async (req, res) => {
+    res.writeHead(200, { 'Content-Type': contentType });
+    for (const chunk of chunks) {
+      res.write(chunk);
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.teardown(() => new Promise(resolve => server.close(resolve)));
+  return 'http://127.0.0.1:' + server.address().port + '/v1/chat/completions';
+}
+
+// Response whose body yields exactly the given chunks, for chunk boundaries fetch would not keep
+function chunkedResponse(chunks, contentType = 'text/event-stream') {
+  const queue = chunks.map(c => b4a.from(c));
+  return {
+    headers: { get: () => contentType },
+    body: { getReader: () => ({ read: async () => queue.length > 0 ? { done: false, value: queue.shift() } : { done: true }, cancel: async () => {} }) }
+  };
+}
+
+const delta = (content) => 'data: ' + JSON.stringify({ choices: [{ delta: { content } }] }) + '\n\n';
+
+test('sse: reads deltas from a mock server and stops at [DONE]', async (t) => {
+  const url = await mockServer(t, [delta('Hel'), delta('lo'), 'data: [DONE]\n\n', delta(' ignored')]);
+  const seen = [];
+  const text = await readChatStream(await fetch(url, { method: 'POST' }), (partial) => seen.push(partial), 1000);
+  t.is(text, 'Hello');
+  t.alike(seen, ['Hel', 'Hello']);
+});
+
+test('sse: events split across chunks, including inside a multi-byte character', async (t) => {
+  const bytes = b4a.from(delta('grüße') + delta('!'));
+  const cut = bytes.indexOf(0xc3) + 1; // between the two bytes of ü
+  const text = await readChatStream(chunkedResponse([bytes.subarray(0, 7), bytes.subarray(7, cut), bytes.subarray(cut)]), null, 1000);
+  t.is(text, 'grüße!');
+});
+
+test('sse: a partial last line without a newline is still read', async (t) => {
+  const url = await mockServer(t, [delta('a'), 'data: ' + JSON.stringify({ choices: [{ delta: { content: 'b' } }] })]);
+  t.is(await readChatStream(await fetch(url, { method: 'POST' }), null, 1000), 'ab');
+});
+
+test('sse: comments, blank lines and broken events are skipped', async (t) => {
+  const text = await readChatStream(chunkedResponse([': keep-alive\n\n', 'data: {broken\n\n', delta('ok'), 'data: [DONE]\n\n']), null, 1000);
+  t.is(text, 'ok');
+});
+
+test('sse: usage from the last chunk reaches onUsage', async (t) => {
+  let usage = null;
+  const text = await readChatStream(chunkedResponse([delta('x'), 'data: {"choices":[],"usage":{"prompt_tokens":9,"completion_tokens":1}}\n\n', 'data: [DONE]\n\n']),
+    null, 1000, getBackend('openai-chat'), (u) => { usage = u; });
+  t.is(text, 'x');
+  t.alike(usage, { prompt: 9, completion: 1 });
+});
+
+test('sse: a server that ignores stream: true answers with plain JSON', async (t) => {
+  const url = await mockServer(t, [JSON.stringify({ choices: [{ message: { content: 'whole' } }] })], 'application/json');
+  t.is(await readChatStream(await fetch(url, { method: 'POST' }), null, 1000), 'whole');
+});
+
+test('sse: rejects when the stream goes idle', async (t) => {
+  const res = {
+    headers: { get: () => 'text/event-stream' },
+    body: { getReader: () => ({ read: () => new Promise(() => {}), cancel: async () => {} }) }
+  };
+  await t.exception(readChatStream(res, null, 50), /stream idle timeout/);
+});
+
+test('ndjson: Ollama lines end at done', async (t) => {
+  const lines = '{"message":{"content":"yo"},"done":false}\n{"message":{"content":""},"done":true,"prompt_eval_count":7,"eval_count":1}\n{"message":{"content":" ignored"},"done":false}';
+  let usage = null;
+  const text = await readChatStream(chunkedResponse([lines.slice(0, 20), lines.slice(20)], 'application/x-ndjson'), null, 1000, getBackend('ollama'), (u) => { usage = u; });
+  t.is(text, 'yo');
+  t.alike(usage, { prompt: 7, completion: 1 });
+});
@@ -0,0 +1,92 @@
+import test from 'brittle';
+import {AiOracle} from '../features/ai/index.js';
+import {makeOracle} from './helpers/oracle.js';
+
+// Rough count, like the oracle's fallback without tiktoken
+const tokenizer = { count: (text) => Math.ceil((text || '').length / 4) };
+
+// An oracle whose model server answers every request with answer(body) (null for an HTTP 500)
+function summarizer(options, answer) {
+  const oracle = new AiOracle({ wallet: {}, base: {} }, options);
+  const calls = [];
+  oracle.fetchWithTimeout = async (url, opts) => {
+    const body = JSON.parse(opts.body);
+    calls.push(body);
+    const content = await answer(body);
+    return { ok: content !== null, status: content !== null ? 200 : 500, json: async () => ({ choices: [{ message: { content } }] }) };
+  };
+  return { oracle, calls };
+}
+
+test('summary: below the trigger the exchange is appended without a summary call', async (t) => {
+  const { oracle, calls } = summarizer({ summary_trigger_tokens: 10_000 }, () => 'unused');
+  t.is(await oracle.nextSummary('earlier', '\nQ(u): hello\nA: hi there', tokenizer), 'earlier\nQ(u): hello\nA: hi there');
+  t.is(calls.length, 0);
+});
+
+test('summary: the concat keeps the newest text once it outgrows the payload', async (t) => {
+  const { oracle } = summarizer({ summary_trigger_tokens: 10_000 }, () => 'unused');
+  const summary = await oracle.nextSummary('old '.repeat(600), '\nQ(u): newest question\nA: newest answer', tokenizer);
+  t.is(summary.length, 2000);
+  t.ok(summary.endsWith('newest question\nA: newest answer'));
+});
+
+test('summary: over the trigger a summary call compresses it within summary_max_tokens', async (t) => {
+  const { oracle, calls } = summarizer({ summary_trigger_tokens: 4, summary_max_tokens: 32 }, () => 'Topics: ' + 'chat '.repeat(400));
+  const summary = await oracle.nextSummary('earlier', '\nQ(u): hello\nA: the answer', tokenizer);
+  t.is(calls.length, 1);
+  t.is(calls[0].max_tokens, 32);
+  t.ok(calls[0].messages[0].content.includes('never exceed 32 tokens'));
+  t.is(calls[0].messages[1].content, 'earlier\nQ(u): hello\nA: the answer');
+  t.ok(summary.startsWith('Topics: chat'));
+  t.ok(tokenizer.count(summary) <= 32);
+});
+
+test('summary: a failed or empty summary call falls back to the newest text', async (t) => {
+  for (const answer of [null, '  ']) {
+    const { oracle, calls } = summarizer({ summary_trigger_tokens: 4 }, () => answer);
+    const summary = await oracle.nextSummary('old '.repeat(600), '\nQ(u): hello\nA: the answer', tokenizer);
+    t.is(calls.length, 1);
+    t.is(summary.length, 2000);
+    t.ok(summary.endsWith('hello\nA: the answer'));
+  }
+});
+
+test('summary: a long transcript is cut from the front to fit the model context', async (t) => {
+  const { oracle, calls } = summarizer({ summary_trigger_tokens: 4, max_context_tokens: 1024, summary_max_tokens: 256 }, () => 'Topics: short');
+  await oracle.summarize('oldest ' + 'x'.repeat(8000) + ' newest', tokenizer);
+  const input = calls[0].messages[1].content;
+  t.ok(tokenizer.count(input) <= 1024 - 256 - 512);
+  t.ok(input.endsWith(' newest'));
+});
+
+const isSummaryCall = (messages) => messages[0].content.startsWith('You maintain the running summary');
+
+function summaryResult(log) {
+  return log.filter(entry => entry.kind === 'ai_result').pop().summary;
+}
+
+test('summary: an answered prompt commits the newest text below the trigger', async (t) => {
+  const { oracle, run, log } = makeOracle({ 'ai/summary': 'old '.repeat(600) }, { summary_trigger_tokens: 10_000 });
+  const calls = [];
+  oracle.answer = (messages) => { calls.push(isSummaryCall(messages)); return 'hi there'; };
+  await run(1, { prompt: 'newest question' });
+  t.alike(calls, [false]);
+  t.is(summaryResult(log).length, 2000);
+  t.ok(summaryResult(log).endsWith('newest question\nA: hi there'));
+});
+
+test('summary: an answered prompt over the trigger commits the compressed summary', async (t) => {
+  const { oracle, run, log } = makeOracle({ 'ai/summary': 'earlier' }, { summary_trigger_tokens: 4, summary_max_tokens: 32 });
+  let input = null;
+  oracle.answer = (messages) => {
+    if (!isSummaryCall(messages)) return 'the answer';
+    input = messages[1].content;
+    return 'Topics: ' + 'chat '.repeat(400);
+  };
+  await run(1, { prompt: 'hello' });
+  t.ok(input.startsWith('earlier\nQ('));
+  t.ok(input.endsWith('hello\nA: the answer'));
+  t.ok(summaryResult(log).startsWith('Topics: chat'));
+  t.ok(tokenizer.count(summaryResult(log)) <= 32);
+});
@@ -0,0 +1,36 @@
+import test from 'brittle';
+import {parseBotCommand, commandTemplates, commandHelp, renderTemplate, argumentVars, DEFAULT_MESSAGE_COUNT, MAX_MESSAGE_COUNT} from '../shared/templates.js';
+
+test('parseBotCommand: name is lowercased, arguments trimmed', (t) => {
+  t.alike(parseBotCommand('/Translate es  good morning\nfriends '), { name: 'translate', args: 'es  good morning\nfriends' });
+  t.alike(parseBotCommand('/help'), { name: 'help', args: '' });
+  t.is(parseBotCommand('plain question'), null);
+  t.is(parseBotCommand('/ what'), null);
+  t.is(parseBotCommand(null), null);
+});
+
+test('commandTemplates: admin templates override built-ins, malformed ones are skipped', (t) => {
+  const templates = commandTemplates({ summarize: { template: 'short: {{messages}}' }, tldr: { template: '{{args}}', min_args: 1 }, broken: { usage: '/broken' } });
+  t.is(templates.summarize.template, 'short: {{messages}}');
+  t.is(templates.summarize.usage, '/summarize');
+  t.is(templates.tldr.min_args, 1);
+  t.ok(templates.tldr.custom);
+  t.absent(templates.broken);
+  t.ok(templates.translate);
+  t.ok(commandHelp(templates).endsWith('/help (this list)'));
+});
+
+test('argumentVars: words, rest, count and message id', (t) => {
+  const vars = argumentVars('#42 in short');
+  t.is(vars.arg1, '#42');
+  t.is(vars.rest, 'in short');
+  t.is(vars.message_id, 42);
+  t.is(vars.count, 42);
+  t.is(argumentVars('').count, DEFAULT_MESSAGE_COUNT);
+  t.is(argumentVars('last 5000').count, MAX_MESSAGE_COUNT);
+  t.is(argumentVars('last 50').message_id, null);
+});
+
+test('renderTemplate: unknown and empty variables render as empty text', (t) => {
+  t.is(renderTemplate('{{nick}}: {{args}}{{nope}}', { nick: 'bob', args: 'hi', summary: null }), 'bob: hi');
+});
@@ -0,0 +1,114 @@
+import test from 'brittle';
+import {makeChat, ADMIN, U1, U2} from './helpers/contract.js';
+import {AiOracle} from '../features/ai/index.js';
+
+const NOW = 1_700_000_000_000;
+
+async function timedChat() {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  return chat;
+}
+
+// The oracle answers seq and posts its reply the way runJob does, natively replying to the prompt message
+async function answer(chat, seq, reply) {
+  const pending = chat.get('chat/pending/' + seq);
+  await chat.feature('ai', 'ai_result', { seq, reply });
+  await chat.msg(ADMIN, '@' + pending.from + ' ' + reply, ['ai-reply'], pending.msg_id);
+}
+
+// An oracle reading the chat's contract state as its view
+function oracleOn(chat) {
+  return new AiOracle({ wallet: {}, base: { view: chat.storage } }, {});
+}
+
+test('by_msg: a prompt starts its own thread', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai first question');
+  t.alike(chat.get('chat/pending/1'), { from: U1, prompt: 'first question', type: 'tagged', timestamp: NOW, msg_id: 0, parent: null, parent_seq: null, thread: 0, command: null });
+  t.alike(chat.get('chat/by_msg/0'), { seq: 1, thread: 0 });
+});
+
+test('by_msg: replying to the AI answer continues the thread', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai first question');
+  await answer(chat, 1, 'first answer');
+  t.alike(chat.get('chat/by_msg/1'), { seq: 1, thread: 0 }, 'the reply joins its prompt turn');
+  t.is(chat.get('chat/done/1').msg_id, 0);
+
+  await chat.msg(U2, '@ai and a follow-up', [], 1);
+  t.alike(chat.get('chat/pending/2'), { from: U2, prompt: 'and a follow-up', type: 'tagged', timestamp: NOW, msg_id: 2, parent: 1, parent_seq: 1, thread: 0, command: null });
+  t.alike(chat.get('chat/by_msg/2'), { seq: 2, thread: 0 });
+});
+
+test('by_msg: @ai ^<id> wins over the native reply and is stripped from the prompt', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai first question');
+  await chat.msg(U1, 'just chatting');
+  await chat.msg(U2, '@ai ^0 more on that', [], 1);
+  const pending = chat.get('chat/pending/2');
+  t.is(pending.prompt, 'more on that');
+  t.is(pending.parent, 0);
+  t.is(pending.parent_seq, 1);
+  t.is(pending.thread, 0);
+});
+
+test('by_msg: replying to a plain message roots the thread there; bad parents are ignored', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, 'what do you all think?');
+  await chat.msg(U2, '@ai: what do you think?', [], 0);
+  t.alike(chat.get('chat/by_msg/1'), { seq: 1, thread: 0 });
+  t.is(chat.get('chat/pending/1').parent_seq, null);
+
+  await chat.msg(U2, '@ai ^99 from the future');
+  t.is(chat.get('chat/pending/2').parent, null, 'a parent must come before the prompt');
+  t.is(chat.get('chat/pending/2').prompt, 'from the future');
+  t.is(chat.get('chat/pending/2').thread, 2);
+});
+
+test('by_msg: only admin AI replies join a turn', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai first question');
+  await chat.msg(U2, 'fake answer', ['ai-reply'], 0);
+  t.is(chat.get('chat/by_msg/1'), null);
+});
+
+test('threadHistory: walks parent_seq back to the root, oldest first', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai q1');
+  await answer(chat, 1, 'a1');
+  await chat.msg(U2, '@ai unrelated');
+  await answer(chat, 2, 'a2');
+  await chat.msg(U1, '@ai q3', [], 1);
+  await answer(chat, 3, 'a3');
+  await chat.msg(U1, '@ai q4', [], 5);
+
+  const oracle = oracleOn(chat);
+  const thread = await oracle.threadHistory(chat.get('chat/pending/4'), 32);
+  t.alike(thread.pairs.map(p => p.content), ['q1', 'a1', 'q3', 'a3']);
+  t.alike(Array.from(thread.seqs).sort(), [1, 3]);
+  t.is(thread.parentText, null);
+
+  const short = await oracle.threadHistory(chat.get('chat/pending/4'), 1);
+  t.alike(short.pairs.map(p => p.content), ['q3', 'a3'], 'at most maxTurns turns, nearest first');
+});
+
+test('threadHistory: a reply to a plain message quotes that message', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, 'the sky is green');
+  await chat.msg(U2, '@ai is that right?', [], 0);
+  const thread = await oracleOn(chat).threadHistory(chat.get('chat/pending/1'), 32);
+  t.is(thread.parentText, 'the sky is green');
+  t.alike(thread.pairs, []);
+});
+
+test('threadHistory: a skipped turn ends the chain', async (t) => {
+  const chat = await timedChat();
+  await chat.msg(U1, '@ai q1');
+  await answer(chat, 1, 'a1');
+  await chat.msg(U1, '@ai q2', [], 1);
+  await chat.msg(U1, '@ai q3', [], 2);
+  await chat.feature('ai', 'ai_ctrl', { op: 'fast_forward', seq: 2 });
+  const thread = await oracleOn(chat).threadHistory(chat.get('chat/pending/3'), 32);
+  t.alike(thread.pairs, []);
+});
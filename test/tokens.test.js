@@ -0,0 +1,82 @@
+import test from 'brittle';
+import {getBackend} from '../features/ai/backends.js';
+import {resolveRateLimits, computeQuota, readTokenUsage, MAX_TOKENS_PER_ANSWER} from '../contract/ratelimit.js';
+import {makeChat, ADMIN, U1, U2} from './helpers/contract.js';
+import {makeOracle} from './helpers/oracle.js';
+
+const DAY = 86_400_000;
+const NOW = 10 * DAY + 5_000;
+
+test('parseUsage: each backend reads its own usage fields', (t) => {
+  t.alike(getBackend('openai-chat').parseUsage({ usage: { prompt_tokens: 7, completion_tokens: 2 } }), { prompt: 7, completion: 2 });
+  t.alike(getBackend('openai-completions').parseUsage({ usage: { prompt_tokens: 7, completion_tokens: 2 } }), { prompt: 7, completion: 2 });
+  t.alike(getBackend('ollama').parseUsage({ prompt_eval_count: 5, eval_count: 9 }), { prompt: 5, completion: 9 });
+  t.alike(getBackend('llamacpp').parseUsage({ tokens_evaluated: 4, tokens_predicted: 1 }), { prompt: 4, completion: 1 });
+});
+
+test('parseUsage: missing or malformed counts are no usage', (t) => {
+  t.is(getBackend('openai-chat').parseUsage({}), null);
+  t.is(getBackend('openai-chat').parseUsage({ usage: { prompt_tokens: 7 } }), null);
+  t.is(getBackend('ollama').parseUsage({ prompt_eval_count: -1, eval_count: 9 }), null);
+  t.is(getBackend('llamacpp').parseUsage({ tokens_evaluated: 1.5, tokens_predicted: 1 }), null);
+  t.is(getBackend('openai-completions').parseUsage(null), null);
+});
+
+test('readTokenUsage: integers only, clamped, estimated kept as a flag', (t) => {
+  t.alike(readTokenUsage({ prompt: 3, completion: 4 }), { prompt: 3, completion: 4, estimated: false });
+  t.alike(readTokenUsage({ prompt: 3, completion: 4, estimated: true }), { prompt: 3, completion: 4, estimated: true });
+  t.is(readTokenUsage({ prompt: MAX_TOKENS_PER_ANSWER + 1, completion: 0 }).prompt, MAX_TOKENS_PER_ANSWER);
+  t.is(readTokenUsage({ prompt: '3', completion: 4 }), null);
+  t.is(readTokenUsage({ prompt: -1, completion: 4 }), null);
+  t.is(readTokenUsage(null), null);
+});
+
+test('computeQuota: a used-up token budget stops prompts until tomorrow', (t) => {
+  const limits = resolveRateLimits({ daily_tokens: 100 }, null, null, null);
+  t.is(computeQuota(limits, NOW, [], 1, 99).tokens_remaining, 1);
+  t.is(computeQuota(limits, NOW, [], 1, 99).limited, null);
+  const quota = computeQuota(limits, NOW, [], 1, 120);
+  t.is(quota.tokens_remaining, 0);
+  t.is(quota.limited, 'token_budget');
+  t.is(quota.retry_at, 11 * DAY);
+  t.is(computeQuota(resolveRateLimits({ daily_tokens: 0 }, null, null, null), NOW, [], 0, 0).retry_at, null);
+});
+
+test('computeQuota: no budget by default, a tier can lift it, the daily cap is reported first', (t) => {
+  t.is(computeQuota(resolveRateLimits(null, null, null, null), NOW, [], 0, 5000).tokens_remaining, null);
+  const tiers = { unlimited: { daily_tokens: null }, staff: { exempt: true } };
+  t.is(resolveRateLimits({ daily_tokens: 100 }, tiers, 'unlimited', null).daily_tokens, null);
+  t.is(computeQuota(resolveRateLimits({ daily_tokens: 100 }, tiers, 'staff', null), NOW, [], 0, 500).limited, null);
+  t.is(computeQuota(resolveRateLimits({ daily_tokens: 100, daily_max: 2 }, null, null, null), NOW, [], 2, 500).limited, 'daily_cap');
+});
+
+test('contract: answers are charged to the asker and the budget rejects the next prompt', async (t) => {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  t.is(await chat.tx(ADMIN, 'setRateLimitPolicy', { op: 'set_rl_policy', daily_tokens: 100 }), undefined);
+  await chat.msg(U1, '@ai write an essay');
+  await chat.msg(U2, '@ai hi');
+  await chat.feature('ai', 'ai_result', { queue: 'tagged', seq: 1, reply: 'essay', summary: 's', tokens: { prompt: 40, completion: 70 } });
+  await chat.feature('ai', 'ai_result', { queue: 'tagged', seq: 2, reply: 'hello', summary: 's', tokens: { prompt: 5, completion: 2, estimated: true } });
+  t.is(chat.get('rl/tokens/' + U1 + '/10'), 110);
+  t.is(chat.get('rl/tokens/' + U2 + '/10'), 7);
+  t.alike(chat.get('chat/done/2').tokens, { prompt: 5, completion: 2, estimated: true });
+
+  await chat.msg(U1, '@ai another one');
+  await chat.msg(U2, '@ai and you?');
+  t.is(chat.keys('msgrej/').map(key => chat.get(key).reason).join(), 'token_budget');
+  t.is(chat.get('chat/pending/3').from, U2);
+  t.is(chat.get('chat/pending/4'), null);
+});
+
+test('oracle: reports the server usage, else an estimate', async (t) => {
+  const { oracle, run, log } = makeOracle();
+  await run(1, {});
+  const estimated = log.find(entry => entry.kind === 'ai_result').tokens;
+  t.is(estimated.estimated, true);
+  t.ok(estimated.prompt > 0 && estimated.completion > 0);
+
+  oracle.callModel = async () => ({ ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'ok' } }], usage: { prompt_tokens: 31, completion_tokens: 4 } }) });
+  await run(2, {});
+  t.alike(log.filter(entry => entry.kind === 'ai_result')[1].tokens, { prompt: 31, completion: 4 });
+});
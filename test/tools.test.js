@@ -0,0 +1,63 @@
+import test from 'brittle';
+import {ToolRegistry, BUILTIN_TOOLS, calculate} from '../features/ai/tools.js';
+import {AiOracle} from '../features/ai/index.js';
+import {getBackend} from '../features/ai/backends.js';
+
+const ctx = { get: async (key) => key === 'currentTime' ? 0 : null, search: async () => [], item: null };
+
+test('calculate: precedence, functions and errors', (t) => {
+  t.is(calculate('(1.5 + 2) * 3 ^ 2'), 31.5);
+  t.is(calculate('max(2, sqrt(16)) - -1'), 5);
+  t.exception(() => calculate('1 / 0'), /finite/);
+  t.exception(() => calculate('process.exit()'), /unknown token/);
+});
+
+test('registry: only enabled tools are offered and run', async (t) => {
+  const tools = new ToolRegistry(BUILTIN_TOOLS, { enabled: ['calculator'] });
+  t.alike(tools.schemas().map(s => s.function.name), ['calculator']);
+  t.is((await tools.call('calculator', { expression: '1+1' }, ctx)).result, '{"expression":"1+1","result":2}');
+  const refused = await tools.call('read_state', { key: 'msgl' }, ctx);
+  t.is(refused.error, 'tool "read_state" is not enabled');
+  t.is(refused.result, null);
+  t.is((await tools.call('nope', {}, ctx)).error, 'unknown tool "nope"');
+});
+
+test('registry: every tool is enabled without a list', async (t) => {
+  const tools = new ToolRegistry(BUILTIN_TOOLS);
+  t.is(tools.schemas().length, BUILTIN_TOOLS.length);
+  t.is((await tools.call('get_time', {}, ctx)).error, null);
+});
+
+test('registry: read_state refuses keys outside the allow list, slow tools time out', async (t) => {
+  const tools = new ToolRegistry(BUILTIN_TOOLS.concat([{ name: 'slow', run: () => new Promise(resolve => setTimeout(resolve, 200)) }]), { max_result_chars: 5 });
+  t.ok(/not readable/.test((await tools.call('read_state', { key: 'ai/workers' }, ctx)).error));
+  t.is((await tools.call('get_time', {}, ctx)).result, '{"iso…');
+  t.is((await tools.call('slow', {}, ctx, 20)).error, 'timed out after 20ms');
+});
+
+test('completeWithTools: a tool the model was not offered is answered with an error', async (t) => {
+  let ran = false;
+  const extra = { name: 'secret', run: () => { ran = true; return 'leaked'; } };
+  const replies = [
+    { choices: [{ message: { content: '', tool_calls: [{ id: 'c1', function: { name: 'secret', arguments: '{}' } }] } }] },
+    { choices: [{ message: { content: 'done' } }] }
+  ];
+  const bodies = [];
+  const oracle = Object.assign(Object.create(AiOracle.prototype), {
+    backend: getBackend('openai-chat'),
+    tools: new ToolRegistry(BUILTIN_TOOLS.concat([extra]), { enabled: ['calculator'] }),
+    maxToolSteps: 3,
+    maxToolCallsPerStep: 4,
+    toolTimeoutMs: 100,
+    maxReply: 64,
+    temperature: 0,
+    callModel: async (body) => { bodies.push(body); return { ok: true, json: async () => replies.shift() }; }
+  });
+  const trace = [];
+  const run = await oracle.completeWithTools([{ role: 'user', content: 'hi' }], ctx, trace, 'http://127.0.0.1:1');
+  t.is(run.text, 'done');
+  t.is(ran, false);
+  t.is(trace[0].error, 'tool "secret" is not enabled');
+  t.alike(bodies[0].tools.map(s => s.function.name), ['calculator']);
+  t.alike(bodies[1].messages[2], { role: 'tool', tool_call_id: 'c1', content: 'error: tool "secret" is not enabled' });
+});
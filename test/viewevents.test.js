@@ -0,0 +1,111 @@
+import test from 'brittle';
+import {EventEmitter} from 'events';
+import {ViewEvents} from '../contract/viewevents.js';
+import {readMessages} from '../shared/messages.js';
+
+// A view whose nodes carry a seq like Hyperbee's, bumped on every put
+function fakeView(entries = {}) {
+  const nodes = new Map();
+  let seq = 0;
+  const view = {
+    reads: 0,
+    async get(key) {
+      view.reads++;
+      return nodes.has(key) ? { key, value: nodes.get(key).value, seq: nodes.get(key).seq } : null;
+    },
+    put(key, value) { nodes.set(key, { value, seq: ++seq }); }
+  };
+  for (const key in entries) view.put(key, entries[key]);
+  return view;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('viewevents: without update events the fallback timer still reports changes', async (t) => {
+  const view = fakeView({ msgl: 2, message_seq: 1 });
+  const events = new ViewEvents({ base: { view } }, { fallback_ms: 20 });
+  const seen = [];
+  const off = [
+    events.subscribe('messages', (p) => seen.push(['messages', p])),
+    events.subscribe('queue', (p) => seen.push(['queue', p])),
+    events.subscribe('feature', (p) => seen.push(['feature', p]))
+  ];
+  await sleep(5);
+  t.alike(seen, [], 'the first check only records the baseline');
+
+  view.put('msgl', 4);
+  view.put('message_seq', 2);
+  view.put('ai/summary', 'talked about tea');
+  await sleep(60);
+  t.alike(seen, [
+    ['messages', { from: 2, to: 4 }],
+    ['queue', { message_seq: 2, process_seq: 0, random_message_seq: 0, random_process_seq: 0, bots: {} }],
+    ['feature', { key: 'ai/summary', value: 'talked about tea' }]
+  ]);
+
+  for (const unsubscribe of off) unsubscribe();
+  t.is(events.started, false);
+  t.is(events.timer, null, 'the last unsubscribe stops the timer');
+  const reads = view.reads;
+  await sleep(50);
+  t.is(view.reads, reads);
+});
+
+test('viewevents: update events trigger a check before the fallback timer', async (t) => {
+  const view = fakeView({ msgl: 0 });
+  const base = new EventEmitter();
+  base.view = view;
+  const events = new ViewEvents({ base }, { fallback_ms: 60_000 });
+  const seen = [];
+  const off = events.subscribe('messages', (p) => seen.push(p));
+  await sleep(5);
+  view.put('msgl', 1);
+  base.emit('update');
+  await sleep(5);
+  t.alike(seen, [{ from: 0, to: 1 }]);
+  off();
+  t.is(base.listenerCount('update'), 0);
+});
+
+test('viewevents: bursts of updates coalesce into one extra check', async (t) => {
+  const view = fakeView({ msgl: 0 });
+  const events = new ViewEvents({ base: { view } }, { fallback_ms: 60_000 });
+  let checks = 0;
+  const check = events.check.bind(events);
+  events.check = async () => { checks++; await sleep(10); await check(); };
+  const off = events.subscribe('messages', () => {});
+  for (let i = 0; i < 5; i++) events.schedule();
+  await sleep(40);
+  t.is(checks, 2);
+  off();
+});
+
+test('viewevents: listener errors do not stop the others, unknown topics throw', async (t) => {
+  const view = fakeView({ msgl: 0 });
+  const events = new ViewEvents({ base: { view } }, { fallback_ms: 60_000 });
+  const seen = [];
+  const log = console.log;
+  console.log = () => {};
+  const off = [events.subscribe('messages', () => { throw new Error('boom'); }), events.subscribe('messages', (p) => seen.push(p))];
+  try {
+    await sleep(5);
+    view.put('msgl', 3);
+    await events.check();
+  } finally {
+    console.log = log;
+    for (const unsubscribe of off) unsubscribe();
+  }
+  t.alike(seen, [{ from: 0, to: 3 }]);
+  t.exception(() => events.subscribe('typing', () => {}), /unknown topic "typing"/);
+});
+
+test('readMessages: batches keep index order and skip missing entries', async (t) => {
+  const view = fakeView();
+  for (let i = 0; i < 10; i++) {
+    if (i !== 4) view.put('msg/' + i, i % 2 === 0 ? { dispatch: { msg: 'm' + i, address: 'x' } } : { msg: 'm' + i, address: 'x' });
+  }
+  const items = await readMessages(view, 2, 9, 3);
+  t.alike(items.map(m => m.id), [2, 3, 5, 6, 7, 8]);
+  t.alike(items[0], { msg: 'm2', address: 'x', id: 2, ts: null });
+  t.alike(await readMessages(view, 9, 9), []);
+});
@@ -0,0 +1,80 @@
+import test from 'brittle';
+import {leaseActive, workerEntry, workerJobKey} from '../shared/workers.js';
+import {makeChat, ADMIN, U1, U2, W1} from './helpers/contract.js';
+
+const NOW = 1_000_000;
+
+async function chatWithWorker(t) {
+  const chat = makeChat();
+  await chat.setTime(NOW);
+  t.is(await chat.tx(ADMIN, 'setAiWorker', { op: 'set_ai_worker', address: W1, lease_ms: 60_000 }), undefined);
+  await chat.msg(U1, '@ai first');
+  await chat.msg(U2, '@ai second');
+  return chat;
+}
+
+test('leaseActive: valid until expires_at, by contract time', (t) => {
+  t.ok(leaseActive({ expires_at: 10 }, 10));
+  t.absent(leaseActive({ expires_at: 10 }, 11));
+  t.absent(leaseActive(null, 0));
+  t.absent(leaseActive({ expires_at: 10 }, null));
+});
+
+test('workerEntry: disabled workers and other bots are refused', (t) => {
+  const workers = { [W1]: { enabled: true, bots: ['code'] }, [U1]: { enabled: false }, [U2]: { enabled: true, bots: null } };
+  t.ok(workerEntry(workers, W1, 'code'));
+  t.is(workerEntry(workers, W1, 'ai'), null);
+  t.is(workerEntry(workers, U1, 'ai'), null);
+  t.ok(workerEntry(workers, U2, 'ai'));
+  t.is(workerEntry(null, W1, 'ai'), null);
+});
+
+test('only the admin manages workers, and never as a worker itself', async (t) => {
+  const chat = makeChat();
+  t.is((await chat.tx(U1, 'setAiWorker', { op: 'set_ai_worker', address: W1 })).message, 'Only the admin can manage oracle workers.');
+  t.is((await chat.tx(ADMIN, 'setAiWorker', { op: 'set_ai_worker', address: ADMIN })).message, 'The admin peer runs its oracle without a lease.');
+});
+
+test('claim leases one seq at a time and only to workers', async (t) => {
+  const chat = await chatWithWorker(t);
+  t.is((await chat.tx(U1, 'claimAiJob', { op: 'claim_ai_job' })).message, 'Not an oracle worker for @ai.');
+  t.is(await chat.tx(W1, 'claimAiJob', { op: 'claim_ai_job' }), undefined);
+  t.alike(chat.get('chat/lease/1'), { worker: W1, seq: 1, leased_at: NOW, expires_at: NOW + 60_000 });
+  t.alike(chat.get(workerJobKey(W1, 'ai')), { bot: 'ai', seq: 1, expires_at: NOW + 60_000 });
+  t.is((await chat.tx(W1, 'claimAiJob', { op: 'claim_ai_job' })).message, 'Already holding seq 1 of @ai.');
+});
+
+test('the lease holder commits the answer; the admin result for a leased seq is ignored', async (t) => {
+  const chat = await chatWithWorker(t);
+  await chat.tx(W1, 'claimAiJob', { op: 'claim_ai_job' });
+  await chat.feature('ai', 'ai_result', { queue: 'tagged', seq: 1, reply: 'from admin', summary: 's' });
+  t.is(chat.get('chat/done/1'), null);
+  t.is((await chat.tx(U2, 'submitAiResult', { op: 'submit_ai_result', seq: 1, reply: 'x' })).message, 'Seq 1 of @ai is not leased to you.');
+  t.is(await chat.tx(W1, 'submitAiResult', { op: 'submit_ai_result', seq: 1, reply: 'from worker', summary: 'ws' }), undefined);
+  t.is(chat.get('chat/done/1').reply, 'from worker');
+  t.is(chat.get('chat/done/1').worker, W1);
+  t.is(chat.get('process_seq'), 1);
+  t.alike(chat.keys('chat/lease/'), []);
+  t.alike(chat.keys('ai/worker_job/'), []);
+});
+
+test('an expired lease can no longer submit and the seq can be claimed again', async (t) => {
+  const chat = await chatWithWorker(t);
+  const W2 = 'e'.repeat(64);
+  await chat.tx(ADMIN, 'setAiWorker', { op: 'set_ai_worker', address: W2 });
+  await chat.tx(W1, 'claimAiJob', { op: 'claim_ai_job' });
+  await chat.tx(W2, 'claimAiJob', { op: 'claim_ai_job' });
+  t.is(chat.get(workerJobKey(W2, 'ai')).seq, 2);
+  await chat.setTime(NOW + 61_000);
+  t.is((await chat.tx(W1, 'submitAiResult', { op: 'submit_ai_result', seq: 1, reply: 'late' })).message, 'Your lease on seq 1 of @ai has expired.');
+  t.is(await chat.tx(W2, 'submitAiResult', { op: 'submit_ai_result', seq: 2, reply: 'done' }), undefined);
+  t.is(await chat.tx(W2, 'claimAiJob', { op: 'claim_ai_job' }), undefined);
+  t.alike(chat.get('chat/lease/1'), { worker: W2, seq: 1, leased_at: NOW + 61_000, expires_at: NOW + 61_000 + 120_000 });
+});
+
+test('a removed worker loses its lease rights', async (t) => {
+  const chat = await chatWithWorker(t);
+  await chat.tx(W1, 'claimAiJob', { op: 'claim_ai_job' });
+  t.is(await chat.tx(ADMIN, 'removeAiWorker', { op: 'remove_ai_worker', address: W1 }), undefined);
+  t.is((await chat.tx(W1, 'submitAiResult', { op: 'submit_ai_result', seq: 1, reply: 'x' })).message, 'Not an oracle worker for @ai.');
+});